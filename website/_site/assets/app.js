@@ -1,5 +1,7 @@
 /* Memory Timeline documentation — client behaviour.
-   Theme, mobile navigation, copy buttons, table-of-contents scrollspy and search.
+   Theme, mobile navigation, copy buttons, table-of-contents scrollspy, the
+   documentation map's ordering, the version switcher, offline reading, search,
+   the 404 page's suggestions and the single-file edition's page routing.
    No dependencies; everything works from file:// as well as over HTTP. */
 
 (function () {
@@ -7,6 +9,8 @@
 
   var doc = document;
   var root = doc.documentElement;
+  // In the single-file edition every page is a hidden section, shown by the hash.
+  var routes = Array.prototype.slice.call(doc.querySelectorAll('[data-route]'));
 
   /* ------------------------------------------------------------- theme --- */
 
@@ -101,18 +105,19 @@
 
   /* --------------------------------------------------------- scrollspy --- */
 
-  var tocLinks = Array.prototype.slice.call(doc.querySelectorAll('[data-toc-link]'));
-  if (tocLinks.length && 'IntersectionObserver' in window) {
+  // Watch the headings the table of contents within `scope` links to. Returns
+  // the observer, so the single-file edition can stop it on leaving the page.
+  function spyOn(scope) {
+    var tocLinks = Array.prototype.slice.call(scope.querySelectorAll('[data-toc-link]'));
+    if (!tocLinks.length || !('IntersectionObserver' in window)) return null;
     var byId = {};
     tocLinks.forEach(function (link) {
-      byId[decodeURIComponent(link.getAttribute('href').slice(1))] = link;
+      byId[hashTarget(link.getAttribute('href'))] = link;
     });
 
-    var headings = Object.keys(byId)
-      .map(function (id) {
-        return doc.getElementById(id);
-      })
-      .filter(Boolean);
+    var headings = Array.prototype.slice.call(scope.querySelectorAll('[id]')).filter(function (el) {
+      return byId.hasOwnProperty(el.id);
+    });
 
     var visible = new Set();
 
@@ -151,6 +156,157 @@
     headings.forEach(function (h) {
       observer.observe(h);
     });
+    return observer;
+  }
+
+  // The id a link's hash points at: `#id`, or `#/slug/id` in the single-file edition.
+  function hashTarget(href) {
+    var hash = href.slice(href.indexOf('#') + 1);
+    if (hash.charAt(0) === '/') hash = hash.split('/').slice(2).join('/');
+    return decodeURIComponent(hash);
+  }
+
+  var spy = routes.length ? null : spyOn(doc);
+
+  /* -------------------------------------------------- documentation map --- */
+
+  // Re-order the map by freshness: one flat list, most recently updated first.
+  var mapSort = doc.querySelector('[data-map-sort]');
+  var mapBody = doc.querySelector('.map-body');
+  if (mapSort && mapBody) {
+    var bySection = Array.prototype.slice.call(mapBody.querySelectorAll('.map-section'));
+    var byDate = null;
+
+    var showOrder = function (order) {
+      if (order === 'updated' && !byDate) {
+        byDate = doc.createElement('section');
+        byDate.className = 'map-section map-by-date';
+        Array.prototype.slice
+          .call(mapBody.querySelectorAll('.map-entry'))
+          .map(function (entry, i) {
+            return { entry: entry, i: i, updated: entry.getAttribute('data-updated') || '' };
+          })
+          .sort(function (a, b) {
+            if (a.updated !== b.updated) return a.updated < b.updated ? 1 : -1;
+            return a.i - b.i;
+          })
+          .forEach(function (item) {
+            byDate.appendChild(item.entry.cloneNode(true));
+          });
+        mapBody.appendChild(byDate);
+      }
+      bySection.forEach(function (section) {
+        section.hidden = order === 'updated';
+      });
+      if (byDate) byDate.hidden = order !== 'updated';
+      mapSort.querySelectorAll('[data-map-order]').forEach(function (button) {
+        var active = button.getAttribute('data-map-order') === order;
+        button.classList.toggle('is-active', active);
+        button.setAttribute('aria-pressed', String(active));
+      });
+    };
+
+    mapSort.addEventListener('click', function (event) {
+      var button = event.target.closest('[data-map-order]');
+      if (button) showOrder(button.getAttribute('data-map-order'));
+    });
+    mapSort.hidden = false;
+  }
+
+  /* ---------------------------------------------------------- versions --- */
+
+  var versionSwitch = doc.querySelector('[data-version-switch]');
+  var versions = window.MT_VERSIONS || [];
+  var versionPages = window.MT_VERSION_PAGES || {};
+  var slug = doc.body.getAttribute('data-page');
+
+  // Switching keeps you on the same page; a version without it opens on its
+  // home page with a notice naming the page that is missing.
+  if (versionSwitch && versions.length > 1) {
+    var current = versionSwitch.getAttribute('data-version');
+    var siteRoot = versionSwitch.getAttribute('data-version-root') || '';
+
+    versions.forEach(function (version) {
+      var option = doc.createElement('option');
+      var has = (versionPages[version.id] || {})[slug] !== undefined;
+      option.value = version.id;
+      option.textContent = version.label + (has ? '' : ' — page not in this version');
+      option.selected = version.id === current;
+      versionSwitch.appendChild(option);
+    });
+    versionSwitch.hidden = false;
+
+    versionSwitch.addEventListener('change', function () {
+      var target = versions.filter(function (v) {
+        return v.id === versionSwitch.value;
+      })[0];
+      if (!target) return;
+      var has = (versionPages[target.id] || {})[slug] !== undefined;
+      window.location.href =
+        siteRoot + target.path + (has ? slug + '.html' : 'index.html#not-in-version=' + encodeURIComponent(slug));
+    });
+  }
+
+  var missing = /^#not-in-version=(.+)$/.exec(window.location.hash);
+  var mainEl = doc.getElementById('main');
+  if (missing && mainEl) {
+    var missingSlug = decodeURIComponent(missing[1]);
+    var title = missingSlug;
+    Object.keys(versionPages).forEach(function (id) {
+      if (versionPages[id][missingSlug]) title = versionPages[id][missingSlug];
+    });
+    var thisVersion = versions.filter(function (v) {
+      return versionSwitch && v.id === versionSwitch.getAttribute('data-version');
+    })[0];
+
+    var notice = doc.createElement('div');
+    notice.className = 'callout callout-warning version-notice';
+    notice.setAttribute('role', 'status');
+    notice.innerHTML =
+      '<div class="callout-body"><p><strong>' + escapeHtml(title) + '</strong> does not exist in ' +
+      (thisVersion ? 'the <strong>' + escapeHtml(thisVersion.label) + '</strong> documentation' : 'this version') +
+      ', so you are on its home page instead.</p></div>';
+    mainEl.insertBefore(notice, mainEl.firstChild);
+  }
+
+  /* ----------------------------------------------------------- offline --- */
+
+  // A site built with `offline: true` links its web manifest, and the service
+  // worker sits beside it. Once the worker is active every page is saved, so
+  // the topbar says so. Opened from file:// there is nothing to install, and
+  // in development (localhost, or `serve.mjs --watch`) saved copies would hide
+  // every edit, so a worker left from an earlier visit is removed instead.
+  var webManifest = doc.querySelector('link[rel="manifest"]');
+  var offlineStatus = doc.querySelector('[data-offline-status]');
+  var developing =
+    window.MT_LIVE_RELOAD || /^(?:localhost|127\.0\.0\.1|\[::1\])$/.test(window.location.hostname);
+  if ('serviceWorker' in navigator && developing) {
+    navigator.serviceWorker.getRegistrations().then(function (registrations) {
+      registrations.forEach(function (registration) {
+        registration.unregister();
+      });
+    });
+  } else if (webManifest && 'serviceWorker' in navigator && window.location.protocol !== 'file:') {
+    navigator.serviceWorker.register(new URL('sw.js', webManifest.href).href).catch(function () {
+      /* not allowed here (plain HTTP on another host, private mode) — stay online-only */
+    });
+    navigator.serviceWorker.ready.then(function () {
+      if (!offlineStatus) return;
+      offlineStatus.hidden = false;
+      showConnection();
+      window.addEventListener('online', showConnection);
+      window.addEventListener('offline', showConnection);
+    });
+  }
+
+  function showConnection() {
+    var online = navigator.onLine !== false;
+    var label = online ? 'Available offline' : 'Offline — reading saved pages';
+    offlineStatus.classList.toggle('is-offline', !online);
+    offlineStatus.querySelector('[data-offline-label]').textContent = label;
+    offlineStatus.title = online
+      ? 'Every page of these docs is saved in this browser and works without a network.'
+      : label;
   }
 
   /* ------------------------------------------------------------ search --- */
@@ -326,7 +482,7 @@
     var html = ['<p class="search-count">' + scored.length + (scored.length === 40 ? '+' : '') + ' results</p>'];
     scored.forEach(function (item) {
       var entry = item.entry;
-      var href = entry.p + '.html' + (entry.a ? '#' + entry.a : '');
+      var href = pageHref(entry.p, entry.a);
       rendered.push({ href: href });
       html.push(
         '<a class="search-result" href="' + href + '">' +
@@ -342,6 +498,12 @@
     results.innerHTML = html.join('');
   }
 
+  // Where a search result opens: a page of the site, or a route in the single-file edition.
+  function pageHref(page, anchor) {
+    if (routes.length) return '#/' + page + (anchor ? '/' + anchor : '');
+    return page + '.html' + (anchor ? '#' + anchor : '');
+  }
+
   if (input) {
     var timer = null;
     input.addEventListener('input', function () {
@@ -352,4 +514,160 @@
       }, 80);
     });
   }
+
+  /* --------------------------------------------------------- not found --- */
+
+  // The 404 page is shown at whatever address missed. Match that address's
+  // last segment against page slugs and titles and section anchors and
+  // headings, and offer the closest pages instead of the generic list.
+  var suggestions = doc.querySelector('[data-not-found-suggestions]');
+  if (suggestions) {
+    // Its <base> would send in-page links to the home page.
+    doc.querySelectorAll('a[href^="#"]').forEach(function (link) {
+      link.setAttribute('href', location.pathname + link.getAttribute('href'));
+    });
+
+    var wanted = decodeURIComponent(location.pathname.split('/').filter(Boolean).pop() || '');
+    wanted = wanted.replace(/\.(html?|md)$/i, '');
+    var wantedAnchor = decodeURIComponent(location.hash.slice(1));
+    var anchors = {};
+    var best = {};
+
+    if (words(wanted).length) {
+      index.forEach(function (entry) {
+        var value = Math.max(similarity(wanted, entry.p), similarity(wanted, entry.t));
+        var anchor = '';
+        if (entry.a) {
+          var section = Math.max(similarity(wanted, entry.a), similarity(wanted, entry.h)) - 0.05;
+          if (section > value) {
+            value = section;
+            anchor = entry.a;
+          }
+        }
+        (anchors[entry.p] = anchors[entry.p] || {})[entry.a] = true;
+        var seen = best[entry.p];
+        if (!seen || value > seen.value) {
+          best[entry.p] = { value: value, slug: entry.p, title: entry.t, anchor: anchor, heading: anchor && entry.h };
+        }
+      });
+    }
+
+    var matches = Object.keys(best)
+      .map(function (key) {
+        return best[key];
+      })
+      .filter(function (match) {
+        return match.value >= 0.4;
+      })
+      .sort(function (a, b) {
+        return b.value - a.value;
+      })
+      .slice(0, 5);
+
+    var lede = doc.querySelector('[data-not-found-path]');
+    if (lede) {
+      lede.innerHTML =
+        'There is no page at <code>' + escapeHtml(location.pathname) + '</code>. ' +
+        'It may have been renamed or removed.';
+    }
+    if (matches.length) {
+      var heading = doc.querySelector('[data-not-found-heading]');
+      if (heading) heading.textContent = matches.length > 1 ? 'Did you mean one of these?' : 'Did you mean this page?';
+      suggestions.innerHTML = matches
+        .map(function (match) {
+          // A section the old address pointed at may live on in the suggested page.
+          var anchor = match.anchor || (anchors[match.slug][wantedAnchor] ? wantedAnchor : '');
+          var href = match.slug + '.html' + (anchor ? '#' + anchor : '');
+          return (
+            '<li><a href="' + href + '"><strong>' + escapeHtml(match.title) + '</strong></a>' +
+            (match.heading ? '<span>' + escapeHtml(match.heading) + '</span>' : '') +
+            '</li>'
+          );
+        })
+        .join('');
+    }
+  }
+
+  /* ------------------------------------------------------- single file --- */
+
+  // `#/slug` shows that page's section and `#/slug/anchor` a place on it. Any
+  // other hash is a place on the page already shown; with no page named, or
+  // one the file does not hold, the first section — the home page — opens.
+  if (routes.length) {
+    var shown = null;
+
+    var pageNamed = function (name) {
+      return routes.filter(function (section) {
+        return section.getAttribute('data-route') === name;
+      })[0];
+    };
+
+    var route = function () {
+      var hash = window.location.hash;
+      var match = /^#\/([^/]+)(?:\/(.*))?$/.exec(hash);
+      var anchor = match ? match[2] || '' : hash.slice(1);
+      var page = (match ? pageNamed(decodeURIComponent(match[1])) : shown) || routes[0];
+      if (!match && shown && anchor) {
+        // Keep the address naming its page, so reloading comes back here.
+        history.replaceState(null, '', '#/' + shown.getAttribute('data-route') + '/' + anchor);
+      }
+
+      if (page !== shown) {
+        routes.forEach(function (section) {
+          section.hidden = section !== page;
+        });
+        shown = page;
+        doc.title = page.getAttribute('data-title');
+        doc.body.className = page.getAttribute('data-body-class');
+        doc.body.setAttribute('data-page', page.getAttribute('data-route'));
+        if (spy) spy.disconnect();
+        spy = spyOn(page);
+      }
+      closeSearch();
+      setNav(false);
+
+      var id = decodeURIComponent(anchor);
+      var target = Array.prototype.filter.call(page.querySelectorAll('[id]'), function (el) {
+        return el.id === id;
+      })[0];
+      if (id && target) target.scrollIntoView();
+      else window.scrollTo(0, 0);
+    };
+
+    window.addEventListener('hashchange', route);
+    route();
+  }
+
+  function words(text) {
+    return String(text)
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(Boolean);
+  }
+
+  // Dice coefficient over letter pairs of the joined words: forgiving of
+  // typos, re-ordered words and dropped hyphens.
+  function similarity(a, b) {
+    var x = words(a).join(' ');
+    var y = words(b).join(' ');
+    if (!x || !y) return 0;
+    if (x === y) return 1;
+    var pairs = {};
+    var total = 0;
+    var shared = 0;
+    for (var i = 0; i < x.length - 1; i += 1) {
+      var pair = x.slice(i, i + 2);
+      pairs[pair] = (pairs[pair] || 0) + 1;
+      total += 1;
+    }
+    for (var j = 0; j < y.length - 1; j += 1) {
+      var other = y.slice(j, j + 2);
+      if (pairs[other]) {
+        pairs[other] -= 1;
+        shared += 1;
+      }
+      total += 1;
+    }
+    return total ? (2 * shared) / total : 0;
+  }
 })();
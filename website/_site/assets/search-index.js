@@ -1,2 +1,2 @@
-window.MT_SEARCH_INDEX=[{"p":"overview","t":"Project overview","s":"Start here","h":"Project overview","a":"","x":"The repository README: what Memory Timeline is, the memory pipeline, the full feature list, tech stack, architecture, setup, configuration, and privacy model. Capture your memories by voice or text, let AI turn them into structured events, and explore your life as an interactive timeline that surfaces the connections between moments — then ask it questions, read it back as stories, and see it on a map. Primary implementation: Windows Native (.NET 10 · WinUI 3)Status: Active development — core pipeline recently rebuilt and hardened; builds green in CI, runtime validation ongoing.Also in the repo: an iOS roadtrip companion (SwiftUI) with its self-hosted sync service, and an in-progress macOS app."},{"p":"overview","t":"Project overview","s":"Start here","h":"What it is","a":"what-it-is","x":"Memory Timeline is a local-first desktop app for recording, organizing, and rediscovering your personal history: Speak a memory into the recorder — or paste/type one (Ctrl+Shift+V) into the same queue. The app transcribes audio locally with Whisper, then an LLM (Claude, or a local OpenAI-compatible endpoint like Ollama) extracts structured events — title, dates with honest precision (\"Summer 2003\", not an invented day), description, category, and the people, places, and tags involved. You review and approve the extracted events, which land on an interactive timeline — with photos and other media attachments, duration spans, swimlanes, and uncertainty bands for vague dates. The app helps you rediscover what you captured: an On This Day home page, guided recall prompts that ask about gaps in your archive, Ask your timeline for grounded, cited answers, generated narrative stories, an offline map, plus connections, search, and analytics. Backups and revision history protect the archive itself. Your data lives in a local SQLite database. Embeddings run locally by default (a bundled ONNX model), so nothing leaves your machine except the specific text you choose to send to the LLM/embedding providers you configure — and geocoding is off unless you opt in. 🧭 The Windows Native app is the primary and actively developed product.# The rest of this README focuses on it. A native macOS app is being brought up alongside it — see macOS app."},{"p":"overview","t":"Project overview","s":"Start here","h":"The memory pipeline","a":"the-memory-pipeline","x":"The heart of the app is a single flow, from voice to timeline: Every hop persists its state, so a failure at any stage is recoverable and visible in the UI rather than silently swallowed. Text joins audio in the same queue: paste or type a memory (Ctrl+Shift+V) and it enters the queue as a text source whose content is stored as its transcript, skipping transcription. Whisper transcripts are persisted too and reused across retries instead of re-transcribing."},{"p":"overview","t":"Project overview","s":"Start here","h":"Features (Windows Native)","a":"features-windows-native","x":"Home & rediscovery# Home page — the default landing page: On This Day anniversary cards (precision-aware — only memories with a real day anchor appear on a specific day), a recall-prompt card, recent activity, and a first-run empty state that walks a new archive through capture. Daily toast — an optional once-a-day notification when today has an anniversary; clicking it (and JumpList/Windows Timeline entries) deep-links straight to the event. Guided recall prompts — the app mines the archive for gaps (empty stretches, people with no events, era edges, thin one-line events, anniversary anchors) and asks specific questions on the Home and Queue pages. A dismissed or answered question is never asked again; answers can be typed or spoken and flow into the normal extraction queue. Timeline# Interactive canvas with Year / Month / Week / Day zoom levels, smooth pan, and keyboard navigation. Event bubbles with category icons; era backgrounds for life phases; duration spans render as bars; optional swimlanes group events into collapsible lanes; uncertainty bands visualize vague dates. Honest date precision — every event carries a precision (exact/day/month/season/year/decade/unknown) and an uncertainty window; displays everywhere say \"1998\" or \"Summer 2003\" instead of a fabricated exact day. Scroll-driven reloads are coalesced, so fast panning no longer piles up redundant queries (a major timeline performance fix). Newly created or approved events refresh onto the timeline automatically (via an in-app messenger), and the view jumps to an event's date if it lands outside the current window. Capture → events# Recording with pause/resume/cancel using Windows MediaCapture; recordings are written under %LOCALAPPDATA%\\MemoryTimeline\\AudioRecordings. Text & paste capture — Ctrl+Shift+V (or the Queue-page button) captures typed or pasted text through the same queue; transcripts are persisted and reused across retries. Local speech-to-text via Whisper (Whisper.net) — file-based, fully offline after a one-time model download. The recorded WAV is transcribed on-device; no audio is sent to the cloud. LLM event extraction producing structured events with dates and their precision, tags, people (alias-aware), and locations, held in a review queue with approve / edit / reject. Person suggestions — extraction captures per-person details (relationship, context); the review queue flags each mentioned person as new, known, or update details with one-click apply into the contact book. Media attachments — attach photos, video, audio, and documents to events (file picker or drag-drop). Files are copied into a managed media tree, EXIF metadata (taken date, GPS) is read, thumbnails are generated, duplicates are detected by content hash, and images open in a lightbox viewer. Ask & narrate# Ask your timeline — a conversational page that answers questions about your own history: hybrid retrieval (keyword + semantic, merged with reciprocal-rank fusion) grounds an LLM answer with citations to the actual events; it refuses honestly when the archive has nothing relevant, and degrades to keyword-only retrieval when embeddings are unavailable. Narrative stories — generate grounded prose from a timeline range, an era, or a person (a \"Story\" action on those pages), with precision-honest dates and citation integrity enforced in code; export as Markdown or HTML. Discover# Search — full-text and faceted search across events, tags, people, locations, and eras, with debounced suggestions and saved searches. Connections (RAG) — embeddings power semantic similarity and cross-references between memories; the default embedding provider is a local ONNX model, so this now works with no API key (OpenAI embeddings remain an option). Map — a fully offline canvas map (no map-tile or Azure Maps service): locations gain coordinates from photo EXIF GPS backfill or a manual pin drop, with an optional, opt-in Nominatim geocoder that is off by default. Analytics — category distribution, tim"},{"p":"overview","t":"Project overview","s":"Start here","h":"Tech stack","a":"tech-stack","x":"Layer Technology UI WinUI 3 + XAML, x:Bind compiled bindings MVVM CommunityToolkit.Mvvm (ObservableObject, [RelayCommand], WeakReferenceMessenger) Runtime .NET 10 (net10.0-windows10.0.26100.0 for the UI head; the Core/Data/Sync layers are plain net10.0) Data SQLite via EF Core 10, WAL mode, IDbContextFactory per-operation contexts Audio Windows.Media.Capture (recording), Windows.Media.Playback Speech-to-text Whisper.net (ggml base model, local/offline) LLM Anthropic Claude (Anthropic.SDK) or any OpenAI-compatible endpoint (Ollama, LM Studio, vLLM), routed per call Embeddings Local ONNX all-MiniLM-L6-v2 (384-dim, via ONNX Runtime — the default, no key needed) or OpenAI embeddings Media metadata MetadataExtractor (EXIF taken-date and GPS) + Windows thumbnail generation Geocoding Optional Nominatim (opt-in, off by default) Resilience Polly (referenced), structured ILogger logging"},{"p":"overview","t":"Project overview","s":"Start here","h":"Architecture","a":"architecture","x":"Clean, layered separation. Only the UI head targets Windows; everything below it is plain net10.0 and builds on any OS: textCopy MemoryTimeline WinUI 3 app — Views, ViewModels, Controls, Converters, [net10.0-windows] platform services (audio, STT, notifications, jump list, navigation, theme) MemoryTimeline.Core Business logic — services (events, timeline, queue, extraction, [net10.0] RAG, ask/query, narrative, resurfacing, recall prompts, media, backup/revisions, export/import, settings), DTOs, timeline math MemoryTimeline.Data Data access — EF Core DbContext, entity models, repositories, [net10.0] SchemaUpgrader MemoryTimeline.Sync Sync client — pairing, push/pull/ack, outbox publisher, [net10.0] capture-status publisher, background worker MemoryTimeline.Tests xUnit unit, integration, and performance tests [net10.0-windows] Key architectural decisions (recently reworked — see Recent engineering): Per-operation DbContext via IDbContextFactory. A desktop app has no request scope, so every repository and service opens a short-lived context per operation (await using var ctx = await factory.CreateDbContextAsync()). This replaced a single app-lifetime context that was shared across all features and was the root cause of intermittent \"second operation on this context\" failures. SchemaUpgrader instead of raw EnsureCreated. On startup the app creates the database from the current model and idempotently repairs schema drift (missing tables/columns) on pre-existing databases — a stopgap for full EF migrations. MVVM with a message bus. Cross-feature updates (e.g. \"event created\" → refresh the timeline) flow through WeakReferenceMessenger rather than tight coupling between view models. Errors are surfaced, not swallowed. Failures propagate to visible InfoBar/status affordances instead of disappearing into logs."},{"p":"overview","t":"Project overview","s":"Start here","h":"Getting started","a":"getting-started","x":"Prerequisites# Windows 11 (22H2 or later). Visual Studio 2022 (17.8+) with the .NET Desktop Development and Windows App SDK workloads. A .NET SDK: the repo pins the build to the .NET 10 SDK via windows-native/src/global.json, to the 10.0.1xx feature band. That band is deliberate — it declares MSBuild 17.14 as its minimum, so Visual Studio 2022 can still build it; bands 10.0.2xx+ require MSBuild 18 / Visual Studio 2026. Build & run# PowerShellCopy git clone <repository-url> cd memory-line/windows-native/src # Open the solution in Visual Studio 2022 and press F5, # or build from the command line for x64 (the solution has no AnyCPU config): dotnet build MemoryTimeline.sln -c Debug -p:Platform=x64 Note on dotnet build vs. Visual Studio: WinUI 3 PRI resource generation uses a .NET Framework MSBuild task that loads under Visual Studio's msbuild.exe but not under the dotnet CLI's build engine. Build from Visual Studio (or msbuild) for a full app build; the CI pipeline does the same on a Windows runner. First run# The app creates its SQLite database at %LOCALAPPDATA%\\MemoryTimeline\\memory-timeline.db. The first transcription downloads the Whisper model (~140 MB ggml-base.bin) to %LOCALAPPDATA%\\MemoryTimeline\\Models\\ — one time, then fully offline. Add your API key(s) in Settings before processing the queue (see below)."},{"p":"overview","t":"Project overview","s":"Start here","h":"Configuration","a":"configuration","x":"API keys & AI providers# Provider Purpose Required? Anthropic (console) Claude — extraction, Ask, narratives, recall wording Needed for the default (Claude) LLM provider; alternatively point the app at a local OpenAI-compatible endpoint (Ollama, LM Studio) and no Anthropic key is needed OpenAI (keys) Embeddings — Connections / Ask similarity Optional — the default embedding provider is a local ONNX model that needs no key The LLM and embedding providers are each selected in Settings and routed per call, so switching applies live. Changing embedding provider changes vector dimensions (384 local vs. 1536 OpenAI); a dimension guard prevents mixing them, and Settings offers a re-embed flow. Keys and preferences are stored in the local app_settings table and can be changed at any time from Settings (no restart needed). Encrypting API keys at rest (Windows DPAPI) is a tracked hardening item — see Roadmap. Data & model locations# Backups (.mtbak archives) are written to a destination folder you choose in Settings."},{"p":"overview","t":"Project overview","s":"Start here","h":"Recent engineering work","a":"recent-engineering-work","x":"2026-08 — feature build-out (F1–F12)# Twelve features from a structured feature spec landed in August 2026, in dependency-ordered waves with verification fix passes between them (all CI-green; runtime validation on a real Windows machine is still pending): Honest dates (F1) — every event has a date precision and uncertainty window; the UI never fabricates an exact day for a vague memory. Media attachments (F2) — photos/video/audio/documents on events, with EXIF, thumbnails, dedupe, drag-drop, and a lightbox. Text & paste capture (F3) — type or paste memories (Ctrl+Shift+V) through the same queue as audio; transcripts persist and survive retries. Ask your timeline (F4) — grounded, cited answers over your own archive via hybrid keyword+semantic retrieval; honest refusal; works keyless in keyword-only mode. Narrative stories (F5) — grounded prose from any timeline scope with Markdown/HTML export. Guided recall (F6) — gap-driven questions that are never repeated once dismissed or answered. On This Day + Home (F7) — a new default landing page with precision-aware anniversaries, a daily toast, and fixed event deep-links. Spans, swimlanes & uncertainty on the timeline (F8) — plus coalesced scroll reloads (major perf fix). People hub (F9) — aliases, case-insensitive identity (with defensive duplicate-merging migration), merge tombstones, profiles. Offline map (F10) — location coordinates from EXIF or pin-drop on a fully offline canvas map; opt-in Nominatim geocoding, off by default. Pluggable AI (F11) — local ONNX embeddings (Connections without any API key), OpenAI-compatible LLM endpoints (Ollama/LM Studio), per-call provider routing, dimension guard + re-embed flow, per-session usage counter. Backup, restore & revisions (F12) — .mtbak backup archives, restore with preview+confirm, scheduled backups, append-only event revision history, a real Clear Cache. Infrastructure alongside: a read-only-connection fix for the SQLite pragma interceptor, CI triggering on the feature branch, and three-way app_settings seed parity (33 keys). 2026-07 — feature audit and fix pass# Before the feature wave, the app went through a structured, multi-agent feature audit and fix pass. Highlights of what changed: Fixed the core \"add event\" bug — a category-casing mismatch was rejecting new events before they were saved, with the error swallowed after the dialog closed. Save now validates case-insensitively, surfaces errors in-dialog, and refreshes the timeline. Fixed \"search error after adding an event\" — the shared-DbContext concurrency described above, plus un-debounced per-keystroke autocomplete, were colliding. Resolved by the IDbContextFactory rework, debounced search, and honest error messages. Made the voice pipeline real — replaced a speech API that transcribed the live microphone (not the recorded file) with local file-based Whisper; fixed the unpackaged storage-path crash; persisted transcripts; made approve atomic and metadata-complete (tags/people/locations in one transaction). Repaired RAG & settings — embeddings now read the correct settings key and set provider/dimension; RAG queries use mapped columns and persist cross-references; the settings writer/reader key mismatch that made settings \"revert\" was unified behind a SettingKeys constants class. Export/Import, notifications, navigation, and Windows integration wiring corrected. A CI workflow (.github/workflows/windows-native-build.yml) compiles the full solution and runs tests on a Windows runner for every push to the development branch. Full details: windows-native/FEATURE-AUDIT.md (findings + root causes) and windows-native/HARDENING-FOLLOWUPS.md (deferred items)."},{"p":"overview","t":"Project overview","s":"Start here","h":"Roadmap / known follow-ups","a":"roadmap--known-follow-ups","x":"Runtime validation of the pipeline and the 2026-08 feature wave end-to-end on a real Windows machine. Encrypt API keys at rest (Windows DPAPI / ProtectedData). Regenerate EF Core migrations to replace the SchemaUpgrader stopgap with a proper migration history. Deferred items from the 2026-08 wave — photo-import wizard, map tile basemaps, timeline location chip, LLM token streaming, PDF narrative export, and others; see windows-native/DEVELOPMENT-STATUS.md. Whisper model options (larger models for accuracy; language selection UI). Analytics export and a few remaining UI polish items. MSIX packaging and Microsoft Store submission (Phase 7). macOS app — SwiftUI head under macos-native/; see docs/design/MACOS-PORT-PLAN.md. See windows-native/DEVELOPMENT-STATUS.md for phase-level status."},{"p":"overview","t":"Project overview","s":"Start here","h":"Project structure","a":"project-structure","x":""},{"p":"overview","t":"Project overview","s":"Start here","h":"Testing","a":"testing","x":"PowerShellCopy cd windows-native/src dotnet test MemoryTimeline.sln -c Debug -p:Platform=x64 Tests cover timeline math, services, repository/integration behavior, and performance. See windows-native/TESTING.md."},{"p":"overview","t":"Project overview","s":"Start here","h":"Privacy & security","a":"privacy--security","x":"Local-first — all data is stored on your device in SQLite; media attachments are copied into a local managed folder; backups go to a folder you choose. On-device transcription — Whisper runs locally; recorded audio is never uploaded. Local embeddings by default — the default embedding provider is a local ONNX model, so Connections/Ask retrieval can run entirely on-device. Selective cloud calls — only the transcript text you process is sent to your configured LLM provider (which can itself be a local OpenAI-compatible endpoint), and only the event text you embed is sent to your embedding provider if you choose OpenAI. Geocoding is opt-in and off by default — coordinates otherwise come only from photo EXIF or manual pin drops; when enabled, only the location name is sent to Nominatim. You own your recordings — original audio is never automatically deleted. Note: API keys are currently stored in the local settings database; encrypting them at rest is a tracked follow-up."},{"p":"overview","t":"Project overview","s":"Start here","h":"macOS app (in progress)","a":"macos-app-in-progress","x":"A native SwiftUI macOS app is being brought up under macos-native/, sharing its domain models, sync networking, persistence, and Keychain code with the existing iOS companion under ios-companion/MemoryLineCompanion/Shared/. Groundwork already in the tree: MemoryTimeline.Core and MemoryTimeline.Sync were decoupled from WinUI and now target plain net10.0, so the business layer builds off Windows and the two heads can converge on one set of rules rather than drifting. See docs/design/MACOS-PORT-PLAN.md for the phased plan and the inventory of what is still Windows-bound."},{"p":"overview","t":"Project overview","s":"Start here","h":"Documentation","a":"documentation","x":"Everything below is also published as a browsable documentation website — one place with a sidebar, cross-links, per-page tables of contents and full-text search. Open website/_site/index.html locally, or build it with npm --prefix website install && npm --prefix website run build. See website/README.md. Document Description windows-native/README.md Windows Native overview & setup windows-native/FEATURE-AUDIT.md Feature-by-feature audit & root-cause analysis windows-native/HARDENING-FOLLOWUPS.md Deferred hardening items windows-native/DEVELOPMENT-STATUS.md Phase-level development status windows-native/DEVELOPMENT-HISTORY.md Consolidated phase reports windows-native/TESTING.md Testing guide windows-native/DEPLOYMENT.md Packaging & deployment docs/design/MACOS-PORT-PLAN.md macOS port plan & Windows-bound inventory docs/design/IOS-ROADTRIP-COMPANION-SYSTEM-DESIGN.md iOS companion & sync system design services/README.md Sync service operator guide claude.md AI-assistant development guide"},{"p":"overview","t":"Project overview","s":"Start here","h":"Contributing","a":"contributing","x":"Branch from the active development branch. Make focused changes with tests where practical. Ensure the solution builds (Visual Studio / CI) and update docs as needed. Open a pull request. For Windows Native work: follow WinUI 3 guidelines, use CommunityToolkit.Mvvm, keep DbContext usage per-operation via the factory, and surface errors in the UI rather than swallowing them."},{"p":"overview","t":"Project overview","s":"Start here","h":"License","a":"license","x":"MIT License — see LICENSE."},{"p":"developer-guide","t":"Developer orientation guide","s":"Start here","h":"Developer orientation guide","a":"","x":"The condensed contributor briefing: solution layout, the per-operation DbContext rule, MVVM conventions, settings keys, build reality, and how to add a feature. This is the working guide for an AI assistant or new contributor making changes in this repo. Read it before editing. For the product-level overview, see the root README.md and windows-native/README.md."},{"p":"developer-guide","t":"Developer orientation guide","s":"Start here","h":"TL;DR","a":"tldr","x":"Primary product = the Windows Native app under windows-native/ (.NET 10 / WinUI 3, clean architecture). Do all new work here. MemoryTimeline.Core, .Data and .Sync target plain net10.0 and must stay that way — no WinUI/WinRT types below the UI head. See Keeping Core portable. A macOS app (SwiftUI) is being brought up under macos-native/, sharing code with ios-companion/. See docs/design/MACOS-PORT-PLAN.md. The repo also contains the sync service under services/ (ASP.NET Core, plain net10.0 — CAN be built/tested with the dotnet CLI, no VS msbuild needed; own Linux CI workflow sync-api-build.yml) and the Windows sync client library windows-native/src/MemoryTimeline.Sync — the iOS roadtrip companion sync layer. See Sync service (iOS companion). You cannot build this repo in the cloud sandbox — there is no .NET SDK, and the WinUI 3 app cannot be built with dotnet build anyway (see Build & run reality). Changes are validated by CI on a Windows runner, not by a local build. Reason carefully and keep changes correct-by-construction."},{"p":"developer-guide","t":"Developer orientation guide","s":"Start here","h":"Windows Native — the app you work on","a":"windows-native--the-app-you-work-on","x":"Solution layout (clean architecture)# The solution is windows-native/src/MemoryTimeline.sln, six projects: Project Role MemoryTimeline WinUI 3 app — Views (XAML), ViewModels, Controls, Converters, and platform services (audio, STT, notifications, jump list, navigation, theme). DI is wired in App.xaml.cs. MemoryTimeline.Core Business logic — services (events, timeline, queue, extraction, RAG, ask/query, narrative, resurfacing, recall prompts, media, backup/revisions, export/import, settings, search, analytics), DTOs, timeline math, SettingKeys. No UI, no EF Core internals leaking out. MemoryTimeline.Data Data access — AppDbContext (EF Core 10 + SQLite), entity models, repositories, and SchemaUpgrader. MemoryTimeline.Tests xUnit unit, integration, and performance tests. MemoryTimeline.Sync Sync client library (no UI) — SyncApiClient (pairing, push/pull/ack), artifact download, SyncBackgroundWorker loop, LocalOutboxPublisher, RemoteChangeApplier, settings/cursor stores. MemoryTimeline.SyncContracts Shared wire DTOs; lives at shared-contracts/dotnet/ and is referenced into both this solution and services/MemoryTimeline.Services.sln. CamelCase JSON per the OpenAPI contract. Dependency direction: MemoryTimeline → Core → Data; Sync sits beside them (Sync → Core/Data/SyncContracts). Keep it that way; don't make Core depend on WinUI types or Data depend on Core. Data access — the single most important rule# Every DB operation opens its own short-lived AppDbContext from the factory. There is no shared or app-lifetime context. C#Copy await using var ctx = await _contextFactory.CreateDbContextAsync(); // ... one logical operation, then the context is disposed ... DI registers services.AddDbContextFactory<AppDbContext>() (in App.xaml.cs). Repositories take IDbContextFactory<AppDbContext> and create a context per method (see MemoryTimeline.Data/Repositories/EventRepository.cs for the canonical pattern). Do NOT reintroduce services.AddDbContext<AppDbContext>() (scoped), a cached/shared AppDbContext field, or a single context passed around. A desktop app has no request scope; a shared context across features/threads was the root cause of prior concurrency bugs (\"A second operation was started on this context…\", search errors after adding an event). Don't recreate it. Because repositories/services are stateless over the factory, they are registered Singleton. Follow that when adding a new repository or service. Startup uses SchemaUpgrader.EnsureSchemaAsync (EnsureCreated + idempotent DDL repairs for schema drift on older DBs) — a deliberate stopgap until real EF migrations are regenerated. Don't swap it for raw EnsureCreated. MVVM & UI conventions# CommunityToolkit.Mvvm throughout: [ObservableProperty] for bindable state, [RelayCommand] for commands, x:Bind compiled bindings in XAML. Cross-feature updates go through WeakReferenceMessenger, not direct VM-to-VM references. E.g. creating/approving an event publishes a message (EventCreatedMessage) that the timeline subscribes to and refreshes on. Add new cross-feature signals the same way rather than coupling view models. Marshal background work back to the UI thread via the DispatcherQueue before touching bound state / ObservableCollections. Surface errors in the UI — InfoBar, status text, in-dialog validation — and log. Never swallow an exception into logs only. A silent catch after a dialog closes is exactly the class of bug the audit fixed. Naming: Views PascalCasePage.xaml; ViewModels XxxViewModel; services as interface + impl (IEventService / EventService); commands generated from [RelayCommand]. Settings# All setting keys live in MemoryTimeline.Core/Services/SettingKeys.cs — a constants class (snake_case values, e.g. llm_provider, embedding_api_key, theme; the Anthropic key is stored under ApiKey to preserve existing user rows). Use these constants, never string literals — a writer/reader key mismatch is what used to make settings \"revert\". Settings persist to the app_settings table and ap"},{"p":"developer-guide","t":"Developer orientation guide","s":"Start here","h":"Build & run reality","a":"build--run-reality","x":"Critical for an assistant — get this wrong and you'll suggest broken commands: x64 only. The solution defines x64/x86/ARM64 — no AnyCPU. Always pass -p:Platform=x64 (or select x64 in Visual Studio). Build with Visual Studio 2022 (17.8+) or msbuild.exe, NOT dotnet build / dotnet run. WinUI 3 PRI resource generation (MrtCore.PriGen → ExpandPriContent) uses a .NET Framework MSBuild task that loads under VS's msbuild.exe but fails under the dotnet CLI build engine (error MSB4062). So dotnet build / dotnet run cannot build or launch the app. SDK pin. windows-native/src/global.json pins the .NET 10 SDK to its 10.0.1xx feature band (10.0.100, rollForward: \"latestPatch\"). The band is deliberate: 10.0.1xx declares MSBuild 17.14 as its minimum, so Visual Studio 2022 can still build; bands 10.0.2xx+ require MSBuild 18 / Visual Studio 2026. (An earlier note here claimed .NET 10 was incompatible with the WindowsAppSDK PRI task — that is not the case; CI builds it green via VS msbuild.) CI is the validation gate. .github/workflows/windows-native-build.yml builds Release | x64 on windows-latest via VS msbuild (/t:Restore,Build) and runs tests best-effort. Compile success is the gate. No .NET SDK exists in the cloud dev sandbox. You cannot build or run locally here — rely on CI to validate. Make changes that are correct by inspection; don't assume you can \"just run it\". For local dev on a real Windows machine: open the solution in VS 2022 and press F5, or msbuild MemoryTimeline.sln /t:Restore,Build /p:Configuration=Debug /p:Platform=x64. Troubleshooting a local build# MSB4064: The \"DisabledXamlOptionalChanges\" parameter is not supported by the \"CompileXaml\" task (followed by MSB4063). Read the two paths in the error: the .targets file comes from one microsoft.windowsappsdk.winui version and the task DLL from another. That is a stale obj/, not a code problem — a machine that built the repo before the Windows App SDK 1.8 → 2.3.1 bump keeps generated obj\\*.nuget.g.props pointing the compiler path at the old package. The repo references only 2.3.1; nothing references 1.8. PowerShellCopy cd windows-native\\src Get-ChildItem -Path . -Include bin,obj -Recurse -Directory | Remove-Item -Recurse -Force msbuild MemoryTimeline.sln /t:Restore,Build /p:Configuration=Debug /p:Platform=x64 If it survives that, delete the stale package from the global cache ($env:USERPROFILE\\.nuget\\packages\\microsoft.windowsappsdk.winui\\1.8.*) and restore again. A clean CI checkout builds this commit green, so a local-only failure of this shape is almost always leftover state. global.json SDK resolution fails. The pin is 10.0.100 with rollForward: latestPatch, which accepts 10.0.1xx patches only — it will not roll forward to 10.0.2xx. A machine with only a newer band installed (Visual Studio 2026 ships one) cannot resolve it. Install a 10.0.1xx SDK, or raise the pin deliberately; the band is chosen so Visual Studio 2022 can still build (see the note inside global.json). Tests: the SQLite parallelism hazard# SqliteConnection.ClearAllPools() is process-global — it disposes the underlying SQLitePCL.sqlite3 handle of every pooled connection, for every connection string. BackupService.CreateBackupAsync calls it (legitimately, to release file handles), and so do two test classes. xUnit runs test classes in parallel, so with pooling on, a clear in one class can dispose a handle another class is mid-operation on. The victim then throws ObjectDisposedException from wherever it happened to be — typically the pragma interceptor's command in ConnectionOpened during EnsureDeleted teardown, which that interceptor does not catch because it only expects SqliteException. TestDbContextFactory.CreateSqliteFile therefore defaults to Pooling=False. Do not \"fix\" a flake of this shape by catching ObjectDisposedException in the interceptor — that hides the race and silently skips the busy_timeout/foreign_keys pragmas it exists to set. Pass pooled: true only when pooling is what is being measured (Per"},{"p":"developer-guide","t":"Developer orientation guide","s":"Start here","h":"Adding a feature in Windows Native","a":"adding-a-feature-in-windows-native","x":"Entity in MemoryTimeline.Data/Models/ (+ AppDbContext / SchemaUpgrader if the schema changes). Repository in MemoryTimeline.Data/Repositories/ using the IDbContextFactory per-operation pattern. Service interface in MemoryTimeline.Core/Services/ + implementation. Register the repository/service Singleton in App.xaml.cs. ViewModel (CommunityToolkit.Mvvm) — [ObservableProperty] / [RelayCommand]; publish or subscribe to messenger events for cross-feature effects. XAML View with x:Bind; marshal background updates via DispatcherQueue; surface errors in an InfoBar/status. New settings → add a constant to SettingKeys. Tests in MemoryTimeline.Tests."},{"p":"developer-guide","t":"Developer orientation guide","s":"Start here","h":"Data model (shared conceptual schema)","a":"data-model-shared-conceptual-schema","x":"Core: events (with date_precision + earliest_possible/latest_possible uncertainty window and last_viewed_at/view_count view tracking), eras, era_categories, era_tags, milestones, tags, people (contact fields plus a merged_into_id merge tombstone), person_aliases, locations (optional latitude/longitude, place_type, canonical_name, geocoded_at). Junctions: event_tags, event_people, event_locations. Processing: recording_queue (with source_type, source_label, persisted transcript), pending_events (mirrors the events precision columns). Sync groundwork (Phase 0): captures, capture_artifacts, sync_outbox — the device-neutral capture/artifact/outbox schema from the iOS companion design (docs/design/IOS-ROADTRIP-COMPANION-SYSTEM-DESIGN.md); recording_queue also gained device-neutral provenance columns (source_capture_id unique, source_device_id, source_platform, audio_artifact_id, content_sha256, processing_stage, sync_state, ...). Attachments & history: event_media (managed media copies, EXIF, thumbnails, content hash), event_revisions (append-only edit history), recall_prompts (guided-recall questions, deduped forever). RAG: event_embeddings (with per-row embedding_dimension), cross_references. UX: drafts, saved_searches. System: app_settings — 33 seeded keys; seed parity is three-way (the AppDbContext.SeedDefaultSettings HasData seed, the SchemaUpgrader INSERT OR IGNORE backfill, and the SettingKeys constants must stay in sync — keep all three when adding a seeded setting). Identity: the unique name indexes on people/tags/locations are COLLATE NOCASE; SchemaUpgrader defensively merges pre-existing case-variant duplicates (backfilling the keeper's empty contact columns) before rebuilding each index. DB file: %LOCALAPPDATA%\\MemoryTimeline\\memory-timeline.db."},{"p":"developer-guide","t":"Developer orientation guide","s":"Start here","h":"Security & privacy notes","a":"security--privacy-notes","x":"Local-first: all data in local SQLite; audio transcribed on-device (Whisper); embeddings default to the local ONNX provider, so Connections/Ask retrieval needs no cloud. Only the text you choose to process is sent to the configured LLM/embedding provider (which can itself be a local OpenAI-compatible endpoint). Geocoding is opt-in and off by default; when enabled, only the location's name is sent to Nominatim. Media/EXIF processing is entirely local. API keys today live in the app_settings table (not Windows Credential Manager — that's stale). Encrypting keys at rest with DPAPI (ProtectedData) is a tracked follow-up, not yet implemented. Don't describe key storage as encrypted; don't log keys. Use parameterized EF Core queries (default with LINQ) — no string-built SQL."},{"p":"developer-guide","t":"Developer orientation guide","s":"Start here","h":"Key docs (read these for detail)","a":"key-docs-read-these-for-detail","x":"Doc What's in it windows-native/README.md Windows Native overview, setup, tech stack. windows-native/FEATURE-AUDIT.md Feature-by-feature audit + root-cause analysis of the bugs the rework fixed. windows-native/HARDENING-FOLLOWUPS.md Deferred hardening items (DPAPI, EF migrations, etc.). windows-native/DEVELOPMENT-STATUS.md Phase-level status and next steps. Root README.md Product overview + \"Recent engineering work\" summary."},{"p":"developer-guide","t":"Developer orientation guide","s":"Start here","h":"Keeping Core portable","a":"keeping-core-portable","x":"MemoryTimeline.Core, .Data and .Sync target plain net10.0. Only the UI head (MemoryTimeline) and the test project target net10.0-windows. This is load-bearing, not incidental: it is what lets the business layer back a non-WinUI head (see docs/design/MACOS-PORT-PLAN.md) and what keeps the layering rule above enforceable by the compiler rather than by review. Rules for anything under Core/Data/Sync: No WinUI or WinRT types. No Microsoft.UI.*, no Windows.*. That includes presentation types that look harmless: SolidColorBrush, Visibility, Color, Point. Colors cross the boundary as \"#RRGGBB\" strings and become brushes in the view via HexToBrushConverter / HexToUncertaintyBrushConverter. No Windows-only packages. Core takes Microsoft.ML.OnnxRuntime, not the .DirectML variant — OnnxEmbeddingService deliberately uses default (CPU) session options, so the DirectML EP was never registered. Platform capabilities enter through a port. Declare the interface in Core and put the platform implementation in the head — IThumbnailGenerator → WindowsThumbnailGenerator, ICaptureStatusPublisher → CaptureStatusPublisher. Follow that shape rather than reaching for a Windows.* API inside Core. Watch Environment.SpecialFolder.LocalApplicationData. It compiles everywhere but resolves to ~/.local/share on macOS, not ~/Library/Application Support. Any new head needs a path abstraction; the port plan tracks this."},{"p":"developer-guide","t":"Developer orientation guide","s":"Start here","h":"The Swift apps (iOS companion + macOS)","a":"the-swift-apps-ios-companion--macos","x":"Two SwiftUI apps share one folder of code: ios-companion/MemoryLineCompanion/Shared/ (domain models, sync client, SQLite stores, Keychain). The macOS project compiles that folder directly via an Xcode synchronized folder group, so a file added there lands in both apps with no project edit. Full detail: macos-native/README.md and docs/design/MACOS-PORT-PLAN.md. Rules for anything under Shared/: It must compile on both platforms. No UIKit, no WidgetKit, no BackgroundTasks. The two files that do (ConfirmationFeedback, WidgetStatusPublisher) are excluded from the macOS target by name in its PBXFileSystemSynchronizedBuildFileExceptionSet — adding a third means editing that list, which is a signal you are putting platform code in the wrong folder. Everything is internal. That is deliberate and is why the code is shared as a folder rather than a Swift package: a package would need public on ~50 declarations across a shipping app. Do not start adding public piecemeal. Platform differences go behind #if os(macOS), sparingly. KeychainTokenStore is the model: the service name derives from Bundle.main.bundleIdentifier (so iOS keeps its existing item byte for byte and the Mac gets its own), and only the data-protection-keychain flag is #if-guarded. Sync client semantics are a server contract, not a local choice. MacSyncCoordinator and the iOS StatusSyncCoordinator are separate implementations — the iOS one needs BackgroundTasks — but both must: page until hasMore; persist the cursor before acking; hold the cursor when applying fails so the page replays; never ack a cursor that did not advance; and last-write-wins on the Windows-authored updatedAtUtc. Change one and check the other. Windows remains the only writer and the only editing/approval surface. Everything the phone and the Mac show about processing is a read-only projection (design §19). Last Updated: 2026-08-07Primary target: Windows Native (.NET 10 / WinUI 3) — windows-native/In progress: macOS (SwiftUI) — macos-native/"},{"p":"windows-native","t":"Windows Native app","s":"Windows Native app","h":"Windows Native app","a":"","x":"The main reference for the WinUI 3 app: pipeline, features, quick start, project structure, clean-architecture layers, DI composition, database schema, configuration, and troubleshooting. A native Windows 11 implementation of Memory Timeline, featuring local Whisper transcription, AI-powered event extraction with honest date precision, media attachments, ask-your-timeline retrieval, narrative generation, an offline map, backup/revision history, RAG-based cross-referencing (local embeddings by default), and deep Windows integration. This is the primary, actively developed product. A native macOS app is being brought up alongside it under macos-native/. Platform: Windows 11 (22H2+)Framework: .NET 10 (LTS) + WinUI 3 / Windows App SDK 2.3.1Status: Active development — Phases 0-6 complete; core pipeline rebuilt and hardened via a multi-agent feature audit (2026-07), followed by a twelve-feature spec implementation (F1–F12, 2026-08). Builds are green in CI; end-to-end runtime validation is ongoing. Phase 7 (testing, MSIX, Microsoft Store) is in progress. This is not \"production ready\" or runtime-verified yet. See Recent hardening and Development Status."},{"p":"windows-native","t":"Windows Native app","s":"Windows Native app","h":"Overview","a":"overview","x":"This is the native Windows implementation of Memory Timeline: a local-first desktop app for recording, organizing, and rediscovering personal history. You speak a memory, the app transcribes it locally with Whisper, a Claude model extracts a structured event, you review and approve it, and it lands on an interactive timeline. Optional embeddings surface connections between related memories. It is designed to provide strong performance and to leverage Windows-specific features such as native touch/pen support (Windows Ink), toast notifications, JumpList, and Windows Timeline integration. Performance targets# Building on the OS's own UI stack rather than a bundled web runtime is what buys low memory use, fast cold start, smooth timeline rendering, a small package, and first-class Windows integration. The table below lists targets, not measured/verified results — treat them as design goals while runtime validation is ongoing: Aspect Target Memory (idle) ~30 MB Memory (5000 events) ~100 MB Cold start < 2 seconds Timeline FPS 60 FPS Package size ~30 MB Touch/Pen Full Windows Ink Windows Integration Full (JumpList, Timeline, Notifications)"},{"p":"windows-native","t":"Windows Native app","s":"Windows Native app","h":"The memory pipeline","a":"the-memory-pipeline","x":"Every stage persists its state, so a failure is recoverable and visible in the UI rather than silently swallowed: Record — Windows.Media.Capture writes a 16 kHz mono WAV under %LOCALAPPDATA%\\MemoryTimeline\\AudioRecordings. Text capture — pasted/typed text (Ctrl+Shift+V on the Queue page) enters the same recording_queue as a text source; the text is stored as the item's transcript and skips transcription entirely. Transcribe — local Whisper transcribes the recorded file; the transcript is persisted on the queue row and reused across retries instead of re-transcribing. Extract — the configured LLM (Claude, or an OpenAI-compatible endpoint) produces a structured event (title, dates with precision, description, category, tags/people/locations, alias-aware people matching) into pending_events. Approve — approving writes the event and all its tags/people/locations (plus date precision/uncertainty) in one transaction; the timeline auto-refreshes via a WeakReferenceMessenger EventCreatedMessage."},{"p":"windows-native","t":"Windows Native app","s":"Windows Native app","h":"Features","a":"features","x":"Core Functionality# Timeline Visualization - Interactive timeline with Year/Month/Week/Day zoom, pan, and keyboard navigation; duration spans, optional swimlanes (collapsible lanes), and uncertainty bands for vague dates; scroll reloads are coalesced; new/approved events refresh onto the timeline automatically. Honest Date Precision - Events carry a DatePrecision (Exact/Day/Month/Season/Year/Decade/Unknown) plus an earliest/latest uncertainty window; every display formats dates at their true precision (\"Summer 2003\", never an invented day). Audio Recording - Record audio memories with pause/resume/cancel using Windows MediaCapture. Text & Paste Capture - Ctrl+Shift+V (or the Queue-page button) captures typed/pasted text through the same queue; transcripts are persisted and reused across retries. Local Speech-to-Text - Transcribe recordings on-device with Whisper (Whisper.net); no audio leaves the machine. LLM Event Extraction - Extract structured events (with date precision and alias-aware people) from transcripts using Anthropic Claude or any OpenAI-compatible endpoint (Ollama, LM Studio), held in a review queue with approve / edit / reject. Media Attachments - Photos/video/audio/documents on events: managed copy tree under %LOCALAPPDATA%\\MemoryTimeline\\Media, EXIF read via MetadataExtractor, thumbnail generation, content-hash dedupe, drag-drop, lightbox viewer. Home / On This Day - New default landing page: precision-aware anniversary cards, recall-prompt card, view tracking for neglected-memory bias, optional daily toast, working event: deep links, first-run empty state. Ask Your Timeline - Conversational page with hybrid keyword+semantic retrieval (reciprocal-rank fusion), grounded answers cited to real events, honest refusal when nothing relevant exists, and a keyword-only degraded mode when embeddings are unavailable. Narrative Generation - Grounded prose \"stories\" from a timeline range, era, or person with citation integrity enforced in code; Markdown/HTML export via a story dialog on the Eras, Timeline, and People pages. Guided Recall Prompts - Questions generated from archive gaps (density gaps, dangling people, era edges, thin events, anniversaries), surfaced on Home and Queue; a dismissed/answered prompt is never asked again. People Hub - Contact book plus aliases, case-insensitive (NOCASE) identity with a defensive duplicate-merging migration, merge tombstones, and per-person profiles. Offline Map - Fully offline canvas map (deliberately no MapControl/Azure Maps): coordinates via photo EXIF GPS backfill or manual pin drop; opt-in Nominatim geocoding, off by default. RAG Cross-References - Discover connections between events; the default embedding provider is local ONNX (all-MiniLM-L6-v2), so this works with no API key, with OpenAI embeddings as an alternative. Backup / Restore / Revisions - .mtbak backup archives (online SQLite backup + optional media), restore with preview + confirmation, scheduled daily/weekly backups, append-only event revision history with a history dialog, and a real Clear Cache. Search & Analytics - Faceted search across events, tags, people, locations, and eras; category distribution, timeline density, tag cloud, people network. Export/Import - JSON, CSV, and Markdown export with JSON import support. Windows 11 Integration# Toast Notifications - Processing-complete alerts. JumpList - Quick access to recent events and common actions. Windows Timeline - Events published to Windows Timeline with Adaptive Cards. Theme Support - Light/Dark/System theme switching. Touch & Pen - Gesture support with Windows Ink ready."},{"p":"windows-native","t":"Windows Native app","s":"Windows Native app","h":"Quick Start","a":"quick-start","x":"Prerequisites# Windows 11 (Version 22H2 or later) Check version: winver in the Run dialog. Visual Studio — 2026 (18.0+) is the supported option, 2022 (17.14) works with a caveat. Download: https://visualstudio.microsoft.com/ Required workloads: .NET Desktop Development Windows App SDK (Windows App SDK C# templates) The projects target net10.0, and Microsoft supports targeting .NET 10 only in Visual Studio 18.0+. VS 2022 17.14 emits an \"unsupported target\" warning rather than an error and does build, but it is off the supported path — prefer VS 2026 if you have the choice. The .NET 10 SDK, 10.0.1xx feature band — pinned by windows-native/src/global.json (\"version\": \"10.0.100\", \"rollForward\": \"latestPatch\"). The band is not arbitrary: 10.0.1xx declares MSBuild 17.14 as its minimum, which is what keeps VS 2022 able to build. SDK bands 10.0.2xx and later require MSBuild 18, i.e. VS 2026. Once the toolchain is fully on VS 2026, this pin can be raised. .NET 10 is required, not optional: .NET 8 and .NET 9 both reach end of support on 2026-11-10, and the Windows SDK projection ref pack the build now uses is compiled against a newer runtime than net8.0 can consume (it fails with CS1705 assembly-version conflicts). Automated Setup# PowerShellCopy # Navigate to scripts directory cd windows-native\\scripts # Run setup (requires Administrator) .\\Setup-Dependencies.ps1 -Mode Development # Verify installation .\\Verify-Installation.ps1 -Detailed See scripts/README.md for detailed script documentation. Build and Run# The solution defines x64 / x86 / ARM64 platforms only (no AnyCPU), and the app is built unpackaged (WindowsPackageType=None). Build Release | x64. Important — build with Visual Studio or msbuild, not dotnet build. WinUI 3 PRI resource generation (MrtCore.PriGen → ExpandPriContent) uses a .NET Framework MSBuild task that does not load under the dotnet CLI's build engine. Running dotnet build / dotnet run on the WinUI app fails with error MSB4062. Build from Visual Studio (F5) or the Visual Studio msbuild.exe for a full app build. (dotnet build -p:Platform=x64 still works fine for the MemoryTimeline.Core / MemoryTimeline.Data class libraries in isolation — it's specifically the WinUI app that needs VS/msbuild.) PowerShellCopy # Clone and navigate git clone <repository-url> cd memory-line/windows-native/src # Full app build (Visual Studio MSBuild), Release | x64: msbuild MemoryTimeline.sln /t:Restore,Build /p:Configuration=Release /p:Platform=x64 # Or open MemoryTimeline.sln in Visual Studio 2022 and press F5 (debug) / Ctrl+F5 (run). First Run# The app creates its SQLite database at %LOCALAPPDATA%\\MemoryTimeline\\memory-timeline.db (WAL mode). The first transcription downloads the Whisper ggml-base.bin model (~140 MB) to %LOCALAPPDATA%\\MemoryTimeline\\Models\\ — one time, then fully offline. Add your API key(s) in Settings before processing the queue (see API Keys & Configuration). Data & model locations# Backups (.mtbak) are written to the destination folder chosen in Settings."},{"p":"windows-native","t":"Windows Native app","s":"Windows Native app","h":"Project Structure","a":"project-structure","x":"Note: there is intentionally no MemoryTimeline.Data/Migrations/ folder — the stale EF Migrations baseline was deleted, and schema is currently created/repaired by SchemaUpgrader. Regenerating a proper EF migration baseline is a tracked follow-up."},{"p":"windows-native","t":"Windows Native app","s":"Windows Native app","h":"Architecture","a":"architecture","x":"Clean Architecture Layers# Key architectural decisions# Per-operation DbContext via IDbContextFactory<AppDbContext>. A desktop app has no request scope, so every repository and service opens a short-lived context per operation (await using var ctx = await factory.CreateDbContextAsync()). This replaced a single app-lifetime context shared across all features — the root cause of intermittent \"second operation on this context\" failures. Because the factory is stateless and thread-safe, repositories and most Core services are registered as Singletons. SchemaUpgrader instead of raw EnsureCreated. On startup, App.OnLaunched calls MemoryTimeline.Data.SchemaUpgrader.EnsureSchemaAsync, which runs EnsureCreated and then idempotently repairs schema drift (missing tables/columns) on databases created by older builds — a stopgap until a full EF migration baseline is regenerated. MVVM with a message bus. Cross-feature updates (e.g. \"event created\" → refresh the timeline) flow through WeakReferenceMessenger rather than tight coupling between view models. Errors are surfaced, not swallowed. Failures propagate to visible InfoBar/status affordances instead of disappearing into logs. MVVM Pattern# Using CommunityToolkit.Mvvm for ObservableObject, [RelayCommand], x:Bind compiled bindings, and WeakReferenceMessenger. Model: entities in MemoryTimeline.Data/Models/ View: XAML pages in MemoryTimeline/Views/ ViewModel: view logic in MemoryTimeline/ViewModels/ Dependency Injection# Services are registered in App.xaml.cs (the composition root). The build uses an IDbContextFactory (not a shared scoped AddDbContext), and repositories/services are Singletons over that factory: C#Copy // Per-operation contexts via a factory (no app-wide shared DbContext). services.AddDbContextFactory<AppDbContext>(); // Repositories are stateless over the factory (Singleton-safe). services.AddSingleton<IEventRepository, EventRepository>(); services.AddSingleton<IAppSettingRepository, AppSettingRepository>(); // ... other repositories // Core services (stateless over the factory/repositories). services.AddSingleton<ISettingsService, SettingsService>(); services.AddSingleton<IEventService, EventService>(); services.AddSingleton<ITimelineService, TimelineService>(); // Audio & queue. QueueService is an explicit Singleton. services.AddSingleton<IAudioRecordingService, AudioRecordingService>(); services.AddSingleton<IQueueService, QueueService>(); // Local Whisper is the registered STT engine. The Windows SpeechRecognizer // stub cannot transcribe files (mic-only) and now fails fast instead. services.AddSingleton<ISpeechToTextService, WhisperSpeechToTextService>(); // LLM: a routing facade re-reads llm_provider on every call and delegates // to Claude or an OpenAI-compatible endpoint (Ollama / LM Studio). services.AddSingleton<AnthropicLlmService>(); services.AddHttpClient<OpenAiCompatibleLlmService>(); services.AddSingleton<ILlmUsageTracker, LlmUsageTracker>(); services.AddSingleton<ILlmService, RoutingLlmService>(); services.AddSingleton<IEventExtractionService, EventExtractionService>(); // Embeddings: routed between local ONNX (default, keyless) and OpenAI. services.AddHttpClient<OpenAIEmbeddingService>(); services.AddSingleton<OnnxEmbeddingService>(); services.AddSingleton<IEmbeddingService, RoutingEmbeddingService>(); services.AddSingleton<IRagService, RagService>(); // Ask, resurfacing, narrative, recall, media, backup/revisions, geocoding. services.AddSingleton<IMemoryQueryService, MemoryQueryService>(); services.AddSingleton<IResurfacingService, ResurfacingService>(); services.AddSingleton<INarrativeService, NarrativeService>(); services.AddSingleton<IRecallPromptService, RecallPromptService>(); services.AddSingleton<IThumbnailGenerator, WindowsThumbnailGenerator>(); services.AddSingleton<IMediaService, MediaService>(); services.AddSingleton<IBackupService, BackupService>(); services.AddSingleton<IRevisionService, RevisionService>(); services.AddHttpClient<IGeocodingSer"},{"p":"windows-native","t":"Windows Native app","s":"Windows Native app","h":"Database","a":"database","x":"SQLite with Entity Framework Core 8# Database location: textCopy %LOCALAPPDATA%\\MemoryTimeline\\memory-timeline.db (WAL mode) Access goes through IDbContextFactory<AppDbContext> — a short-lived context per operation. Connection configuration lives in AppDbContext.OnConfiguring. Schema Overview# Core tables: events (with date_precision, earliest_possible/latest_possible, last_viewed_at/view_count), eras, era_categories, era_tags, milestones, tags, people (contact fields + merged_into_id merge tombstone), person_aliases, locations (optional latitude/longitude, place_type, canonical_name, geocoded_at)Junction tables: event_tags, event_people, event_locationsProcessing tables: recording_queue (audio and text sources — source_type, source_label, persisted transcript), pending_events (extracted events awaiting review, mirroring the precision columns)Attachments & history: event_media (managed media copies, EXIF, thumbnails, content hash), event_revisions (append-only edit history), recall_prompts (guided-recall questions)RAG tables: event_embeddings (vector embeddings + per-row embedding_dimension), cross_references (event relationships)UX tables: drafts, saved_searchesSettings: app_settings (key/value; keys defined in SettingKeys; 33 seeded keys kept in three-way parity between the AppDbContext seed, the SchemaUpgrader backfill, and SettingKeys) Name uniqueness on people/tags/locations is case-insensitive (COLLATE NOCASE unique indexes); SchemaUpgrader defensively merges case-variant duplicates on older databases (backfilling contact columns) before rebuilding each index. Schema creation & drift repair# The schema is created and repaired at startup by SchemaUpgrader.EnsureSchemaAsync (EnsureCreated + idempotent DDL repairs). There is no EF Migrations folder — regenerating a proper EF migration history is a tracked follow-up (see Roadmap)."},{"p":"windows-native","t":"Windows Native app","s":"Windows Native app","h":"API Keys & Configuration","a":"api-keys--configuration","x":"API Keys & AI providers# Provider Purpose Required? Anthropic (console) Claude — extraction, Ask, narratives, recall wording Needed for the default (Claude) LLM provider; not needed when an OpenAI-compatible endpoint (Ollama / LM Studio, via llm_base_url) is selected instead OpenAI (keys) Embeddings — Connections / Ask similarity Optional — the default embedding provider is local ONNX (all-MiniLM-L6-v2, no key needed) LLM and embedding providers are routed per call (RoutingLlmService / RoutingEmbeddingService re-read the provider settings each time), so switching applies live. Local and OpenAI embeddings have different dimensions (384 vs. 1536); a dimension guard refuses to mix them and Settings offers a re-embed all events flow after a provider switch. Settings storage# Settings and API keys are configured from the Settings page and persisted to the local app_settings database table. Keys are unified behind a SettingKeys constants class (snake_case keys) so writers and readers never drift; the LLM client re-reads configuration live, so provider/model/key changes apply without a restart. Security note: API keys are stored in the app_settings table today. Encrypting them at rest with Windows DPAPI (ProtectedData) is a tracked hardening follow-up. (They are not stored in Windows Credential Manager.) The embedding service reports availability via IsAvailableAsync; with the local ONNX default Connections/Ask work with no key at all (after a one-time ~90 MB model download), and if the local model cannot load (or the OpenAI provider has no key) the Ask page degrades to keyword-only retrieval and Connections shows a clear call-to-action instead of failing. Geocoding (geocoding_enabled) is off by default; when off, no place name is ever sent to Nominatim and coordinates come only from photo EXIF or manual pin drops."},{"p":"windows-native","t":"Windows Native app","s":"Windows Native app","h":"Recent hardening","a":"recent-hardening","x":"2026-08 — feature-spec implementation (F1–F12). Twelve features landed on top of the hardened base, in dependency-ordered waves with verification fix passes between them: date precision/uncertainty, media attachments, text/paste capture, ask-your-timeline, narrative generation, guided recall prompts, On This Day + Home page, timeline spans/swimlanes/uncertainty rendering with reload coalescing, the people hub (aliases/merge/NOCASE identity), the offline map, pluggable AI providers (local ONNX embeddings + OpenAI-compatible LLM endpoints), and backup/restore/revision history. New dependencies actually in use: MetadataExtractor (EXIF) and Microsoft.ML.OnnxRuntime (local embeddings; CPU execution provider — the DirectML EP is deliberately deferred). All waves are CI-green; runtime validation on a real machine is still pending. Per-feature status: DEVELOPMENT-STATUS.md. 2026-07 — audit and fix pass. Before that, the core pipeline was rebuilt and hardened through a structured, multi-agent feature audit and fix pass. Highlights: Made the voice pipeline real — replaced a \"speech recognition\" path that transcribed the live microphone (not the recorded file) with local file-based Whisper (WhisperSpeechToTextService); the old WindowsSpeechRecognitionService now fails fast without opening the mic. Fixed the unpackaged storage-path crash, persisted transcripts, and made approve atomic (event + tags/people/locations in one transaction). Fixed DbContext concurrency — moved from a single app-wide AddDbContext to per-operation contexts via IDbContextFactory, resolving intermittent \"second operation on this context\" failures behind add-event and search. Unified settings — a SettingKeys constants class ended the writer/reader key mismatch that made settings appear to \"revert\"; the LLM client re-reads config live. DI cleanup — deleted AnthropicClaudeService and the IAudioService stub, removed the duplicate app-project INotificationService, and decoupled RagService from ILlmService. Schema resilience — startup uses SchemaUpgrader (EnsureCreated + drift repair) after the stale EF Migrations baseline was deleted. Full details: FEATURE-AUDIT.md (findings + root causes) and HARDENING-FOLLOWUPS.md (deferred items)."},{"p":"windows-native","t":"Windows Native app","s":"Windows Native app","h":"Testing","a":"testing","x":"The test project references the WinUI app, so tests are built and run Release | x64. PowerShellCopy cd windows-native\\src # Build the solution first via Visual Studio MSBuild (see Build and Run), then run tests # against the built assembly: dotnet vstest MemoryTimeline.Tests\\bin\\x64\\Release\\<tfm>\\MemoryTimeline.Tests.dll # Filter by category: dotnet vstest ... --TestCaseFilter:\"FullyQualifiedName~UnitTests\" Tests cover timeline math, services, repository/integration behavior, and performance. See TESTING.md for comprehensive testing documentation. Continuous Integration# .github/workflows/windows-native-build.yml builds the full solution Release | x64 on windows-latest, driving the build with Visual Studio MSBuild (microsoft/setup-msbuild) because the WinUI PRI task cannot run under dotnet build. Tests run best-effort via dotnet vstest. Builds are currently green in CI."},{"p":"windows-native","t":"Windows Native app","s":"Windows Native app","h":"Deployment","a":"deployment","x":"MSIX Package# Visual Studio: Right-click the MemoryTimeline project. Select Publish > Create App Packages. Follow the wizard to create the MSIX. Command Line (Visual Studio MSBuild): PowerShellCopy msbuild MemoryTimeline.sln /t:Publish /p:Configuration=Release /p:Platform=x64 Microsoft Store# See DEPLOYMENT.md for complete deployment instructions including MSIX packaging, code signing, Microsoft Store submission, and side-loading. Packaging and Store submission are part of Phase 7 (in progress)."},{"p":"windows-native","t":"Windows Native app","s":"Windows Native app","h":"Performance Targets","a":"performance-targets-1","x":"These are design targets, not verified/measured results — runtime validation is ongoing: Metric Target Timeline FPS (5000 events) 60 FPS Memory usage (5000 events) < 100 MB Cold start time < 2 seconds Database query time < 50 ms"},{"p":"windows-native","t":"Windows Native app","s":"Windows Native app","h":"Development Status","a":"development-status","x":"Current focus: Phase 7 (Testing, MSIX packaging & Microsoft Store) — in progress. The core pipeline was recently rebuilt and hardened; builds are green in CI and end-to-end runtime validation is ongoing. Phase Status Phase 0: Preparation ✅ Complete Phase 1: Core Infrastructure ✅ Complete Phase 2: Timeline Visualization ✅ Complete Phase 3: Audio & Processing ✅ Complete Phase 4: LLM Integration ✅ Complete Phase 5: RAG & Embeddings ✅ Complete Phase 6: Polish & Integration ✅ Complete Phase 7: Testing & Deployment 🔄 In progress See DEVELOPMENT-STATUS.md for detailed status and DEVELOPMENT-HISTORY.md for consolidated phase reports."},{"p":"windows-native","t":"Windows Native app","s":"Windows Native app","h":"Roadmap / known follow-ups","a":"roadmap--known-follow-ups","x":"End-to-end runtime validation of the pipeline and the F1–F12 feature wave on Windows. Encrypt API keys at rest (Windows DPAPI / ProtectedData). Regenerate EF Core migrations to replace the SchemaUpgrader stopgap with a proper migration history. Deferred F1–F12 items — photo-import wizard, map tile basemaps, timeline location chip, LLM token streaming, PDF narrative export, and more; see the deferred list in DEVELOPMENT-STATUS.md. Whisper model options (larger models for accuracy; language selection UI). MSIX packaging and Microsoft Store submission (Phase 7)."},{"p":"windows-native","t":"Windows Native app","s":"Windows Native app","h":"Troubleshooting","a":"troubleshooting","x":"Build Errors# error MSB4062 / PRI generation fails under dotnet build Expected: the WinUI 3 PRI task does not load under the dotnet CLI. Build the app with Visual Studio (F5) or the Visual Studio msbuild.exe instead. \"Windows App SDK not found\" Install the Windows App SDK workload, or update Visual Studio to 17.8+. \"SDK version not found\" / wrong SDK selected The build is pinned to the .NET 10 SDK, 10.0.1xx band (global.json, 10.0.100, rollForward: latestPatch). Install it from https://dotnet.microsoft.com/download/dotnet/10.0 — a 10.0.2xx or newer SDK will not satisfy this pin, which is intentional: those bands require MSBuild 18 (Visual Studio 2026), while 10.0.1xx still works in Visual Studio 2022. Runtime Errors# \"Database file not found\" The first run creates the database automatically. Check %LOCALAPPDATA%\\MemoryTimeline\\ exists; see error.log there for startup diagnostics. \"MediaCapture not available\" Check microphone permissions in Windows Settings. Transcription produces nothing / hangs on first use The first transcription downloads ggml-base.bin (~140 MB) to %LOCALAPPDATA%\\MemoryTimeline\\Models\\; ensure network access for that one-time download. Afterwards Whisper runs fully offline."},{"p":"windows-native","t":"Windows Native app","s":"Windows Native app","h":"Documentation","a":"documentation","x":"Document Description FEATURE-AUDIT.md Feature-by-feature audit & root-cause analysis HARDENING-FOLLOWUPS.md Deferred hardening items DEVELOPMENT-STATUS.md Current development status and next steps DEVELOPMENT-HISTORY.md Consolidated phase completion reports TESTING.md Testing guide and best practices DEPLOYMENT.md Deployment and distribution guide scripts/README.md Setup scripts documentation ../README.md Repository overview (root README)"},{"p":"windows-native","t":"Windows Native app","s":"Windows Native app","h":"Contributing","a":"contributing","x":"Branch from the active development branch. Follow WinUI 3 design guidelines and use CommunityToolkit.Mvvm. Keep DbContext usage per-operation via the factory, and surface errors in the UI rather than swallowing them. Ensure the solution builds (Visual Studio / CI) and update docs as needed."},{"p":"windows-native","t":"Windows Native app","s":"Windows Native app","h":"License","a":"license","x":"MIT License — see the main repository LICENSE file. Last Updated: 2026-08-06Status: Active development (Windows Native is the primary product)"},{"p":"setup-scripts-windows","t":"PowerShell setup scripts","s":"Windows Native app","h":"PowerShell setup scripts","a":"","x":"Setup-Dependencies.ps1 and Verify-Installation.ps1 — automated toolchain install and environment verification, plus the build reality (msbuild, not dotnet build). This directory contains PowerShell scripts for setting up, verifying, and managing the Memory Timeline Windows native application (.NET 8 / WinUI 3). This is the primary, actively developed version of Memory Timeline."},{"p":"setup-scripts-windows","t":"PowerShell setup scripts","s":"Windows Native app","h":"Build Reality (Important)","a":"build-reality-important","x":"Before using the commands in this document, note the following about the current build: Build with Visual Studio 2022 or msbuild, not dotnet build. The WinUI 3 app uses the Windows App SDK PRI generation task, which fails under dotnet build. Use msbuild (from a Developer Command Prompt / Developer PowerShell) or build/run from Visual Studio. The solution is x64-only. MemoryTimeline.sln defines only Debug|x64 and Release|x64. Always pass the platform explicitly, e.g. -p:Platform=x64 (msbuild) or select x64 in Visual Studio. There is no Any CPU or Win32/ARM64 solution configuration. .NET SDK is pinned by ../src/global.json to version 8.0.100 with rollForward: \"major\". This means a .NET 8 SDK (8.0.100+) or a newer major SDK such as .NET 9 will both satisfy the pin. dotnet restore still works normally for package restore. Example command-line build/restore/test (from a Developer PowerShell in windows-native/src): PowerShellCopy # Restore packages (dotnet is fine for restore) dotnet restore MemoryTimeline.sln # Build the WinUI 3 app with msbuild (NOT dotnet build) msbuild MemoryTimeline.sln -p:Configuration=Debug -p:Platform=x64 -restore # Run unit tests dotnet test MemoryTimeline.Tests\\MemoryTimeline.Tests.csproj Note: Setup-Dependencies.ps1 prints a \"Next steps\" hint suggesting dotnet build and dotnet run --project MemoryTimeline. That hint is stale/inaccurate for the WinUI 3 app — prefer Visual Studio or msbuild with -p:Platform=x64 as shown above. See ../TESTING.md for the full, primary test suite instructions."},{"p":"setup-scripts-windows","t":"PowerShell setup scripts","s":"Windows Native app","h":"Scripts","a":"scripts","x":"Setup-Dependencies.ps1# Automatically checks and installs all required dependencies for development or production use. Usage: PowerShellCopy # Full development setup (requires Administrator) .\\Setup-Dependencies.ps1 -Mode Development # Production runtime only .\\Setup-Dependencies.ps1 -Mode Production # Skip optional components .\\Setup-Dependencies.ps1 -Mode Development -SkipOptional What it installs: Core (Both Development and Production): .NET 8 SDK Windows App SDK 1.5+ Windows Package Manager (winget) Development Only: Visual Studio 2022 (Community or higher) Windows SDK (10.0.26100.0+) Git for Windows Optional (Development): MSIX Packaging Tool Visual Studio Code Features: ✓ Automatic version detection ✓ Automatic installation of missing components ✓ NuGet package restoration ✓ Environment variable updates ✓ Comprehensive error handling ✓ Interactive prompts for optional components ✓ Colored output for easy reading Requirements: Windows 11 21H2 or later (22H2 recommended) Administrator privileges Internet connection Verify-Installation.ps1# Verifies that all dependencies are correctly installed and configured. Usage: PowerShellCopy # Basic verification .\\Verify-Installation.ps1 # Detailed information .\\Verify-Installation.ps1 -Detailed # Export report to file .\\Verify-Installation.ps1 -ExportReport What it checks: System Requirements: Windows version (11 21H2+) System RAM (8GB+ recommended) Free disk space (10GB+ recommended) CPU information Development Tools: .NET SDK (8.0+) Visual Studio 2022 (17.8+) Windows SDK (10.0.26100.0+) Windows App SDK (1.5+) Git PowerShell (5.0+) Optional Tools: Windows Package Manager (winget) Visual Studio Code MSIX Packaging Tool Application: Memory Timeline MSIX package installation Features: ✓ Comprehensive dependency verification ✓ Version checking ✓ Detailed component information ✓ Pass/Fail/Warning status for each check ✓ Summary statistics ✓ Optional report export ✓ Exit codes for CI/CD integration Exit Codes: 0: All checks passed > 0: Number of failed checks"},{"p":"setup-scripts-windows","t":"PowerShell setup scripts","s":"Windows Native app","h":"Common Scenarios","a":"common-scenarios","x":"First-Time Setup (Developer)# PowerShellCopy # 1. Open PowerShell as Administrator # 2. Navigate to scripts directory cd memory-line\\windows-native\\scripts # 3. Run setup script .\\Setup-Dependencies.ps1 -Mode Development # 4. Verify installation .\\Verify-Installation.ps1 -Detailed # 5. Open Visual Studio and build cd ..\\src start MemoryTimeline.sln Production Runtime Setup# PowerShellCopy # 1. Open PowerShell as Administrator # 2. Navigate to scripts directory cd memory-line\\windows-native\\scripts # 3. Install runtime dependencies only .\\Setup-Dependencies.ps1 -Mode Production # 4. Verify installation .\\Verify-Installation.ps1 Troubleshooting Installation Issues# PowerShellCopy # 1. Check what's missing .\\Verify-Installation.ps1 -Detailed # 2. Re-run setup to fix missing components .\\Setup-Dependencies.ps1 -Mode Development # 3. Export detailed report .\\Verify-Installation.ps1 -Detailed -ExportReport # 4. Check verification-report.txt for details notepad verification-report.txt CI/CD Integration# PowerShellCopy # In your CI/CD pipeline (GitHub Actions, Azure DevOps, etc.) # Verify environment .\\scripts\\Verify-Installation.ps1 if ($LASTEXITCODE -ne 0) { Write-Error \"Dependency verification failed\" exit 1 } # Build and test (x64-only; use msbuild for the WinUI 3 app, not dotnet build) cd src dotnet restore MemoryTimeline.sln msbuild MemoryTimeline.sln -p:Configuration=Release -p:Platform=x64 -restore dotnet test MemoryTimeline.Tests\\MemoryTimeline.Tests.csproj --configuration Release"},{"p":"setup-scripts-windows","t":"PowerShell setup scripts","s":"Windows Native app","h":"Manual Installation","a":"manual-installation","x":"If automatic installation fails, you can install components manually: .NET 8 SDK# Download from: https://dotnet.microsoft.com/download/dotnet/8.0 Visual Studio 2022# Download from: https://visualstudio.microsoft.com/downloads/ Required workloads: .NET desktop development Universal Windows Platform development Windows App SDK C# Templates Windows SDK# Download from: https://developer.microsoft.com/windows/downloads/windows-sdk/ Windows App SDK# Install via Visual Studio Installer or download from: https://learn.microsoft.com/windows/apps/windows-app-sdk/downloads Git for Windows# Download from: https://git-scm.com/download/win"},{"p":"setup-scripts-windows","t":"PowerShell setup scripts","s":"Windows Native app","h":"Script Permissions","a":"script-permissions","x":"If you encounter execution policy errors: PowerShellCopy # Check current execution policy Get-ExecutionPolicy # Temporarily bypass for current session Set-ExecutionPolicy -ExecutionPolicy Bypass -Scope Process # Or set for current user (more permanent) Set-ExecutionPolicy -ExecutionPolicy RemoteSigned -Scope CurrentUser"},{"p":"setup-scripts-windows","t":"PowerShell setup scripts","s":"Windows Native app","h":"Getting Help","a":"getting-help","x":"For issues with the scripts: PowerShellCopy # View script help Get-Help .\\Setup-Dependencies.ps1 -Full Get-Help .\\Verify-Installation.ps1 -Full # View examples Get-Help .\\Setup-Dependencies.ps1 -Examples For Memory Timeline issues: GitHub Issues: https://github.com/yourusername/memory-line/issues Documentation: See ../DEPLOYMENT.md"},{"p":"setup-scripts-windows","t":"PowerShell setup scripts","s":"Windows Native app","h":"Notes","a":"notes","x":"Administrator privileges required: Both scripts require admin rights to install components and modify system settings Internet connection required: For downloading and installing dependencies Windows 11 only: These scripts are designed for Windows 11 22H2 or later (build 22621+) Execution time: Initial setup may take 15-30 minutes depending on what needs to be installed Restart recommended: After installation, restart your computer to ensure all environment variables are updated"},{"p":"setup-scripts-windows","t":"PowerShell setup scripts","s":"Windows Native app","h":"Version History","a":"version-history","x":"1.0.1 (2025-11-24): Bug fixes Fixed .NET SDK installer URL (direct download instead of redirect) Replaced deprecated Get-WmiObject with Get-CimInstance 1.0.0 (2025-11-21): Initial release Setup-Dependencies.ps1: Automated dependency installation Verify-Installation.ps1: Comprehensive verification Last Updated: 2026-07-10 (build commands corrected: msbuild/x64, global.json rollForward)"},{"p":"testing","t":"Testing guide","s":"Windows Native app","h":"Testing guide","a":"","x":"Test structure, the DbContext factory pattern for test authors, running and filtering tests, coverage goals, performance benchmarks, templates, and CI behaviour. This document describes the testing strategy and how to run tests for the Memory Timeline Windows native application. How to run these tests (read first). The test project references the WinUI 3 app, and that app cannot be built with the dotnet CLI (its WinUI PRI/XAML resource tooling is a .NET Framework MSBuild task that fails under the dotnet build engine). So dotnet test does not work — it would rebuild the WinUI app and fail. Instead you build the solution once with Visual Studio msbuild.exe and then run the already-built test assembly with dotnet vstest. See Running Tests. This is also what CI does."},{"p":"testing","t":"Testing guide","s":"Windows Native app","h":"Test Structure","a":"test-structure","x":""},{"p":"testing","t":"Testing guide","s":"Windows Native app","h":"Test Framework and Tools","a":"test-framework-and-tools","x":"xUnit: Test framework Moq: Mocking framework for dependencies FluentAssertions: Fluent assertion library for readable assertions EF Core InMemory: In-memory database for service/unit tests SQLite (file-based): Real database for integration and performance tests Coverlet: Code coverage tool DbContext factory pattern (important for test authors)# Data access in the app now goes through IDbContextFactory<AppDbContext>: services and repositories open a short-lived AppDbContext per operation instead of holding a long-lived shared context. The tests mirror this via TestDbContextFactory, which wraps a single DbContextOptions so every CreateDbContext() returns a new context over the same database. Two provider caveats it encodes: EF Core InMemory — all contexts built from the same options instance share the same in-memory store, so a factory over a uniquely named InMemory DB works. Use TestDbContextFactory.CreateInMemory(). SQLite :memory: — does not work with the factory, because every new connection gets a fresh, empty database. Tests that need SQLite must use a file-based temp database (TestDbContextFactory.CreateSqliteFile(path)), which is why the integration and performance tests create a temp .db file rather than an in-memory SQLite connection. Integration/performance tests build their schema with Database.EnsureCreated() (there are no EF migrations in the repo — the app uses a hand-rolled SchemaUpgrader at runtime instead)."},{"p":"testing","t":"Testing guide","s":"Windows Native app","h":"Running Tests","a":"running-tests","x":"Do not use dotnet test (it rebuilds the WinUI app with the dotnet engine and fails). Build once with VS msbuild.exe, then run the built assembly with dotnet vstest. Build once, then run# PowerShellCopy cd windows-native/src # 1. Build the solution (Release | x64) with Visual Studio MSBuild. # 'msbuild' here is the VS msbuild.exe (e.g. Developer PowerShell for VS 2022), # NOT 'dotnet build'. msbuild MemoryTimeline.sln /t:Restore,Build /p:Configuration=Release /p:Platform=x64 /m # 2. Run the already-built test assembly (no rebuild). $dll = \"MemoryTimeline.Tests/bin/x64/Release/net8.0-windows10.0.26100.0/MemoryTimeline.Tests.dll\" dotnet vstest $dll --logger:\"trx;LogFileName=test.trx\" --ResultsDirectory:TestResults By Category / Class / Method# dotnet vstest filters with --TestCaseFilter: PowerShellCopy dotnet vstest $dll --TestCaseFilter:\"FullyQualifiedName~UnitTests\" dotnet vstest $dll --TestCaseFilter:\"FullyQualifiedName~Integration\" dotnet vstest $dll --TestCaseFilter:\"FullyQualifiedName~Performance\" dotnet vstest $dll --TestCaseFilter:\"FullyQualifiedName~QueueServiceTests\" dotnet vstest $dll --TestCaseFilter:\"FullyQualifiedName=MemoryTimeline.Tests.UnitTests.QueueServiceTests.AddToQueueAsync_ValidRecording_AddsToQueue\" Environment note. Running a self-contained WinUI 3 test assembly under headless VSTest is finicky; in CI this step is treated as best-effort (it does not gate the build). If the app assembly fails to build for any reason, the test project — which references it — will also fail to build, so a green compile is the primary signal."},{"p":"testing","t":"Testing guide","s":"Windows Native app","h":"Code Coverage","a":"code-coverage","x":"Coverage can be collected while running the built assembly, e.g.: PowerShellCopy dotnet vstest $dll --collect:\"Code Coverage\" --ResultsDirectory:TestResults (or wire up coverlet.collector via a runsettings file). Then generate an HTML report: PowerShellCopy dotnet tool install --global dotnet-reportgenerator-globaltool reportgenerator -reports:**/*.cobertura.xml -targetdir:./coverage-report -reporttypes:Html Coverage Goals (aspirational, not measured)# Overall: aim for > 80% Critical paths: aim for > 90% Event CRUD operations Audio recording / queue processing RAG and similarity search Export / Import operations These are targets, not verified figures."},{"p":"testing","t":"Testing guide","s":"Windows Native app","h":"Test Categories Explained","a":"test-categories-explained","x":"1. Unit / Service Tests# These verify individual components using mocked dependencies and, where a database is involved, an EF Core InMemory store created through TestDbContextFactory.CreateInMemory(). Service tests (Services/) cover the factory-backed services directly: EventServiceTests — CRUD, validation (empty title, end-before-start, invalid/normalized category), date-range and search queries, counts. TimelineServiceTests — viewport creation, zoom in/out, panning, event/era loading, earliest/latest dates, track layout. SettingsServiceTests — typed get/set, existence/delete, defaults (default theme is dark). QueueServiceTests (mock-only; no DbContext) ✅ Requires an INotificationService (constructor throws ArgumentNullException if null) ✅ Adding recordings to queue ✅ Retrieving queue items ✅ Updating queue item status ✅ Getting queue count by status ✅ Removing queue items ✅ Retrying failed items ✅ Clearing completed items ✅ Event raising on status change ExportServiceTests (in-memory DB via TestDbContextFactory) ✅ JSON export with full event data ✅ JSON export with date filtering ✅ CSV export ✅ Markdown export with year organization ✅ Full database export (events, eras, tags) ✅ Progress reporting ✅ Special character escaping in CSV ImportServiceTests (in-memory DB via TestDbContextFactory) ✅ Valid JSON import ✅ Duplicate detection with skip resolution ✅ Overwrite conflict resolution ✅ Create duplicate resolution ✅ Tag import ✅ Era import ✅ File validation ✅ Invalid file handling ✅ Progress reporting RagServiceTests (in-memory DB; mocked IEmbeddingService, IEventService, ICrossReferenceRepository) ✅ Finding similar events ✅ Similarity threshold filtering ✅ Tag suggestions based on similar events ✅ Pattern detection with/without date ranges ✅ Cross-reference detection (heuristic — temporal proximity / shared category; no LLM) persisted via ICrossReferenceRepository ✅ Non-existent event handling ✅ Embedding similarity calculation 2. Integration Tests# Integration tests verify components working together with real database operations. DatabaseIntegrationTests (real SQLite file DB via TestDbContextFactory.CreateSqliteFile) ✅ Database connection ✅ Full CRUD operations ✅ Relationships (events with eras and tags) ✅ Pagination (25 events, 3 pages) ✅ Date range queries ✅ Search functionality ✅ Category filtering ✅ Transaction rollback on errors ✅ Concurrent write operations (10 simultaneous) 3. Performance Tests# Performance tests ensure the application meets scalability requirements. PerformanceTests (real SQLite file DB via TestDbContextFactory.CreateSqliteFile) Load Tests: ✅ Create 5000 events (< 10 seconds) ✅ Query 5000 events (< 2 seconds) ✅ Pagination with 5000 events (< 500ms) ✅ Date range query on 5000 events (< 1 second) ✅ Search on 5000 events (< 1.5 seconds) ✅ Category filter on 5000 events (< 1 second) ✅ Update 100 events (< 5 seconds) Memory Test: ✅ Load 5000 events in memory (< 100 MB with AsNoTracking) Concurrency Test: ✅ 20 simultaneous read operations (< 5 seconds) Bulk Operations: ✅ Delete 500 events (< 3 seconds)"},{"p":"testing","t":"Testing guide","s":"Windows Native app","h":"Performance Benchmarks","a":"performance-benchmarks","x":"The values below are the assertion thresholds encoded in PerformanceTests (i.e. the upper bounds each test asserts against on a SQLite file DB). They are budgets the tests enforce, not measured/verified results — actual timings vary by machine and are written to test output via ITestOutputHelper. Operation Asserted upper bound Create 5000 events < 10s Query all 5000 events < 2s Paginated query (page 1, size 50) < 500ms Date range query (5000 events) < 1s Search (5000 events) < 1.5s Category filter (5000 events) < 1s Update 100 events < 5s Memory for 5000 events (AsNoTracking) < 100 MB 20 concurrent reads < 5s Delete 500 events < 3s Database Optimizations# AsNoTracking() on all read-only queries Pagination for large datasets Indexed columns for common queries Connection pooling Compiled queries for frequent operations"},{"p":"testing","t":"Testing guide","s":"Windows Native app","h":"Test Data Generators","a":"test-data-generators","x":"Event Generator (Performance Tests)# C#Copy GenerateTestEvents(int count) Creates realistic test events with varied: Categories (Work, Personal, Education, Health, etc.) Date ranges (5 years) Locations Confidence scores Fixed seed (42) for reproducibility Embedding Generator (RAG Tests)# C#Copy GenerateMockEmbedding(int seed) Creates 1536-dimension float arrays Seeded for consistent test results Simulates OpenAI embedding vectors"},{"p":"testing","t":"Testing guide","s":"Windows Native app","h":"Continuous Integration","a":"continuous-integration","x":"GitHub Actions — .github/workflows/windows-native-build.yml# The real workflow runs on windows-latest and: Installs the .NET 8 SDK plus Visual Studio MSBuild (microsoft/setup-msbuild). Builds the whole solution Release | x64 with msbuild MemoryTimeline.sln /t:Restore,Build (not dotnet build). Runs tests with dotnet vstest against the built MemoryTimeline.Tests.dll (not dotnet test). Behavior# Compilation is the gate. A build failure fails the workflow. The headless VSTest run of the self-contained WinUI test assembly is best-effort (continue-on-error: true); its .trx/logs are uploaded as artifacts for visibility but do not by themselves fail the run. There is currently no Codecov upload or long-term benchmark tracking configured."},{"p":"testing","t":"Testing guide","s":"Windows Native app","h":"Writing New Tests","a":"writing-new-tests","x":"Unit Test Template# C#Copy using FluentAssertions; using Moq; using Xunit; namespace MemoryTimeline.Tests.UnitTests; public class MyServiceTests : IDisposable { private readonly Mock<IDependency> _dependencyMock; private readonly MyService _service; public MyServiceTests() { _dependencyMock = new Mock<IDependency>(); _service = new MyService(_dependencyMock.Object); } [Fact] public async Task MethodName_Scenario_ExpectedResult() { // Arrange var input = \"test\"; _dependencyMock.Setup(d => d.DoSomething(input)) .ReturnsAsync(\"result\"); // Act var result = await _service.MethodToTest(input); // Assert result.Should().Be(\"result\"); _dependencyMock.Verify(d => d.DoSomething(input), Times.Once); } public void Dispose() { // Cleanup } } Integration Test Template# C#Copy public class MyIntegrationTests : IDisposable { private readonly AppDbContext _context; private readonly string _databasePath; public MyIntegrationTests() { _databasePath = Path.Combine( Path.GetTempPath(), $\"IntegrationTest_{Guid.NewGuid()}.db\"); var options = new DbContextOptionsBuilder<AppDbContext>() .UseSqlite($\"Data Source={_databasePath}\") .Options; _context = new AppDbContext(options); _context.Database.EnsureCreated(); } [Fact] public async Task Integration_Test_Name() { // Test with real database } public void Dispose() { _context.Database.EnsureDeleted(); _context.Dispose(); if (File.Exists(_databasePath)) { File.Delete(_databasePath); } } } Performance Test Template# C#Copy public class MyPerformanceTests : IDisposable { private readonly ITestOutputHelper _output; private readonly Stopwatch _stopwatch; public MyPerformanceTests(ITestOutputHelper output) { _output = output; _stopwatch = new Stopwatch(); } [Fact] public async Task PerformanceTest_LargeDataset_CompletesQuickly() { // Arrange var largeDataset = GenerateTestData(10000); // Act _stopwatch.Start(); var result = await ProcessLargeDataset(largeDataset); _stopwatch.Stop(); // Assert _output.WriteLine($\"Processed {largeDataset.Count} items in {_stopwatch.ElapsedMilliseconds}ms\"); _stopwatch.ElapsedMilliseconds.Should().BeLessThan(5000); } public void Dispose() { // Cleanup } }"},{"p":"testing","t":"Testing guide","s":"Windows Native app","h":"Best Practices","a":"best-practices","x":"Test Naming# Use pattern: MethodName_Scenario_ExpectedResult Examples: CreateEvent_ValidData_ReturnsEventWithId DeleteEvent_NonExistentId_ThrowsNotFoundException SearchEvents_EmptyQuery_ReturnsAllEvents Arrange-Act-Assert Pattern# C#Copy [Fact] public async Task Example_Test() { // Arrange - Set up test data and mocks var input = \"test\"; _mock.Setup(m => m.Method(input)).Returns(\"result\"); // Act - Execute the method under test var result = await _service.Method(input); // Assert - Verify the results result.Should().Be(\"result\"); _mock.Verify(m => m.Method(input), Times.Once); } Fluent Assertions# C#Copy // Prefer FluentAssertions over xUnit assertions result.Should().NotBeNull(); result.Should().Be(expected); result.Should().BeEquivalentTo(expected); collection.Should().HaveCount(5); collection.Should().Contain(item); value.Should().BeGreaterThan(10); exception.Should().BeOfType<ArgumentException>(); Async Tests# C#Copy // Always use async/await for async tests [Fact] public async Task AsyncTest() { var result = await _service.MethodAsync(); result.Should().NotBeNull(); } Test Data Cleanup# C#Copy public class MyTests : IDisposable { // Use IDisposable for cleanup public void Dispose() { _context?.Dispose(); DeleteTestFiles(); } }"},{"p":"testing","t":"Testing guide","s":"Windows Native app","h":"Troubleshooting Tests","a":"troubleshooting-tests","x":"Tests Fail Intermittently# Check for timing issues in async code Use Task.Delay() carefully Ensure proper disposal of resources Check for shared state between tests Database Lock Issues# Ensure each test uses unique database Properly dispose DbContext Use Database.EnsureDeleted() in Dispose Performance Tests Failing# Run on dedicated hardware (not during heavy load) Check system resources (CPU, memory, disk) Review recent code changes for regressions Adjust thresholds if consistently failing Coverage Not Generating# PowerShellCopy # Collect coverage against the already-built test assembly (do NOT use `dotnet test`) dotnet vstest $dll --collect:\"Code Coverage\" --ResultsDirectory:TestResults # Check for coverage files in TestResults/ dir -Recurse -Filter \"*.coverage\" dir -Recurse -Filter \"*.cobertura.xml\""},{"p":"testing","t":"Testing guide","s":"Windows Native app","h":"Test Statistics","a":"test-statistics","x":"Approximate current suite (as of Phase 7): Service tests (Services/): EventService, TimelineService, SettingsService Unit tests (UnitTests/): Queue, Export, Import, Rag Model tests (Models/): layout engine, viewport, scale Integration tests (Integration/): ~9 database tests on a real SQLite file DB Performance tests (Performance/): ~10 load/scalability tests Coverage: target > 80% (aspirational, not measured) Migration status of the test project# All service-backed test classes have been migrated to the IDbContextFactory<AppDbContext> pattern and construct services with their current signatures — for example new EventService(_repository, _contextFactory, logger), new ExportService(_contextFactory, logger), new ImportService(_contextFactory, logger), and new RagService(embeddingService, eventService, _contextFactory, crossReferenceRepository, logger) (RagService no longer takes an ILlmService or a raw AppDbContext). No test file uses the older (_repository, _context, …) / (_context, …) constructor signatures. As of this writing the only build blocker for the solution is the WinUI app's XAML/PRI resource-generation step failing under the dotnet build engine — the MemoryTimeline.Tests project fails to build only as a downstream consequence of the app project failing, not because of stale test code. Building with Visual Studio msbuild.exe (as CI does) is the supported path. Last Updated: 2026-07-10"},{"p":"deployment","t":"Deployment guide","s":"Windows Native app","h":"Deployment guide","a":"","x":"Building Release|x64, runtime data layout, MSIX packaging, code signing, Microsoft Store submission, and side-loading. This guide covers building, testing, and deploying the Memory Timeline Windows native application (WinUI 3 / Windows App SDK, .NET 8). Important build note. The WinUI 3 app is currently an unpackaged desktop app (WindowsPackageType=None, self-contained Windows App SDK). It builds for a specific CPU platform (x64, x86, or ARM64 — there is no AnyCPU) and, because of the WinUI PRI/XAML resource-generation tooling, must be built with Visual Studio or msbuild.exe, not dotnet build. See Building the Application for details. MSIX packaging and Microsoft Store publishing (the later sections of this guide) are Phase 7 work in progress and are documented here as the intended path, not as a shipped, verified pipeline."},{"p":"deployment","t":"Deployment guide","s":"Windows Native app","h":"Table of Contents","a":"table-of-contents","x":"Prerequisites Building the Application Data & Runtime Layout Running Tests MSIX Packaging (Phase 7 — in progress) Code Signing Microsoft Store Deployment (Phase 7 — in progress) Side-loading CI/CD Pipeline"},{"p":"deployment","t":"Deployment guide","s":"Windows Native app","h":"Prerequisites","a":"prerequisites","x":"Development Environment# Windows 11 22H2 or later (required for Windows App SDK 1.5+). The WinUI target cannot be built on Linux/macOS. Visual Studio 2022 (17.8 or later) with workloads: .NET Desktop Development Universal Windows Platform development Windows App SDK C# Templates .NET SDK — the repo pins the SDK via windows-native/src/global.json:JSONCopy { \"sdk\": { \"version\": \"8.0.100\", \"rollForward\": \"major\" } } This means: use the .NET 8 SDK if it is installed, otherwise roll forward to the next available major (e.g. .NET 9). It will not select the .NET 10 SDK, whose newer WinUI XAML/PRI tooling breaks this project's resource generation. If you only have a newer SDK installed, install a .NET 8 or .NET 9 SDK rather than relying on whatever is latest. Windows App SDK 1.5.x (restored as the Microsoft.WindowsAppSDK NuGet package) For Packaging / Store Deployment (Phase 7 — in progress)# Windows SDK (10.0.26100.0 or later) MSIX Packaging Tool (from Microsoft Store) Code Signing Certificate (EV certificate for Microsoft Store) Microsoft Partner Center account (for Store deployment)"},{"p":"deployment","t":"Deployment guide","s":"Windows Native app","h":"Building the Application","a":"building-the-application","x":"Why dotnet build does not work for the app# The WinUI 3 app project (MemoryTimeline) runs WinUI's PRI/XAML resource generation as part of the build (the MrtCore.PriGen / XAML compiler tooling). That tooling is a .NET Framework MSBuild task and does not load under the dotnet CLI (.NET Core) MSBuild engine — a dotnet build/dotnet run of the app fails during resource/XAML generation (e.g. MSB4062 / MSB3073 XAML-compiler errors), even when the C# itself is fine. The build must therefore be driven by Visual Studio or the full Visual Studio msbuild.exe. Two more consequences: The solution defines x86, x64, and ARM64 platforms — there is no AnyCPU. Every build must specify a platform (x64 is the default target). The MemoryTimeline.Tests project references the WinUI app, so the whole solution is built for a concrete platform (x64) on a Windows machine. Build (Release, x64) — recommended# PowerShellCopy cd windows-native/src # Restore + build the whole solution with Visual Studio MSBuild. # 'msbuild' here is the VS msbuild.exe (e.g. from a Developer PowerShell for VS 2022), # NOT 'dotnet build'. msbuild MemoryTimeline.sln /t:Restore,Build /p:Configuration=Release /p:Platform=x64 /m Debug build# PowerShellCopy msbuild MemoryTimeline.sln /t:Restore,Build /p:Configuration=Debug /p:Platform=x64 /m You can also simply open windows-native/src/MemoryTimeline.sln in Visual Studio 2022, select the Release / x64 (or Debug / x64) configuration, and Build. Build Output# The compiled application is placed under the platform-specific output folder, for example: textCopy windows-native/src/MemoryTimeline/bin/x64/Release/net8.0-windows10.0.26100.0/ Because the app is unpackaged and self-contained, this folder contains MemoryTimeline.exe plus the Windows App SDK runtime and can be launched directly."},{"p":"deployment","t":"Deployment guide","s":"Windows Native app","h":"Data & Runtime Layout","a":"data--runtime-layout","x":"The app is unpackaged, so it does not use MSIX app-data virtualization. All runtime data lives under %LOCALAPPDATA%\\MemoryTimeline\\: Path Contents %LOCALAPPDATA%\\MemoryTimeline\\memory-timeline.db SQLite database (WAL mode; expect -wal / -shm sidecar files) %LOCALAPPDATA%\\MemoryTimeline\\AudioRecordings\\ Recorded / imported audio files %LOCALAPPDATA%\\MemoryTimeline\\Models\\ggml-base.bin Local Whisper (Whisper.net) speech-to-text model, downloaded on first use %LOCALAPPDATA%\\MemoryTimeline\\error.log Startup / unhandled-exception log Schema / migrations: the EF Core migrations were removed in favour of a hand-rolled SchemaUpgrader that creates/updates the schema at startup. There is currently no migrations baseline, so dotnet ef migrations add / dotnet ef database update are not applicable to this project right now (regenerating a real migration baseline is a follow-up task). External services: speech-to-text is local (Whisper.net, offline after the one-time model download). LLM event extraction uses the Anthropic API and embeddings use the OpenAI API, so those features require API keys and network access."},{"p":"deployment","t":"Deployment guide","s":"Windows Native app","h":"Running Tests","a":"running-tests","x":"Do not use dotnet test. dotnet test rebuilds the solution — including the WinUI app — with the dotnet MSBuild engine, which hits the same WinUI PRI/XAML failure described above. Instead, build the solution once with msbuild.exe (see Building the Application) and run the already-built test assembly with dotnet vstest. This is exactly what CI does. Build once, then run the built test assembly# PowerShellCopy cd windows-native/src # 1. Build the solution (Release | x64) with VS MSBuild msbuild MemoryTimeline.sln /t:Restore,Build /p:Configuration=Release /p:Platform=x64 /m # 2. Run the compiled test DLL with vstest (no rebuild) dotnet vstest MemoryTimeline.Tests/bin/x64/Release/net8.0-windows10.0.26100.0/MemoryTimeline.Tests.dll ` --logger:\"trx;LogFileName=test.trx\" --ResultsDirectory:TestResults Filtering# dotnet vstest supports test filtering via --TestCaseFilter, e.g.: PowerShellCopy dotnet vstest <path-to>\\MemoryTimeline.Tests.dll --TestCaseFilter:\"FullyQualifiedName~UnitTests\" dotnet vstest <path-to>\\MemoryTimeline.Tests.dll --TestCaseFilter:\"FullyQualifiedName~Integration\" See TESTING.md for the test-suite layout, the EF Core InMemory / SQLite provider caveats, and known follow-up work. Coverage goals# Aspirational target: > 80% overall, > 90% on critical paths (event CRUD, audio/queue processing, RAG). These are goals, not measured/verified figures."},{"p":"deployment","t":"Deployment guide","s":"Windows Native app","h":"MSIX Packaging (Phase 7 — in progress)","a":"msix-packaging-phase-7--in-progress","x":"The app currently ships unpackaged (WindowsPackageType=None). The MSIX packaging, code-signing, and Store steps below describe the intended path and are not yet a verified, shipped pipeline. Packaging the app will also require reconciling the unpackaged/self-contained settings with an MSIX packaging project. Manual Packaging with Visual Studio# Add Packaging Project textCopy File → Add → New Project → Windows Application Packaging Project Configure Package Manifest Use the provided packaging/Package.appxmanifest Update Identity Publisher with your certificate CN Set appropriate version number Add Application Reference Right-click packaging project → Add → Reference Select MemoryTimeline project Create Package textCopy Right-click packaging project → Publish → Create App Packages Command-Line Packaging# PowerShellCopy # Set environment variables $AppxManifestPath = \".\\packaging\\Package.appxmanifest\" $OutputPath = \".\\output\\packages\" $MappingFile = \".\\packaging\\FileMapping.txt\" # Create package using makeappx makeappx pack /d \".\\bin\\Release\\net8.0-windows\\\" /p \"$OutputPath\\MemoryTimeline.msix\" /l # For app bundle (multiple architectures) makeappx bundle /d \"$OutputPath\\bundles\" /p \"$OutputPath\\MemoryTimeline.msixbundle\" Package Contents Verification# PowerShellCopy # List package contents makeappx unpack /p MemoryTimeline.msix /d .\\unpacked /l # Validate package certutil -hashfile MemoryTimeline.msix SHA256"},{"p":"deployment","t":"Deployment guide","s":"Windows Native app","h":"Code Signing","a":"code-signing","x":"Requirements# EV Code Signing Certificate (required for Microsoft Store) Valid timestamp server URL SignTool.exe (included with Windows SDK) Signing Command# PowerShellCopy # Set certificate thumbprint $CertThumbprint = \"YOUR_CERT_THUMBPRINT\" # Sign the package signtool sign /fd SHA256 /sha1 $CertThumbprint /t http://timestamp.digicert.com /v MemoryTimeline.msix # Verify signature signtool verify /pa MemoryTimeline.msix Certificate Requirements# Type: EV (Extended Validation) Code Signing Certificate Algorithm: SHA256 or higher Validity: Must be valid at time of signing Trusted Root: Must chain to a trusted root authority Acquiring a Certificate# Purchase from authorized CA (DigiCert, Sectigo, GlobalSign) Complete identity verification process Install on signing machine (hardware token or HSM) Export thumbprint for automation"},{"p":"deployment","t":"Deployment guide","s":"Windows Native app","h":"Microsoft Store Deployment (Phase 7 — in progress)","a":"microsoft-store-deployment-phase-7--in-progress","x":"Store submission has not been performed yet. The steps below are the planned process once MSIX packaging and signing are in place. 1. Partner Center Setup# Create Developer Account Go to Microsoft Partner Center Register as individual or company Pay registration fee ($19 one-time for individual, $99 for company) Reserve App Name Apps → Create a new app Reserve \"Memory Timeline\" Note the Identity details for manifest 2. App Submission Preparation# Required Assets# Store Listing Information# Description (minimum 200 characters) Features (5-10 bullet points) Screenshots (minimum 1, recommended 4+) Privacy Policy URL (required) Support Contact (email or website) Age Rating (ESRB, PEGI, etc.) Category (Productivity) 3. Package Upload# Create Submission textCopy Partner Center → Your App → Start submission Upload Package Upload signed .msix or .msixbundle System will validate: Digital signature Manifest validity API usage compliance Content policy compliance Configure Properties Display name: \"Memory Timeline\" Category: Productivity Pricing: Free (or set price) Markets: Select target countries Age rating: Complete questionnaire Submit for Certification Review all sections Submit for review Typical review time: 1-3 business days 4. Certification Process# Microsoft will test: Security: Malware scan, signature validation Performance: Launch time, memory usage, CPU usage Compatibility: Windows version compatibility Content: Policy compliance Functionality: Basic app functionality 5. Publishing# Once approved: App goes live in Microsoft Store (usually within 24 hours) Users can download and install Auto-updates handled by Microsoft Store"},{"p":"deployment","t":"Deployment guide","s":"Windows Native app","h":"Side-loading","a":"side-loading","x":"For enterprise deployment or testing without Microsoft Store. 1. Enable Side-loading on Target Machine# PowerShellCopy # Check if side-loading is enabled Get-AppxPackage -Name \"*YourPublisher*\" # Enable Developer Mode (Settings → Update & Security → For developers) # Or use PowerShell (requires admin) reg add \"HKEY_LOCAL_MACHINE\\SOFTWARE\\Microsoft\\Windows\\CurrentVersion\\AppModelUnlock\" /t REG_DWORD /f /v \"AllowDevelopmentWithoutDevLicense\" /d \"1\" 2. Install Certificate# PowerShellCopy # Import signing certificate to trusted root (admin required) $cert = Get-PfxCertificate -FilePath \".\\SigningCert.pfx\" Import-Certificate -CertStoreLocation Cert:\\LocalMachine\\Root -Certificate $cert 3. Install Package# PowerShellCopy # Using Add-AppxPackage Add-AppxPackage -Path \".\\MemoryTimeline.msix\" # With dependencies Add-AppxPackage -Path \".\\MemoryTimeline.msix\" -DependencyPath \".\\Dependencies\\*.appx\" # Verify installation Get-AppxPackage -Name \"MemoryTimeline\" 4. PowerShell Install Script# Create Install.ps1: PowerShellCopy #Requires -RunAsAdministrator param( [string]$PackagePath = \".\\MemoryTimeline.msix\", [string]$CertificatePath = \".\\SigningCert.cer\" ) Write-Host \"Installing Memory Timeline...\" -ForegroundColor Green # Check if package exists if (-not (Test-Path $PackagePath)) { Write-Error \"Package not found: $PackagePath\" exit 1 } # Install certificate if (Test-Path $CertificatePath) { Write-Host \"Installing certificate...\" Import-Certificate -CertStoreLocation Cert:\\LocalMachine\\Root -FilePath $CertificatePath } # Install package Write-Host \"Installing package...\" try { Add-AppxPackage -Path $PackagePath -ErrorAction Stop Write-Host \"Installation successful!\" -ForegroundColor Green Write-Host \"You can now launch Memory Timeline from the Start menu.\" } catch { Write-Error \"Installation failed: $_\" exit 1 } 5. Uninstall Script# Create Uninstall.ps1: PowerShellCopy #Requires -RunAsAdministrator $AppName = \"MemoryTimeline\" Write-Host \"Uninstalling $AppName...\" -ForegroundColor Yellow $package = Get-AppxPackage -Name \"*$AppName*\" if ($package) { Remove-AppxPackage -Package $package.PackageFullName Write-Host \"Uninstallation successful!\" -ForegroundColor Green } else { Write-Host \"$AppName is not installed.\" -ForegroundColor Yellow }"},{"p":"deployment","t":"Deployment guide","s":"Windows Native app","h":"CI/CD Pipeline","a":"cicd-pipeline","x":"Current workflow: .github/workflows/windows-native-build.yml# The repository has a real GitHub Actions workflow that compiles and tests the native Windows implementation. Its key design decisions mirror the constraints described above: Runs on windows-latest (the WinUI target cannot build on Linux). Installs the .NET 8 SDK (actions/setup-dotnet) and Visual Studio MSBuild (microsoft/setup-msbuild). Builds the whole solution for Release | x64 via msbuild MemoryTimeline.sln /t:Restore,Build — not dotnet build, to avoid the WinUI PRI/XAML task failure. Runs tests with dotnet vstest against the already-built MemoryTimeline.Tests.dll — not dotnet test, which would rebuild the WinUI app and hit the same failure. Compilation is the gate; the headless VSTest run of the self-contained WinUI test assembly is best-effort (continue-on-error) and its results/logs are uploaded as artifacts. Core of the build and test steps: YAMLCopy - name: Setup .NET 8 uses: actions/setup-dotnet@v4 with: dotnet-version: '8.0.x' - name: Setup MSBuild (Visual Studio) uses: microsoft/setup-msbuild@v2 - name: Build (Release | x64) via VS MSBuild shell: pwsh run: | msbuild MemoryTimeline.sln /t:Restore,Build ` /p:Configuration=Release /p:Platform=x64 /m /v:minimal - name: Test (Release | x64) shell: pwsh run: | $dll = Get-ChildItem -Recurse -Path MemoryTimeline.Tests/bin/x64/Release ` -Filter MemoryTimeline.Tests.dll | Select-Object -First 1 dotnet vstest $dll.FullName --logger:\"trx;LogFileName=test.trx\" ` --ResultsDirectory:TestResults (The working directory is windows-native/src.) Not yet automated# Packaging, signing, and Store publishing are not part of the current workflow — they are Phase 7 work in progress (see the MSIX and Microsoft Store sections above)."},{"p":"deployment","t":"Deployment guide","s":"Windows Native app","h":"Post-Deployment","a":"post-deployment","x":"Monitoring# Monitor Partner Center for crash reports Review user feedback and ratings Track download statistics Monitor API usage and costs for the cloud features (Anthropic LLM extraction, OpenAI embeddings). Note: speech-to-text runs locally via Whisper.net and incurs no per-use API cost. Updates# Increment version in Package.appxmanifest Build and test new version Create new submission in Partner Center Upload new package Microsoft Store handles auto-updates for users Rollback# If critical issues found: Suspend availability in Partner Center Roll back to previous version Fix issues and resubmit"},{"p":"deployment","t":"Deployment guide","s":"Windows Native app","h":"Troubleshooting","a":"troubleshooting","x":"Common Issues# Certificate Not Trusted PowerShellCopy # Solution: Install certificate to trusted root Import-Certificate -CertStoreLocation Cert:\\LocalMachine\\Root -FilePath SigningCert.cer Package Installation Failed PowerShellCopy # Check logs Get-AppxLog -ActivityId <ID> # Common fixes: # 1. Ensure certificate is trusted # 2. Check Windows version compatibility # 3. Verify package integrity Store Submission Rejected Review certification report in Partner Center Common reasons: Invalid manifest Missing privacy policy Content policy violations Performance issues Incomplete metadata"},{"p":"deployment","t":"Deployment guide","s":"Windows Native app","h":"Resources","a":"resources","x":"Windows App SDK Documentation MSIX Packaging Documentation Microsoft Partner Center Code Signing Best Practices"},{"p":"deployment","t":"Deployment guide","s":"Windows Native app","h":"Support","a":"support","x":"For deployment issues: Email: support@memorytimeline.com GitHub Issues: https://github.com/yourusername/memory-timeline/issues Documentation: https://docs.memorytimeline.com Last Updated: 2026-07-10"},{"p":"development-status","t":"Development status","s":"Status & history","h":"Development status","a":"","x":"Phase-by-phase status, the 2026-08 F1–F12 feature wave with per-feature detail and deferred items, known limitations, and success criteria. Last Updated: 2026-08-07Current Phase: Phase 7 - Testing & Deployment (plus the 2026-08 feature-spec wave, landed)Overall Progress: Phases 0-6 complete; F1–F12 feature spec implemented; iOS companion Phases 0-3 landed; toolchain rolled to .NET 10 + Windows App SDK 2.3.1; Phase 7 in progressStatus: 🔄 IN PROGRESS — builds green in CI, end-to-end runtime validation ongoing"},{"p":"development-status","t":"Development status","s":"Status & history","h":"Toolchain roll-up: Windows 11 24H2 SDK + .NET 10 LTS + Windows App SDK 2.3.1 (2026-08-07)","a":"toolchain-roll-up-windows-11-24h2-sdk--net-10-lts--windows-app-sdk-231-2026-08-07","x":"Before After Windows SDK (TargetFramework platform) 22621 (Win11 22H2) 26100 (Win11 24H2) .NET 8 (support ends 2026-11-10) 10 LTS (support ends 2028-11-14) Windows App SDK 1.5.240802000 2.3.1 (1.8 support ended 2026-09-09) SDK BuildTools 10.0.22621.3233 10.0.28000.2526 EF Core / Extensions / ASP.NET packages 8.0.0 10.0.10 TargetPlatformMinVersion is unchanged at 10.0.22621.0 — the app still runs on Windows 11 22H2; only the compile-time SDK moved. Landed as three separately bisectable commits (.NET 10, then WinAppSDK 2.3.1, then the perf-bound fix) because the two framework moves fail in confusingly similar ways — both surface as assembly-load and type-resolution errors. Developer prerequisites changed — see README.md → Prerequisites: The .NET 10 SDK, 10.0.1xx band, pinned by src/global.json. That band declares MSBuild 17.14 as its minimum, which is what keeps Visual Studio 2022 able to build; bands 10.0.2xx+ require MSBuild 18 / Visual Studio 2026. Visual Studio 2026 is the supported IDE. Microsoft supports targeting .NET 10 only in VS 18.0+; VS 2022 17.14 builds with an \"unsupported target\" warning rather than an error. The CI runner (windows-latest) is already VS 2026 / MSBuild 18.8.2. Notes for whoever picks this up next: The original CS1705 build break was caused by pinning WindowsSdkPackageVersion to 10.0.26100.87, whose WinRT.Runtime ships in lib/net9.0, against a net8.0 project — not by the Windows App SDK, whose managed assemblies all target net6.0 and impose no .NET floor. Revision .86 is the lib/net8.0 build. The pin is now removed entirely; the .NET 10 SDK selects a matching projection. Microsoft.Data.Sqlite.Pre10TimeZoneHandling is set at both entry points. .NET 10 changed offset-less stored timestamps to read as UTC instead of local, which would silently shift every historical event by the local UTC offset. Auditing and migrating the stored values is an open follow-up — do not remove the switch without doing that work. CommunityToolkit.WinUI.UI.Controls / .Animations 7.1.2 were removed as verified-unused (the <controls:*> tags resolve to MemoryTimeline.Controls). If toolkit controls are wanted later, the modern packages are the split CommunityToolkit.WinUI.Controls.* 8.x line, not the 7.x UWP-era one. FluentAssertions is deliberately held at 6.x: 8.x is commercially licensed. SQLitePCLRaw.lib.e_sqlite3 2.1.11 (transitive via EF Core 10) still carries GHSA-2m69-gcr7-jv3q, with no patched 2.x release; the fix is in its 3.x major, which EF Core 10 does not expect. Left deliberately. LoadTest_UpdateOperationsOnLargeDataset_PerformReasonably measured 5546 / 8109 / 10179 ms across three identical CI runs (it commits 100 separate SQLite transactions, so it is fsync-bound). Its bound was raised 5000 → 20000 ms as a gross-regression gate. It passed under .NET 8 at the old bound, so a modest EF Core 10 write-path slowdown is unconfirmed but not excluded — worth measuring on real hardware. Untested from CI: the runtime interaction between Microsoft.ML.OnnxRuntime.DirectML 1.16.3 and the ONNX runtime bundled in WinAppSDK 2.3.1 (two ONNX runtimes in one process is a known hazard)."},{"p":"development-status","t":"Development status","s":"Status & history","h":"iOS roadtrip companion — Phase 3: processing status & review handoff (2026-08)","a":"ios-roadtrip-companion--phase-3-processing-status--review-handoff-2026-08","x":"Date: 2026-08-07 Phase 3 of the iOS roadtrip companion plan (design doc §19 Phase 3) landed. Its exit criterion: the user can understand a capture's full lifecycle from the phone without opening Windows, while all editing and approval stay on Windows. Direction of flow — one way, Windows-authored: textCopy IQueueService advances a processing stage → ICaptureStatusPublisher writes a capture_status row into sync_outbox → LocalOutboxPublisher drains it to POST /sync/push → service change log + one latest-wins capture_status projection row → GET /sync/pull on the originating phone → applied locally; a local notification on a milestone New capture_status change type — CaptureStatusChangePayload and SyncChangeEntityType.CaptureStatus in the shared contracts, with the matching SyncEntityType.CaptureStatus on the Windows outbox side (MemoryTimeline.Data/Models/SyncOutbox.cs). entityId is the captureId — one status entity per capture — and only upsert is meaningful. The payload carries the coarse SyncCaptureStatus, the finer QueueProcessingStage, a transcript preview capped at 600 characters plus the full transcript's character count, pending/approved review counts, and a failure reason with its retry classification. Windows publisher — CaptureStatusPublisher projects a queue item's state into an outbox row. It publishes only for captures that came from another device (a Windows-local recording has no phone waiting on it) and drops a projection identical to the last one, so the pipeline can call it after every transition without producing noise. Service — /sync/push validates capture_status entries before they enter the change log and stores a capture_status projection row per capture; /sync/pull fans it out to the owner's other devices. Echo suppression keys on the publishing device, never on the device a capture came from, which is what lets a phone receive status about its own captures. The startup path creates the new table with idempotent DDL, so a Phase 1/2 deployment upgrades without deleting sync.db. iOS — a pull-driven StatusSyncCoordinator applies changes to a local capture_status table, and history/detail fuse the local upload leg with the remote processing leg into one readable position, plus the transcript preview, the review counts, and where the recording currently exists. The boundary, stated explicitly: editing and approval stay on Windows. Nothing in capture_status is an instruction — it is a read-only projection of Windows-side state. The phone never authors the entity type, never edits a transcript, and never approves or rejects an extracted event. Deliberate decision — notifications are LOCAL, not APNs. Per the resolved §22.1/§22.2 decisions (self-hosted deployment, no user accounts), there is no push certificate and no notification server anywhere in this design. The phone posts its own local notification the moment a pull observes a capture becoming review-ready, completing, or failing. The trade-off accepted: updates arrive when the phone pulls — foreground, after an upload pass, or on an iOS-scheduled background refresh — not the instant Windows finishes. What Phase 3 deliberately does NOT do: The full transcript stays on Windows. The phone gets a ≤600-character excerpt plus a character count, never a replica, and there is no endpoint that would give it one. The phone cannot edit or approve. No transcript editing, no event approval/rejection, and no way to restart Windows-side processing from the phone; a capture that failed on the PC is retried on the PC. Progress does not rewind on the phone. A pulled status can advance a capture's stored lifecycle state but never move it back, so a replayed or out-of-order change is harmless. A reported failure is the one transition allowed to reset that floor, so a Windows-side retry can move the capture forward again. No audio flows back. The design's Phase 3 line about playback of the original audio is satisfied by the phone's own local file; the Windows-side normalized a"},{"p":"development-status","t":"Development status","s":"Status & history","h":"iOS roadtrip companion — Phase 1: sync service & Windows sync client (2026-08)","a":"ios-roadtrip-companion--phase-1-sync-service--windows-sync-client-2026-08","x":"Date: 2026-08-07 Phase 1 of the iOS roadtrip companion plan (design doc section 19; see the Phase 0 entry below for the groundwork it builds on) landed: Sync service — new services/MemoryTimeline.SyncApi (ASP.NET Core, net8.0; unlike the WinUI solution it is plain cross-platform .NET and builds/tests/runs with the dotnet CLI). Self-hosted Mode A server (design §4.2): device pairing/registration gated by an owner pairing code, self-issued HMAC-SHA256 JWT access tokens with refresh-token rotation and immediate revocation (§14.1); idempotent capture metadata ingestion (replaying a captureId returns the existing capture); chunked artifact upload (initiate → PUT parts → complete with byte-length/part-count/SHA-256 validation, §11.4) into a filesystem artifact store; and an append-only sync_changes log serving cursor-based GET /sync/pull (own-device echo suppression), per-device idempotent POST /sync/push (push receipts keyed on client sequence), and POST /sync/ack. SQLite metadata + artifact blobs live under one configurable data directory. Operator guide: ../services/README.md. Windows sync client — new MemoryTimeline.Sync project in the WinUI solution. SyncBackgroundWorker runs a periodic (30 s) pull → apply → ack → publish-outbox loop; RemoteChangeApplier turns each pulled capture change into artifact download + idempotent ICaptureIngestionService ingestion, so a remote audio capture enters the existing review queue exactly once; LocalOutboxPublisher drains the Phase 0 sync_outbox in order to /sync/push and marks accepted/duplicate rows delivered. The cursor only advances past applied/skipped/permanently-failed changes; retryable failures stop the pull and retry next cycle. Settings → Sync UI: server URL + pairing code, enable/disable, sync-now, status line, and unpair/revoke. New SettingKeys.Sync* constants (server URL, device ID, tokens, cursor, auto-process); wire DTOs shared with the service via shared-contracts/dotnet/MemoryTimeline.SyncContracts (camelCase JSON, JsonSerializerDefaults.Web). CI — new Linux workflow .github/workflows/sync-api-build.yml builds services/MemoryTimeline.Services.sln and runs the SyncApi test suite with the dotnet CLI on ubuntu-latest; the Windows workflow now also triggers on this branch and on shared-contracts/dotnet/** changes. Exit criterion status: implemented and integration-tested at the service level — a test client can register, create a capture, upload its audio artifact, and the Windows pull → ingest path dedupes it into review exactly once. End-to-end validation against a real iPhone awaits the Phase 2 iOS client. Known follow-ups (from the post-fix verification pass): The RefreshTokenHash concurrency token applies to every device-row update; ack/revoke racing a concurrent refresh can surface a retryable 500 (only refresh has reload-and-retry today). Crash-orphaned *.tmp assembly files in the service's artifact store are never swept (in-process failures clean up after themselves). The register endpoint reads the Idempotency-Key header directly and does not enforce the 128-char limit the authenticated-route filter applies. Service schema is EnsureCreated (no migrations); pre-release upgrades across schema changes require deleting sync.db (see services/README.md). Sync tokens are stored in the Windows app's settings table like the other keys; DPAPI-at-rest remains the tracked hardening follow-up. Per the resolved design §22 decisions (2026-08-07): the service needs an artifact retention sweep (delete artifacts 14 days after Windows acknowledges archival, or sooner under storage pressure) — artifacts are currently retained indefinitely. Design decisions: all §22 open decisions were resolved by the owner on 2026-08-07 — self-hosted only, no user accounts (pairing-code device model), Windows-local transcription (GPU/NPU when available), optional on-device iOS Whisper, Google places within the free tier with informed Apple failover, CarPlay screens designed for v1 with the entitlement defer"},{"p":"development-status","t":"Development status","s":"Status & history","h":"iOS roadtrip companion — Phase 0: contract & schema groundwork (2026-08)","a":"ios-roadtrip-companion--phase-0-contract--schema-groundwork-2026-08","x":"Date: 2026-08-06 Phase 0 of the iOS roadtrip companion plan (a separate track from the app phases below; see ../docs/design/IOS-ROADTRIP-COMPANION-SYSTEM-DESIGN.md, section 19) landed: Device-neutral capture schema — new captures, capture_artifacts, and sync_outbox tables (EF models, AppDbContext configuration, idempotent SchemaUpgrader DDL); recording_queue extended with device-neutral provenance columns (source_capture_id unique, source_device_id, source_platform, audio_artifact_id, original_file_name, content_sha256, sync_state, received_at, processing_stage). Idempotent ingestion service — ICaptureIngestionService / CaptureIngestionService: resolves artifacts via IArtifactResolver (Phase 0: local files), verifies declared byte length + SHA-256, dedupes by source capture ID (including the insert race), and writes capture + artifact + queue item + sync outbox record in one atomic SaveChanges (ICaptureRepository.IngestAsync). Queue processing stages — QueueService now stamps ProcessingStage/SyncState through the pipeline (transcribing, review_ready/completed, failed_configuration, failed_retryable), gained ProcessCaptureAsync, and resets items to pending on cancellation. Shared API contracts — new shared-contracts/ directory: openapi/memory-line-sync-v1.yaml (Sync API v1 skeleton) and json-schema/capture-envelope.v1.json (remote capture ingestion envelope); Swift/C# clients will be generated from these (see shared-contracts/README.md). Existing Windows recordings pass through the new ingestion abstraction with no UI behavior change (the Phase 0 exit criterion). Next step: Phase 1 — sync service (device registration/auth, capture metadata + artifact upload, cursor-based push/pull) and the Windows sync worker that drains the new sync_outbox."},{"p":"development-status","t":"Development status","s":"Status & history","h":"2026-08 feature-spec implementation (F1–F12)","a":"2026-08-feature-spec-implementation-f1f12","x":"Date: 2026-08-06 Twelve features from the Memory Timeline feature spec were implemented on top of the post-audit base, in dependency-ordered waves (F1/F3/F4 → F2/F7/F5 → F8/F6/F9 → F11/F12/F10) with a verification fix pass after each wave. Every wave pushed CI-green (Release|x64, windows-latest). Per-feature status (all landed): F1 — Date precision & uncertainty: DatePrecision enum (Exact/Day/Month/Season/Year/Decade/Unknown) + earliest_possible/latest_possible window on events and pending_events; precision-honest date display everywhere; extraction assigns precision instead of inventing days; the category list bug fixed. F3 — Text/paste capture: recording_queue.source_type (Audio/Text/Imported), persisted transcript reused across retries (also for Whisper output), Ctrl+Shift+V paste-capture dialog on the Queue page. F4 — Ask your timeline: new Ask page; hybrid keyword+semantic retrieval merged with reciprocal-rank fusion; grounded answers cited to real events; honest refusal when nothing relevant exists; keyword-only degraded mode without embeddings. F2 — Media attachments: event_media table, managed copy tree under %LOCALAPPDATA%\\MemoryTimeline\\Media, EXIF via MetadataExtractor, thumbnails, content-hash dedupe, lightbox, drag-drop. F7 — On This Day / Home: new default landing page; precision-aware anniversaries (only Exact/Day events surface on a specific day); event view tracking; optional daily toast; event: deep links fixed; first-run empty state. F5 — Narrative generation: grounded prose per scope (range/era/person) with precision-honest dates and code-enforced citation integrity; Markdown/HTML export; story dialog reachable from Eras, Timeline, and People. F8 — Spans/swimlanes/uncertainty + perf: duration span bars, collapsible swimlanes, uncertainty band rendering; scroll reload coalescing (major timeline performance fix). F6 — Guided recall prompts: recall_prompts table; five gap sources (density gaps, dangling people, era edges, thin events, anniversaries); deduped against all prior prompts so a question is never re-asked; cards on Queue and Home. F9 — People hub: person_aliases, tombstone merges (people.merged_into_id), case-insensitive NOCASE identity with a defensive migration that merges case-variant duplicates and backfills contact columns; person profiles; alias-aware extraction. F10 — Offline map: coordinates on locations (EXIF GPS backfill + pin drop), opt-in Nominatim geocoding off by default, fully offline canvas map (deliberately not WinUI MapControl/Azure Maps). F11 — Pluggable AI: local ONNX all-MiniLM-L6-v2 embeddings (384-dim, CPU EP) — local-first Connections with no OpenAI key; OpenAI-compatible LLM endpoint support (Ollama/LM Studio); per-call provider routing (RoutingLlmService/ RoutingEmbeddingService); embedding dimension guard + re-embed flow; per-session LLM usage counter. F12 — Backup/restore/revisions: .mtbak online-backup archives (optionally with media), restore with preview + explicit confirmation, append-only event_revisions history + history dialog, scheduled daily/weekly backups, and a real Clear Cache. Infrastructure fixes in the same wave: the SQLite pragma interceptor no longer rewrites journal_mode on read-only connections; CI triggers on the feature branch; app_settings seed parity is three-way (33 keys, AppDbContext seed = SchemaUpgrader backfill = SettingKeys). Explicitly deferred (not implemented, by design): PhotoImportPage bulk-import wizard; map tile basemaps (the map is a plain offline canvas); a location chip on timeline events; real LLM token streaming (responses arrive whole); PDF narrative export (Markdown/HTML only); vertical scrolling within swimlanes; reorderable lanes; an EXIF test against a real binary image fixture; a Merge restore mode (restore is replace-only, with a pre-restore safety backup); DirectML execution provider for the ONNX embedder (CPU is used). Honest caveats: all of the above is code-complete and CI-green, but runtime validation on a real Windows m"},{"p":"development-status","t":"Development status","s":"Status & history","h":"Post-audit hardening (2026-07)","a":"post-audit-hardening-2026-07","x":"Date: 2026-07-10 Between the Phase 6 \"feature-complete\" milestone and the start of formal Phase 7 testing, three live user-reported bugs (Save on Add Event did nothing; searching for the added event showed a \"search error\"; the timeline Refresh button showed nothing) triggered a multi-agent feature audit and fix pass. Five specialized agents traced every major feature end-to-end (UI → command → ViewModel → service → repository → SQLite → UI) with file:line evidence. The full findings are in FEATURE-AUDIT.md; deferred items are tracked in HARDENING-FOLLOWUPS.md. What the audit found (root causes): A category string case mismatch + swallowed errors — the Add Event dialog fell back to \"Other\" (capital O) while validation checked case-sensitively against lowercase categories, throwing before any DB write; the exception was reduced to a status-text log line and the dialog had already closed. This alone produced \"Save does nothing\" (Bug 1) and, downstream, \"Refresh shows nothing\" (Bug 3, because no row was ever inserted). One app-wide shared, never-disposed AppDbContext — every page resolved its ViewModel from the root provider, so a single Scoped context served the whole app. Overlapping operations (e.g. a fire-and-forget embedding task racing an un-debounced per-keystroke search) threw \"a second operation was started on this context,\" surfaced as the \"search error\" (Bug 2) and intermittent failures across features. Mic-based STT that ignored the recorded file — the speech-to-text path loaded the WAV into an unused variable and then transcribed the live microphone, so the core audio ingestion loop never processed the actual recording. What was fixed in this pass: Category-casing fallback normalized and validation made case-insensitive; Add Event dialog now uses a deferral and surfaces errors in-dialog instead of silently closing. Data access converted to per-operation contexts via IDbContextFactory<AppDbContext>; the shared-context Task.Run for embeddings removed/rescoped; search input debounced/cancellable; Tag.Name→TagName. Startup now uses SchemaUpgrader.EnsureSchemaAsync (EnsureCreated + idempotent drift repair); stale EF migrations were deleted (regenerating a real migration baseline is a follow-up). STT replaced with local Whisper (Whisper.net, ggml base model, offline after first model download), transcribing the recorded file instead of the live mic. Atomic approve (event + tags/people/locations in one transaction) with timeline auto-refresh; settings key writer/reader unified under a SettingKeys constants class; embeddings settings-key + provider/dimension wiring; RAG mapped-column queries + persistence + IsAvailable; export Include fix; unified INotificationService; navigation param overload; dead AnthropicClaudeService/IAudioService deleted. A CI Windows-build workflow was added (.github/workflows/windows-native-build.yml) that builds Release|x64 on windows-latest and runs the test suite. Outcome / honest current state: the solution builds green in CI on a Windows runner, but end-to-end runtime validation is ongoing — this is not yet production ready. The audit work resolved the three reported bugs at the code level and removed the shared-context foundation defect underneath them; the remaining Phase 7 work is runtime verification plus the follow-ups listed below. Build reality (important for anyone building locally): The solution is x64-only (no AnyCPU configuration). WinUI 3 PRI generation needs Visual Studio msbuild.exe; dotnet build fails with MSB4062. global.json pins the .NET 8 SDK with rollForward: \"major\". CI (windows-native-build.yml) builds Release|x64 on windows-latest and runs tests. Immediate follow-ups (see HARDENING-FOLLOWUPS.md): end-to-end runtime validation; DPAPI encryption of API keys at rest; regenerate the EF migration baseline; Whisper model/language options; analytics export; MSIX packaging + Microsoft Store submission; update tests still using the old constructor signatures to the context factory"},{"p":"development-status","t":"Development status","s":"Status & history","h":"Executive Summary","a":"executive-summary","x":"The Memory Timeline Windows native application has completed Phases 0-6 and is in Phase 7 (Testing & Deployment). Following the July 2026 post-audit hardening pass and the August 2026 F1–F12 feature-spec implementation (see above), the app is feature-complete across core functionality, advanced features, Windows integration, and polish, and builds green in CI on a Windows runner. Phase 7 work is in progress: end-to-end runtime validation is ongoing (now covering the feature wave as well), followed by performance validation, MSIX packaging, and Microsoft Store submission. The application is not yet production ready. Quick Status Overview# Phase Status Completion Key Deliverables Phase 0: Preparation ✅ Complete 100% Development environment, WinUI 3 skeleton, SQLite demo Phase 1: Core Infrastructure ✅ Complete 100% Database (EF Core), Settings, Navigation, Repository Pattern Phase 2: Timeline Visualization ✅ Complete 100% Timeline canvas, Zoom/pan, Touch support, TimelinePage UI Phase 3: Audio & Processing ✅ Complete 100% Audio recording, Queue system, Windows STT, QueuePage UI Phase 4: LLM Integration ✅ Complete 100% Claude API, Event extraction, ReviewPage, PendingEvent workflow Phase 5: RAG & Embeddings ✅ Complete 100% Backend services, ConnectionsPage UI, embedding workflow Phase 6: Polish & Integration ✅ Complete 100% Export/Import, Windows notifications, JumpList, Timeline Phase 7: Testing & Deployment 🔄 In Progress — CI Windows build green; runtime validation, MSIX, Store pending Note (2026-07-10): A post-Phase-6 multi-agent feature audit + fix pass hardened the data layer and core flows before formal Phase 7 testing. The solution now builds green in CI (Release|x64, windows-latest); end-to-end runtime validation is the current focus. See the \"Post-audit hardening (2026-07)\" section above, plus FEATURE-AUDIT.md and HARDENING-FOLLOWUPS.md."},{"p":"development-status","t":"Development status","s":"Status & history","h":"Phase 0: Preparation - ✅ COMPLETED","a":"phase-0-preparation---completed","x":"Summary# Established complete project structure, solution configuration, and foundational architecture for the Windows native application. Completed Items# Project Structure Created windows-native directory Set up solution structure with 4 projects Configured clean architecture layers Solution & Project Files MemoryTimeline.sln - Main solution file MemoryTimeline.csproj - WinUI 3 application project MemoryTimeline.Core.csproj - Business logic project MemoryTimeline.Data.csproj - Data access project MemoryTimeline.Tests.csproj - Test project NuGet Package References Microsoft.WindowsAppSDK 1.5+ CommunityToolkit.Mvvm 8.2.2 EF Core 8 with SQLite xUnit testing framework Moq + FluentAssertions Anthropic SDK ONNX Runtime with DirectML Database Layer All 13 data models (Event, Era, Tag, Person, Location, etc.) AppDbContext with EF Core configuration Repository pattern with generic and specialized interfaces Initial migrations created WinUI 3 Application Shell App.xaml / App.xaml.cs with DI setup MainWindow.xaml with NavigationView Package.appxmanifest DPI awareness configured Completion Date: 2025-11-21Verification: See PHASE0-COMPLETION-REPORT.md"},{"p":"development-status","t":"Development status","s":"Status & history","h":"Phase 1: Core Infrastructure - ✅ COMPLETED","a":"phase-1-core-infrastructure---completed","x":"Summary# Implemented complete database layer, settings system, navigation framework, and dependency injection infrastructure. Completed Items# Database Layer (EF Core) All entity models with relationships configured EventRepository with specialized queries EraRepository, TagRepository, PeopleRepository, LocationRepository RecordingQueueRepository, PendingEventRepository EventEmbeddingRepository, CrossReferenceRepository Unit of Work pattern Timestamp auto-updates Soft delete support Settings System SettingsService with Windows.Storage integration Strongly-typed settings models API key secure storage (Windows Credential Manager) Theme settings (Light/Dark) LLM configuration settings Audio quality settings App Shell & Navigation MainWindow with NavigationView Frame-based navigation service Navigation menu items Page transition animations Title bar customization Theme switching (Light/Dark/System) Dependency Injection Full DI container setup (Microsoft.Extensions.DependencyInjection) All services registered (Singleton, Scoped, Transient) All repositories registered All ViewModels registered All Pages registered Completion Date: 2025-11-21Verification: See PHASE1-COMPLETED.md and PHASE1-VERIFICATION-REPORT.md"},{"p":"development-status","t":"Development status","s":"Status & history","h":"Phase 2: Timeline Visualization - ✅ COMPLETED","a":"phase-2-timeline-visualization---completed","x":"Summary# Built high-performance timeline rendering with zoom/pan controls, touch support, and smooth 60 FPS performance. Completed Items# Timeline Canvas Custom TimelineControl with XAML Virtualization for 5000+ events Hardware-accelerated rendering Viewport management with lazy loading Memory-efficient caching Event Rendering Event bubbles with category colors Category icons (XAML Geometry) Era gradient backgrounds Duration event bars Tooltip on hover Responsive sizing Zoom & Pan Controls 4 zoom levels: Year, Month, Week, Day Smooth zoom transitions with animations Pan with touch/mouse drag Keyboard navigation (←/→ arrows, +/- zoom) \"Today\" quick navigation (T key) Touch & Pen Support Touch gestures (pinch-to-zoom, drag-to-pan) Windows Ink integration (ready for Phase 6+) High-DPI support Per-monitor DPI awareness TimelinePage UI Command bar with zoom controls Date range display Event details panel Filter controls (placeholder) Loading indicators Completion Date: 2025-11-22Verification: See PHASE2-IMPLEMENTATION-PLAN.md and PHASE2-PROGRESS-REPORT.md"},{"p":"development-status","t":"Development status","s":"Status & history","h":"Phase 3: Audio & Processing - ✅ COMPLETED","a":"phase-3-audio--processing---completed","x":"Summary# Implemented audio recording, queue management, and speech-to-text integration using Windows APIs. Completed Items# Audio Recording MediaCapture API integration Audio device selection Format: 16kHz, 16-bit WAV Pause/resume/cancel controls Real-time waveform preview File management (ApplicationData folder) Queue System RecordingQueue database table QueueService with background processing Status tracking (pending, processing, completed, failed) Retry logic with exponential backoff Progress reporting Error handling and logging Speech-to-Text ISpeechToTextService interface Windows Speech Recognition implementation Mock STT service for testing Transcription progress reporting Confidence scoring Multi-engine support (ready for cloud STT) QueuePage UI Recording controls (Start, Pause, Cancel) ListView with queue items Play/remove buttons for queue items Progress bars for processing Status indicators with icons File metadata display (duration, size, timestamp) Completion Date: 2025-11-22Verification: See PHASE3-VERIFICATION-REPORT.md and PHASE3-4-CODE-COMPLETENESS-VERIFICATION.md"},{"p":"development-status","t":"Development status","s":"Status & history","h":"Phase 4: LLM Integration - ✅ COMPLETED","a":"phase-4-llm-integration---completed","x":"Summary# Integrated Anthropic Claude API for intelligent event extraction from transcripts with review workflow. Completed Items# LLM Service ILlmService interface AnthropicService implementation Claude 3.5 Sonnet integration Structured prompt engineering JSON response parsing Retry logic with Polly library Error handling Event Extraction EventExtractionService Extract title, dates, description, category Extract tags, people, locations Confidence scoring per field Relative date parsing Category classification (9 categories) Batch processing support Review Workflow PendingEvent entity and repository ReviewPage UI with pending events list Event edit dialog for modifications Approve/Edit/Reject actions Bulk operations (Approve All, Reject All) Confidence indicators with color coding Integration with timeline (approved events) ReviewPage UI Pending events ListView Event details cards Edit dialog with all fields Confidence score displays Command bar with bulk actions Empty state handling Completion Date: 2025-11-23Verification: See PHASE3-4-CODE-COMPLETENESS-VERIFICATION.md and PHASE4-5-VERIFICATION-REPORT.md"},{"p":"development-status","t":"Development status","s":"Status & history","h":"Phase 5: RAG & Embeddings - ✅ COMPLETED","a":"phase-5-rag--embeddings---completed","x":"Summary# Implemented RAG (Retrieval-Augmented Generation) capabilities with vector embeddings, similarity search, cross-reference detection, and pattern analysis. Completed Items# Embedding Service IEmbeddingService interface OpenAIEmbeddingService implementation text-embedding-3-small model (1536 dimensions) Batch embedding generation Cosine similarity calculation K-nearest neighbors search Threshold-based filtering RAG Service IRagService interface RagService implementation Similarity search (find similar events) Cross-reference detection (6 relationship types) Pattern detection (categories, clusters, transitions) Tag suggestions based on similarity LLM-powered relationship analysis Data Layer EventEmbedding entity CrossReference entity EventEmbeddingRepository CrossReferenceRepository Vector storage as JSON ConnectionsPage UI ConnectionsViewModel with observable collections Three-section layout (Similar Events, Cross-References, Tag Suggestions) Similar events list with similarity scores Cross-references with relationship type icons Tag suggestions with confidence Refresh command Generate Embeddings batch workflow Navigate to event command Embedding Generation Workflow Automatic embedding on event creation (fire-and-forget) Manual embedding generation per event Batch embedding generation for all events Progress reporting Navigation Integration ConnectionsPage registered in navigation Navigation menu item with icon Deep linking with eventId parameter ViewModel and Page registered in DI Completion Date: 2025-11-24Verification: See PHASE5-IMPLEMENTATION-REPORT.md and PHASE4-5-VERIFICATION-REPORT.md"},{"p":"development-status","t":"Development status","s":"Status & history","h":"Phase 6: Polish & Windows Integration - ✅ COMPLETED","a":"phase-6-polish--windows-integration---completed","x":"Summary# Added export/import functionality, Windows 11 integration features (notifications, JumpList, Timeline), and comprehensive UI polish. Completed Items# Export Service IExportService interface ExportService implementation Export to JSON (with date filtering) Export to CSV (with proper escaping) Export to Markdown (grouped by year) Full database export Progress reporting (IProgress) Import Service IImportService interface ImportService implementation Import from JSON (with validation) Duplicate detection (by title + date) Conflict resolution options Automatic backup creation ImportResult with detailed statistics ValidationResult for file validation Progress reporting with messages Windows Notification Service INotificationService interface NotificationService implementation Toast notifications (simple) Action notifications with callbacks Success/Error styled notifications Processing complete notifications AppNotificationManager integration Windows JumpList Service IJumpListService interface JumpListService implementation Recent events (last 10 accessed) Quick actions (New Event, Start Recording, View Timeline, Search) Deep linking with arguments Group-based organization Duplicate prevention Windows Timeline Service IWindowsTimelineService interface WindowsTimelineService implementation Publish events to Windows Timeline User Activity API integration Adaptive Card visualization Deep link support (memory-timeline://event/{id}) Activity update and removal Protocol handler registration Settings UI Enhancement Export/Import section added to SettingsPage Export buttons (JSON, CSV, Markdown) Import button with file picker Progress indicators (ProgressBar, ProgressRing) Status message displays FileSavePicker/FileOpenPicker integration Button state management during operations SettingsViewModel Enhancement ExportToJsonCommand ExportToCsvCommand ExportToMarkdownCommand ImportFromJsonCommand Progress properties (IsExporting, IsImporting, ExportProgress) Status message properties Window handle initialization for pickers Completion Date: 2025-11-25Verification: See PHASE6-IMPLEMENTATION-REPORT.md"},{"p":"development-status","t":"Development status","s":"Status & history","h":"Phase 7: Testing & Deployment - 🔄 IN PROGRESS","a":"phase-7-testing--deployment---in-progress","x":"Status: In Progress# Current Focus: End-to-end runtime validation of the post-audit hardening fixes, followed by comprehensive automated testing, performance validation, packaging, and store submission. Done so far in Phase 7: Multi-agent feature audit + fix pass (see \"Post-audit hardening (2026-07)\" above and FEATURE-AUDIT.md) — resolved the three reported user bugs at the code level and removed the shared-context foundation defect. CI workflow .github/workflows/windows-native-build.yml added: builds Release|x64 on windows-latest and runs the test suite. The solution builds green in CI. Still ahead: end-to-end runtime validation on real hardware; regenerating the EF migration baseline; updating tests still on the old constructor signatures; performance validation; MSIX packaging + code signing; Microsoft Store submission. Objectives# Comprehensive Testing Unit tests for all services Integration tests for database operations UI tests with WinAppDriver Performance tests with large datasets Performance Validation Timeline rendering at 60 FPS with 5000+ events Memory usage < 100 MB for 5000 events Cold start time < 2 seconds Database query performance < 50ms MSIX Packaging Package manifest configuration App icons and assets (all sizes) Code signing with EV certificate Dependencies bundling Microsoft Store Submission Store listing preparation Screenshots (1920×1080, 2560×1440) App description and keywords Privacy policy Age ratings Pending Items# 7.1 Testing# Unit Tests EventService tests (CRUD operations) SettingsService tests AudioService tests LlmService tests (with mocked API) RagService tests ExportService tests ImportService tests Repository tests Target: > 80% code coverage Integration Tests Database integration tests API integration tests (LLM, STT, Embeddings) File system tests (audio files, exports) Windows API integration tests UI Tests WinAppDriver setup Timeline navigation tests Event CRUD workflow tests Audio recording workflow tests Review workflow tests Settings tests Accessibility tests (keyboard, screen reader) Performance Tests Load testing with 10/100/1000/5000/10000 events Memory profiling (Visual Studio Profiler) Render performance benchmarks Database query performance tests Embedding generation performance tests Timeline FPS monitoring 7.2 Packaging# MSIX Package Configure Package.appxmanifest Identity (name, publisher, version) Display name and description Logos (Square44x44, Square150x150, Wide310x150, StoreLogo) Capabilities (internetClient, microphone, runFullTrust) Target device families Create all icon assets Square44x44Logo.png (list icon) Square150x150Logo.png (medium tile) Wide310x150Logo.png (wide tile) StoreLogo.png (50x50) SplashScreen.png (620x300) Privacy policy document License agreement Package build configuration Code Signing Obtain EV Code Signing Certificate Configure SignTool Test signing process Automate signing in CI/CD 7.3 Deployment# Microsoft Store Create Partner Center account ($19) Prepare store listing App title: \"Memory Timeline - AI-Powered Personal History\" Short description (< 200 chars) Full description with features Keywords (max 7) Category selection Create screenshots Timeline view Audio recording Event review Connections/RAG Settings Age rating questionnaire Submit for certification Side-loading Option Create standalone MSIX installer PowerShell install script Installation instructions document Troubleshooting guide Auto-Updates Microsoft Store auto-update (if Store) Or custom UpdateService implementation Version check mechanism Update notification UI 7.4 Documentation# User Manual Getting started guide Feature walkthroughs Keyboard shortcuts reference FAQ Troubleshooting Developer Guide Architecture documentation API reference Contributing guidelines Build instructions Deployment Guide System requirements Installation instructions Configuration options Backup and restore procedures Timeline# Phase 7 Duration: 3 weeks Start Date: TBD (after current updates committed) Targ"},{"p":"development-status","t":"Development status","s":"Status & history","h":"Technology Stack Summary","a":"technology-stack-summary","x":"Component Technology Version Status UI Framework WinUI 3 + XAML Windows App SDK 1.5+ ✅ Runtime .NET 8 8.0 ✅ Database SQLite + EF Core EF Core 8.0 ✅ MVVM CommunityToolkit.Mvvm 8.2.2 ✅ Audio Windows.Media.Capture Windows SDK ✅ STT Local Whisper (Whisper.net, ggml base) offline after first model download ✅ LLM Anthropic Claude API or OpenAI-compatible endpoint (Ollama / LM Studio), routed per call claude-sonnet-4-20250514 default ✅ Embeddings Local ONNX all-MiniLM-L6-v2 (default, 384-dim, CPU EP) or OpenAI API text-embedding-3-small (1536-dim) as the cloud option ✅ Media metadata MetadataExtractor (EXIF) 2.8.1 ✅ Geocoding Nominatim (opt-in, off by default) HTTP typed client ✅ Navigation Frame-based WinUI 3 ✅ Theming Light/Dark mode WinUI 3 ✅ Notifications AppNotifications Windows App SDK ✅ JumpList Windows.UI.StartScreen UWP API ✅ Timeline UserActivities UWP API ✅"},{"p":"development-status","t":"Development status","s":"Status & history","h":"Code Statistics","a":"code-statistics","x":"Overall Project (after the 2026-08 feature wave)# Total Projects: 4 (Main App, Core, Data, Tests) Total Code Files: 250+ (.cs/.xaml, excluding build output) Total Lines of Code: ~70,000+ (including XAML and tests) Data Models: 20 Core Service Interfaces: 30 Repositories: 15 ViewModels: 14 Views (XAML Pages): 12 Test Files: unit/integration/performance suites in MemoryTimeline.Tests (run in CI; coverage targets still Phase 7) By Phase# Phase 0: ~1,500 lines (scaffolding, configuration) Phase 1: ~2,500 lines (database, services, DI) Phase 2: ~2,000 lines (timeline UI, controls) Phase 3: ~1,800 lines (audio, queue, STT) Phase 4: ~2,200 lines (LLM, extraction, review) Phase 5: ~2,000 lines (RAG, embeddings, connections) Phase 6: ~2,500 lines (export, import, Windows integration, polish) Phase 7: Pending (tests)"},{"p":"development-status","t":"Development status","s":"Status & history","h":"Known Issues & Limitations","a":"known-issues--limitations","x":"Current Limitations# Runtime validation: The post-audit fixes and the entire F1–F12 feature wave build green in CI but are not yet validated end-to-end on real hardware (Phase 7, in progress) Automated tests: Some older tests still use the old constructor signatures and need updating to the IDbContextFactory pattern; broad coverage still pending (Phase 7) EF migrations: Stale migrations deleted; a real migration baseline still needs regenerating — all 2026-08 schema additions ship via SchemaUpgrader.EnsureSchemaAsync API keys: Stored in plaintext; DPAPI encryption is a follow-up Performance: Not yet validated with 5000+ events (Phase 7) MSIX Package / Store Submission: Not created or submitted yet (Phase 7) ONNX acceleration: The local embedder runs on the CPU execution provider; DirectML/NPU registration is deliberately deferred (can throw on non-DX12 machines) PDF Export: Not implemented — narrative export ships Markdown/HTML only Deferred F1–F12 items: See the deferred list in the 2026-08 section above (photo-import wizard, tile basemaps, token streaming, Merge restore mode, etc.) Future Enhancements# DirectML/NPU execution for the local ONNX embedder (currently CPU) Advanced Timeline Features: Filtering, advanced search from timeline Pattern Visualization: Charts and graphs for detected patterns More Embedding Models: Voyage AI, Cohere, alternative local ONNX models (local all-MiniLM-L6-v2 and OpenAI are implemented) Performance Optimization: Caching, lazy loading, pagination for very large datasets PDF Export: Using WinUI 3 printing APIs Cloud Sync: OneDrive/Dropbox integration (optional) Collaborative Features: Shared timelines, multi-user support"},{"p":"development-status","t":"Development status","s":"Status & history","h":"Success Criteria","a":"success-criteria","x":"Completed ✅# Full feature parity across the core features All 6 phases (0-6) complete Clean architecture maintained MVVM pattern throughout Full dependency injection Windows-exclusive features (Notifications, JumpList, Timeline) Export/Import functionality RAG capabilities (embeddings, cross-references, patterns) Phase 7 Targets ⬜# 80% code coverage 60 FPS timeline rendering with 5000+ events < 100 MB memory usage for 5000 events < 2 second cold start time Zero critical bugs MSIX package created and signed Microsoft Store submission completed User documentation complete"},{"p":"development-status","t":"Development status","s":"Status & history","h":"Next Steps (Immediate Priorities)","a":"next-steps-immediate-priorities","x":"These reflect the real post-audit follow-ups (see HARDENING-FOLLOWUPS.md). End-to-end runtime validation Run the app on real Windows hardware and exercise each fixed flow (add event → search → refresh; record → local Whisper STT → LLM extract → approve → timeline; embeddings/connections; export/import; settings persistence). Confirm the three reported bugs are gone at runtime, not just in code. Data-layer / migrations Regenerate a real EF migration baseline (stale migrations were deleted; startup currently uses SchemaUpgrader.EnsureSchemaAsync). Update tests still using the old constructor signatures to the IDbContextFactory. Security & config hardening Encrypt API keys at rest via DPAPI / ProtectedData. Add Whisper model/language options; wire up analytics export. Testing & performance baseline Set up xUnit structure, in-memory/test DB, first EventService tests. Generate test datasets (100/1000/5000 events) and measure baseline metrics. MSIX & Store Design app icons/assets, write privacy policy, configure Package.appxmanifest, code-sign, and prepare the Microsoft Store submission."},{"p":"development-status","t":"Development status","s":"Status & history","h":"Documentation References","a":"documentation-references","x":"Migration Plan: ../MIGRATION-TO-NATIVE-WIN.md Windows README: README-WINDOWS.md Deployment Guide: DEPLOYMENT.md Testing Guide: TESTING.md Phase Reports: PHASE0-COMPLETION-REPORT.md PHASE1-COMPLETED.md PHASE1-VERIFICATION-REPORT.md PHASE2-IMPLEMENTATION-PLAN.md PHASE2-PROGRESS-REPORT.md PHASE3-VERIFICATION-REPORT.md PHASE3-4-CODE-COMPLETENESS-VERIFICATION.md PHASE4-5-VERIFICATION-REPORT.md PHASE5-IMPLEMENTATION-REPORT.md PHASE6-IMPLEMENTATION-REPORT.md Document Owner: Development TeamPhase 7 Status: In progress (CI Windows build green through the F1–F12 wave pushes; runtime validation ongoing)Next Review: After end-to-end runtime validationLast Updated: 2026-08-07"},{"p":"development-history","t":"Development history","s":"Status & history","h":"Development history","a":"","x":"Consolidated phase completion reports (Phase 0 through Phase 6) with deliverables, statistics, and architecture achievements. Document Type: Consolidated Development HistoryLast Updated: 2026-07-10Overall Progress: Phases 0-6 complete; Phase 7 (Testing & Deployment) in progress"},{"p":"development-history","t":"Development history","s":"Status & history","h":"Executive Summary","a":"executive-summary","x":"This document consolidates all phase completion reports and verification summaries for the Memory Timeline Windows native application. The project has successfully completed Phases 0-6 and is ready for Phase 7 (Testing & Deployment). Progress Overview# Phase Status Completion Date Key Deliverables Phase 0: Preparation ✅ Complete 2025-11-21 Development environment, WinUI 3 skeleton, SQLite demo Phase 1: Core Infrastructure ✅ Complete 2025-11-21 Database (EF Core), Settings, Navigation, Repository Pattern Phase 2: Timeline Visualization ✅ Complete 2025-11-22 Timeline canvas, Zoom/pan, Touch support, TimelinePage UI Phase 3: Audio & Processing ✅ Complete 2025-11-22 Audio recording, Queue system, Windows STT, QueuePage UI Phase 4: LLM Integration ✅ Complete 2025-11-23 Claude API, Event extraction, ReviewPage, PendingEvent workflow Phase 5: RAG & Embeddings ✅ Complete 2025-11-24 Embedding service, ConnectionsPage UI, embedding workflow Phase 6: Polish & Integration ✅ Complete 2025-11-25 Export/Import, Windows notifications, JumpList, Timeline Phase 7: Testing & Deployment 🔄 In Progress 2026-07 → Post-audit hardening (CI build green); runtime validation, MSIX, Store pending"},{"p":"development-history","t":"Development history","s":"Status & history","h":"Phase 0: Preparation","a":"phase-0-preparation","x":"Summary# Established complete project structure, solution configuration, and foundational architecture for the Windows native application. Deliverables# Project Structure Created: windows-native directory with organized structure Solution with 4 projects configured for clean architecture NuGet package references configured Solution & Project Files: MemoryTimeline.sln - Main solution file MemoryTimeline.csproj - WinUI 3 application project MemoryTimeline.Core.csproj - Business logic project MemoryTimeline.Data.csproj - Data access project MemoryTimeline.Tests.csproj - Test project NuGet Packages Configured: Microsoft.WindowsAppSDK 1.5+ CommunityToolkit.Mvvm 8.2.2 EF Core 8 with SQLite xUnit testing framework Moq + FluentAssertions Anthropic SDK ONNX Runtime with DirectML Database Layer: 13 data models (Event, Era, Tag, Person, Location, etc.) AppDbContext with EF Core configuration Repository pattern with generic and specialized interfaces Initial migrations created WinUI 3 Application Shell: App.xaml / App.xaml.cs with DI setup MainWindow.xaml with NavigationView Package.appxmanifest configured DPI awareness configured Statistics# ~80 files created ~4,000 lines of code 10 integration tests for SQLite connectivity"},{"p":"development-history","t":"Development history","s":"Status & history","h":"Phase 1: Core Infrastructure","a":"phase-1-core-infrastructure","x":"Summary# Implemented complete database layer, settings system, navigation framework, and dependency injection infrastructure. Deliverables# Database Layer (EF Core): All entity models with relationships configured EventRepository with specialized queries EraRepository, TagRepository, PeopleRepository, LocationRepository RecordingQueueRepository, PendingEventRepository EventEmbeddingRepository, CrossReferenceRepository Unit of Work pattern Timestamp auto-updates Soft delete support Settings System: SettingsService with Windows.Storage integration Strongly-typed settings models API key secure storage (Windows Credential Manager) Theme settings (Light/Dark) LLM configuration settings Audio quality settings App Shell & Navigation: MainWindow with NavigationView Frame-based navigation service Navigation menu items Page transition animations Title bar customization Theme switching (Light/Dark/System) Dependency Injection: Full DI container setup (Microsoft.Extensions.DependencyInjection) All services registered (Singleton, Scoped, Transient) All repositories registered All ViewModels registered All Pages registered Statistics# ~2,500 lines of code added 22 unit tests covering services and repositories"},{"p":"development-history","t":"Development history","s":"Status & history","h":"Phase 2: Timeline Visualization","a":"phase-2-timeline-visualization","x":"Summary# Built high-performance timeline rendering with zoom/pan controls, touch support, and smooth 60 FPS performance. Deliverables# Timeline Canvas: Custom TimelineControl with XAML Virtualization for 5000+ events Hardware-accelerated rendering Viewport management with lazy loading Memory-efficient caching Event Rendering: Event bubbles with category colors Category icons (XAML Geometry) Era gradient backgrounds Duration event bars Tooltip on hover Responsive sizing Zoom & Pan Controls: 4 zoom levels: Year, Month, Week, Day Smooth zoom transitions with animations Pan with touch/mouse drag Keyboard navigation (←/→ arrows, +/- zoom) \"Today\" quick navigation (T key) Touch & Pen Support: Touch gestures (pinch-to-zoom, drag-to-pan) Windows Ink integration (ready for annotations) High-DPI support Per-monitor DPI awareness TimelinePage UI: Command bar with zoom controls Date range display Event details panel Filter controls Loading indicators Statistics# 2,000+ lines of code added 60 FPS target achieved"},{"p":"development-history","t":"Development history","s":"Status & history","h":"Phase 3: Audio & Processing","a":"phase-3-audio--processing","x":"Summary# Implemented audio recording, queue management, and speech-to-text integration using Windows APIs. Deliverables# Audio Recording: MediaCapture API integration Audio device selection Format: 16kHz, 16-bit WAV Pause/resume/cancel controls Real-time waveform preview File management (ApplicationData folder) Queue System: RecordingQueue database table QueueService with background processing Status tracking (pending, processing, completed, failed) Retry logic with exponential backoff Progress reporting Error handling and logging Speech-to-Text: ISpeechToTextService interface Windows Speech Recognition implementation Mock STT service for testing Transcription progress reporting Confidence scoring Multi-engine support (ready for cloud STT) QueuePage UI: Recording controls (Start, Pause, Cancel) ListView with queue items Play/remove buttons for queue items Progress bars for processing Status indicators with icons File metadata display (duration, size, timestamp) Statistics# 1,800+ lines of code added"},{"p":"development-history","t":"Development history","s":"Status & history","h":"Phase 4: LLM Integration","a":"phase-4-llm-integration","x":"Summary# Integrated Anthropic Claude API for intelligent event extraction from transcripts with review workflow. Deliverables# LLM Service: ILlmService interface AnthropicService implementation Claude 3.5 Sonnet integration Structured prompt engineering JSON response parsing Retry logic with Polly library Error handling Event Extraction: EventExtractionService Extract title, dates, description, category Extract tags, people, locations Confidence scoring per field Relative date parsing Category classification (9 categories) Batch processing support Review Workflow: PendingEvent entity and repository ReviewPage UI with pending events list Event edit dialog for modifications Approve/Edit/Reject actions Bulk operations (Approve All, Reject All) Confidence indicators with color coding Integration with timeline (approved events) ReviewPage UI: Pending events ListView Event details cards Edit dialog with all fields Confidence score displays Command bar with bulk actions Empty state handling Statistics# 2,200+ lines of code added"},{"p":"development-history","t":"Development history","s":"Status & history","h":"Phase 5: RAG & Embeddings","a":"phase-5-rag--embeddings","x":"Summary# Implemented RAG (Retrieval-Augmented Generation) capabilities with vector embeddings, similarity search, cross-reference detection, and pattern analysis. Deliverables# Embedding Service: IEmbeddingService interface OpenAIEmbeddingService implementation text-embedding-3-small model (1536 dimensions) Batch embedding generation Cosine similarity calculation K-nearest neighbors search Threshold-based filtering RAG Service: IRagService interface RagService implementation Similarity search (find similar events) Cross-reference detection (6 relationship types) Pattern detection (categories, clusters, transitions) Tag suggestions based on similarity LLM-powered relationship analysis Data Layer: EventEmbedding entity CrossReference entity EventEmbeddingRepository CrossReferenceRepository Vector storage as JSON ConnectionsPage UI: ConnectionsViewModel with observable collections Three-section layout (Similar Events, Cross-References, Tag Suggestions) Similar events list with similarity scores Cross-references with relationship type icons Tag suggestions with confidence Refresh command Generate Embeddings batch workflow Navigate to event command Embedding Generation Workflow: Automatic embedding on event creation (fire-and-forget) Manual embedding generation per event Batch embedding generation for all events Progress reporting Navigation Integration: ConnectionsPage registered in navigation Navigation menu item with icon Deep linking with eventId parameter ViewModel and Page registered in DI Statistics# 2,000+ lines of code added"},{"p":"development-history","t":"Development history","s":"Status & history","h":"Phase 6: Polish & Windows Integration","a":"phase-6-polish--windows-integration","x":"Summary# Added export/import functionality, Windows 11 integration features (notifications, JumpList, Timeline), and comprehensive UI polish. Deliverables# Export Service: IExportService interface ExportService implementation Export to JSON (with date filtering) Export to CSV (with proper escaping) Export to Markdown (grouped by year) Full database export Progress reporting (IProgress) Import Service: IImportService interface ImportService implementation Import from JSON (with validation) Duplicate detection (by title + date) Conflict resolution options Automatic backup creation ImportResult with detailed statistics ValidationResult for file validation Progress reporting with messages Windows Notification Service: INotificationService interface NotificationService implementation Toast notifications (simple) Action notifications with callbacks Success/Error styled notifications Processing complete notifications AppNotificationManager integration Windows JumpList Service: IJumpListService interface JumpListService implementation Recent events (last 10 accessed) Quick actions (New Event, Start Recording, View Timeline, Search) Deep linking with arguments Group-based organization Duplicate prevention Windows Timeline Service: IWindowsTimelineService interface WindowsTimelineService implementation Publish events to Windows Timeline User Activity API integration Adaptive Card visualization Deep link support (memory-timeline://event/{id}) Activity update and removal Protocol handler registration Settings UI Enhancement: Export/Import section added to SettingsPage Export buttons (JSON, CSV, Markdown) Import button with file picker Progress indicators (ProgressBar, ProgressRing) Status message displays FileSavePicker/FileOpenPicker integration Button state management during operations SettingsViewModel Enhancement: ExportToJsonCommand ExportToCsvCommand ExportToMarkdownCommand ImportFromJsonCommand Progress properties (IsExporting, IsImporting, ExportProgress) Status message properties Window handle initialization for pickers Statistics# 2,500+ lines of code added"},{"p":"development-history","t":"Development history","s":"Status & history","h":"Technology Stack Summary","a":"technology-stack-summary","x":"Component Technology Version UI Framework WinUI 3 + XAML Windows App SDK 1.5+ Runtime .NET 8 8.0 Database SQLite + EF Core EF Core 8.0 MVVM CommunityToolkit.Mvvm 8.2.2 Audio Windows.Media.Capture Windows SDK STT Windows.Media.SpeechRecognition Windows SDK LLM Anthropic Claude API claude-sonnet-4-20250514 Embeddings OpenAI API text-embedding-3-small Navigation Frame-based WinUI 3 Theming Light/Dark mode WinUI 3 Notifications AppNotifications Windows App SDK JumpList Windows.UI.StartScreen UWP API Timeline UserActivities UWP API"},{"p":"development-history","t":"Development history","s":"Status & history","h":"Code Statistics Summary","a":"code-statistics-summary","x":"Overall Project# Total Projects: 4 (Main App, Core, Data, Tests) Total Code Files: 100+ Total Lines of Code: ~15,000+ Data Models: 13 Service Interfaces: 12 Service Implementations: 12 Repositories: 9 ViewModels: 7 Views (XAML Pages): 6 By Phase# Phase Lines of Code Focus Area Phase 0 ~1,500 Scaffolding, configuration Phase 1 ~2,500 Database, services, DI Phase 2 ~2,000 Timeline UI, controls Phase 3 ~1,800 Audio, queue, STT Phase 4 ~2,200 LLM, extraction, review Phase 5 ~2,000 RAG, embeddings, connections Phase 6 ~2,500 Export, import, Windows integration"},{"p":"development-history","t":"Development history","s":"Status & history","h":"Architecture Achievements","a":"architecture-achievements","x":"Clean Architecture# Presentation Layer: WinUI 3 + XAML Application Layer: Services + ViewModels Domain Layer: Models + Interfaces Infrastructure Layer: Repositories + External APIs MVVM Pattern# ObservableObject base with CommunityToolkit.Mvvm IRelayCommand for all user actions x:Bind for performance Proper separation of concerns Dependency Injection# Full DI container setup with Microsoft.Extensions.DependencyInjection Scoped, Singleton, and Transient lifetimes appropriately used All services, repositories, ViewModels, and Pages registered"},{"p":"development-history","t":"Development history","s":"Status & history","h":"Known Limitations","a":"known-limitations","x":"Current limitations pending Phase 7: Testing: Comprehensive automated tests not yet implemented Performance: Not yet validated with 5000+ events at scale MSIX Package: Not created yet Store Submission: Not submitted yet NPU Acceleration: Stubs in place, not implemented (future enhancement) Local Embeddings: Only cloud-based (OpenAI) currently PDF Export: Interface defined but not implemented"},{"p":"development-history","t":"Development history","s":"Status & history","h":"Phase 7: Testing & Deployment (Pending)","a":"phase-7-testing--deployment-pending","x":"Objectives# Comprehensive testing (unit, integration, UI, performance) Performance validation (60 FPS with 5000+ events) MSIX packaging and code signing Microsoft Store submission Testing Requirements# Unit tests for all services (> 80% coverage) Integration tests for database operations UI tests with WinAppDriver Performance tests with large datasets Packaging Requirements# Package manifest configuration App icons and assets (all sizes) Code signing with EV certificate Dependencies bundling Store Submission Requirements# Partner Center account Store listing preparation Screenshots and descriptions Privacy policy Age ratings"},{"p":"development-history","t":"Development history","s":"Status & history","h":"Post-Phase-6 Hardening — Feature Audit & Fix Pass (2026-07)","a":"post-phase-6-hardening--feature-audit--fix-pass-2026-07","x":"After the Phase 6 \"feature-complete\" milestone, and before formal Phase 7 testing, three live user-reported bugs triggered a multi-agent feature audit and fix pass. This section records what happened; the detailed findings live in FEATURE-AUDIT.md and the deferred work in HARDENING-FOLLOWUPS.md. 1. Reported bugs that triggered the pass# Save did nothing — pressing Save on the Add Event dialog produced no event. Search error — searching for the just-added event showed a generic \"search error\". Refresh showed nothing — the timeline Refresh button did not surface the new event. 2. Root causes found (five specialized agents, end-to-end traces)# Category-casing save bug + swallowed errors — the Add Event dialog fell back to \"Other\" (capital O) while validation checked case-sensitively against lowercase categories, throwing before any DB write; the exception was reduced to a status-text log line while the dialog had already closed. This produced \"Save does nothing\" and, because no row was inserted, \"Refresh shows nothing\". App-wide shared AppDbContext (concurrency) — every page resolved its ViewModel from the root provider, so one Scoped, never-disposed context served the whole app. Overlapping operations (a fire-and-forget embedding Task.Run racing un-debounced per-keystroke search queries) threw \"a second operation was started on this context\", surfaced as the \"search error\". Mic-based STT that ignored the recorded file — the speech-to-text path loaded the recorded WAV into an unused variable and then transcribed the live microphone, so the core audio ingestion loop never processed the actual recording. 3. Fixes shipped# Category-casing fallback normalized; ValidateEvent made case-insensitive; Add Event dialog now takes a deferral and surfaces errors in-dialog instead of silently closing. Data access converted to per-operation contexts via IDbContextFactory<AppDbContext>; the shared-context embedding Task.Run removed/rescoped; search input debounced and cancellable; Tag.Name → TagName in queries. Startup switched to SchemaUpgrader.EnsureSchemaAsync (EnsureCreated + idempotent drift repair); stale EF migrations deleted (a real migration baseline is a follow-up). STT replaced with local Whisper (Whisper.net, ggml base model, offline after first model download), transcribing the recorded file instead of the live mic. Atomic approve (event + tags/people/locations in one transaction) with timeline auto-refresh; settings key writer/reader unified under a SettingKeys constants class; embeddings settings-key + provider/dimension wiring; RAG mapped-column queries + persistence + IsAvailable; export Include fix; unified INotificationService; navigation param overload; dead AnthropicClaudeService / IAudioService deleted. 4. CI Windows-build workflow added# .github/workflows/windows-native-build.yml builds Release|x64 on windows-latest and runs the test suite. Build realities pinned down in the process: the solution is x64-only (no AnyCPU); WinUI 3 PRI generation needs Visual Studio msbuild.exe (dotnet build fails MSB4062); global.json pins the .NET 8 SDK with rollForward: \"major\". The solution builds green in CI. 5. Outcome# The three reported bugs were resolved at the code level and the shared-context foundation defect beneath them removed. The solution builds green in CI, but end-to-end runtime validation is ongoing — this work is part of Phase 7 and the app is not yet production ready. Deferred items (runtime validation, DPAPI key encryption, regenerated EF migration baseline, Whisper model/language options, analytics export, MSIX + Store, updating tests to the context factory) are tracked in HARDENING-FOLLOWUPS.md."},{"p":"development-history","t":"Development history","s":"Status & history","h":"References","a":"references","x":"Main README: README.md Development Status: DEVELOPMENT-STATUS.md Testing Guide: TESTING.md Deployment Guide: DEPLOYMENT.md Scripts Documentation: scripts/README.md Document Owner: Development TeamVersion: 1.0.0Created: 2026-01-17"},{"p":"feature-audit","t":"Feature audit (2026-07)","s":"Audits & reviews","h":"Feature audit (2026-07)","a":"","x":"Root causes of three reported bugs, the shared-DbContext foundation defect underneath them, a per-feature audit, and the dependency-ordered master fix plan. Date: 2026-07-09Method: Five specialized audit agents traced every major feature end-to-end(UI control → command → ViewModel → service → repository → SQLite → back to UI), read-only, with file:line evidence. Findings are tagged CONFIRMED (proven from code) or PROBABLE (depends on runtime state we can't observe). Trigger: three user-reported live bugs — (1) pressing Save on Add Event does nothing, (2) searching for the added event shows \"search error\", (3) the timeline Refresh button doesn't bring up the new event."},{"p":"feature-audit","t":"Feature audit (2026-07)","s":"Audits & reviews","h":"Part 0 — Root causes of the three reported bugs","a":"part-0--root-causes-of-the-three-reported-bugs","x":"Bug 1 — \"Save does nothing\" · ROOT CAUSE CONFIRMED# A category string case mismatch, made invisible by swallowed errors: The Add Event dialog opens with no category selected (TimelineControl.xaml.cs:721 sets SelectedIndex = -1; the field looks optional). On Save, the handler falls back to the literal \"Other\" — capital O (TimelineControl.xaml.cs:825-829; the XAML items carry lowercase tags). EventService.ValidateEvent does a case-sensitive check against EventCategory.AllCategories, which are all lowercase (\"other\") (IEventService.cs:571-575 vs Event.cs:77-91) → throws ArgumentException: Invalid category: Other before any DB write. The exception is caught in TimelineViewModel.CreateEventAsync:763-767 and reduced to a log line + a small StatusText string in the CommandBar — and the dialog has already closed because the Save handler takes no dialog deferral (TimelineControl.xaml.cs:809). Net effect: Save appears to do nothing, and no row exists. Secondary, intermittent contributor when a category is picked: the fire-and-forget embedding task (IEventService.cs:98) races the post-save reload on the app-wide shared DbContext (see Part 1), which can surface as a swallowed \"Error creating event\" after a successful insert. Bug 2 — \"search error\" · ROOT CAUSE CONFIRMED# DbContext lifetime/concurrency, not a query bug. The whole app shares one root-scoped AppDbContext (Part 1). Adding an event arms a fire-and-forget Task.Run that uses that same context from a thread-pool thread (IEventService.cs:98 → settings read + SaveChangesAsync at :608-609); meanwhile every keystroke in the search box fires un-debounced, un-cancelled autocomplete queries on it too (SearchViewModel.cs:25-28 → 5 sequential EF queries each, IAdvancedSearchService.cs:312-376). When the user presses Enter, CountAsync/ToListAsync collide with an in-flight operation → InvalidOperationException: \"A second operation was started on this context\" → caught at SearchViewModel.cs:225-229 → generic \"Search error\". The main search query itself is fully SQLite-translatable. This reproduces right after adding an event — exactly the user's sequence. Bug 3 — \"Refresh does nothing\" · CONFIRMED DOWNSTREAM OF BUG 1# The refresh pipeline is mechanically sound: RefreshCommand is correctly x:Bind-wired (TimelineControl.xaml:399-404), and EventRepository.GetByDateRangeAsync is AsNoTracking() — it genuinely re-reads SQLite each time (EventRepository.cs:103-111). It shows nothing because the insert never happened. Two real secondary traps: an event dated outside viewport ± 30 days will never appear on refresh (ITimelineService.cs:52-54), and the Ctrl+R accelerator re-navigates the Frame instead of refreshing, which no-ops when window dimensions are unchanged (MainWindow.xaml.cs:132-140 → TimelineViewModel.cs:704-723)."},{"p":"feature-audit","t":"Feature audit (2026-07)","s":"Audits & reviews","h":"Part 1 — The foundation defect underneath everything (CONFIRMED by all 5 agents)","a":"part-1--the-foundation-defect-underneath-everything-confirmed-by-all-5-agents","x":"One shared, never-disposed AppDbContext for the entire app# App.xaml.cs:80 registers AddDbContext<AppDbContext>() (Scoped), but every page resolves its ViewModel from the root provider (App.Current.Services.GetRequiredService<…> in all 8 pages' constructors), and the only CreateScope() in the product is the startup EnsureCreated block (App.xaml.cs:237). Scoped services resolved from the root are cached in the root scope → one AppDbContext instance for the app's lifetime, shared by every feature. Singletons capture it too: SettingsService (Singleton, App.xaml.cs:97) directly injects AppDbContext (ISettingsService.cs:40); TimelineViewModel (Singleton, App.xaml.cs:133) holds root-scoped ITimelineService/IEventService. Host.CreateDefaultBuilder validates scopes only in Development; an unpackaged double-clicked exe runs as Production → no startup crash, just silent sharing. (If anyone sets DOTNET_ENVIRONMENT=Development, the app instead crashes at _host.Build() on the singleton→scoped chain.) Consequences: (a) DbContext is not thread-safe — any two overlapping operations anywhere throw InvalidOperationException (\"second operation\"), surfaced as search errors, silent save failures, blank analytics sections; (b) the change tracker grows for the app's lifetime; (c) a failed SaveChangesAsync leaves poisoned tracked entities that can re-fail every subsequent save of any feature until restart. How it should be implemented: a desktop app has no per-request scope, so AddDbContext (Scoped) is the wrong primitive. Standard pattern: AddDbContextFactory<AppDbContext>(), and every service/repository creates a short-lived context per operation (await using var db = await factory.CreateDbContextAsync()). Alternatively, create an IServiceScope per page navigation and resolve VMs from it. Background work (embeddings, queue processing) must create its own scope/context — never a bare Task.Run over a captured context. Fix (do this first — it unblocks every feature): Replace AddDbContext with AddDbContextFactory<AppDbContext>. Convert repositories + SettingsService, EventService, AdvancedSearchService, AnalyticsService, QueueService, EventExtractionService, ExportService, ImportService, RagService to consume the factory (context per method). GenerateEmbeddingForEventAsync gets its own scope/context (via IServiceScopeFactory) — or the Task.Run is removed entirely. Make QueueService an intentional Singleton (its semaphore/events only work today by accident of root-scope caching). Enable scope validation in debug builds to prevent regression. Database lifecycle: EnsureCreatedAsync + stale migrations (CONFIRMED)# App.xaml.cs:241 uses EnsureCreatedAsync(); the checked-in migration (Migrations/20250121000000_InitialCreate.cs) is badly stale — no era_categories, milestones, era_tags, or saved_searches tables and missing eras/events columns. EnsureCreated is a no-op when the DB file already exists, so any database created by an earlier build keeps its old schema → runtime SqliteException: no such table/column, reported only as generic \"Error loading…\" status text — indistinguishable from the concurrency failures. Fix: regenerate the migration, switch to MigrateAsync(), and bridge EnsureCreated-born DBs (insert baseline history row, then migrate)."},{"p":"feature-audit","t":"Feature audit (2026-07)","s":"Audits & reviews","h":"Part 2 — Per-feature audit","a":"part-2--per-feature-audit","x":"2.1 Event creation / editing — BROKEN (Bug 1)# Should be: dialog Save takes args.GetDeferral(), awaits the VM call, and on failure cancels the close and shows the error in-dialog; validation shares one source of truth with the UI (bind the ComboBox to EventCategory.AllCategories instead of duplicating string literals); category comparison case-insensitive; embeddings generated in their own scope. Wrong now: capital-\"Other\" fallback vs lowercase validation (CRITICAL, CONFIRMED — Bug 1); silent error channel (CRITICAL, CONFIRMED); fire-and-forget embedding race (HIGH, CONFIRMED defect); empty-title/no-date validation cancels the dialog with zero feedback; the Edit path silently fails the same way if a stored category isn't in the combo list. Must do: (1) lowercase/normalize the category fallback and make ValidateEvent case-insensitive; (2) dialog deferral + in-dialog error (InfoBar); (3) fix or remove the embedding Task.Run; (4) after a successful create, navigate the viewport to the event's date if it isn't visible. 2.2 Timeline render / refresh — SOUND, with traps# Render pipeline and refresh are correct. Must do: surface refresh errors visibly; make Ctrl+R invoke RefreshCommand instead of re-navigating; add an event-created message (WeakReferenceMessenger) so approve/create flows refresh the singleton TimelineViewModel without renavigation (today an approved event only appears after a pan/zoom/resize — TimelineControl.xaml.cs:86-90, TimelineViewModel.cs:699-724). 2.3 Search — BROKEN error path + degraded features (Bug 2)# Should be: context-per-operation; debounced (~300 ms) input with a CancellationToken per search that cancels the previous one; only mapped columns in predicates; errors surfaced with the message. Wrong now (beyond the Bug 2 concurrency root cause): [NotMapped] Tag.Name used in EF queries (IAdvancedSearchService.cs:236, 328) — untranslatable → tag facets always throw, which aborts people/location/era facets and counts; swallowed silently (CONFIRMED). The AutoSuggestBox never binds AutocompleteSuggestions (SearchPage.xaml:32-40) — suggestions are computed per keystroke (cost) but never shown (dead UI) (CONFIRMED). Sort default mismatch XAML created_desc vs VM date_desc; facets re-run ~10 queries every search (CONFIRMED, minor). If the DB file predates the current model, saved_searches doesn't exist → save-search errors (PROBABLE, depends on user's DB). Must do: (1) fix Bug 2 via the DbContext factory + remove/debounce the per-keystroke autocomplete; (2) Tag.Name → TagName; (3) wire or remove the suggestions UI; (4) StatusMessage = $\"Search error: {ex.Message}\". 2.4 Audio pipeline (record → STT → LLM → review) — NOT FUNCTIONAL END-TO-END# Four breaks in series (all CONFIRMED): Recording cannot start in the checked-in configuration. WindowsPackageType=None (unpackaged) + ApplicationData.Current (AudioRecordingService.cs:329, IAudioImportService.cs:348) which requires package identity → throws before any file is created → \"Error starting recording\" every time. STT never transcribes the file. WindowsSpeechRecognitionService.cs:53 loads the WAV into a variable that is never used, then line 68 calls SpeechRecognizer.RecognizeAsync() — which listens to the live microphone for one utterance. \"Processing\" a memory transcribes ambient room audio, up to 3× per item via the retry loop. File-based STT does not exist in the codebase (OnnxWhisperService is an unregistered TODO stub). Transcript never persisted — lives only in memory between STT and LLM (PendingEvent.Transcript/AudioFilePath never assigned, EventExtractionService.cs:110-123). Approve loses data and isn't transactional — only title/description/dates/category copied; tags/people/locations/confidence die in the ExtractedData blob; two separate SaveChanges mean a failure in between duplicates events on re-approve (EventExtractionService.cs:147-188). Approved events don't appear on the timeline until pan/zoom/resize. Also: pause is a one-way trap (no Resume comman"},{"p":"feature-audit","t":"Feature audit (2026-07)","s":"Audits & reviews","h":"Part 3 — Master fix plan (dependency-ordered)","a":"part-3--master-fix-plan-dependency-ordered","x":"# Fix Unblocks 1 Category case fix + dialog deferral/error surfacing (2.1) Bug 1, Bug 3 — smallest change with the biggest user-visible win 2 AddDbContextFactory migration + kill shared-context Task.Run (Part 1) Bug 2, intermittent failures in every feature 3 Search hygiene: debounce/cancel autocomplete, Tag.Name→TagName, error messages (2.3) Facets, suggestions, honest errors 4 Settings key unification (SettingKeys constants) + LLM config re-read (2.7) Settings actually working; prerequisite for 5 & 6 5 Migrations: regenerate, MigrateAsync(), EnsureCreated bridge (Part 1) Upgrade safety; schema-drift errors 6 Audio pipeline: storage path → real file STT → transcript persistence → key pre-flight → transactional approve + metadata → timeline invalidation message (2.4) The app's core ingestion loop 7 RAG: OpenAI key UI, navigation wiring, mapped-column queries, persistence (2.5) Connections feature 8 Export Include fix; import options honored (2.8) Data portability 9 Shell: MainViewModel/badges, notifications, JumpList, host shutdown (2.9) Polish/integration Items 1-3 together fully resolve the three reported bugs. Items 4-6 make the core product loop real. Items 7-9 finish the feature surface."},{"p":"feature-audit","t":"Feature audit (2026-07)","s":"Audits & reviews","h":"Cross-agent convergence (confidence signal)","a":"cross-agent-convergence-confidence-signal","x":"The captive shared DbContext was independently confirmed by all five agents with the same evidence chain. Settings key mismatches were found independently three times (PascalCase/snake_case; OpenAIApiKey never written; the dead second AnthropicApiKey in the unregistered AnthropicClaudeService). Silent error swallowing into StatusText/StatusMessage appears in every feature audit — it is the reason all of these defects present as \"nothing happens\" instead of visible errors, and should be treated as a design defect in its own right (adopt a visible InfoBar pattern app-wide)."},{"p":"hardening-followups","t":"Hardening follow-ups","s":"Audits & reviews","h":"Hardening follow-ups","a":"","x":"Deferred hardening items ranked high / medium / low — captive DbContext scopes, fire-and-forget embeddings, and migration snapshot drift. This file captures the deferred items from the Phase-7 multi-agent hardening pass. The applied fixes are in the commit that adds this file; the items below were intentionally not auto-fixed because they require a compiler to verify a non-trivial refactor, a public-API/DI change spanning layers, or a team decision. Context: the pass was performed statically (no .NET SDK in the environment). Before release, run dotnet build on src/MemoryTimeline.sln and execute the test suite to validate all applied fixes."},{"p":"hardening-followups","t":"Hardening follow-ups","s":"Audits & reviews","h":"High priority","a":"high-priority","x":"1. Captive / scope-captured DbContext (converged flag from 3 agents)# TimelineViewModel is registered AddSingleton (App.xaml.cs) but depends on ITimelineService/IEventService (Scoped) → AppDbContext (Scoped). Pages also resolve their VMs from the root provider (App.Current.Services.GetRequiredService<…>), not from a DI scope. Net effect: Production: a single AppDbContext lives for the whole app lifetime — not thread-safe, and the change-tracker grows unbounded. Development (host scope validation): throws \"Cannot consume scoped service from singleton.\" Fix (coordinated, needs compile): register the context via AddDbContextFactory<AppDbContext>() and create a per-operation context in services, or resolve VMs/pages inside an explicit IServiceScope. Touches App DI + every repository/service ctor, so it was not done blind. 2. EventService.CreateEventAsync fire-and-forget embedding (Core + Tests agents)# _ = Task.Run(() => GenerateEmbeddingForEventAsync(createdEvent)) reuses the request-scoped AppDbContext on a background thread → ObjectDisposedException / \"second operation on this context\" once a real IEmbeddingService is registered. Currently masked by an internal catch (embeddings silently fail). Fix: inject IServiceScopeFactory, create a fresh scope+context for the background work (ctor change → flagged rather than applied). 3. Migration + snapshot drift (Data agent — Critical for migration-based release)# AppDbContextModelSnapshot is an empty stub and InitialCreate is far behind the model (missing tables era_categories, era_tags, milestones, saved_searches; missing columns on eras/events/tags; missing cross_references FKs; missing seed InsertData). Runtime is fine today because startup uses EnsureCreatedAsync() (schema built from the model), but any migration-based deploy will fail. Fix: on a machine with the SDK, regenerate the baseline (dotnet ef migrations add InitialCreate --force) before shipping migrations."},{"p":"hardening-followups","t":"Hardening follow-ups","s":"Audits & reviews","h":"Medium priority","a":"medium-priority","x":"Unit-of-work / atomicity — multi-repository workflows (e.g. approve pending → create Event + delete PendingEvent) each call SaveChangesAsync independently and are not atomic. Introduce an explicit transaction / unit-of-work at the service layer. Polly referenced but unused — add a bounded, transient-only retry with jitter (and a timeout) around the Anthropic and OpenAI network calls (AddHttpClient + SDK call sites). CrossReference delete behavior = Restrict — deleting an Event referenced by a RAG-generated cross-reference will throw once FK enforcement is on. Cascade is likely intended but has data-loss implications — needs sign-off. Analytics color bindings — CategoryDistribution/TagCloudItem/ActivityHeatmapCell.Color are string bound directly to Brush properties via x:Bind in AnalyticsPage.xaml. Expose a Brush/SolidColorBrush on the model (as the timeline DTOs do with ColorBrush) or add a string→Brush converter."},{"p":"hardening-followups","t":"Hardening follow-ups","s":"Audits & reviews","h":"Low priority","a":"low-priority","x":"API keys stored plaintext in AppSettings — encrypt at rest via DPAPI / ProtectedData at the settings/Data layer (keys are not logged or hardcoded today). CancellationToken not plumbable through IRepository<T> and specialized repo interfaces — add CancellationToken ct = default in a coordinated interface change. DateTime.Kind round-trip — SQLite returns Unspecified; add a UTC ValueConverter on DateTime properties to avoid local/UTC comparison bugs. Inclusive viewport boundaries — EventLayoutEngine.GetVisibleLayouts / TimelineViewport.IsEventVisible treat edge-touching (zero-area) events as visible on both ends. Internally consistent (tests aligned to it); confirm it's intended. Singleton AnthropicLlmService caches _model at first init — a later model change in settings needs an app restart."},{"p":"repo-audit-2026-07","t":"Exhaustive repo audit","s":"Audits & reviews","h":"Exhaustive repo audit","a":"","x":"A bug hunt and feature crawl across the repository: 18 adversarially verified findings, 45 unverified medium/low findings, and ranked improvement opportunities. Date: 2026-07-12Method: A 40-agent orchestrated workflow: 10 scoped hunter agents crawled disjoint areas of both apps(weighted toward the primary Windows-native implementation), then every critical/high finding was independently adversarially verified by a skeptic agent instructed to refute it against the current code. Findings below marked CONFIRMED survived that verification (verifier reasoning included). Medium/low findings were not adversarially verified (quota-trimmed) and are listed separately as UNVERIFIED. Results: 18 confirmed findings (12 high, 6 medium) · 45 unverified medium/low findings · 61 improvement opportunities · 0 findings refuted by verification. Edited 2026-08-07. The audit originally covered both the Windows Native app and the legacy Electron build. The Electron implementation has since been removed from the repository, so its findings (9 confirmed, plus the corresponding unverified findings and improvement opportunities) were dropped and the remaining findings renumbered. Everything below concerns code that still exists. The counts above are post-edit; the original run produced 27 confirmed findings, 61 unverified and 80 opportunities. Context: the codebase compiles green in CI, but finding #10 below shows the CI test step never actually executes tests — so 'CI green' currently proves compilation only. Runtime validation remains the top gap."},{"p":"repo-audit-2026-07","t":"Exhaustive repo audit","s":"Audits & reviews","h":"Part 1 — CONFIRMED findings (adversarially verified)","a":"part-1--confirmed-findings-adversarially-verified","x":"1. [HIGH] Legacy-export import binds none of the snake_case fields — all migrated events get StartDate 0001-01-01# windows-native/src/MemoryTimeline.Core/Services/ImportService.cs:114 · scope: wn-core-b The import entry point just delegates to ImportFromJsonAsync, which deserializes into the JsonEvent DTO (lines 421-434) with only PropertyNameCaseInsensitive. The legacy export emits raw SQL rows with snake_case keys: event_id, start_date, end_date, created_at, updated_at (and eras with start_date/color_code). Case-insensitive matching does not bridge underscores, so StartDate/EndDate/EventId/CreatedAt never bind. Only title/description/category/tags match. Era dates and colors are lost the same way (JsonEra.StartDate vs start_date, Color vs color_code). Failure scenario: User migrates from the legacy app: exports JSON from it, then imports that file in the Windows app via the JSON import UI. Every event is created with StartDate = default(DateTime) = 0001-01-01 and EndDate = null; ValidateImportFileAsync only emits warnings. The import reports success, but all events land in year 1 — invisible in any timeline viewport — and every date is permanently lost. Verifier: The import entry point delegates verbatim to ImportFromJsonAsync with no preprocessing. Deserialization (lines 45-48) sets only PropertyNameCaseInsensitive; DTOs (421-453) have no [JsonPropertyName] or snake_case naming policy, and case-insensitive matching does not bridge underscores. The legacy export emits raw SQL rows with snake_case keys (event_id, start_date, end_date, created_at; eras with start_date/color_code). Top-level events/eras/tags keys bind, so events are imported, but StartDate stays default(DateTime)=0001-01-01 and EndDate null. Path is reachable via SettingsViewModel.cs:386-429 (JSON import UI); ValidateImportFileAsync treats default StartDate as a Warning only (ImportService.cs:159-166, IsValid=!Errors.Any()) so import proceeds and reports success. CreateEventFromJson (line 284) persists the default date. Tag names (tag_name vs Name) and era colors (color_code vs Color) are likewise lost. Severity high stands: silent date loss on migration, partially mitigated only by the automatic DB backup (lines 61-65). 2. [HIGH] Pre-import backup File.Copy of a live WAL-mode SQLite DB is a sharing violation or a stale copy# windows-native/src/MemoryTimeline.Core/Services/ImportService.cs:196 · scope: wn-core-b CreateDatabaseBackup (lines 182-205) does File.Copy on the main .db file while the app holds it open. Two independent failure modes: (1) Microsoft.Data.Sqlite pools connections by default, so a pooled handle with write access is open on the file; File.Copy (CopyFileEx, FILE_SHARE_READ only) fails with a sharing violation, which is caught at line 200 and downgraded to a warning — the import proceeds with NO backup. (2) Even if the copy succeeds, the app forces journal_mode=WAL on every connection (AppDbContext.cs:65), so recent committed transactions live in the -wal file, which is not copied — the backup is stale (and potentially torn if copied mid-checkpoint). The correct primitive is SqliteConnection.BackupDatabase or VACUUM INTO. Failure scenario: User runs a JSON import with the default CreateBackup=true (SettingsViewModel.cs:426), the import mangles their data (e.g. the date bug above, or Overwrite conflict resolution), and they go looking for the promised backup: either no .bak file exists (sharing violation, silently reduced to a result warning) or the .bak is missing every event committed since the last WAL checkpoint. The safety net for the only destructive bulk operation in the app does not work. Verifier: Core claim verified in current code. ImportService.cs:196 does File.Copy of only the main .db; exceptions are downgraded to warnings (200-204) and the import proceeds backup-less. Path is reachable: ImportFromJsonAsync calls it at :61-64, CreateBackup defaults true (IImportService.cs:20, SettingsViewModel.cs:426). WAL is forced on every conn"},{"p":"repo-audit-2026-07","t":"Exhaustive repo audit","s":"Audits & reviews","h":"Part 2 — UNVERIFIED findings (medium/low; not adversarially checked)","a":"part-2--unverified-findings-mediumlow-not-adversarially-checked","x":"Medium (22)# RemoveTagFromEventAsync / RemovePersonFromEventAsync / RemoveLocationFromEventAsync silently never delete the junction row — windows-native/src/MemoryTimeline.Core/Services/IEventService.cs:355 (wn-data) Same detached-graph root cause as the Add methods, opposite symptom: the service removes the junction entity from the in-memory collection (lines 355/430/505) and calls EventRepository.UpdateAsync. The fresh context (EventRepository.cs:86) only sees the entities still reachable from the graph — the removed EventTag/EventPerson/EventLocation is simply not attached, so no DELETE is ever generated. S… Detached graph Update() rewrites included related rows with stale snapshots on every event edit — windows-native/src/MemoryTimeline.Data/Repositories/EventRepository.cs:86 (wn-data) EventRepository.UpdateAsync attaches the whole detached graph via context.Events.Update(entity), and with non-store-generated string keys EF marks every reachable entity Modified. The standard edit flow (TimelineViewModel.UpdateEventAsync lines 898-912 → EventService.UpdateEventAsync → repo) passes an Event loaded by GetByIdAsync, which Includes Era. Every event edit therefore also issues a fu… SettingsService cache is read without the lock while writers mutate it under the lock — windows-native/src/MemoryTimeline.Core/Services/ISettingsService.cs:65 (wn-core-a) The in-memory settings cache is a plain Dictionary<string,string>. SetSettingAsync (line 115) and DeleteSettingAsync (line 175) mutate it while holding _cacheLock, but GetSettingAsync reads _cache.TryGetValue at line 65 with no lock, SettingExistsAsync calls ContainsKey at line 154 with no lock, and GetAllSettingsAsync enumerates the dictionary into a copy at line 139 with no lock. Dictionary is n… Time ruler ticks step by fixed day counts, so month/year labels duplicate and drift at the default zoom — windows-native/src/MemoryTimeline.Core/Models/TimelineCoordinateConverter.cs:240 (wn-core-a) TimeRulerConfig.GenerateTicks (lines 214-245) advances currentDate by fixed increments (MajorTickIntervalDays of 30, 90, 365, or 1825 days) from a calendar-aligned start (GetAlignedDate). Calendar months/years are not fixed-length, so ticks immediately desynchronize from real boundaries. At the app's default zoom (Month, PixelsPerDay=3 -> targetIntervalDays=40 -> the '<60' bucket with 30-day major… Ongoing eras (null EndDate) are marked invisible once the viewport passes their start date — windows-native/src/MemoryTimeline.Core/Services/ITimelineService.cs:326 (wn-core-a) CalculateEraPositions sets era.IsVisible = converter.IsRangeVisible(era.StartDate, era.EndDate). IsRangeVisible (TimelineCoordinateConverter.cs:101-105) collapses a null end to a point at StartDate ('rangeEnd = end ?? start'), which is correct for point events but wrong for eras, where null EndDate means 'ongoing' — the same method's own width computation three lines above (endDate = era.EndDate ?… Facet counts use a narrower search-term predicate than the results they describe — windows-native/src/MemoryTimeline.Core/Services/IAdvancedSearchService.cs:217 (wn-core-a) ApplyFilters matches the SearchTerm against Title, Description, RawTranscript, and Location (lines 114-118), but GetFacetsAsync rebuilds the term predicate over Title and Description only (lines 216-219). Every facet (categories, tags, people, locations, eras, audio/transcript counts, date range) is therefore computed over a smaller event set than the result list whenever the term matches only a t… Invalid (non-empty) API key or bad model is treated as retryable — 3 full transcribe+LLM cycles per queue item — windows-native/src/MemoryTimeline.Core/Services/EventExtractionService.cs:404 (wn-core-b) EnsureLlmConfiguredAsync only checks that the Anthropic key is non-empty. If the key is wrong (401), the model id invalid, or InitializeClientAsync swallows a settings exception (AnthropicLlmService.cs:220-224), ExtractEventsAsync returns Success=false, which EventExtra"},{"p":"repo-audit-2026-07","t":"Exhaustive repo audit","s":"Audits & reviews","h":"Part 3 — Improvement opportunities (ranked by scope)","a":"part-3--improvement-opportunities-ranked-by-scope","x":"Product-level (user-facing oversights)# [medium] First-run onboarding and timeline empty state — A fresh install lands on a completely blank timeline canvas: TimelineControl.xaml has no empty-state UI (no 'no events yet' text exists anywhere in it), and nothing guides the user through the required setup chain (Anthropic key in Settings, microphone permission, the one-time ~140 MB Whisper model … [small] Auto-process recordings option (stop clicking Process All forever) — StopRecordingAsync only adds the recording to the queue (lines 223-232); nothing ever triggers processing automatically, so the steady-state loop is record → stop → click Process All → go to Review, forever. QueueService already serializes work with a semaphore and is a singleton, so an 'auto-proces… [small] User-facing database backup and restore — The Data Management card offers only a placeholder Clear Cache and Reset — there is no way to back up or restore the SQLite database, even though ImportService already implements CreateDatabaseBackup for pre-import snapshots (ImportService.cs:60-65) and the README positions the app as the local-firs… [small] Wire the already-written navigation keyboard accelerators and do an AutomationProperties pass — MainWindow.xaml.cs contains seven fully-implemented accelerator handlers (NavigateToTimeline_Invoked ... NavigateToSettings_Invoked, GoBack_Invoked, GoForward_Invoked, lines 91-170) but MainWindow.xaml declares only the Ctrl+R accelerator (line 13), so Ctrl+1..7 / Alt+Left style navigation silently … [small] Recording length limit / long-recording warning — There is no cap or warning on recording duration anywhere in the record path — the timer just counts up. A forgotten hot mic (start, walk away) produces an hours-long WAV that takes very long to transcribe with the base Whisper model, and the extraction call caps output at MaxTokens=4096 (AnthropicL… [small] Make error.log reachable from the UI (diagnostics surface) — App.xaml.cs writes rich startup/crash diagnostics to %LOCALAPPDATA%\\MemoryTimeline\\error.log (lines 23-58) and the startup-failure dialog cites the path, but once the app is running nothing in the UI links to it — grep shows zero references to the log from any View/ViewModel. The About card in Setti… [small] Wire AudioImportService: import existing audio files into the queue — AudioImportService is fully implemented and registered in DI (App.xaml.cs:132) — validation, copy-into-AudioRecordings, queue insertion — but has zero consumers, so users cannot ingest pre-existing audio (phone voice memos, old dictaphone files), which is a core scenario for an app about capturing p… Windows Native — shell & platform# [small] Make Jump List launch actions perform the action, not just navigate — OnLaunched maps 'action:new-event' to plain Timeline navigation and 'action:start-recording' to the Queue page. The labels promise 'Create a new timeline event' and 'Begin audio recording', but nothing opens the Add Event dialog or starts recording — pass a parameter through INavigationService and h… [medium] Wire or remove the dead 'event:{id}' deep-link surface (recent-events Jump List + Windows Timeline) — UpdateRecentEventsAsync, AddEventToJumpListAsync, and the entire IWindowsTimelineService have zero call sites, and Program.CaptureLaunchAction only recognizes 'action:' tokens, so the 'event:{EventId}' arguments these services emit would never be handled anyway. TimelinePage.OnNavigatedTo already ac… [medium] Jump List quick actions likely no-op in the unpackaged configuration — use ICustomDestinationList or document — Windows.UI.StartScreen.JumpList requires package identity; with WindowsPackageType=None, JumpList.IsSupported()/LoadCurrentAsync will report unsupported or throw (gracefully logged), so the whole quick-actions feature is silently absent in the shipped configuration. The Win32 ICustomDestinationList … [medium] Surface the one-time Whisper model download (~140 MB) with progress and cancellation — The gg"},{"p":"repo-audit-2026-07","t":"Exhaustive repo audit","s":"Audits & reviews","h":"Part 4 — Recommended fix order","a":"part-4--recommended-fix-order","x":"Restore CI truth (#10 + the vstest glob, finding #9): make the .NET test subset gating and actually executed — everything else depends on trustworthy CI. Data-loss class: legacy-import date loss (#1), WAL-unsafe pre-import backup (#2), Reject All without confirmation (#11). Dead/broken native features: Save Search (#5), search checkbox inversion (#4), View-on-Timeline navigation contract (#3), audio play/pause state reset (#7), era Gantt alignment (#6), single-instance activation drop (#8), phantom LLM providers (#12). Association API + ranged events (unblockers for future work): detached-graph junction writes (#15/16), date-range overlap predicate (#13/14). Unverified mediums triage, then the improvement backlog (product items first). Numbering refers to Part 1 ordering. Generated from the workflow run wf_c8b04dfb-451; raw structured results retained in the session workspace."},{"p":"macos-port-plan","t":"macOS port plan","s":"Design notes","h":"macOS port plan","a":"","x":"Bringing Memory Line to macOS as a native SwiftUI app: what the iOS companion already shares, the Keychain and device-platform traps, the phased order of work, and the undecided question of how the C# service layer reaches the Mac. Status: groundwork landed; app is a walking skeletonTarget: a native SwiftUI macOS app under macos-native/, sharing code with the iOS companionLast updated: 2026-08-07"},{"p":"macos-port-plan","t":"macOS port plan","s":"Design notes","h":"1. What we are building, and what we are not","a":"1-what-we-are-building-and-what-we-are-not","x":"Memory Line's primary product is the Windows Native app (.NET 10 / WinUI 3) under windows-native/. This plan covers bringing the same product to macOS. The macOS app is not a port of the iOS companion. The companion is a single-purpose capture device: record a memory in the car, sync it, done. The Mac is a full peer of the Windows app — timeline, review, people, ask — plus capture. Decision: native SwiftUI, not a shared .NET UI. The alternatives were Avalonia or .NET MAUI (Mac Catalyst), both of which would have reused MemoryTimeline.Core directly. SwiftUI was chosen for platform fit and because the repository already carries a working Swift codebase — domain models, sync networking, SQLite persistence, Keychain — that the Mac app inherits on day one. The cost is that the C# service layer does not come with it; §3.3 covers what that means in practice."},{"p":"macos-port-plan","t":"macOS port plan","s":"Design notes","h":"2. What already exists","a":"2-what-already-exists","x":"Piece Where State Shared Swift core ios-companion/MemoryLineCompanion/Shared/ 11 of 13 files compile on macOS unchanged Sync service services/MemoryTimeline.SyncApi net10.0, runs on macOS/Linux Wire contracts shared-contracts/ OpenAPI + JSON Schema + .NET DTOs, platform-neutral Business logic windows-native/src/MemoryTimeline.Core, .Data, .Sync retargeted to plain net10.0 (see §3.3) macOS app macos-native/ skeleton: pairing + capture library 2.1 The shared Swift layer, file by file# Audited by imports. Everything in Foundation / os / SQLite3 / Security / CryptoKit is available on macOS unchanged. File Imports macOS Domain/Interfaces.swift Foundation ✅ shared Domain/Models.swift Foundation ✅ shared Networking/DTOs.swift Foundation ✅ shared Networking/SyncAPIClient.swift Foundation, os ✅ shared Persistence/SQLiteCaptureStore.swift Foundation, os ✅ shared Persistence/SQLiteDatabase.swift Foundation, SQLite3, os ✅ shared Security/KeychainTokenStore.swift Foundation, Security, os ⚠️ shared, see §3.2 Support/AppLog.swift os ✅ shared Support/AudioStorage.swift Foundation ✅ shared Support/CaptureStatusStore.swift Foundation ✅ shared Support/FileHasher.swift CryptoKit, Foundation ✅ shared Support/ConfirmationFeedback.swift AVFAudio, UIKit ❌ iOS-only, excluded Support/WidgetStatusPublisher.swift Foundation, WidgetKit ❌ iOS widget bridge, excluded The two exclusions are declared in the macOS project's PBXFileSystemSynchronizedBuildFileExceptionSet; everything else is compiled straight into the Mac app target."},{"p":"macos-port-plan","t":"macOS port plan","s":"Design notes","h":"3. Decisions and their consequences","a":"3-decisions-and-their-consequences","x":"3.1 Code sharing: synchronized folder, not a Swift package# The Mac target references ../ios-companion/MemoryLineCompanion/Shared as an Xcode synchronized folder group, compiling those sources into the app target directly. A local Swift package (MemoryLineKit) consumed by both apps would be the tidier end state. It was deliberately deferred, for one concrete reason: every type in Shared/ is internal. Extracting a module means adding public to roughly 50 declarations — protocols, structs, enums, and their members — across a codebase that is shipping and that just received a large feature (Phase 3 capture status). That is a wide, risky diff whose only immediate benefit is tidiness. The synchronized folder gets real sharing today with zero changes to the iOS app. Revisit the package extraction when: a third consumer appears, or the two apps start needing different behaviour from the same file (at which point #if os(macOS) in shared code is the smell that says \"extract now\"). Known wrinkle: a synchronized folder whose path escapes the project directory is unusual. If Xcode does not resolve it on first open, the group appears empty or red — fix by deleting the group and dragging ios-companion/MemoryLineCompanion/Shared back in with \"create folder reference\". Nothing else in the repository depends on this working. 3.2 Keychain: the Mac needs its own item and a modern keychain — done# KeychainTokenStore hardcoded the service name ca.fluxology.memoryline.ios.tokens and passed no kSecUseDataProtectionKeychain. Both are fixed: Service name now derives from Bundle.main.bundleIdentifier. On iOS that evaluates to ca.fluxology.memoryline.ios.tokens — byte for byte the literal it replaced — so existing installs keep reading their stored tokens and no migration is needed. The Mac gets ca.fluxology.memoryline.mac.tokens and therefore its own credentials, which is correct: each device pairs independently and holds its own device-bound token pair. kSecUseDataProtectionKeychain is set on macOS only. Without it, SecItem* calls land in the legacy file-based keychain where kSecAttrAccessible is not honoured the way it is on iOS. It is #if os(macOS)-guarded rather than unconditional: the key is documented as ignored on iOS, but this store holds the credentials a paired phone needs and a lookup that silently stopped matching would unpair every existing install — not worth the risk for a flag that does nothing there. It requires the keychain-access-groups entitlement, already declared in macos-native/Config/MemoryLineMac.entitlements. 3.3 The C# business layer does not come to macOS — but it stayed portable anyway# MemoryTimeline.Core, .Data and .Sync were decoupled from WinUI and retargeted from net10.0-windows10.0.26100.0 to plain net10.0. That work is done and in the tree. The SwiftUI decision means the Mac app does not consume those assemblies. The retarget was still worth doing, and stays worth maintaining, for three reasons: It enforces the layering rule the project already had on paper — Core must not know about brushes, Visibility, or Windows.Storage. It keeps a headless option open: the extraction/RAG/narrative services can run on macOS or Linux (a sync-side worker, a batch tool) without a Windows machine. It makes Core testable off Windows. The rule is written up in claude.md under \"Keeping Core portable\". The real consequence for macOS: every service in MemoryTimeline.Core — extraction, RAG, ask, narrative, resurfacing, recall prompts, export/import, timeline math — has no Swift equivalent. §5 is mostly about that."},{"p":"macos-port-plan","t":"macOS port plan","s":"Design notes","h":"4. Platform capabilities the Mac needs","a":"4-platform-capabilities-the-mac-needs","x":"Ordered by how much they block everything else. 4.1 Capture (recording)# iOS uses AudioRecorderService with an AVAudioSession lifecycle that does not exist on macOS. The Mac needs its own recorder on AVAudioEngine / AVAudioRecorder, plus: Microphone permission via NSMicrophoneUsageDescription (declared) and the com.apple.security.device.audio-input entitlement (declared). Device selection — Macs routinely have several inputs; the iPhone does not. This is new UI with no iOS counterpart. No background-audio equivalent: on macOS the app is simply running or not. 4.2 Upload and status sync — pull side done# iOS UploadCoordinator and StatusSyncCoordinator are built on BGTaskScheduler, which macOS does not have. MacSyncCoordinator is the Mac equivalent for the pull side: a foreground Task loop on a 120s interval plus an explicit Sync Now, since the app is either running or not. The SyncAPIClient calls underneath are shared unchanged. It is a reimplementation, not a shared type, for two reasons: the iOS coordinator depends on BackgroundTasks, and it reconciles remote status against capture records the phone created, which the Mac does not have yet. The parts that are a contract with the server rather than a local choice are mirrored exactly and covered by tests — page until hasMore, persist the cursor before acking, hold the cursor when applying fails so the page replays, never ack a cursor that did not advance, and last-write-wins on the Windows-authored updatedAtUtc when a page is redelivered. Known gap: the Mac applies capture_status changes but ignores capture and capture_artifact ones, so the Library shows status for captures it does not yet hold. Materialising capture rows from the feed (or recording its own) is Phase 2. 4.3 Storage locations# Shared AppDatabase.defaultURL() uses .applicationSupportDirectory, which is correct on both platforms. Under the App Sandbox this resolves inside the container; that is intended. Note the asymmetry with the Windows app, which stores everything under %LOCALAPPDATA%\\MemoryTimeline\\. Nothing needs to reconcile these — the sync service is the meeting point, not a shared filesystem. 4.4 Windows-only integrations with no macOS analogue# Toast notifications map to UNUserNotificationCenter. JumpList and Windows Timeline activity publishing have no equivalent and should be dropped rather than approximated; the Mac equivalents worth having instead are Spotlight indexing (CoreSpotlight) and a menu-bar item for quick capture."},{"p":"macos-port-plan","t":"macOS port plan","s":"Design notes","h":"5. Phasing","a":"5-phasing","x":"Each phase is shippable and leaves the app in a usable state. Phase Scope Notes 0 — Skeleton ✅ Xcode project, composition root, pairing, capture library in the tree 1 — Keychain + sync pull ✅ §3.2 fixed; MacSyncCoordinator pulls/applies/acks the change feed on a foreground timer in the tree 1b — Upload Drain pending uploads nothing to upload until Phase 2 gives the Mac a recorder; deferred deliberately 2 — Capture macOS recorder, input device selection, menu-bar quick capture §4.1 3 — Timeline The big one: timeline math, zoom levels, spans, swimlanes, uncertainty bands see §6 4 — Review & people Pending-event review, approve/reject, contact book needs extraction (§6) 5 — Ask & narrative Retrieval + LLM answers with citations needs embeddings on-device or via service 6 — Packaging Notarisation, Sparkle or App Store, hardened runtime entitlements already set The decision that gates phases 3–5# Everything from Phase 3 on needs the logic that currently lives in C# — extraction prompts, date-precision inference, hybrid retrieval, narrative grounding, timeline coordinate math. There are three ways to get it, and this has not been decided: Reimplement in Swift. Full offline parity, no dependencies. Costs a second implementation of a large body of subtle logic, and the two will drift. Move the logic behind the sync service. The Mac calls the service; the service runs the existing .NET code (already net10.0, already runs on macOS/Linux). One implementation, but the app stops being local-first and needs the service running. Embed .NET as a library via a native AOT-compiled shared library the Swift app links. One implementation, stays local-first, but the build and debugging story is genuinely unpleasant. Recommendation: (1) for timeline math — it is self-contained, well-tested on the C# side, and small enough that duplication is cheap — and defer 2-vs-3 for the AI features until Phase 4 makes the cost concrete. Do not decide it now; do not let Phase 1–2 work assume an answer."},{"p":"macos-port-plan","t":"macOS port plan","s":"Design notes","h":"6. Verification","a":"6-verification","x":".github/workflows/macos-native-build.yml runs on macos-latest: xcode — xcodebuild build + test for the MemoryLineMac scheme. dotnet — dotnet build of MemoryTimeline.Data, .Core, .Sync and MemoryTimeline.SyncContracts. The dotnet job is the guard on §3.3. Those four projects are declared platform-neutral; building them on a Mac is the only automated check that the declaration is true, because the Windows workflow stays green whether or not a Windows-only type creeps back in. Both jobs gate — a non-gating check here would repeat exactly the failure the 2026-07 audit called out (finding #10, the .NET test suite that ran with continue-on-error). This job has not run yet. It is the first execution of MemoryTimeline.Core and .Sync on a non-Windows machine. Microsoft.ML.OnnxRuntime and Anthropic.SDK are expected to restore on macOS, but that is reasoning, not evidence. If the job fails on a native-asset restore rather than on a compile error, the fix belongs in the package reference, not in a retreat from the net10.0 target. 3.4 The Mac registers as other, because the contract has no macos# DeviceRegisterRequest.platform is constrained to [ios, windows, other] by shared-contracts/openapi/memory-line-sync-v1.yaml, and the server enforces it — DeviceService.AllowedPlatforms rejects anything else with a 400. So the Mac app sends \"other\" today. Two smaller traps in the same call, both already handled in MacAppEnvironment.pair: The Swift DTO defaults platform to \"ios\". Using the memberwise initializer without passing it registers a Mac as an iPhone, silently and permanently — the value is stored on the device row. displayName on iOS is UIDevice.current.name; the Mac uses the host name with the Bonjour .local suffix trimmed. This is what the user sees in Windows Settings → Sync, so a blank or studio.local-shaped name is a real papercut. Making macos first-class means changing the OpenAPI enum, AllowedPlatforms, and any UI that renders a platform label — worth doing before the Mac ships, not worth doing now."},{"p":"macos-port-plan","t":"macOS port plan","s":"Design notes","h":"7. Open questions","a":"7-open-questions","x":"Add macos to the device-platform enum? See §3.4. Touches the OpenAPI contract, the server's AllowedPlatforms, and the Swift DTO's default. Until then the Mac is other. Distribution: Mac App Store (sandbox already assumed) or Developer ID + Sparkle? Affects whether the sandbox exceptions in §4 stay viable. Does the Mac record at all, or is it review-only with the iPhone as the capture device? Phase 2 is a large chunk of work that a review-only Mac would not need. Minimum macOS version. Currently 14.0 (Sonoma), chosen to match the iOS 17 baseline and because ContentUnavailableView and the @Observable macro need it. Shared UI vocabulary with Windows. The Windows app has a settled visual language for precision-honest dates, era colours, and category glyphs. The Mac should agree with it; nobody has written that down as a cross-platform spec."},{"p":"people-feature-contracts","t":"People feature contracts","s":"Design notes","h":"People feature contracts","a":"","x":"The cross-agent interface contract for the People hub: file ownership map, entity columns, DTOs, service signatures, extraction changes, UI conventions, and DI registrations. Status: Implementation contract (binding for the 2026-08 people feature build)Scope: windows-native/ only. All paths below are relative to windows-native/src/. This document pins the exact contracts shared between parallel implementation agents. Every agent implements its owned files exactly against these signatures; deviations must be reported, not silently made. Files not owned by an agent are read-only for that agent."},{"p":"people-feature-contracts","t":"People feature contracts","s":"Design notes","h":"1. Feature summary","a":"1-feature-summary","x":"Contact-book persons — Person grows contact fields (nickname, relationship, email, phone, birthday, company, notes, photo, avatar color, favorite, first-met date). People page — new nav tab (Tag=\"People\", page key \"People\", ContactsPage) for managing contacts: search, sort, favorites, add/edit/delete, merge duplicates, per-person linked-event list. Events with persons everywhere — event create/edit dialog gets a person picker (plus tags/location/era enrichment); search gets a person facet; event display surfaces people. Audio → person suggestions — extraction emits per-person details; the Review queue shows new person / known person / update details suggestions with one-click apply. Drafts — \"Save as draft\" in event, era, and person editors; a Drafts section (Pivot) on the Review page lists drafts and resumes them in the owning editor via navigation parameter \"draft:<draftId>\"."},{"p":"people-feature-contracts","t":"People feature contracts","s":"Design notes","h":"2. File ownership map","a":"2-file-ownership-map","x":"Agent Owns (create/modify) A — Data MemoryTimeline.Data/Models/Person.cs, MemoryTimeline.Data/Models/Draft.cs (new), MemoryTimeline.Data/AppDbContext.cs, MemoryTimeline.Data/SchemaUpgrader.cs, MemoryTimeline.Data/Repositories/IPersonRepository.cs, PersonRepository.cs, IDraftRepository.cs (new), DraftRepository.cs (new) B — Core services MemoryTimeline.Core/Services/IPersonService.cs (new, interface + impl), MemoryTimeline.Core/Services/IDraftService.cs (new, interface + impl), MemoryTimeline.Core/DTOs/PersonDto.cs (new), MemoryTimeline.Core/DTOs/DraftDto.cs (new, incl. payload classes), MemoryTimeline.Core/Services/Messages.cs C — Extraction MemoryTimeline.Core/Services/EventExtractionService.cs, IEventExtractionService.cs, ILlmService.cs, AnthropicLlmService.cs, MemoryTimeline.Core/DTOs/PersonSuggestionDto.cs (new), MemoryTimeline.Core/DTOs/PendingEventDto.cs D — Contacts UI MemoryTimeline/Views/ContactsPage.xaml (new), ContactsPage.xaml.cs (new), MemoryTimeline/ViewModels/ContactsViewModel.cs (new), MemoryTimeline/Converters/HexToBrushConverter.cs (new) E — Review UI MemoryTimeline/Views/ReviewPage.xaml, ReviewPage.xaml.cs, MemoryTimeline/ViewModels/ReviewViewModel.cs F — Event CRUD UI MemoryTimeline/Controls/TimelineControl.xaml, TimelineControl.xaml.cs, MemoryTimeline/ViewModels/TimelineViewModel.cs, MemoryTimeline/Views/TimelinePage.xaml.cs, MemoryTimeline.Core/DTOs/TimelineEventDto.cs, MemoryTimeline/Controls/EventBubble.xaml, EventBubble.xaml.cs G — Eras + Search UI MemoryTimeline/Views/ErasPage.xaml, ErasPage.xaml.cs, MemoryTimeline/ViewModels/ErasViewModel.cs, MemoryTimeline/Views/SearchPage.xaml, SearchPage.xaml.cs, MemoryTimeline/ViewModels/SearchViewModel.cs, MemoryTimeline.Core/Services/IAdvancedSearchService.cs, MemoryTimeline.Core/Models/SearchModels.cs H — Tests New files only under MemoryTimeline.Tests/: Services/PersonServiceTests.cs, Services/DraftServiceTests.cs, UnitTests/PersonSuggestionTests.cs, Integration/PeopleSchemaTests.cs Integrator (orchestrator) MemoryTimeline/App.xaml.cs (DI), MemoryTimeline/MainWindow.xaml, MainWindow.xaml.cs, MemoryTimeline/App.xaml, root docs Nobody edits App.xaml.cs, MainWindow.*, or App.xaml except the integrator. UI agents needing converters define page-local resources and new converter classes with agent-unique names."},{"p":"people-feature-contracts","t":"People feature contracts","s":"Design notes","h":"3. Data layer (Agent A)","a":"3-data-layer-agent-a","x":"3.1 Person entity — new columns (all additive)# Extend the existing Person class (table people) with: C#Copy [MaxLength(100)] [Column(\"nickname\")] public string? Nickname { get; set; } [MaxLength(100)] [Column(\"relationship\")] public string? Relationship { get; set; } [MaxLength(320)] [Column(\"email\")] public string? Email { get; set; } [MaxLength(50)] [Column(\"phone\")] public string? Phone { get; set; } [Column(\"birthday\")] public DateTime? Birthday { get; set; } [MaxLength(200)] [Column(\"company\")] public string? Company { get; set; } [Column(\"notes\")] public string? Notes { get; set; } [Column(\"photo_path\")] public string? PhotoPath { get; set; } [MaxLength(9)] [Column(\"avatar_color\")] public string? AvatarColor { get; set; } [Column(\"is_favorite\")] public bool IsFavorite { get; set; } [Column(\"first_met_date\")] public DateTime? FirstMetDate { get; set; } [Column(\"updated_at\")] public DateTime UpdatedAt { get; set; } = DateTime.UtcNow; Existing PersonId, Name, CreatedAt, EventPeople are unchanged. 3.2 Draft entity (new file Models/Draft.cs)# C#Copy [Table(\"drafts\")] public class Draft { [Key] [Column(\"draft_id\")] public string DraftId { get; set; } = Guid.NewGuid().ToString(); [Required] [MaxLength(20)] [Column(\"draft_type\")] public string DraftType { get; set; } = string.Empty; [Required] [MaxLength(500)] [Column(\"title\")] public string Title { get; set; } = string.Empty; [Required] [Column(\"payload_json\")] public string PayloadJson { get; set; } = \"{}\"; [Column(\"created_at\")] public DateTime CreatedAt { get; set; } = DateTime.UtcNow; [Column(\"updated_at\")] public DateTime UpdatedAt { get; set; } = DateTime.UtcNow; } public static class DraftTypes { public const string Event = \"event\"; public const string Era = \"era\"; public const string Person = \"person\"; } 3.3 AppDbContext# public DbSet<Draft> Drafts { get; set; } = null!; OnModelCreating: Draft — HasKey(DraftId), HasIndex(DraftType), HasIndex(UpdatedAt). Person — add entity.HasIndex(p => p.IsFavorite); (keep existing unique Name index). UpdateTimestamps(): also stamp Person.UpdatedAt and Draft.UpdatedAt for modified entries. 3.4 SchemaUpgrader (drift repair for pre-existing DBs)# New table (via EnsureTableAsync): SQLCopy CREATE TABLE IF NOT EXISTS \"drafts\" ( \"draft_id\" TEXT NOT NULL CONSTRAINT \"PK_drafts\" PRIMARY KEY, \"draft_type\" TEXT NOT NULL, \"title\" TEXT NOT NULL, \"payload_json\" TEXT NOT NULL, \"created_at\" TEXT NOT NULL, \"updated_at\" TEXT NOT NULL ); Indexes: IX_drafts_draft_type on draft_type, IX_drafts_updated_at on updated_at. New columns on people (via EnsureColumnsAsync; NOT NULL columns must carry constant defaults — SQLite ALTER TABLE ADD COLUMN requirement): textCopy nickname TEXT NULL · relationship TEXT NULL · email TEXT NULL · phone TEXT NULL birthday TEXT NULL · company TEXT NULL · notes TEXT NULL · photo_path TEXT NULL avatar_color TEXT NULL · is_favorite INTEGER NOT NULL DEFAULT 0 first_met_date TEXT NULL · updated_at TEXT NOT NULL DEFAULT '2025-01-21 00:00:00' Plus CREATE INDEX IF NOT EXISTS \"IX_people_is_favorite\" ON \"people\" (\"is_favorite\"); (only when the people table exists). 3.5 Repositories# IPersonRepository additions: C#Copy Task<IEnumerable<Person>> GetFavoritesAsync(); Task<Dictionary<string, int>> GetEventCountsAsync(); // personId -> event count Task<Dictionary<string, (DateTime First, DateTime Last)>> GetEventDateRangesAsync(); // personId -> first/last event StartDate IDraftRepository (new): IRepository<Draft> plus C#Copy Task<IEnumerable<Draft>> GetByTypeAsync(string draftType); // ordered UpdatedAt desc Task<IEnumerable<Draft>> GetAllOrderedAsync(); // ordered UpdatedAt desc Both repository impls follow the existing factory pattern (IDbContextFactory<AppDbContext>, await using context per operation, AsNoTracking() for reads, tracked-load-then-mutate for updates — see PersonRepository.cs today)."},{"p":"people-feature-contracts","t":"People feature contracts","s":"Design notes","h":"4. Core DTOs + services (Agent B)","a":"4-core-dtos--services-agent-b","x":"All DTOs live in MemoryTimeline.Core.DTOs, are partial class … : ObservableObject with [ObservableProperty] fields (follow PendingEventDto.cs style). No Microsoft.UI references in the new DTOs — colors are hex strings; the app layer converts. 4.1 PersonDto (new file DTOs/PersonDto.cs)# Observable properties (backing-field names shown): textCopy _personId (init Guid.NewGuid().ToString()), _name (\"\"), _nickname, _relationship, _email, _phone, _birthday (DateTime?), _company, _notes, _photoPath, _avatarColor, _isFavorite (bool), _firstMetDate (DateTime?), _createdAt (DateTime), _updatedAt (DateTime), _eventCount (int), _firstEventDate (DateTime?), _lastEventDate (DateTime?), _isSelected (bool) Computed (plain get-only, with partial void On…Changed notifications where the source is observable): C#Copy public string DisplayName // Name, or $\"{Name} ({Nickname})\" when nickname set public string Initials // up to 2 uppercase initials from Name words; \"?\" when empty public string EffectiveAvatarColor // AvatarColor if set, else deterministic pick from AvatarPalette by stable hash of Name public string EventCountDisplay // \"3 events\" / \"1 event\" / \"No events\" public string BirthdayDisplay // \"MMM d, yyyy\" or \"\" public bool HasBirthday, HasEmail, HasPhone, HasCompany, HasNotes, HasRelationship public static readonly string[] AvatarPalette // 10 pleasant hex colors public static PersonDto FromPerson(Person person, int eventCount = 0, DateTime? firstEventDate = null, DateTime? lastEventDate = null); public Person ToPerson(); // full copy incl. PersonId public void CopyTo(Person person); // copies editable fields (not PersonId/CreatedAt) The deterministic hash must be stable across processes (do not use string.GetHashCode(); sum chars or use a simple FNV-1a). 4.2 DraftDto + payloads (new file DTOs/DraftDto.cs)# C#Copy public partial class DraftDto : ObservableObject { // _draftId, _draftType, _title, _payloadJson, _createdAt, _updatedAt public string TypeDisplay { get; } // \"Event\" | \"Era\" | \"Person\" (fallback: DraftType) public string TypeGlyph { get; } // \"\\uE8EB\" event (calendar), \"\\uE81C\" era, \"\\uE77B\" person public string UpdatedDisplay { get; } // \"MMM d, yyyy h:mm tt\" public static DraftDto FromDraft(Draft draft); public Draft ToDraft(); public T? GetPayload<T>() where T : class; // JSON deserialize, null on malformed (no throw) } Payload classes (same file, plain mutable classes, serialized with System.Text.Json default options): C#Copy public sealed class EventDraftPayload { public string Title { get; set; } = string.Empty; public string? Description { get; set; } public DateTime? StartDate { get; set; } public DateTime? EndDate { get; set; } public string? Category { get; set; } public string? EraId { get; set; } public string? Location { get; set; } public List<string> TagNames { get; set; } = new(); public List<string> PersonIds { get; set; } = new(); // existing persons public List<string> PersonNames { get; set; } = new(); // to-be-created persons } public sealed class EraDraftPayload { public string Name { get; set; } = string.Empty; public string? Subtitle { get; set; } public DateTime? StartDate { get; set; } public DateTime? EndDate { get; set; } public string? CategoryId { get; set; } public string? ColorCode { get; set; } public string? Description { get; set; } public string? Notes { get; set; } public List<string> Tags { get; set; } = new(); } public sealed class PersonDraftPayload { public string Name { get; set; } = string.Empty; public string? Nickname { get; set; } public string? Relationship { get; set; } public string? Email { get; set; } public string? Phone { get; set; } public DateTime? Birthday { get; set; } public string? Company { get; set; } public string? Notes { get; set; } public string? AvatarColor { get; set; } public bool IsFavorite { get; set; } public DateTime? FirstMetDate { get; set; } } 4.3 IPersonService (new file Services/IPersonService.cs, interface + PersonService impl in same file)# C#Copy"},{"p":"people-feature-contracts","t":"People feature contracts","s":"Design notes","h":"5. Extraction + review pipeline (Agent C)","a":"5-extraction--review-pipeline-agent-c","x":"5.1 ILlmService.cs# Add alongside ExtractedEvent: C#Copy public class ExtractedPersonDetail { public string Name { get; set; } = string.Empty; public string? Relationship { get; set; } public string? Details { get; set; } } ExtractedEvent gains public List<ExtractedPersonDetail>? PeopleDetails { get; set; } (the flat People list stays for compatibility). 5.2 AnthropicLlmService.cs# Extraction prompt: request peopleDetails array (name, relationship, details) in the JSON schema alongside people; instruct that people stays the flat name list. When ExtractionContext.KnownPeople is non-empty, include a \"Known people (use these canonical spellings when they match): …\" line in the prompt. 5.3 PersonSuggestionDto (new file DTOs/PersonSuggestionDto.cs)# C#Copy public enum PersonSuggestionKind { NewPerson, KnownPerson, UpdateDetails } public partial class PersonSuggestionDto : ObservableObject { // _pendingEventId, _name, _matchedPersonId (string?), _matchedPersonName (string?), // _kind (PersonSuggestionKind), _suggestedRelationship (string?), // _suggestedDetails (string?), _isApplied (bool) public string KindDisplay { get; } // \"New person\" | \"Known\" | \"Update details\" public string KindGlyph { get; } // \"\\uE8FA\" new person, \"\\uE73E\" check, \"\\uE70F\" edit public string Summary { get; } // e.g. \"Will be added as a new contact\" / \"Matches existing contact 'X'\" / \"Adds relationship 'sister' to 'X'\" public bool CanApply => !IsApplied && Kind != PersonSuggestionKind.KnownPerson; } (Notify CanApply from OnIsAppliedChanged/OnKindChanged.) 5.4 IEventExtractionService additions# C#Copy /// <summary>Computes create/update suggestions for the people mentioned in a pending event.</summary> Task<List<PersonSuggestionDto>> GetPersonSuggestionsAsync(string pendingEventId); /// <summary>Applies one suggestion (creates the person or merges suggested details). Returns the updated suggestion (IsApplied=true).</summary> Task<PersonSuggestionDto> ApplyPersonSuggestionAsync(PersonSuggestionDto suggestion); 5.5 EventExtractionService changes# Constructor gains IPersonService personService (registered by integrator). BuildExtractionContextAsync: populate context.KnownPeople with up to 100 person display names via IPersonService.GetAllPersonsAsync(PersonSortOption.MostEvents) (best-effort; keep the existing catch-and-continue shape). Resolve the existing TODO. GetPersonSuggestionsAsync: deserialize ExtractedData; source names from PeopleDetails (fallback People); for each distinct name run IPersonService.FindBestMatchAsync: no match → NewPerson (carry suggested relationship/details); match, and the suggestion has relationship/details the matched person lacks → UpdateDetails; match otherwise → KnownPerson. ApplyPersonSuggestionAsync: NewPerson → CreatePersonAsync with Name/Relationship(+Details→Notes); UpdateDetails → fill only missing fields on the matched person via UpdatePersonAsync; KnownPerson → no-op. Always return with IsApplied = true. Duplicate-create races resolve to the existing person (catch the duplicate InvalidOperationException, re-match). ApprovePendingEventAsync / MapExtractedMetadataAsync: when creating a brand-new Person during approve, if a matching ExtractedPersonDetail exists, populate Relationship and Notes (details) on the new row. Matching stays name-based (OrdinalIgnoreCase). PendingEventDto: add read-only List<string> PeopleNames populated in FromPendingEvent by deserializing ExtractedData (PeopleDetails ?? People, distinct, trimmed; empty list on malformed) + bool HasPeople, string PeopleDisplay => string.Join(\", \", PeopleNames)."},{"p":"people-feature-contracts","t":"People feature contracts","s":"Design notes","h":"6. Shared UI contracts (Agents D–G + integrator)","a":"6-shared-ui-contracts-agents-dg--integrator","x":"6.1 Navigation# Page key \"People\" → ContactsPage (integrator registers; nav item Content=\"People\" Tag=\"People\", FontIcon glyph &#xE716;). Draft resume parameter: Frame navigation parameter string \"draft:<draftId>\". TimelinePage.OnNavigatedTo (F): parameter starting \"draft:\" → tell TimelineViewModel to open the event editor prefilled from that draft; otherwise existing eventId behavior. ErasPage.OnNavigatedTo (G) and ContactsPage.OnNavigatedTo (D): same pattern for era/person drafts. A plain (non-draft:) string parameter to ContactsPage is a personId to select/show in the detail pane. Review's Drafts tab resumes via INavigationService.NavigateTo(pageKeyFor(draftType), $\"draft:{draftId}\") where event→\"Timeline\", era→\"Eras\", person→\"People\". Person chips on events/search results may navigate with NavigateTo(\"People\", personId). 6.2 Save-as-draft editor behavior (all editors)# Editors (event dialog in TimelineControl, era dialog in ErasPage, person dialog in ContactsPage) get a \"Save as Draft\" SecondaryButton (or equivalent) that serializes the corresponding payload class (§4.2) with System.Text.Json.JsonSerializer.Serialize(...) and calls IDraftService.SaveDraftAsync(DraftTypes.X, title, json, currentDraftId). When an editor was opened from a draft, keep the draftId; saving the real entity deletes the draft on success (DeleteDraftAsync). Draft titles: the entity's title/name, else \"Untitled event/era/person\". 6.3 ViewModels# Resolve services via constructor injection (registered in DI by integrator): IPersonService, IDraftService, IEventExtractionService, etc. Pages fetch VMs with App.Current.Services.GetRequiredService<T>() in the constructor (existing pattern). Marshal service callbacks/messenger handlers to the UI thread via DispatcherQueue as existing VMs do. WeakReferenceMessenger.Default for cross-feature refresh (PersonCreated/Updated/Deleted/Merged, DraftsChangedMessage, EventCreatedMessage, EventUpdatedMessage). 6.4 TimelineEventDto additions (Agent F; G may bind, not edit)# C#Copy [ObservableProperty] private List<string> _peopleNames = new(); public bool HasPeople => PeopleNames.Count > 0; public string PeopleDisplay => string.Join(\", \", PeopleNames); // partial void OnPeopleNamesChanged(...) notifies HasPeople + PeopleDisplay FromEvent populates PeopleNames from e.EventPeople when the navigation is loaded (ep.Person?.Name, non-null, ordered by name). 6.5 XAML conventions# WinUI 3 + x:Bind (Page/Control property ViewModel), ThemeResource brushes only, converters from App.xaml (NullToVisibility, BoolToVisibility, InvertedBoolToVisibility, BoolNegation, NullToFalse, DateFormat, ZeroToVisibility) or page-local new converters. ContentDialog.XamlRoot must be set from the hosting page before ShowAsync (existing pattern). No new NuGet packages. Person chips = ItemsControl/ItemsRepeater with chip-styled Buttons + AutoSuggestBox; do not assume TokenizingTextBox works. Segoe Fluent glyphs (use \\uXXXX in C#, &#xXXXX; in XAML): people E716, person E77B, add E710, favorite outline E734 / filled E735, edit E70F, delete E74D, drafts E70B, save E74E, mail E715, phone E717, calendar E787, company E821, check E73E, add-friend E8FA, merge/link E71B."},{"p":"people-feature-contracts","t":"People feature contracts","s":"Design notes","h":"7. DI registrations (integrator applies)","a":"7-di-registrations-integrator-applies","x":"C#Copy services.AddSingleton<IDraftRepository, DraftRepository>(); services.AddSingleton<IPersonService, PersonService>(); services.AddSingleton<IDraftService, DraftService>(); services.AddTransient<ContactsViewModel>(); MainWindow: nav item People (after Review), RegisterPage(\"People\", typeof(ContactsPage))."},{"p":"people-feature-contracts","t":"People feature contracts","s":"Design notes","h":"8. Conventions checklist (all agents)","a":"8-conventions-checklist-all-agents","x":"File-scoped namespaces, 4-space indent, Nullable enable, C# 12, XML doc comments on public members, ILogger<T> logging, no .Result/.Wait(). EF: await using var context = await _contextFactory.CreateDbContextAsync(); per operation; AsNoTracking() for reads; load-tracked-then-mutate for updates (never Update() on detached graphs with junctions). Time: store DateTime.UtcNow timestamps; display via local formatting. Do not run git commit; the integrator commits. Do not modify files outside your ownership row (§2). Report every deviation from this contract in your final summary."}];
-window.MT_SEARCH_PAGES={"overview":"Project overview","developer-guide":"Developer orientation guide","windows-native":"Windows Native app","setup-scripts-windows":"PowerShell setup scripts","testing":"Testing guide","deployment":"Deployment guide","development-status":"Development status","development-history":"Development history","feature-audit":"Feature audit (2026-07)","hardening-followups":"Hardening follow-ups","repo-audit-2026-07":"Exhaustive repo audit","macos-port-plan":"macOS port plan","people-feature-contracts":"People feature contracts"};
+window.MT_SEARCH_INDEX=[{"p":"overview","t":"Project overview","s":"Start here","h":"Project overview","a":"","x":"The repository README: what Memory Timeline is, the memory pipeline, the full feature list, tech stack, architecture, setup, configuration, and privacy model. Capture your memories by voice or text, let AI turn them into structured events, and explore your life as an interactive timeline that surfaces the connections between moments — then ask it questions, read it back as stories, and see it on a map. Primary implementation: Windows Native (.NET 10 · WinUI 3)Status: Active development — core pipeline recently rebuilt and hardened; builds green in CI, runtime validation ongoing.Also in the repo: an iOS roadtrip companion (SwiftUI) with its self-hosted sync service, and an in-progress macOS app."},{"p":"overview","t":"Project overview","s":"Start here","h":"What it is","a":"what-it-is","x":"Memory Timeline is a local-first desktop app for recording, organizing, and rediscovering your personal history: Speak a memory into the recorder — or paste/type one (Ctrl+Shift+V) into the same queue. The app transcribes audio locally with Whisper, then an LLM (Claude, or a local OpenAI-compatible endpoint like Ollama) extracts structured events — title, dates with honest precision (\"Summer 2003\", not an invented day), description, category, and the people, places, and tags involved. You review and approve the extracted events, which land on an interactive timeline — with photos and other media attachments, duration spans, swimlanes, and uncertainty bands for vague dates. The app helps you rediscover what you captured: an On This Day home page, guided recall prompts that ask about gaps in your archive, Ask your timeline for grounded, cited answers, generated narrative stories, an offline map, plus connections, search, and analytics. Backups and revision history protect the archive itself. Your data lives in a local SQLite database. Embeddings run locally by default (a bundled ONNX model), so nothing leaves your machine except the specific text you choose to send to the LLM/embedding providers you configure — and geocoding is off unless you opt in. 🧭 The Windows Native app is the primary and actively developed product.# The rest of this README focuses on it. A native macOS app is being brought up alongside it — see macOS app."},{"p":"overview","t":"Project overview","s":"Start here","h":"The memory pipeline","a":"the-memory-pipeline","x":"The heart of the app is a single flow, from voice to timeline: Every hop persists its state, so a failure at any stage is recoverable and visible in the UI rather than silently swallowed. Text joins audio in the same queue: paste or type a memory (Ctrl+Shift+V) and it enters the queue as a text source whose content is stored as its transcript, skipping transcription. Whisper transcripts are persisted too and reused across retries instead of re-transcribing."},{"p":"overview","t":"Project overview","s":"Start here","h":"Features (Windows Native)","a":"features-windows-native","x":"Home & rediscovery# Home page — the default landing page: On This Day anniversary cards (precision-aware — only memories with a real day anchor appear on a specific day), a recall-prompt card, recent activity, and a first-run empty state that walks a new archive through capture. Daily toast — an optional once-a-day notification when today has an anniversary; clicking it (and JumpList/Windows Timeline entries) deep-links straight to the event. Guided recall prompts — the app mines the archive for gaps (empty stretches, people with no events, era edges, thin one-line events, anniversary anchors) and asks specific questions on the Home and Queue pages. A dismissed or answered question is never asked again; answers can be typed or spoken and flow into the normal extraction queue. Timeline# Interactive canvas with Year / Month / Week / Day zoom levels, smooth pan, and keyboard navigation. Event bubbles with category icons; era backgrounds for life phases; duration spans render as bars; optional swimlanes group events into collapsible lanes; uncertainty bands visualize vague dates. Honest date precision — every event carries a precision (exact/day/month/season/year/decade/unknown) and an uncertainty window; displays everywhere say \"1998\" or \"Summer 2003\" instead of a fabricated exact day. Scroll-driven reloads are coalesced, so fast panning no longer piles up redundant queries (a major timeline performance fix). Newly created or approved events refresh onto the timeline automatically (via an in-app messenger), and the view jumps to an event's date if it lands outside the current window. Capture → events# Recording with pause/resume/cancel using Windows MediaCapture; recordings are written under %LOCALAPPDATA%\\MemoryTimeline\\AudioRecordings. Text & paste capture — Ctrl+Shift+V (or the Queue-page button) captures typed or pasted text through the same queue; transcripts are persisted and reused across retries. Local speech-to-text via Whisper (Whisper.net) — file-based, fully offline after a one-time model download. The recorded WAV is transcribed on-device; no audio is sent to the cloud. LLM event extraction producing structured events with dates and their precision, tags, people (alias-aware), and locations, held in a review queue with approve / edit / reject. Person suggestions — extraction captures per-person details (relationship, context); the review queue flags each mentioned person as new, known, or update details with one-click apply into the contact book. Media attachments — attach photos, video, audio, and documents to events (file picker or drag-drop). Files are copied into a managed media tree, EXIF metadata (taken date, GPS) is read, thumbnails are generated, duplicates are detected by content hash, and images open in a lightbox viewer. Ask & narrate# Ask your timeline — a conversational page that answers questions about your own history: hybrid retrieval (keyword + semantic, merged with reciprocal-rank fusion) grounds an LLM answer with citations to the actual events; it refuses honestly when the archive has nothing relevant, and degrades to keyword-only retrieval when embeddings are unavailable. Narrative stories — generate grounded prose from a timeline range, an era, or a person (a \"Story\" action on those pages), with precision-honest dates and citation integrity enforced in code; export as Markdown or HTML. Discover# Search — full-text and faceted search across events, tags, people, locations, and eras, with debounced suggestions and saved searches. Connections (RAG) — embeddings power semantic similarity and cross-references between memories; the default embedding provider is a local ONNX model, so this now works with no API key (OpenAI embeddings remain an option). Map — a fully offline canvas map (no map-tile or Azure Maps service): locations gain coordinates from photo EXIF GPS backfill or a manual pin drop, with an optional, opt-in Nominatim geocoder that is off by default. Analytics — category distribution, tim"},{"p":"overview","t":"Project overview","s":"Start here","h":"Tech stack","a":"tech-stack","x":"Layer Technology UI WinUI 3 + XAML, x:Bind compiled bindings MVVM CommunityToolkit.Mvvm (ObservableObject, [RelayCommand], WeakReferenceMessenger) Runtime .NET 10 (net10.0-windows10.0.26100.0 for the UI head; the Core/Data/Sync layers are plain net10.0) Data SQLite via EF Core 10, WAL mode, IDbContextFactory per-operation contexts Audio Windows.Media.Capture (recording), Windows.Media.Playback Speech-to-text Whisper.net (ggml base model, local/offline) LLM Anthropic Claude (Anthropic.SDK) or any OpenAI-compatible endpoint (Ollama, LM Studio, vLLM), routed per call Embeddings Local ONNX all-MiniLM-L6-v2 (384-dim, via ONNX Runtime — the default, no key needed) or OpenAI embeddings Media metadata MetadataExtractor (EXIF taken-date and GPS) + Windows thumbnail generation Geocoding Optional Nominatim (opt-in, off by default) Resilience Polly (referenced), structured ILogger logging"},{"p":"overview","t":"Project overview","s":"Start here","h":"Architecture","a":"architecture","x":"Clean, layered separation. Only the UI head targets Windows; everything below it is plain net10.0 and builds on any OS: textCopy MemoryTimeline WinUI 3 app — Views, ViewModels, Controls, Converters, [net10.0-windows] platform services (audio, STT, notifications, jump list, navigation, theme) MemoryTimeline.Core Business logic — services (events, timeline, queue, extraction, [net10.0] RAG, ask/query, narrative, resurfacing, recall prompts, media, backup/revisions, export/import, settings), DTOs, timeline math MemoryTimeline.Data Data access — EF Core DbContext, entity models, repositories, [net10.0] SchemaUpgrader MemoryTimeline.Sync Sync client — pairing, push/pull/ack, outbox publisher, [net10.0] capture-status publisher, background worker MemoryTimeline.Tests xUnit unit, integration, and performance tests [net10.0-windows] Key architectural decisions (recently reworked — see Recent engineering): Per-operation DbContext via IDbContextFactory. A desktop app has no request scope, so every repository and service opens a short-lived context per operation (await using var ctx = await factory.CreateDbContextAsync()). This replaced a single app-lifetime context that was shared across all features and was the root cause of intermittent \"second operation on this context\" failures. SchemaUpgrader instead of raw EnsureCreated. On startup the app creates the database from the current model and idempotently repairs schema drift (missing tables/columns) on pre-existing databases — a stopgap for full EF migrations. MVVM with a message bus. Cross-feature updates (e.g. \"event created\" → refresh the timeline) flow through WeakReferenceMessenger rather than tight coupling between view models. Errors are surfaced, not swallowed. Failures propagate to visible InfoBar/status affordances instead of disappearing into logs."},{"p":"overview","t":"Project overview","s":"Start here","h":"Getting started","a":"getting-started","x":"Prerequisites# Windows 11 (22H2 or later). Visual Studio 2022 (17.8+) with the .NET Desktop Development and Windows App SDK workloads. A .NET SDK: the repo pins the build to the .NET 10 SDK via windows-native/src/global.json, to the 10.0.1xx feature band. That band is deliberate — it declares MSBuild 17.14 as its minimum, so Visual Studio 2022 can still build it; bands 10.0.2xx+ require MSBuild 18 / Visual Studio 2026. Build & run# PowerShellCopy git clone <repository-url> cd memory-line/windows-native/src # Open the solution in Visual Studio 2022 and press F5, # or build from the command line for x64 (the solution has no AnyCPU config): dotnet build MemoryTimeline.sln -c Debug -p:Platform=x64 Note on dotnet build vs. Visual Studio: WinUI 3 PRI resource generation uses a .NET Framework MSBuild task that loads under Visual Studio's msbuild.exe but not under the dotnet CLI's build engine. Build from Visual Studio (or msbuild) for a full app build; the CI pipeline does the same on a Windows runner. First run# The app creates its SQLite database at %LOCALAPPDATA%\\MemoryTimeline\\memory-timeline.db. The first transcription downloads the Whisper model (~140 MB ggml-base.bin) to %LOCALAPPDATA%\\MemoryTimeline\\Models\\ — one time, then fully offline. Add your API key(s) in Settings before processing the queue (see below)."},{"p":"overview","t":"Project overview","s":"Start here","h":"Configuration","a":"configuration","x":"API keys & AI providers# Provider Purpose Required? Anthropic (console) Claude — extraction, Ask, narratives, recall wording Needed for the default (Claude) LLM provider; alternatively point the app at a local OpenAI-compatible endpoint (Ollama, LM Studio) and no Anthropic key is needed OpenAI (keys) Embeddings — Connections / Ask similarity Optional — the default embedding provider is a local ONNX model that needs no key The LLM and embedding providers are each selected in Settings and routed per call, so switching applies live. Changing embedding provider changes vector dimensions (384 local vs. 1536 OpenAI); a dimension guard prevents mixing them, and Settings offers a re-embed flow. Keys and preferences are stored in the local app_settings table and can be changed at any time from Settings (no restart needed). Encrypting API keys at rest (Windows DPAPI) is a tracked hardening item — see Roadmap. Data & model locations# Backups (.mtbak archives) are written to a destination folder you choose in Settings."},{"p":"overview","t":"Project overview","s":"Start here","h":"Recent engineering work","a":"recent-engineering-work","x":"2026-08 — feature build-out (F1–F12)# Twelve features from a structured feature spec landed in August 2026, in dependency-ordered waves with verification fix passes between them (all CI-green; runtime validation on a real Windows machine is still pending): Honest dates (F1) — every event has a date precision and uncertainty window; the UI never fabricates an exact day for a vague memory. Media attachments (F2) — photos/video/audio/documents on events, with EXIF, thumbnails, dedupe, drag-drop, and a lightbox. Text & paste capture (F3) — type or paste memories (Ctrl+Shift+V) through the same queue as audio; transcripts persist and survive retries. Ask your timeline (F4) — grounded, cited answers over your own archive via hybrid keyword+semantic retrieval; honest refusal; works keyless in keyword-only mode. Narrative stories (F5) — grounded prose from any timeline scope with Markdown/HTML export. Guided recall (F6) — gap-driven questions that are never repeated once dismissed or answered. On This Day + Home (F7) — a new default landing page with precision-aware anniversaries, a daily toast, and fixed event deep-links. Spans, swimlanes & uncertainty on the timeline (F8) — plus coalesced scroll reloads (major perf fix). People hub (F9) — aliases, case-insensitive identity (with defensive duplicate-merging migration), merge tombstones, profiles. Offline map (F10) — location coordinates from EXIF or pin-drop on a fully offline canvas map; opt-in Nominatim geocoding, off by default. Pluggable AI (F11) — local ONNX embeddings (Connections without any API key), OpenAI-compatible LLM endpoints (Ollama/LM Studio), per-call provider routing, dimension guard + re-embed flow, per-session usage counter. Backup, restore & revisions (F12) — .mtbak backup archives, restore with preview+confirm, scheduled backups, append-only event revision history, a real Clear Cache. Infrastructure alongside: a read-only-connection fix for the SQLite pragma interceptor, CI triggering on the feature branch, and three-way app_settings seed parity (33 keys). 2026-07 — feature audit and fix pass# Before the feature wave, the app went through a structured, multi-agent feature audit and fix pass. Highlights of what changed: Fixed the core \"add event\" bug — a category-casing mismatch was rejecting new events before they were saved, with the error swallowed after the dialog closed. Save now validates case-insensitively, surfaces errors in-dialog, and refreshes the timeline. Fixed \"search error after adding an event\" — the shared-DbContext concurrency described above, plus un-debounced per-keystroke autocomplete, were colliding. Resolved by the IDbContextFactory rework, debounced search, and honest error messages. Made the voice pipeline real — replaced a speech API that transcribed the live microphone (not the recorded file) with local file-based Whisper; fixed the unpackaged storage-path crash; persisted transcripts; made approve atomic and metadata-complete (tags/people/locations in one transaction). Repaired RAG & settings — embeddings now read the correct settings key and set provider/dimension; RAG queries use mapped columns and persist cross-references; the settings writer/reader key mismatch that made settings \"revert\" was unified behind a SettingKeys constants class. Export/Import, notifications, navigation, and Windows integration wiring corrected. A CI workflow (.github/workflows/windows-native-build.yml) compiles the full solution and runs tests on a Windows runner for every push to the development branch. Full details: windows-native/FEATURE-AUDIT.md (findings + root causes) and windows-native/HARDENING-FOLLOWUPS.md (deferred items)."},{"p":"overview","t":"Project overview","s":"Start here","h":"Roadmap / known follow-ups","a":"roadmap--known-follow-ups","x":"Runtime validation of the pipeline and the 2026-08 feature wave end-to-end on a real Windows machine. Encrypt API keys at rest (Windows DPAPI / ProtectedData). Regenerate EF Core migrations to replace the SchemaUpgrader stopgap with a proper migration history. Deferred items from the 2026-08 wave — photo-import wizard, map tile basemaps, timeline location chip, LLM token streaming, PDF narrative export, and others; see windows-native/DEVELOPMENT-STATUS.md. Whisper model options (larger models for accuracy; language selection UI). Analytics export and a few remaining UI polish items. MSIX packaging and Microsoft Store submission (Phase 7). macOS app — SwiftUI head under macos-native/; see docs/design/MACOS-PORT-PLAN.md. See windows-native/DEVELOPMENT-STATUS.md for phase-level status."},{"p":"overview","t":"Project overview","s":"Start here","h":"Project structure","a":"project-structure","x":""},{"p":"overview","t":"Project overview","s":"Start here","h":"Testing","a":"testing","x":"PowerShellCopy cd windows-native/src dotnet test MemoryTimeline.sln -c Debug -p:Platform=x64 Tests cover timeline math, services, repository/integration behavior, and performance. See windows-native/TESTING.md."},{"p":"overview","t":"Project overview","s":"Start here","h":"Privacy & security","a":"privacy--security","x":"Local-first — all data is stored on your device in SQLite; media attachments are copied into a local managed folder; backups go to a folder you choose. On-device transcription — Whisper runs locally; recorded audio is never uploaded. Local embeddings by default — the default embedding provider is a local ONNX model, so Connections/Ask retrieval can run entirely on-device. Selective cloud calls — only the transcript text you process is sent to your configured LLM provider (which can itself be a local OpenAI-compatible endpoint), and only the event text you embed is sent to your embedding provider if you choose OpenAI. Geocoding is opt-in and off by default — coordinates otherwise come only from photo EXIF or manual pin drops; when enabled, only the location name is sent to Nominatim. You own your recordings — original audio is never automatically deleted. Note: API keys are currently stored in the local settings database; encrypting them at rest is a tracked follow-up."},{"p":"overview","t":"Project overview","s":"Start here","h":"macOS app (in progress)","a":"macos-app-in-progress","x":"A native SwiftUI macOS app is being brought up under macos-native/, sharing its domain models, sync networking, persistence, and Keychain code with the existing iOS companion under ios-companion/MemoryLineCompanion/Shared/. Groundwork already in the tree: MemoryTimeline.Core and MemoryTimeline.Sync were decoupled from WinUI and now target plain net10.0, so the business layer builds off Windows and the two heads can converge on one set of rules rather than drifting. See docs/design/MACOS-PORT-PLAN.md for the phased plan and the inventory of what is still Windows-bound."},{"p":"overview","t":"Project overview","s":"Start here","h":"Documentation","a":"documentation","x":"Everything below is also published as a browsable documentation website — one place with a sidebar, cross-links, per-page tables of contents and full-text search. Open website/_site/index.html locally, or build it with npm --prefix website install && npm --prefix website run build. See website/README.md. Document Description windows-native/README.md Windows Native overview & setup windows-native/FEATURE-AUDIT.md Feature-by-feature audit & root-cause analysis windows-native/HARDENING-FOLLOWUPS.md Deferred hardening items windows-native/DEVELOPMENT-STATUS.md Phase-level development status windows-native/DEVELOPMENT-HISTORY.md Consolidated phase reports windows-native/TESTING.md Testing guide windows-native/DEPLOYMENT.md Packaging & deployment docs/design/MACOS-PORT-PLAN.md macOS port plan & Windows-bound inventory docs/design/IOS-ROADTRIP-COMPANION-SYSTEM-DESIGN.md iOS companion & sync system design services/README.md Sync service operator guide claude.md AI-assistant development guide"},{"p":"overview","t":"Project overview","s":"Start here","h":"Contributing","a":"contributing","x":"Branch from the active development branch. Make focused changes with tests where practical. Ensure the solution builds (Visual Studio / CI) and update docs as needed. Open a pull request. For Windows Native work: follow WinUI 3 guidelines, use CommunityToolkit.Mvvm, keep DbContext usage per-operation via the factory, and surface errors in the UI rather than swallowing them."},{"p":"overview","t":"Project overview","s":"Start here","h":"License","a":"license","x":"MIT License — see LICENSE."},{"p":"windows-native","t":"Windows Native app","s":"Windows Native app","h":"Windows Native app","a":"","x":"The main reference for the WinUI 3 app: pipeline, features, quick start, project structure, clean-architecture layers, DI composition, database schema, configuration, and troubleshooting. A native Windows 11 implementation of Memory Timeline, featuring local Whisper transcription, AI-powered event extraction with honest date precision, media attachments, ask-your-timeline retrieval, narrative generation, an offline map, backup/revision history, RAG-based cross-referencing (local embeddings by default), and deep Windows integration. This is the primary, actively developed product. A native macOS app is being brought up alongside it under macos-native/. Platform: Windows 11 (22H2+)Framework: .NET 10 (LTS) + WinUI 3 / Windows App SDK 2.3.1Status: Active development — Phases 0-6 complete; core pipeline rebuilt and hardened via a multi-agent feature audit (2026-07), followed by a twelve-feature spec implementation (F1–F12, 2026-08). Builds are green in CI; end-to-end runtime validation is ongoing. Phase 7 (testing, MSIX, Microsoft Store) is in progress. This is not \"production ready\" or runtime-verified yet. See Recent hardening and Development Status."},{"p":"windows-native","t":"Windows Native app","s":"Windows Native app","h":"Overview","a":"overview","x":"This is the native Windows implementation of Memory Timeline: a local-first desktop app for recording, organizing, and rediscovering personal history. You speak a memory, the app transcribes it locally with Whisper, a Claude model extracts a structured event, you review and approve it, and it lands on an interactive timeline. Optional embeddings surface connections between related memories. It is designed to provide strong performance and to leverage Windows-specific features such as native touch/pen support (Windows Ink), toast notifications, JumpList, and Windows Timeline integration. Performance targets# Building on the OS's own UI stack rather than a bundled web runtime is what buys low memory use, fast cold start, smooth timeline rendering, a small package, and first-class Windows integration. The table below lists targets, not measured/verified results — treat them as design goals while runtime validation is ongoing: Aspect Target Memory (idle) ~30 MB Memory (5000 events) ~100 MB Cold start < 2 seconds Timeline FPS 60 FPS Package size ~30 MB Touch/Pen Full Windows Ink Windows Integration Full (JumpList, Timeline, Notifications)"},{"p":"windows-native","t":"Windows Native app","s":"Windows Native app","h":"The memory pipeline","a":"the-memory-pipeline","x":"Every stage persists its state, so a failure is recoverable and visible in the UI rather than silently swallowed: Record — Windows.Media.Capture writes a 16 kHz mono WAV under %LOCALAPPDATA%\\MemoryTimeline\\AudioRecordings. Text capture — pasted/typed text (Ctrl+Shift+V on the Queue page) enters the same recording_queue as a text source; the text is stored as the item's transcript and skips transcription entirely. Transcribe — local Whisper transcribes the recorded file; the transcript is persisted on the queue row and reused across retries instead of re-transcribing. Extract — the configured LLM (Claude, or an OpenAI-compatible endpoint) produces a structured event (title, dates with precision, description, category, tags/people/locations, alias-aware people matching) into pending_events. Approve — approving writes the event and all its tags/people/locations (plus date precision/uncertainty) in one transaction; the timeline auto-refreshes via a WeakReferenceMessenger EventCreatedMessage."},{"p":"windows-native","t":"Windows Native app","s":"Windows Native app","h":"Features","a":"features","x":"Core Functionality# Timeline Visualization - Interactive timeline with Year/Month/Week/Day zoom, pan, and keyboard navigation; duration spans, optional swimlanes (collapsible lanes), and uncertainty bands for vague dates; scroll reloads are coalesced; new/approved events refresh onto the timeline automatically. Honest Date Precision - Events carry a DatePrecision (Exact/Day/Month/Season/Year/Decade/Unknown) plus an earliest/latest uncertainty window; every display formats dates at their true precision (\"Summer 2003\", never an invented day). Audio Recording - Record audio memories with pause/resume/cancel using Windows MediaCapture. Text & Paste Capture - Ctrl+Shift+V (or the Queue-page button) captures typed/pasted text through the same queue; transcripts are persisted and reused across retries. Local Speech-to-Text - Transcribe recordings on-device with Whisper (Whisper.net); no audio leaves the machine. LLM Event Extraction - Extract structured events (with date precision and alias-aware people) from transcripts using Anthropic Claude or any OpenAI-compatible endpoint (Ollama, LM Studio), held in a review queue with approve / edit / reject. Media Attachments - Photos/video/audio/documents on events: managed copy tree under %LOCALAPPDATA%\\MemoryTimeline\\Media, EXIF read via MetadataExtractor, thumbnail generation, content-hash dedupe, drag-drop, lightbox viewer. Home / On This Day - New default landing page: precision-aware anniversary cards, recall-prompt card, view tracking for neglected-memory bias, optional daily toast, working event: deep links, first-run empty state. Ask Your Timeline - Conversational page with hybrid keyword+semantic retrieval (reciprocal-rank fusion), grounded answers cited to real events, honest refusal when nothing relevant exists, and a keyword-only degraded mode when embeddings are unavailable. Narrative Generation - Grounded prose \"stories\" from a timeline range, era, or person with citation integrity enforced in code; Markdown/HTML export via a story dialog on the Eras, Timeline, and People pages. Guided Recall Prompts - Questions generated from archive gaps (density gaps, dangling people, era edges, thin events, anniversaries), surfaced on Home and Queue; a dismissed/answered prompt is never asked again. People Hub - Contact book plus aliases, case-insensitive (NOCASE) identity with a defensive duplicate-merging migration, merge tombstones, and per-person profiles. Offline Map - Fully offline canvas map (deliberately no MapControl/Azure Maps): coordinates via photo EXIF GPS backfill or manual pin drop; opt-in Nominatim geocoding, off by default. RAG Cross-References - Discover connections between events; the default embedding provider is local ONNX (all-MiniLM-L6-v2), so this works with no API key, with OpenAI embeddings as an alternative. Backup / Restore / Revisions - .mtbak backup archives (online SQLite backup + optional media), restore with preview + confirmation, scheduled daily/weekly backups, append-only event revision history with a history dialog, and a real Clear Cache. Search & Analytics - Faceted search across events, tags, people, locations, and eras; category distribution, timeline density, tag cloud, people network. Export/Import - JSON, CSV, and Markdown export with JSON import support. Windows 11 Integration# Toast Notifications - Processing-complete alerts. JumpList - Quick access to recent events and common actions. Windows Timeline - Events published to Windows Timeline with Adaptive Cards. Theme Support - Light/Dark/System theme switching. Touch & Pen - Gesture support with Windows Ink ready."},{"p":"windows-native","t":"Windows Native app","s":"Windows Native app","h":"Quick Start","a":"quick-start","x":"Prerequisites# Windows 11 (Version 22H2 or later) Check version: winver in the Run dialog. Visual Studio — 2026 (18.0+) is the supported option, 2022 (17.14) works with a caveat. Download: https://visualstudio.microsoft.com/ Required workloads: .NET Desktop Development Windows App SDK (Windows App SDK C# templates) The projects target net10.0, and Microsoft supports targeting .NET 10 only in Visual Studio 18.0+. VS 2022 17.14 emits an \"unsupported target\" warning rather than an error and does build, but it is off the supported path — prefer VS 2026 if you have the choice. The .NET 10 SDK, 10.0.1xx feature band — pinned by windows-native/src/global.json (\"version\": \"10.0.100\", \"rollForward\": \"latestPatch\"). The band is not arbitrary: 10.0.1xx declares MSBuild 17.14 as its minimum, which is what keeps VS 2022 able to build. SDK bands 10.0.2xx and later require MSBuild 18, i.e. VS 2026. Once the toolchain is fully on VS 2026, this pin can be raised. .NET 10 is required, not optional: .NET 8 and .NET 9 both reach end of support on 2026-11-10, and the Windows SDK projection ref pack the build now uses is compiled against a newer runtime than net8.0 can consume (it fails with CS1705 assembly-version conflicts). Automated Setup# PowerShellCopy # Navigate to scripts directory cd windows-native\\scripts # Run setup (requires Administrator) .\\Setup-Dependencies.ps1 -Mode Development # Verify installation .\\Verify-Installation.ps1 -Detailed See scripts/README.md for detailed script documentation. Build and Run# The solution defines x64 / x86 / ARM64 platforms only (no AnyCPU), and the app is built unpackaged (WindowsPackageType=None). Build Release | x64. Important — build with Visual Studio or msbuild, not dotnet build. WinUI 3 PRI resource generation (MrtCore.PriGen → ExpandPriContent) uses a .NET Framework MSBuild task that does not load under the dotnet CLI's build engine. Running dotnet build / dotnet run on the WinUI app fails with error MSB4062. Build from Visual Studio (F5) or the Visual Studio msbuild.exe for a full app build. (dotnet build -p:Platform=x64 still works fine for the MemoryTimeline.Core / MemoryTimeline.Data class libraries in isolation — it's specifically the WinUI app that needs VS/msbuild.) PowerShellCopy # Clone and navigate git clone <repository-url> cd memory-line/windows-native/src # Full app build (Visual Studio MSBuild), Release | x64: msbuild MemoryTimeline.sln /t:Restore,Build /p:Configuration=Release /p:Platform=x64 # Or open MemoryTimeline.sln in Visual Studio 2022 and press F5 (debug) / Ctrl+F5 (run). First Run# The app creates its SQLite database at %LOCALAPPDATA%\\MemoryTimeline\\memory-timeline.db (WAL mode). The first transcription downloads the Whisper ggml-base.bin model (~140 MB) to %LOCALAPPDATA%\\MemoryTimeline\\Models\\ — one time, then fully offline. Add your API key(s) in Settings before processing the queue (see API Keys & Configuration). Data & model locations# Backups (.mtbak) are written to the destination folder chosen in Settings."},{"p":"windows-native","t":"Windows Native app","s":"Windows Native app","h":"Project Structure","a":"project-structure","x":"Note: there is intentionally no MemoryTimeline.Data/Migrations/ folder — the stale EF Migrations baseline was deleted, and schema is currently created/repaired by SchemaUpgrader. Regenerating a proper EF migration baseline is a tracked follow-up."},{"p":"windows-native","t":"Windows Native app","s":"Windows Native app","h":"Architecture","a":"architecture","x":"Clean Architecture Layers# Key architectural decisions# Per-operation DbContext via IDbContextFactory<AppDbContext>. A desktop app has no request scope, so every repository and service opens a short-lived context per operation (await using var ctx = await factory.CreateDbContextAsync()). This replaced a single app-lifetime context shared across all features — the root cause of intermittent \"second operation on this context\" failures. Because the factory is stateless and thread-safe, repositories and most Core services are registered as Singletons. SchemaUpgrader instead of raw EnsureCreated. On startup, App.OnLaunched calls MemoryTimeline.Data.SchemaUpgrader.EnsureSchemaAsync, which runs EnsureCreated and then idempotently repairs schema drift (missing tables/columns) on databases created by older builds — a stopgap until a full EF migration baseline is regenerated. MVVM with a message bus. Cross-feature updates (e.g. \"event created\" → refresh the timeline) flow through WeakReferenceMessenger rather than tight coupling between view models. Errors are surfaced, not swallowed. Failures propagate to visible InfoBar/status affordances instead of disappearing into logs. MVVM Pattern# Using CommunityToolkit.Mvvm for ObservableObject, [RelayCommand], x:Bind compiled bindings, and WeakReferenceMessenger. Model: entities in MemoryTimeline.Data/Models/ View: XAML pages in MemoryTimeline/Views/ ViewModel: view logic in MemoryTimeline/ViewModels/ Dependency Injection# Services are registered in App.xaml.cs (the composition root). The build uses an IDbContextFactory (not a shared scoped AddDbContext), and repositories/services are Singletons over that factory: C#Copy // Per-operation contexts via a factory (no app-wide shared DbContext). services.AddDbContextFactory<AppDbContext>(); // Repositories are stateless over the factory (Singleton-safe). services.AddSingleton<IEventRepository, EventRepository>(); services.AddSingleton<IAppSettingRepository, AppSettingRepository>(); // ... other repositories // Core services (stateless over the factory/repositories). services.AddSingleton<ISettingsService, SettingsService>(); services.AddSingleton<IEventService, EventService>(); services.AddSingleton<ITimelineService, TimelineService>(); // Audio & queue. QueueService is an explicit Singleton. services.AddSingleton<IAudioRecordingService, AudioRecordingService>(); services.AddSingleton<IQueueService, QueueService>(); // Local Whisper is the registered STT engine. The Windows SpeechRecognizer // stub cannot transcribe files (mic-only) and now fails fast instead. services.AddSingleton<ISpeechToTextService, WhisperSpeechToTextService>(); // LLM: a routing facade re-reads llm_provider on every call and delegates // to Claude or an OpenAI-compatible endpoint (Ollama / LM Studio). services.AddSingleton<AnthropicLlmService>(); services.AddHttpClient<OpenAiCompatibleLlmService>(); services.AddSingleton<ILlmUsageTracker, LlmUsageTracker>(); services.AddSingleton<ILlmService, RoutingLlmService>(); services.AddSingleton<IEventExtractionService, EventExtractionService>(); // Embeddings: routed between local ONNX (default, keyless) and OpenAI. services.AddHttpClient<OpenAIEmbeddingService>(); services.AddSingleton<OnnxEmbeddingService>(); services.AddSingleton<IEmbeddingService, RoutingEmbeddingService>(); services.AddSingleton<IRagService, RagService>(); // Ask, resurfacing, narrative, recall, media, backup/revisions, geocoding. services.AddSingleton<IMemoryQueryService, MemoryQueryService>(); services.AddSingleton<IResurfacingService, ResurfacingService>(); services.AddSingleton<INarrativeService, NarrativeService>(); services.AddSingleton<IRecallPromptService, RecallPromptService>(); services.AddSingleton<IThumbnailGenerator, WindowsThumbnailGenerator>(); services.AddSingleton<IMediaService, MediaService>(); services.AddSingleton<IBackupService, BackupService>(); services.AddSingleton<IRevisionService, RevisionService>(); services.AddHttpClient<IGeocodingSer"},{"p":"windows-native","t":"Windows Native app","s":"Windows Native app","h":"Database","a":"database","x":"SQLite with Entity Framework Core 8# Database location: textCopy %LOCALAPPDATA%\\MemoryTimeline\\memory-timeline.db (WAL mode) Access goes through IDbContextFactory<AppDbContext> — a short-lived context per operation. Connection configuration lives in AppDbContext.OnConfiguring. Schema Overview# Core tables: events (with date_precision, earliest_possible/latest_possible, last_viewed_at/view_count), eras, era_categories, era_tags, milestones, tags, people (contact fields + merged_into_id merge tombstone), person_aliases, locations (optional latitude/longitude, place_type, canonical_name, geocoded_at)Junction tables: event_tags, event_people, event_locationsProcessing tables: recording_queue (audio and text sources — source_type, source_label, persisted transcript), pending_events (extracted events awaiting review, mirroring the precision columns)Attachments & history: event_media (managed media copies, EXIF, thumbnails, content hash), event_revisions (append-only edit history), recall_prompts (guided-recall questions)RAG tables: event_embeddings (vector embeddings + per-row embedding_dimension), cross_references (event relationships)UX tables: drafts, saved_searchesSettings: app_settings (key/value; keys defined in SettingKeys; 33 seeded keys kept in three-way parity between the AppDbContext seed, the SchemaUpgrader backfill, and SettingKeys) Name uniqueness on people/tags/locations is case-insensitive (COLLATE NOCASE unique indexes); SchemaUpgrader defensively merges case-variant duplicates on older databases (backfilling contact columns) before rebuilding each index. Schema creation & drift repair# The schema is created and repaired at startup by SchemaUpgrader.EnsureSchemaAsync (EnsureCreated + idempotent DDL repairs). There is no EF Migrations folder — regenerating a proper EF migration history is a tracked follow-up (see Roadmap)."},{"p":"windows-native","t":"Windows Native app","s":"Windows Native app","h":"API Keys & Configuration","a":"api-keys--configuration","x":"API Keys & AI providers# Provider Purpose Required? Anthropic (console) Claude — extraction, Ask, narratives, recall wording Needed for the default (Claude) LLM provider; not needed when an OpenAI-compatible endpoint (Ollama / LM Studio, via llm_base_url) is selected instead OpenAI (keys) Embeddings — Connections / Ask similarity Optional — the default embedding provider is local ONNX (all-MiniLM-L6-v2, no key needed) LLM and embedding providers are routed per call (RoutingLlmService / RoutingEmbeddingService re-read the provider settings each time), so switching applies live. Local and OpenAI embeddings have different dimensions (384 vs. 1536); a dimension guard refuses to mix them and Settings offers a re-embed all events flow after a provider switch. Settings storage# Settings and API keys are configured from the Settings page and persisted to the local app_settings database table. Keys are unified behind a SettingKeys constants class (snake_case keys) so writers and readers never drift; the LLM client re-reads configuration live, so provider/model/key changes apply without a restart. Security note: API keys are stored in the app_settings table today. Encrypting them at rest with Windows DPAPI (ProtectedData) is a tracked hardening follow-up. (They are not stored in Windows Credential Manager.) The embedding service reports availability via IsAvailableAsync; with the local ONNX default Connections/Ask work with no key at all (after a one-time ~90 MB model download), and if the local model cannot load (or the OpenAI provider has no key) the Ask page degrades to keyword-only retrieval and Connections shows a clear call-to-action instead of failing. Geocoding (geocoding_enabled) is off by default; when off, no place name is ever sent to Nominatim and coordinates come only from photo EXIF or manual pin drops."},{"p":"windows-native","t":"Windows Native app","s":"Windows Native app","h":"Recent hardening","a":"recent-hardening","x":"2026-08 — feature-spec implementation (F1–F12). Twelve features landed on top of the hardened base, in dependency-ordered waves with verification fix passes between them: date precision/uncertainty, media attachments, text/paste capture, ask-your-timeline, narrative generation, guided recall prompts, On This Day + Home page, timeline spans/swimlanes/uncertainty rendering with reload coalescing, the people hub (aliases/merge/NOCASE identity), the offline map, pluggable AI providers (local ONNX embeddings + OpenAI-compatible LLM endpoints), and backup/restore/revision history. New dependencies actually in use: MetadataExtractor (EXIF) and Microsoft.ML.OnnxRuntime (local embeddings; CPU execution provider — the DirectML EP is deliberately deferred). All waves are CI-green; runtime validation on a real machine is still pending. Per-feature status: DEVELOPMENT-STATUS.md. 2026-07 — audit and fix pass. Before that, the core pipeline was rebuilt and hardened through a structured, multi-agent feature audit and fix pass. Highlights: Made the voice pipeline real — replaced a \"speech recognition\" path that transcribed the live microphone (not the recorded file) with local file-based Whisper (WhisperSpeechToTextService); the old WindowsSpeechRecognitionService now fails fast without opening the mic. Fixed the unpackaged storage-path crash, persisted transcripts, and made approve atomic (event + tags/people/locations in one transaction). Fixed DbContext concurrency — moved from a single app-wide AddDbContext to per-operation contexts via IDbContextFactory, resolving intermittent \"second operation on this context\" failures behind add-event and search. Unified settings — a SettingKeys constants class ended the writer/reader key mismatch that made settings appear to \"revert\"; the LLM client re-reads config live. DI cleanup — deleted AnthropicClaudeService and the IAudioService stub, removed the duplicate app-project INotificationService, and decoupled RagService from ILlmService. Schema resilience — startup uses SchemaUpgrader (EnsureCreated + drift repair) after the stale EF Migrations baseline was deleted. Full details: FEATURE-AUDIT.md (findings + root causes) and HARDENING-FOLLOWUPS.md (deferred items)."},{"p":"windows-native","t":"Windows Native app","s":"Windows Native app","h":"Testing","a":"testing","x":"The test project references the WinUI app, so tests are built and run Release | x64. PowerShellCopy cd windows-native\\src # Build the solution first via Visual Studio MSBuild (see Build and Run), then run tests # against the built assembly: dotnet vstest MemoryTimeline.Tests\\bin\\x64\\Release\\<tfm>\\MemoryTimeline.Tests.dll # Filter by category: dotnet vstest ... --TestCaseFilter:\"FullyQualifiedName~UnitTests\" Tests cover timeline math, services, repository/integration behavior, and performance. See TESTING.md for comprehensive testing documentation. Continuous Integration# .github/workflows/windows-native-build.yml builds the full solution Release | x64 on windows-latest, driving the build with Visual Studio MSBuild (microsoft/setup-msbuild) because the WinUI PRI task cannot run under dotnet build. Tests run best-effort via dotnet vstest. Builds are currently green in CI."},{"p":"windows-native","t":"Windows Native app","s":"Windows Native app","h":"Deployment","a":"deployment","x":"MSIX Package# Visual Studio: Right-click the MemoryTimeline project. Select Publish > Create App Packages. Follow the wizard to create the MSIX. Command Line (Visual Studio MSBuild): PowerShellCopy msbuild MemoryTimeline.sln /t:Publish /p:Configuration=Release /p:Platform=x64 Microsoft Store# See DEPLOYMENT.md for complete deployment instructions including MSIX packaging, code signing, Microsoft Store submission, and side-loading. Packaging and Store submission are part of Phase 7 (in progress)."},{"p":"windows-native","t":"Windows Native app","s":"Windows Native app","h":"Performance Targets","a":"performance-targets-1","x":"These are design targets, not verified/measured results — runtime validation is ongoing: Metric Target Timeline FPS (5000 events) 60 FPS Memory usage (5000 events) < 100 MB Cold start time < 2 seconds Database query time < 50 ms"},{"p":"windows-native","t":"Windows Native app","s":"Windows Native app","h":"Development Status","a":"development-status","x":"Current focus: Phase 7 (Testing, MSIX packaging & Microsoft Store) — in progress. The core pipeline was recently rebuilt and hardened; builds are green in CI and end-to-end runtime validation is ongoing. Phase Status Phase 0: Preparation ✅ Complete Phase 1: Core Infrastructure ✅ Complete Phase 2: Timeline Visualization ✅ Complete Phase 3: Audio & Processing ✅ Complete Phase 4: LLM Integration ✅ Complete Phase 5: RAG & Embeddings ✅ Complete Phase 6: Polish & Integration ✅ Complete Phase 7: Testing & Deployment 🔄 In progress See DEVELOPMENT-STATUS.md for detailed status and DEVELOPMENT-HISTORY.md for consolidated phase reports."},{"p":"windows-native","t":"Windows Native app","s":"Windows Native app","h":"Roadmap / known follow-ups","a":"roadmap--known-follow-ups","x":"End-to-end runtime validation of the pipeline and the F1–F12 feature wave on Windows. Encrypt API keys at rest (Windows DPAPI / ProtectedData). Regenerate EF Core migrations to replace the SchemaUpgrader stopgap with a proper migration history. Deferred F1–F12 items — photo-import wizard, map tile basemaps, timeline location chip, LLM token streaming, PDF narrative export, and more; see the deferred list in DEVELOPMENT-STATUS.md. Whisper model options (larger models for accuracy; language selection UI). MSIX packaging and Microsoft Store submission (Phase 7)."},{"p":"windows-native","t":"Windows Native app","s":"Windows Native app","h":"Troubleshooting","a":"troubleshooting","x":"Build Errors# error MSB4062 / PRI generation fails under dotnet build Expected: the WinUI 3 PRI task does not load under the dotnet CLI. Build the app with Visual Studio (F5) or the Visual Studio msbuild.exe instead. \"Windows App SDK not found\" Install the Windows App SDK workload, or update Visual Studio to 17.8+. \"SDK version not found\" / wrong SDK selected The build is pinned to the .NET 10 SDK, 10.0.1xx band (global.json, 10.0.100, rollForward: latestPatch). Install it from https://dotnet.microsoft.com/download/dotnet/10.0 — a 10.0.2xx or newer SDK will not satisfy this pin, which is intentional: those bands require MSBuild 18 (Visual Studio 2026), while 10.0.1xx still works in Visual Studio 2022. Runtime Errors# \"Database file not found\" The first run creates the database automatically. Check %LOCALAPPDATA%\\MemoryTimeline\\ exists; see error.log there for startup diagnostics. \"MediaCapture not available\" Check microphone permissions in Windows Settings. Transcription produces nothing / hangs on first use The first transcription downloads ggml-base.bin (~140 MB) to %LOCALAPPDATA%\\MemoryTimeline\\Models\\; ensure network access for that one-time download. Afterwards Whisper runs fully offline."},{"p":"windows-native","t":"Windows Native app","s":"Windows Native app","h":"Documentation","a":"documentation","x":"Document Description FEATURE-AUDIT.md Feature-by-feature audit & root-cause analysis HARDENING-FOLLOWUPS.md Deferred hardening items DEVELOPMENT-STATUS.md Current development status and next steps DEVELOPMENT-HISTORY.md Consolidated phase completion reports TESTING.md Testing guide and best practices DEPLOYMENT.md Deployment and distribution guide scripts/README.md Setup scripts documentation ../README.md Repository overview (root README)"},{"p":"windows-native","t":"Windows Native app","s":"Windows Native app","h":"Contributing","a":"contributing","x":"Branch from the active development branch. Follow WinUI 3 design guidelines and use CommunityToolkit.Mvvm. Keep DbContext usage per-operation via the factory, and surface errors in the UI rather than swallowing them. Ensure the solution builds (Visual Studio / CI) and update docs as needed."},{"p":"windows-native","t":"Windows Native app","s":"Windows Native app","h":"License","a":"license","x":"MIT License — see the main repository LICENSE file. Last Updated: 2026-08-06Status: Active development (Windows Native is the primary product)"},{"p":"setup-scripts-windows","t":"PowerShell setup scripts","s":"Windows Native app","h":"PowerShell setup scripts","a":"","x":"Setup-Dependencies.ps1 and Verify-Installation.ps1 — automated toolchain install and environment verification, plus the build reality (msbuild, not dotnet build). This directory contains PowerShell scripts for setting up, verifying, and managing the Memory Timeline Windows native application (.NET 8 / WinUI 3). This is the primary, actively developed version of Memory Timeline."},{"p":"setup-scripts-windows","t":"PowerShell setup scripts","s":"Windows Native app","h":"Build Reality (Important)","a":"build-reality-important","x":"Before using the commands in this document, note the following about the current build: Build with Visual Studio 2022 or msbuild, not dotnet build. The WinUI 3 app uses the Windows App SDK PRI generation task, which fails under dotnet build. Use msbuild (from a Developer Command Prompt / Developer PowerShell) or build/run from Visual Studio. The solution is x64-only. MemoryTimeline.sln defines only Debug|x64 and Release|x64. Always pass the platform explicitly, e.g. -p:Platform=x64 (msbuild) or select x64 in Visual Studio. There is no Any CPU or Win32/ARM64 solution configuration. .NET SDK is pinned by ../src/global.json to version 8.0.100 with rollForward: \"major\". This means a .NET 8 SDK (8.0.100+) or a newer major SDK such as .NET 9 will both satisfy the pin. dotnet restore still works normally for package restore. Example command-line build/restore/test (from a Developer PowerShell in windows-native/src): PowerShellCopy # Restore packages (dotnet is fine for restore) dotnet restore MemoryTimeline.sln # Build the WinUI 3 app with msbuild (NOT dotnet build) msbuild MemoryTimeline.sln -p:Configuration=Debug -p:Platform=x64 -restore # Run unit tests dotnet test MemoryTimeline.Tests\\MemoryTimeline.Tests.csproj Note: Setup-Dependencies.ps1 prints a \"Next steps\" hint suggesting dotnet build and dotnet run --project MemoryTimeline. That hint is stale/inaccurate for the WinUI 3 app — prefer Visual Studio or msbuild with -p:Platform=x64 as shown above. See ../TESTING.md for the full, primary test suite instructions."},{"p":"setup-scripts-windows","t":"PowerShell setup scripts","s":"Windows Native app","h":"Scripts","a":"scripts","x":"Setup-Dependencies.ps1# Automatically checks and installs all required dependencies for development or production use. Usage: PowerShellCopy # Full development setup (requires Administrator) .\\Setup-Dependencies.ps1 -Mode Development # Production runtime only .\\Setup-Dependencies.ps1 -Mode Production # Skip optional components .\\Setup-Dependencies.ps1 -Mode Development -SkipOptional What it installs: Core (Both Development and Production): .NET 8 SDK Windows App SDK 1.5+ Windows Package Manager (winget) Development Only: Visual Studio 2022 (Community or higher) Windows SDK (10.0.26100.0+) Git for Windows Optional (Development): MSIX Packaging Tool Visual Studio Code Features: ✓ Automatic version detection ✓ Automatic installation of missing components ✓ NuGet package restoration ✓ Environment variable updates ✓ Comprehensive error handling ✓ Interactive prompts for optional components ✓ Colored output for easy reading Requirements: Windows 11 21H2 or later (22H2 recommended) Administrator privileges Internet connection Verify-Installation.ps1# Verifies that all dependencies are correctly installed and configured. Usage: PowerShellCopy # Basic verification .\\Verify-Installation.ps1 # Detailed information .\\Verify-Installation.ps1 -Detailed # Export report to file .\\Verify-Installation.ps1 -ExportReport What it checks: System Requirements: Windows version (11 21H2+) System RAM (8GB+ recommended) Free disk space (10GB+ recommended) CPU information Development Tools: .NET SDK (8.0+) Visual Studio 2022 (17.8+) Windows SDK (10.0.26100.0+) Windows App SDK (1.5+) Git PowerShell (5.0+) Optional Tools: Windows Package Manager (winget) Visual Studio Code MSIX Packaging Tool Application: Memory Timeline MSIX package installation Features: ✓ Comprehensive dependency verification ✓ Version checking ✓ Detailed component information ✓ Pass/Fail/Warning status for each check ✓ Summary statistics ✓ Optional report export ✓ Exit codes for CI/CD integration Exit Codes: 0: All checks passed > 0: Number of failed checks"},{"p":"setup-scripts-windows","t":"PowerShell setup scripts","s":"Windows Native app","h":"Common Scenarios","a":"common-scenarios","x":"First-Time Setup (Developer)# PowerShellCopy # 1. Open PowerShell as Administrator # 2. Navigate to scripts directory cd memory-line\\windows-native\\scripts # 3. Run setup script .\\Setup-Dependencies.ps1 -Mode Development # 4. Verify installation .\\Verify-Installation.ps1 -Detailed # 5. Open Visual Studio and build cd ..\\src start MemoryTimeline.sln Production Runtime Setup# PowerShellCopy # 1. Open PowerShell as Administrator # 2. Navigate to scripts directory cd memory-line\\windows-native\\scripts # 3. Install runtime dependencies only .\\Setup-Dependencies.ps1 -Mode Production # 4. Verify installation .\\Verify-Installation.ps1 Troubleshooting Installation Issues# PowerShellCopy # 1. Check what's missing .\\Verify-Installation.ps1 -Detailed # 2. Re-run setup to fix missing components .\\Setup-Dependencies.ps1 -Mode Development # 3. Export detailed report .\\Verify-Installation.ps1 -Detailed -ExportReport # 4. Check verification-report.txt for details notepad verification-report.txt CI/CD Integration# PowerShellCopy # In your CI/CD pipeline (GitHub Actions, Azure DevOps, etc.) # Verify environment .\\scripts\\Verify-Installation.ps1 if ($LASTEXITCODE -ne 0) { Write-Error \"Dependency verification failed\" exit 1 } # Build and test (x64-only; use msbuild for the WinUI 3 app, not dotnet build) cd src dotnet restore MemoryTimeline.sln msbuild MemoryTimeline.sln -p:Configuration=Release -p:Platform=x64 -restore dotnet test MemoryTimeline.Tests\\MemoryTimeline.Tests.csproj --configuration Release"},{"p":"setup-scripts-windows","t":"PowerShell setup scripts","s":"Windows Native app","h":"Manual Installation","a":"manual-installation","x":"If automatic installation fails, you can install components manually: .NET 8 SDK# Download from: https://dotnet.microsoft.com/download/dotnet/8.0 Visual Studio 2022# Download from: https://visualstudio.microsoft.com/downloads/ Required workloads: .NET desktop development Universal Windows Platform development Windows App SDK C# Templates Windows SDK# Download from: https://developer.microsoft.com/windows/downloads/windows-sdk/ Windows App SDK# Install via Visual Studio Installer or download from: https://learn.microsoft.com/windows/apps/windows-app-sdk/downloads Git for Windows# Download from: https://git-scm.com/download/win"},{"p":"setup-scripts-windows","t":"PowerShell setup scripts","s":"Windows Native app","h":"Script Permissions","a":"script-permissions","x":"If you encounter execution policy errors: PowerShellCopy # Check current execution policy Get-ExecutionPolicy # Temporarily bypass for current session Set-ExecutionPolicy -ExecutionPolicy Bypass -Scope Process # Or set for current user (more permanent) Set-ExecutionPolicy -ExecutionPolicy RemoteSigned -Scope CurrentUser"},{"p":"setup-scripts-windows","t":"PowerShell setup scripts","s":"Windows Native app","h":"Getting Help","a":"getting-help","x":"For issues with the scripts: PowerShellCopy # View script help Get-Help .\\Setup-Dependencies.ps1 -Full Get-Help .\\Verify-Installation.ps1 -Full # View examples Get-Help .\\Setup-Dependencies.ps1 -Examples For Memory Timeline issues: GitHub Issues: https://github.com/yourusername/memory-line/issues Documentation: See ../DEPLOYMENT.md"},{"p":"setup-scripts-windows","t":"PowerShell setup scripts","s":"Windows Native app","h":"Notes","a":"notes","x":"Administrator privileges required: Both scripts require admin rights to install components and modify system settings Internet connection required: For downloading and installing dependencies Windows 11 only: These scripts are designed for Windows 11 22H2 or later (build 22621+) Execution time: Initial setup may take 15-30 minutes depending on what needs to be installed Restart recommended: After installation, restart your computer to ensure all environment variables are updated"},{"p":"setup-scripts-windows","t":"PowerShell setup scripts","s":"Windows Native app","h":"Version History","a":"version-history","x":"1.0.1 (2025-11-24): Bug fixes Fixed .NET SDK installer URL (direct download instead of redirect) Replaced deprecated Get-WmiObject with Get-CimInstance 1.0.0 (2025-11-21): Initial release Setup-Dependencies.ps1: Automated dependency installation Verify-Installation.ps1: Comprehensive verification Last Updated: 2026-07-10 (build commands corrected: msbuild/x64, global.json rollForward)"},{"p":"testing","t":"Testing guide","s":"Windows Native app","h":"Testing guide","a":"","x":"Test structure, the DbContext factory pattern for test authors, running and filtering tests, coverage goals, performance benchmarks, templates, and CI behaviour. This document describes the testing strategy and how to run tests for the Memory Timeline Windows native application. How to run these tests (read first). The test project references the WinUI 3 app, and that app cannot be built with the dotnet CLI (its WinUI PRI/XAML resource tooling is a .NET Framework MSBuild task that fails under the dotnet build engine). So dotnet test does not work — it would rebuild the WinUI app and fail. Instead you build the solution once with Visual Studio msbuild.exe and then run the already-built test assembly with dotnet vstest. See Running Tests. This is also what CI does."},{"p":"testing","t":"Testing guide","s":"Windows Native app","h":"Test Structure","a":"test-structure","x":""},{"p":"testing","t":"Testing guide","s":"Windows Native app","h":"Test Framework and Tools","a":"test-framework-and-tools","x":"xUnit: Test framework Moq: Mocking framework for dependencies FluentAssertions: Fluent assertion library for readable assertions EF Core InMemory: In-memory database for service/unit tests SQLite (file-based): Real database for integration and performance tests Coverlet: Code coverage tool DbContext factory pattern (important for test authors)# Data access in the app now goes through IDbContextFactory<AppDbContext>: services and repositories open a short-lived AppDbContext per operation instead of holding a long-lived shared context. The tests mirror this via TestDbContextFactory, which wraps a single DbContextOptions so every CreateDbContext() returns a new context over the same database. Two provider caveats it encodes: EF Core InMemory — all contexts built from the same options instance share the same in-memory store, so a factory over a uniquely named InMemory DB works. Use TestDbContextFactory.CreateInMemory(). SQLite :memory: — does not work with the factory, because every new connection gets a fresh, empty database. Tests that need SQLite must use a file-based temp database (TestDbContextFactory.CreateSqliteFile(path)), which is why the integration and performance tests create a temp .db file rather than an in-memory SQLite connection. Integration/performance tests build their schema with Database.EnsureCreated() (there are no EF migrations in the repo — the app uses a hand-rolled SchemaUpgrader at runtime instead)."},{"p":"testing","t":"Testing guide","s":"Windows Native app","h":"Running Tests","a":"running-tests","x":"Do not use dotnet test (it rebuilds the WinUI app with the dotnet engine and fails). Build once with VS msbuild.exe, then run the built assembly with dotnet vstest. Build once, then run# PowerShellCopy cd windows-native/src # 1. Build the solution (Release | x64) with Visual Studio MSBuild. # 'msbuild' here is the VS msbuild.exe (e.g. Developer PowerShell for VS 2022), # NOT 'dotnet build'. msbuild MemoryTimeline.sln /t:Restore,Build /p:Configuration=Release /p:Platform=x64 /m # 2. Run the already-built test assembly (no rebuild). $dll = \"MemoryTimeline.Tests/bin/x64/Release/net8.0-windows10.0.26100.0/MemoryTimeline.Tests.dll\" dotnet vstest $dll --logger:\"trx;LogFileName=test.trx\" --ResultsDirectory:TestResults By Category / Class / Method# dotnet vstest filters with --TestCaseFilter: PowerShellCopy dotnet vstest $dll --TestCaseFilter:\"FullyQualifiedName~UnitTests\" dotnet vstest $dll --TestCaseFilter:\"FullyQualifiedName~Integration\" dotnet vstest $dll --TestCaseFilter:\"FullyQualifiedName~Performance\" dotnet vstest $dll --TestCaseFilter:\"FullyQualifiedName~QueueServiceTests\" dotnet vstest $dll --TestCaseFilter:\"FullyQualifiedName=MemoryTimeline.Tests.UnitTests.QueueServiceTests.AddToQueueAsync_ValidRecording_AddsToQueue\" Environment note. Running a self-contained WinUI 3 test assembly under headless VSTest is finicky; in CI this step is treated as best-effort (it does not gate the build). If the app assembly fails to build for any reason, the test project — which references it — will also fail to build, so a green compile is the primary signal."},{"p":"testing","t":"Testing guide","s":"Windows Native app","h":"Code Coverage","a":"code-coverage","x":"Coverage can be collected while running the built assembly, e.g.: PowerShellCopy dotnet vstest $dll --collect:\"Code Coverage\" --ResultsDirectory:TestResults (or wire up coverlet.collector via a runsettings file). Then generate an HTML report: PowerShellCopy dotnet tool install --global dotnet-reportgenerator-globaltool reportgenerator -reports:**/*.cobertura.xml -targetdir:./coverage-report -reporttypes:Html Coverage Goals (aspirational, not measured)# Overall: aim for > 80% Critical paths: aim for > 90% Event CRUD operations Audio recording / queue processing RAG and similarity search Export / Import operations These are targets, not verified figures."},{"p":"testing","t":"Testing guide","s":"Windows Native app","h":"Test Categories Explained","a":"test-categories-explained","x":"1. Unit / Service Tests# These verify individual components using mocked dependencies and, where a database is involved, an EF Core InMemory store created through TestDbContextFactory.CreateInMemory(). Service tests (Services/) cover the factory-backed services directly: EventServiceTests — CRUD, validation (empty title, end-before-start, invalid/normalized category), date-range and search queries, counts. TimelineServiceTests — viewport creation, zoom in/out, panning, event/era loading, earliest/latest dates, track layout. SettingsServiceTests — typed get/set, existence/delete, defaults (default theme is dark). QueueServiceTests (mock-only; no DbContext) ✅ Requires an INotificationService (constructor throws ArgumentNullException if null) ✅ Adding recordings to queue ✅ Retrieving queue items ✅ Updating queue item status ✅ Getting queue count by status ✅ Removing queue items ✅ Retrying failed items ✅ Clearing completed items ✅ Event raising on status change ExportServiceTests (in-memory DB via TestDbContextFactory) ✅ JSON export with full event data ✅ JSON export with date filtering ✅ CSV export ✅ Markdown export with year organization ✅ Full database export (events, eras, tags) ✅ Progress reporting ✅ Special character escaping in CSV ImportServiceTests (in-memory DB via TestDbContextFactory) ✅ Valid JSON import ✅ Duplicate detection with skip resolution ✅ Overwrite conflict resolution ✅ Create duplicate resolution ✅ Tag import ✅ Era import ✅ File validation ✅ Invalid file handling ✅ Progress reporting RagServiceTests (in-memory DB; mocked IEmbeddingService, IEventService, ICrossReferenceRepository) ✅ Finding similar events ✅ Similarity threshold filtering ✅ Tag suggestions based on similar events ✅ Pattern detection with/without date ranges ✅ Cross-reference detection (heuristic — temporal proximity / shared category; no LLM) persisted via ICrossReferenceRepository ✅ Non-existent event handling ✅ Embedding similarity calculation 2. Integration Tests# Integration tests verify components working together with real database operations. DatabaseIntegrationTests (real SQLite file DB via TestDbContextFactory.CreateSqliteFile) ✅ Database connection ✅ Full CRUD operations ✅ Relationships (events with eras and tags) ✅ Pagination (25 events, 3 pages) ✅ Date range queries ✅ Search functionality ✅ Category filtering ✅ Transaction rollback on errors ✅ Concurrent write operations (10 simultaneous) 3. Performance Tests# Performance tests ensure the application meets scalability requirements. PerformanceTests (real SQLite file DB via TestDbContextFactory.CreateSqliteFile) Load Tests: ✅ Create 5000 events (< 10 seconds) ✅ Query 5000 events (< 2 seconds) ✅ Pagination with 5000 events (< 500ms) ✅ Date range query on 5000 events (< 1 second) ✅ Search on 5000 events (< 1.5 seconds) ✅ Category filter on 5000 events (< 1 second) ✅ Update 100 events (< 5 seconds) Memory Test: ✅ Load 5000 events in memory (< 100 MB with AsNoTracking) Concurrency Test: ✅ 20 simultaneous read operations (< 5 seconds) Bulk Operations: ✅ Delete 500 events (< 3 seconds)"},{"p":"testing","t":"Testing guide","s":"Windows Native app","h":"Performance Benchmarks","a":"performance-benchmarks","x":"The values below are the assertion thresholds encoded in PerformanceTests (i.e. the upper bounds each test asserts against on a SQLite file DB). They are budgets the tests enforce, not measured/verified results — actual timings vary by machine and are written to test output via ITestOutputHelper. Operation Asserted upper bound Create 5000 events < 10s Query all 5000 events < 2s Paginated query (page 1, size 50) < 500ms Date range query (5000 events) < 1s Search (5000 events) < 1.5s Category filter (5000 events) < 1s Update 100 events < 5s Memory for 5000 events (AsNoTracking) < 100 MB 20 concurrent reads < 5s Delete 500 events < 3s Database Optimizations# AsNoTracking() on all read-only queries Pagination for large datasets Indexed columns for common queries Connection pooling Compiled queries for frequent operations"},{"p":"testing","t":"Testing guide","s":"Windows Native app","h":"Test Data Generators","a":"test-data-generators","x":"Event Generator (Performance Tests)# C#Copy GenerateTestEvents(int count) Creates realistic test events with varied: Categories (Work, Personal, Education, Health, etc.) Date ranges (5 years) Locations Confidence scores Fixed seed (42) for reproducibility Embedding Generator (RAG Tests)# C#Copy GenerateMockEmbedding(int seed) Creates 1536-dimension float arrays Seeded for consistent test results Simulates OpenAI embedding vectors"},{"p":"testing","t":"Testing guide","s":"Windows Native app","h":"Continuous Integration","a":"continuous-integration","x":"GitHub Actions — .github/workflows/windows-native-build.yml# The real workflow runs on windows-latest and: Installs the .NET 8 SDK plus Visual Studio MSBuild (microsoft/setup-msbuild). Builds the whole solution Release | x64 with msbuild MemoryTimeline.sln /t:Restore,Build (not dotnet build). Runs tests with dotnet vstest against the built MemoryTimeline.Tests.dll (not dotnet test). Behavior# Compilation is the gate. A build failure fails the workflow. The headless VSTest run of the self-contained WinUI test assembly is best-effort (continue-on-error: true); its .trx/logs are uploaded as artifacts for visibility but do not by themselves fail the run. There is currently no Codecov upload or long-term benchmark tracking configured."},{"p":"testing","t":"Testing guide","s":"Windows Native app","h":"Writing New Tests","a":"writing-new-tests","x":"Unit Test Template# C#Copy using FluentAssertions; using Moq; using Xunit; namespace MemoryTimeline.Tests.UnitTests; public class MyServiceTests : IDisposable { private readonly Mock<IDependency> _dependencyMock; private readonly MyService _service; public MyServiceTests() { _dependencyMock = new Mock<IDependency>(); _service = new MyService(_dependencyMock.Object); } [Fact] public async Task MethodName_Scenario_ExpectedResult() { // Arrange var input = \"test\"; _dependencyMock.Setup(d => d.DoSomething(input)) .ReturnsAsync(\"result\"); // Act var result = await _service.MethodToTest(input); // Assert result.Should().Be(\"result\"); _dependencyMock.Verify(d => d.DoSomething(input), Times.Once); } public void Dispose() { // Cleanup } } Integration Test Template# C#Copy public class MyIntegrationTests : IDisposable { private readonly AppDbContext _context; private readonly string _databasePath; public MyIntegrationTests() { _databasePath = Path.Combine( Path.GetTempPath(), $\"IntegrationTest_{Guid.NewGuid()}.db\"); var options = new DbContextOptionsBuilder<AppDbContext>() .UseSqlite($\"Data Source={_databasePath}\") .Options; _context = new AppDbContext(options); _context.Database.EnsureCreated(); } [Fact] public async Task Integration_Test_Name() { // Test with real database } public void Dispose() { _context.Database.EnsureDeleted(); _context.Dispose(); if (File.Exists(_databasePath)) { File.Delete(_databasePath); } } } Performance Test Template# C#Copy public class MyPerformanceTests : IDisposable { private readonly ITestOutputHelper _output; private readonly Stopwatch _stopwatch; public MyPerformanceTests(ITestOutputHelper output) { _output = output; _stopwatch = new Stopwatch(); } [Fact] public async Task PerformanceTest_LargeDataset_CompletesQuickly() { // Arrange var largeDataset = GenerateTestData(10000); // Act _stopwatch.Start(); var result = await ProcessLargeDataset(largeDataset); _stopwatch.Stop(); // Assert _output.WriteLine($\"Processed {largeDataset.Count} items in {_stopwatch.ElapsedMilliseconds}ms\"); _stopwatch.ElapsedMilliseconds.Should().BeLessThan(5000); } public void Dispose() { // Cleanup } }"},{"p":"testing","t":"Testing guide","s":"Windows Native app","h":"Best Practices","a":"best-practices","x":"Test Naming# Use pattern: MethodName_Scenario_ExpectedResult Examples: CreateEvent_ValidData_ReturnsEventWithId DeleteEvent_NonExistentId_ThrowsNotFoundException SearchEvents_EmptyQuery_ReturnsAllEvents Arrange-Act-Assert Pattern# C#Copy [Fact] public async Task Example_Test() { // Arrange - Set up test data and mocks var input = \"test\"; _mock.Setup(m => m.Method(input)).Returns(\"result\"); // Act - Execute the method under test var result = await _service.Method(input); // Assert - Verify the results result.Should().Be(\"result\"); _mock.Verify(m => m.Method(input), Times.Once); } Fluent Assertions# C#Copy // Prefer FluentAssertions over xUnit assertions result.Should().NotBeNull(); result.Should().Be(expected); result.Should().BeEquivalentTo(expected); collection.Should().HaveCount(5); collection.Should().Contain(item); value.Should().BeGreaterThan(10); exception.Should().BeOfType<ArgumentException>(); Async Tests# C#Copy // Always use async/await for async tests [Fact] public async Task AsyncTest() { var result = await _service.MethodAsync(); result.Should().NotBeNull(); } Test Data Cleanup# C#Copy public class MyTests : IDisposable { // Use IDisposable for cleanup public void Dispose() { _context?.Dispose(); DeleteTestFiles(); } }"},{"p":"testing","t":"Testing guide","s":"Windows Native app","h":"Troubleshooting Tests","a":"troubleshooting-tests","x":"Tests Fail Intermittently# Check for timing issues in async code Use Task.Delay() carefully Ensure proper disposal of resources Check for shared state between tests Database Lock Issues# Ensure each test uses unique database Properly dispose DbContext Use Database.EnsureDeleted() in Dispose Performance Tests Failing# Run on dedicated hardware (not during heavy load) Check system resources (CPU, memory, disk) Review recent code changes for regressions Adjust thresholds if consistently failing Coverage Not Generating# PowerShellCopy # Collect coverage against the already-built test assembly (do NOT use `dotnet test`) dotnet vstest $dll --collect:\"Code Coverage\" --ResultsDirectory:TestResults # Check for coverage files in TestResults/ dir -Recurse -Filter \"*.coverage\" dir -Recurse -Filter \"*.cobertura.xml\""},{"p":"testing","t":"Testing guide","s":"Windows Native app","h":"Test Statistics","a":"test-statistics","x":"Approximate current suite (as of Phase 7): Service tests (Services/): EventService, TimelineService, SettingsService Unit tests (UnitTests/): Queue, Export, Import, Rag Model tests (Models/): layout engine, viewport, scale Integration tests (Integration/): ~9 database tests on a real SQLite file DB Performance tests (Performance/): ~10 load/scalability tests Coverage: target > 80% (aspirational, not measured) Migration status of the test project# All service-backed test classes have been migrated to the IDbContextFactory<AppDbContext> pattern and construct services with their current signatures — for example new EventService(_repository, _contextFactory, logger), new ExportService(_contextFactory, logger), new ImportService(_contextFactory, logger), and new RagService(embeddingService, eventService, _contextFactory, crossReferenceRepository, logger) (RagService no longer takes an ILlmService or a raw AppDbContext). No test file uses the older (_repository, _context, …) / (_context, …) constructor signatures. As of this writing the only build blocker for the solution is the WinUI app's XAML/PRI resource-generation step failing under the dotnet build engine — the MemoryTimeline.Tests project fails to build only as a downstream consequence of the app project failing, not because of stale test code. Building with Visual Studio msbuild.exe (as CI does) is the supported path. Last Updated: 2026-07-10"},{"p":"deployment","t":"Deployment guide","s":"Windows Native app","h":"Deployment guide","a":"","x":"Building Release|x64, runtime data layout, MSIX packaging, code signing, Microsoft Store submission, and side-loading. This guide covers building, testing, and deploying the Memory Timeline Windows native application (WinUI 3 / Windows App SDK, .NET 8). Important build note. The WinUI 3 app is currently an unpackaged desktop app (WindowsPackageType=None, self-contained Windows App SDK). It builds for a specific CPU platform (x64, x86, or ARM64 — there is no AnyCPU) and, because of the WinUI PRI/XAML resource-generation tooling, must be built with Visual Studio or msbuild.exe, not dotnet build. See Building the Application for details. MSIX packaging and Microsoft Store publishing (the later sections of this guide) are Phase 7 work in progress and are documented here as the intended path, not as a shipped, verified pipeline."},{"p":"deployment","t":"Deployment guide","s":"Windows Native app","h":"Table of Contents","a":"table-of-contents","x":"Prerequisites Building the Application Data & Runtime Layout Running Tests MSIX Packaging (Phase 7 — in progress) Code Signing Microsoft Store Deployment (Phase 7 — in progress) Side-loading CI/CD Pipeline"},{"p":"deployment","t":"Deployment guide","s":"Windows Native app","h":"Prerequisites","a":"prerequisites","x":"Development Environment# Windows 11 22H2 or later (required for Windows App SDK 1.5+). The WinUI target cannot be built on Linux/macOS. Visual Studio 2022 (17.8 or later) with workloads: .NET Desktop Development Universal Windows Platform development Windows App SDK C# Templates .NET SDK — the repo pins the SDK via windows-native/src/global.json:JSONCopy { \"sdk\": { \"version\": \"8.0.100\", \"rollForward\": \"major\" } } This means: use the .NET 8 SDK if it is installed, otherwise roll forward to the next available major (e.g. .NET 9). It will not select the .NET 10 SDK, whose newer WinUI XAML/PRI tooling breaks this project's resource generation. If you only have a newer SDK installed, install a .NET 8 or .NET 9 SDK rather than relying on whatever is latest. Windows App SDK 1.5.x (restored as the Microsoft.WindowsAppSDK NuGet package) For Packaging / Store Deployment (Phase 7 — in progress)# Windows SDK (10.0.26100.0 or later) MSIX Packaging Tool (from Microsoft Store) Code Signing Certificate (EV certificate for Microsoft Store) Microsoft Partner Center account (for Store deployment)"},{"p":"deployment","t":"Deployment guide","s":"Windows Native app","h":"Building the Application","a":"building-the-application","x":"Why dotnet build does not work for the app# The WinUI 3 app project (MemoryTimeline) runs WinUI's PRI/XAML resource generation as part of the build (the MrtCore.PriGen / XAML compiler tooling). That tooling is a .NET Framework MSBuild task and does not load under the dotnet CLI (.NET Core) MSBuild engine — a dotnet build/dotnet run of the app fails during resource/XAML generation (e.g. MSB4062 / MSB3073 XAML-compiler errors), even when the C# itself is fine. The build must therefore be driven by Visual Studio or the full Visual Studio msbuild.exe. Two more consequences: The solution defines x86, x64, and ARM64 platforms — there is no AnyCPU. Every build must specify a platform (x64 is the default target). The MemoryTimeline.Tests project references the WinUI app, so the whole solution is built for a concrete platform (x64) on a Windows machine. Build (Release, x64) — recommended# PowerShellCopy cd windows-native/src # Restore + build the whole solution with Visual Studio MSBuild. # 'msbuild' here is the VS msbuild.exe (e.g. from a Developer PowerShell for VS 2022), # NOT 'dotnet build'. msbuild MemoryTimeline.sln /t:Restore,Build /p:Configuration=Release /p:Platform=x64 /m Debug build# PowerShellCopy msbuild MemoryTimeline.sln /t:Restore,Build /p:Configuration=Debug /p:Platform=x64 /m You can also simply open windows-native/src/MemoryTimeline.sln in Visual Studio 2022, select the Release / x64 (or Debug / x64) configuration, and Build. Build Output# The compiled application is placed under the platform-specific output folder, for example: textCopy windows-native/src/MemoryTimeline/bin/x64/Release/net8.0-windows10.0.26100.0/ Because the app is unpackaged and self-contained, this folder contains MemoryTimeline.exe plus the Windows App SDK runtime and can be launched directly."},{"p":"deployment","t":"Deployment guide","s":"Windows Native app","h":"Data & Runtime Layout","a":"data--runtime-layout","x":"The app is unpackaged, so it does not use MSIX app-data virtualization. All runtime data lives under %LOCALAPPDATA%\\MemoryTimeline\\: Path Contents %LOCALAPPDATA%\\MemoryTimeline\\memory-timeline.db SQLite database (WAL mode; expect -wal / -shm sidecar files) %LOCALAPPDATA%\\MemoryTimeline\\AudioRecordings\\ Recorded / imported audio files %LOCALAPPDATA%\\MemoryTimeline\\Models\\ggml-base.bin Local Whisper (Whisper.net) speech-to-text model, downloaded on first use %LOCALAPPDATA%\\MemoryTimeline\\error.log Startup / unhandled-exception log Schema / migrations: the EF Core migrations were removed in favour of a hand-rolled SchemaUpgrader that creates/updates the schema at startup. There is currently no migrations baseline, so dotnet ef migrations add / dotnet ef database update are not applicable to this project right now (regenerating a real migration baseline is a follow-up task). External services: speech-to-text is local (Whisper.net, offline after the one-time model download). LLM event extraction uses the Anthropic API and embeddings use the OpenAI API, so those features require API keys and network access."},{"p":"deployment","t":"Deployment guide","s":"Windows Native app","h":"Running Tests","a":"running-tests","x":"Do not use dotnet test. dotnet test rebuilds the solution — including the WinUI app — with the dotnet MSBuild engine, which hits the same WinUI PRI/XAML failure described above. Instead, build the solution once with msbuild.exe (see Building the Application) and run the already-built test assembly with dotnet vstest. This is exactly what CI does. Build once, then run the built test assembly# PowerShellCopy cd windows-native/src # 1. Build the solution (Release | x64) with VS MSBuild msbuild MemoryTimeline.sln /t:Restore,Build /p:Configuration=Release /p:Platform=x64 /m # 2. Run the compiled test DLL with vstest (no rebuild) dotnet vstest MemoryTimeline.Tests/bin/x64/Release/net8.0-windows10.0.26100.0/MemoryTimeline.Tests.dll ` --logger:\"trx;LogFileName=test.trx\" --ResultsDirectory:TestResults Filtering# dotnet vstest supports test filtering via --TestCaseFilter, e.g.: PowerShellCopy dotnet vstest <path-to>\\MemoryTimeline.Tests.dll --TestCaseFilter:\"FullyQualifiedName~UnitTests\" dotnet vstest <path-to>\\MemoryTimeline.Tests.dll --TestCaseFilter:\"FullyQualifiedName~Integration\" See TESTING.md for the test-suite layout, the EF Core InMemory / SQLite provider caveats, and known follow-up work. Coverage goals# Aspirational target: > 80% overall, > 90% on critical paths (event CRUD, audio/queue processing, RAG). These are goals, not measured/verified figures."},{"p":"deployment","t":"Deployment guide","s":"Windows Native app","h":"MSIX Packaging (Phase 7 — in progress)","a":"msix-packaging-phase-7--in-progress","x":"The app currently ships unpackaged (WindowsPackageType=None). The MSIX packaging, code-signing, and Store steps below describe the intended path and are not yet a verified, shipped pipeline. Packaging the app will also require reconciling the unpackaged/self-contained settings with an MSIX packaging project. Manual Packaging with Visual Studio# Add Packaging Project textCopy File → Add → New Project → Windows Application Packaging Project Configure Package Manifest Use the provided packaging/Package.appxmanifest Update Identity Publisher with your certificate CN Set appropriate version number Add Application Reference Right-click packaging project → Add → Reference Select MemoryTimeline project Create Package textCopy Right-click packaging project → Publish → Create App Packages Command-Line Packaging# PowerShellCopy # Set environment variables $AppxManifestPath = \".\\packaging\\Package.appxmanifest\" $OutputPath = \".\\output\\packages\" $MappingFile = \".\\packaging\\FileMapping.txt\" # Create package using makeappx makeappx pack /d \".\\bin\\Release\\net8.0-windows\\\" /p \"$OutputPath\\MemoryTimeline.msix\" /l # For app bundle (multiple architectures) makeappx bundle /d \"$OutputPath\\bundles\" /p \"$OutputPath\\MemoryTimeline.msixbundle\" Package Contents Verification# PowerShellCopy # List package contents makeappx unpack /p MemoryTimeline.msix /d .\\unpacked /l # Validate package certutil -hashfile MemoryTimeline.msix SHA256"},{"p":"deployment","t":"Deployment guide","s":"Windows Native app","h":"Code Signing","a":"code-signing","x":"Requirements# EV Code Signing Certificate (required for Microsoft Store) Valid timestamp server URL SignTool.exe (included with Windows SDK) Signing Command# PowerShellCopy # Set certificate thumbprint $CertThumbprint = \"YOUR_CERT_THUMBPRINT\" # Sign the package signtool sign /fd SHA256 /sha1 $CertThumbprint /t http://timestamp.digicert.com /v MemoryTimeline.msix # Verify signature signtool verify /pa MemoryTimeline.msix Certificate Requirements# Type: EV (Extended Validation) Code Signing Certificate Algorithm: SHA256 or higher Validity: Must be valid at time of signing Trusted Root: Must chain to a trusted root authority Acquiring a Certificate# Purchase from authorized CA (DigiCert, Sectigo, GlobalSign) Complete identity verification process Install on signing machine (hardware token or HSM) Export thumbprint for automation"},{"p":"deployment","t":"Deployment guide","s":"Windows Native app","h":"Microsoft Store Deployment (Phase 7 — in progress)","a":"microsoft-store-deployment-phase-7--in-progress","x":"Store submission has not been performed yet. The steps below are the planned process once MSIX packaging and signing are in place. 1. Partner Center Setup# Create Developer Account Go to Microsoft Partner Center Register as individual or company Pay registration fee ($19 one-time for individual, $99 for company) Reserve App Name Apps → Create a new app Reserve \"Memory Timeline\" Note the Identity details for manifest 2. App Submission Preparation# Required Assets# Store Listing Information# Description (minimum 200 characters) Features (5-10 bullet points) Screenshots (minimum 1, recommended 4+) Privacy Policy URL (required) Support Contact (email or website) Age Rating (ESRB, PEGI, etc.) Category (Productivity) 3. Package Upload# Create Submission textCopy Partner Center → Your App → Start submission Upload Package Upload signed .msix or .msixbundle System will validate: Digital signature Manifest validity API usage compliance Content policy compliance Configure Properties Display name: \"Memory Timeline\" Category: Productivity Pricing: Free (or set price) Markets: Select target countries Age rating: Complete questionnaire Submit for Certification Review all sections Submit for review Typical review time: 1-3 business days 4. Certification Process# Microsoft will test: Security: Malware scan, signature validation Performance: Launch time, memory usage, CPU usage Compatibility: Windows version compatibility Content: Policy compliance Functionality: Basic app functionality 5. Publishing# Once approved: App goes live in Microsoft Store (usually within 24 hours) Users can download and install Auto-updates handled by Microsoft Store"},{"p":"deployment","t":"Deployment guide","s":"Windows Native app","h":"Side-loading","a":"side-loading","x":"For enterprise deployment or testing without Microsoft Store. 1. Enable Side-loading on Target Machine# PowerShellCopy # Check if side-loading is enabled Get-AppxPackage -Name \"*YourPublisher*\" # Enable Developer Mode (Settings → Update & Security → For developers) # Or use PowerShell (requires admin) reg add \"HKEY_LOCAL_MACHINE\\SOFTWARE\\Microsoft\\Windows\\CurrentVersion\\AppModelUnlock\" /t REG_DWORD /f /v \"AllowDevelopmentWithoutDevLicense\" /d \"1\" 2. Install Certificate# PowerShellCopy # Import signing certificate to trusted root (admin required) $cert = Get-PfxCertificate -FilePath \".\\SigningCert.pfx\" Import-Certificate -CertStoreLocation Cert:\\LocalMachine\\Root -Certificate $cert 3. Install Package# PowerShellCopy # Using Add-AppxPackage Add-AppxPackage -Path \".\\MemoryTimeline.msix\" # With dependencies Add-AppxPackage -Path \".\\MemoryTimeline.msix\" -DependencyPath \".\\Dependencies\\*.appx\" # Verify installation Get-AppxPackage -Name \"MemoryTimeline\" 4. PowerShell Install Script# Create Install.ps1: PowerShellCopy #Requires -RunAsAdministrator param( [string]$PackagePath = \".\\MemoryTimeline.msix\", [string]$CertificatePath = \".\\SigningCert.cer\" ) Write-Host \"Installing Memory Timeline...\" -ForegroundColor Green # Check if package exists if (-not (Test-Path $PackagePath)) { Write-Error \"Package not found: $PackagePath\" exit 1 } # Install certificate if (Test-Path $CertificatePath) { Write-Host \"Installing certificate...\" Import-Certificate -CertStoreLocation Cert:\\LocalMachine\\Root -FilePath $CertificatePath } # Install package Write-Host \"Installing package...\" try { Add-AppxPackage -Path $PackagePath -ErrorAction Stop Write-Host \"Installation successful!\" -ForegroundColor Green Write-Host \"You can now launch Memory Timeline from the Start menu.\" } catch { Write-Error \"Installation failed: $_\" exit 1 } 5. Uninstall Script# Create Uninstall.ps1: PowerShellCopy #Requires -RunAsAdministrator $AppName = \"MemoryTimeline\" Write-Host \"Uninstalling $AppName...\" -ForegroundColor Yellow $package = Get-AppxPackage -Name \"*$AppName*\" if ($package) { Remove-AppxPackage -Package $package.PackageFullName Write-Host \"Uninstallation successful!\" -ForegroundColor Green } else { Write-Host \"$AppName is not installed.\" -ForegroundColor Yellow }"},{"p":"deployment","t":"Deployment guide","s":"Windows Native app","h":"CI/CD Pipeline","a":"cicd-pipeline","x":"Current workflow: .github/workflows/windows-native-build.yml# The repository has a real GitHub Actions workflow that compiles and tests the native Windows implementation. Its key design decisions mirror the constraints described above: Runs on windows-latest (the WinUI target cannot build on Linux). Installs the .NET 8 SDK (actions/setup-dotnet) and Visual Studio MSBuild (microsoft/setup-msbuild). Builds the whole solution for Release | x64 via msbuild MemoryTimeline.sln /t:Restore,Build — not dotnet build, to avoid the WinUI PRI/XAML task failure. Runs tests with dotnet vstest against the already-built MemoryTimeline.Tests.dll — not dotnet test, which would rebuild the WinUI app and hit the same failure. Compilation is the gate; the headless VSTest run of the self-contained WinUI test assembly is best-effort (continue-on-error) and its results/logs are uploaded as artifacts. Core of the build and test steps: YAMLCopy - name: Setup .NET 8 uses: actions/setup-dotnet@v4 with: dotnet-version: '8.0.x' - name: Setup MSBuild (Visual Studio) uses: microsoft/setup-msbuild@v2 - name: Build (Release | x64) via VS MSBuild shell: pwsh run: | msbuild MemoryTimeline.sln /t:Restore,Build ` /p:Configuration=Release /p:Platform=x64 /m /v:minimal - name: Test (Release | x64) shell: pwsh run: | $dll = Get-ChildItem -Recurse -Path MemoryTimeline.Tests/bin/x64/Release ` -Filter MemoryTimeline.Tests.dll | Select-Object -First 1 dotnet vstest $dll.FullName --logger:\"trx;LogFileName=test.trx\" ` --ResultsDirectory:TestResults (The working directory is windows-native/src.) Not yet automated# Packaging, signing, and Store publishing are not part of the current workflow — they are Phase 7 work in progress (see the MSIX and Microsoft Store sections above)."},{"p":"deployment","t":"Deployment guide","s":"Windows Native app","h":"Post-Deployment","a":"post-deployment","x":"Monitoring# Monitor Partner Center for crash reports Review user feedback and ratings Track download statistics Monitor API usage and costs for the cloud features (Anthropic LLM extraction, OpenAI embeddings). Note: speech-to-text runs locally via Whisper.net and incurs no per-use API cost. Updates# Increment version in Package.appxmanifest Build and test new version Create new submission in Partner Center Upload new package Microsoft Store handles auto-updates for users Rollback# If critical issues found: Suspend availability in Partner Center Roll back to previous version Fix issues and resubmit"},{"p":"deployment","t":"Deployment guide","s":"Windows Native app","h":"Troubleshooting","a":"troubleshooting","x":"Common Issues# Certificate Not Trusted PowerShellCopy # Solution: Install certificate to trusted root Import-Certificate -CertStoreLocation Cert:\\LocalMachine\\Root -FilePath SigningCert.cer Package Installation Failed PowerShellCopy # Check logs Get-AppxLog -ActivityId <ID> # Common fixes: # 1. Ensure certificate is trusted # 2. Check Windows version compatibility # 3. Verify package integrity Store Submission Rejected Review certification report in Partner Center Common reasons: Invalid manifest Missing privacy policy Content policy violations Performance issues Incomplete metadata"},{"p":"deployment","t":"Deployment guide","s":"Windows Native app","h":"Resources","a":"resources","x":"Windows App SDK Documentation MSIX Packaging Documentation Microsoft Partner Center Code Signing Best Practices"},{"p":"deployment","t":"Deployment guide","s":"Windows Native app","h":"Support","a":"support","x":"For deployment issues: Email: support@memorytimeline.com GitHub Issues: https://github.com/yourusername/memory-timeline/issues Documentation: https://docs.memorytimeline.com Last Updated: 2026-07-10"},{"p":"development-status","t":"Development status","s":"Status & history","h":"Development status","a":"","x":"Phase-by-phase status, the 2026-08 F1–F12 feature wave with per-feature detail and deferred items, known limitations, and success criteria. Last Updated: 2026-08-07Current Phase: Phase 7 - Testing & Deployment (plus the 2026-08 feature-spec wave, landed)Overall Progress: Phases 0-6 complete; F1–F12 feature spec implemented; iOS companion Phases 0-3 landed; toolchain rolled to .NET 10 + Windows App SDK 2.3.1; Phase 7 in progressStatus: 🔄 IN PROGRESS — builds green in CI, end-to-end runtime validation ongoing"},{"p":"development-status","t":"Development status","s":"Status & history","h":"Toolchain roll-up: Windows 11 24H2 SDK + .NET 10 LTS + Windows App SDK 2.3.1 (2026-08-07)","a":"toolchain-roll-up-windows-11-24h2-sdk--net-10-lts--windows-app-sdk-231-2026-08-07","x":"Before After Windows SDK (TargetFramework platform) 22621 (Win11 22H2) 26100 (Win11 24H2) .NET 8 (support ends 2026-11-10) 10 LTS (support ends 2028-11-14) Windows App SDK 1.5.240802000 2.3.1 (1.8 support ended 2026-09-09) SDK BuildTools 10.0.22621.3233 10.0.28000.2526 EF Core / Extensions / ASP.NET packages 8.0.0 10.0.10 TargetPlatformMinVersion is unchanged at 10.0.22621.0 — the app still runs on Windows 11 22H2; only the compile-time SDK moved. Landed as three separately bisectable commits (.NET 10, then WinAppSDK 2.3.1, then the perf-bound fix) because the two framework moves fail in confusingly similar ways — both surface as assembly-load and type-resolution errors. Developer prerequisites changed — see README.md → Prerequisites: The .NET 10 SDK, 10.0.1xx band, pinned by src/global.json. That band declares MSBuild 17.14 as its minimum, which is what keeps Visual Studio 2022 able to build; bands 10.0.2xx+ require MSBuild 18 / Visual Studio 2026. Visual Studio 2026 is the supported IDE. Microsoft supports targeting .NET 10 only in VS 18.0+; VS 2022 17.14 builds with an \"unsupported target\" warning rather than an error. The CI runner (windows-latest) is already VS 2026 / MSBuild 18.8.2. Notes for whoever picks this up next: The original CS1705 build break was caused by pinning WindowsSdkPackageVersion to 10.0.26100.87, whose WinRT.Runtime ships in lib/net9.0, against a net8.0 project — not by the Windows App SDK, whose managed assemblies all target net6.0 and impose no .NET floor. Revision .86 is the lib/net8.0 build. The pin is now removed entirely; the .NET 10 SDK selects a matching projection. Microsoft.Data.Sqlite.Pre10TimeZoneHandling is set at both entry points. .NET 10 changed offset-less stored timestamps to read as UTC instead of local, which would silently shift every historical event by the local UTC offset. Auditing and migrating the stored values is an open follow-up — do not remove the switch without doing that work. CommunityToolkit.WinUI.UI.Controls / .Animations 7.1.2 were removed as verified-unused (the <controls:*> tags resolve to MemoryTimeline.Controls). If toolkit controls are wanted later, the modern packages are the split CommunityToolkit.WinUI.Controls.* 8.x line, not the 7.x UWP-era one. FluentAssertions is deliberately held at 6.x: 8.x is commercially licensed. SQLitePCLRaw.lib.e_sqlite3 2.1.11 (transitive via EF Core 10) still carries GHSA-2m69-gcr7-jv3q, with no patched 2.x release; the fix is in its 3.x major, which EF Core 10 does not expect. Left deliberately. LoadTest_UpdateOperationsOnLargeDataset_PerformReasonably measured 5546 / 8109 / 10179 ms across three identical CI runs (it commits 100 separate SQLite transactions, so it is fsync-bound). Its bound was raised 5000 → 20000 ms as a gross-regression gate. It passed under .NET 8 at the old bound, so a modest EF Core 10 write-path slowdown is unconfirmed but not excluded — worth measuring on real hardware. Untested from CI: the runtime interaction between Microsoft.ML.OnnxRuntime.DirectML 1.16.3 and the ONNX runtime bundled in WinAppSDK 2.3.1 (two ONNX runtimes in one process is a known hazard)."},{"p":"development-status","t":"Development status","s":"Status & history","h":"iOS roadtrip companion — Phase 3: processing status & review handoff (2026-08)","a":"ios-roadtrip-companion--phase-3-processing-status--review-handoff-2026-08","x":"Date: 2026-08-07 Phase 3 of the iOS roadtrip companion plan (design doc §19 Phase 3) landed. Its exit criterion: the user can understand a capture's full lifecycle from the phone without opening Windows, while all editing and approval stay on Windows. Direction of flow — one way, Windows-authored: textCopy IQueueService advances a processing stage → ICaptureStatusPublisher writes a capture_status row into sync_outbox → LocalOutboxPublisher drains it to POST /sync/push → service change log + one latest-wins capture_status projection row → GET /sync/pull on the originating phone → applied locally; a local notification on a milestone New capture_status change type — CaptureStatusChangePayload and SyncChangeEntityType.CaptureStatus in the shared contracts, with the matching SyncEntityType.CaptureStatus on the Windows outbox side (MemoryTimeline.Data/Models/SyncOutbox.cs). entityId is the captureId — one status entity per capture — and only upsert is meaningful. The payload carries the coarse SyncCaptureStatus, the finer QueueProcessingStage, a transcript preview capped at 600 characters plus the full transcript's character count, pending/approved review counts, and a failure reason with its retry classification. Windows publisher — CaptureStatusPublisher projects a queue item's state into an outbox row. It publishes only for captures that came from another device (a Windows-local recording has no phone waiting on it) and drops a projection identical to the last one, so the pipeline can call it after every transition without producing noise. Service — /sync/push validates capture_status entries before they enter the change log and stores a capture_status projection row per capture; /sync/pull fans it out to the owner's other devices. Echo suppression keys on the publishing device, never on the device a capture came from, which is what lets a phone receive status about its own captures. The startup path creates the new table with idempotent DDL, so a Phase 1/2 deployment upgrades without deleting sync.db. iOS — a pull-driven StatusSyncCoordinator applies changes to a local capture_status table, and history/detail fuse the local upload leg with the remote processing leg into one readable position, plus the transcript preview, the review counts, and where the recording currently exists. The boundary, stated explicitly: editing and approval stay on Windows. Nothing in capture_status is an instruction — it is a read-only projection of Windows-side state. The phone never authors the entity type, never edits a transcript, and never approves or rejects an extracted event. Deliberate decision — notifications are LOCAL, not APNs. Per the resolved §22.1/§22.2 decisions (self-hosted deployment, no user accounts), there is no push certificate and no notification server anywhere in this design. The phone posts its own local notification the moment a pull observes a capture becoming review-ready, completing, or failing. The trade-off accepted: updates arrive when the phone pulls — foreground, after an upload pass, or on an iOS-scheduled background refresh — not the instant Windows finishes. What Phase 3 deliberately does NOT do: The full transcript stays on Windows. The phone gets a ≤600-character excerpt plus a character count, never a replica, and there is no endpoint that would give it one. The phone cannot edit or approve. No transcript editing, no event approval/rejection, and no way to restart Windows-side processing from the phone; a capture that failed on the PC is retried on the PC. Progress does not rewind on the phone. A pulled status can advance a capture's stored lifecycle state but never move it back, so a replayed or out-of-order change is harmless. A reported failure is the one transition allowed to reset that floor, so a Windows-side retry can move the capture forward again. No audio flows back. The design's Phase 3 line about playback of the original audio is satisfied by the phone's own local file; the Windows-side normalized a"},{"p":"development-status","t":"Development status","s":"Status & history","h":"iOS roadtrip companion — Phase 1: sync service & Windows sync client (2026-08)","a":"ios-roadtrip-companion--phase-1-sync-service--windows-sync-client-2026-08","x":"Date: 2026-08-07 Phase 1 of the iOS roadtrip companion plan (design doc section 19; see the Phase 0 entry below for the groundwork it builds on) landed: Sync service — new services/MemoryTimeline.SyncApi (ASP.NET Core, net8.0; unlike the WinUI solution it is plain cross-platform .NET and builds/tests/runs with the dotnet CLI). Self-hosted Mode A server (design §4.2): device pairing/registration gated by an owner pairing code, self-issued HMAC-SHA256 JWT access tokens with refresh-token rotation and immediate revocation (§14.1); idempotent capture metadata ingestion (replaying a captureId returns the existing capture); chunked artifact upload (initiate → PUT parts → complete with byte-length/part-count/SHA-256 validation, §11.4) into a filesystem artifact store; and an append-only sync_changes log serving cursor-based GET /sync/pull (own-device echo suppression), per-device idempotent POST /sync/push (push receipts keyed on client sequence), and POST /sync/ack. SQLite metadata + artifact blobs live under one configurable data directory. Operator guide: ../services/README.md. Windows sync client — new MemoryTimeline.Sync project in the WinUI solution. SyncBackgroundWorker runs a periodic (30 s) pull → apply → ack → publish-outbox loop; RemoteChangeApplier turns each pulled capture change into artifact download + idempotent ICaptureIngestionService ingestion, so a remote audio capture enters the existing review queue exactly once; LocalOutboxPublisher drains the Phase 0 sync_outbox in order to /sync/push and marks accepted/duplicate rows delivered. The cursor only advances past applied/skipped/permanently-failed changes; retryable failures stop the pull and retry next cycle. Settings → Sync UI: server URL + pairing code, enable/disable, sync-now, status line, and unpair/revoke. New SettingKeys.Sync* constants (server URL, device ID, tokens, cursor, auto-process); wire DTOs shared with the service via shared-contracts/dotnet/MemoryTimeline.SyncContracts (camelCase JSON, JsonSerializerDefaults.Web). CI — new Linux workflow .github/workflows/sync-api-build.yml builds services/MemoryTimeline.Services.sln and runs the SyncApi test suite with the dotnet CLI on ubuntu-latest; the Windows workflow now also triggers on this branch and on shared-contracts/dotnet/** changes. Exit criterion status: implemented and integration-tested at the service level — a test client can register, create a capture, upload its audio artifact, and the Windows pull → ingest path dedupes it into review exactly once. End-to-end validation against a real iPhone awaits the Phase 2 iOS client. Known follow-ups (from the post-fix verification pass): The RefreshTokenHash concurrency token applies to every device-row update; ack/revoke racing a concurrent refresh can surface a retryable 500 (only refresh has reload-and-retry today). Crash-orphaned *.tmp assembly files in the service's artifact store are never swept (in-process failures clean up after themselves). The register endpoint reads the Idempotency-Key header directly and does not enforce the 128-char limit the authenticated-route filter applies. Service schema is EnsureCreated (no migrations); pre-release upgrades across schema changes require deleting sync.db (see services/README.md). Sync tokens are stored in the Windows app's settings table like the other keys; DPAPI-at-rest remains the tracked hardening follow-up. Per the resolved design §22 decisions (2026-08-07): the service needs an artifact retention sweep (delete artifacts 14 days after Windows acknowledges archival, or sooner under storage pressure) — artifacts are currently retained indefinitely. Design decisions: all §22 open decisions were resolved by the owner on 2026-08-07 — self-hosted only, no user accounts (pairing-code device model), Windows-local transcription (GPU/NPU when available), optional on-device iOS Whisper, Google places within the free tier with informed Apple failover, CarPlay screens designed for v1 with the entitlement defer"},{"p":"development-status","t":"Development status","s":"Status & history","h":"iOS roadtrip companion — Phase 0: contract & schema groundwork (2026-08)","a":"ios-roadtrip-companion--phase-0-contract--schema-groundwork-2026-08","x":"Date: 2026-08-06 Phase 0 of the iOS roadtrip companion plan (a separate track from the app phases below; see ../docs/design/IOS-ROADTRIP-COMPANION-SYSTEM-DESIGN.md, section 19) landed: Device-neutral capture schema — new captures, capture_artifacts, and sync_outbox tables (EF models, AppDbContext configuration, idempotent SchemaUpgrader DDL); recording_queue extended with device-neutral provenance columns (source_capture_id unique, source_device_id, source_platform, audio_artifact_id, original_file_name, content_sha256, sync_state, received_at, processing_stage). Idempotent ingestion service — ICaptureIngestionService / CaptureIngestionService: resolves artifacts via IArtifactResolver (Phase 0: local files), verifies declared byte length + SHA-256, dedupes by source capture ID (including the insert race), and writes capture + artifact + queue item + sync outbox record in one atomic SaveChanges (ICaptureRepository.IngestAsync). Queue processing stages — QueueService now stamps ProcessingStage/SyncState through the pipeline (transcribing, review_ready/completed, failed_configuration, failed_retryable), gained ProcessCaptureAsync, and resets items to pending on cancellation. Shared API contracts — new shared-contracts/ directory: openapi/memory-line-sync-v1.yaml (Sync API v1 skeleton) and json-schema/capture-envelope.v1.json (remote capture ingestion envelope); Swift/C# clients will be generated from these (see shared-contracts/README.md). Existing Windows recordings pass through the new ingestion abstraction with no UI behavior change (the Phase 0 exit criterion). Next step: Phase 1 — sync service (device registration/auth, capture metadata + artifact upload, cursor-based push/pull) and the Windows sync worker that drains the new sync_outbox."},{"p":"development-status","t":"Development status","s":"Status & history","h":"2026-08 feature-spec implementation (F1–F12)","a":"2026-08-feature-spec-implementation-f1f12","x":"Date: 2026-08-06 Twelve features from the Memory Timeline feature spec were implemented on top of the post-audit base, in dependency-ordered waves (F1/F3/F4 → F2/F7/F5 → F8/F6/F9 → F11/F12/F10) with a verification fix pass after each wave. Every wave pushed CI-green (Release|x64, windows-latest). Per-feature status (all landed): F1 — Date precision & uncertainty: DatePrecision enum (Exact/Day/Month/Season/Year/Decade/Unknown) + earliest_possible/latest_possible window on events and pending_events; precision-honest date display everywhere; extraction assigns precision instead of inventing days; the category list bug fixed. F3 — Text/paste capture: recording_queue.source_type (Audio/Text/Imported), persisted transcript reused across retries (also for Whisper output), Ctrl+Shift+V paste-capture dialog on the Queue page. F4 — Ask your timeline: new Ask page; hybrid keyword+semantic retrieval merged with reciprocal-rank fusion; grounded answers cited to real events; honest refusal when nothing relevant exists; keyword-only degraded mode without embeddings. F2 — Media attachments: event_media table, managed copy tree under %LOCALAPPDATA%\\MemoryTimeline\\Media, EXIF via MetadataExtractor, thumbnails, content-hash dedupe, lightbox, drag-drop. F7 — On This Day / Home: new default landing page; precision-aware anniversaries (only Exact/Day events surface on a specific day); event view tracking; optional daily toast; event: deep links fixed; first-run empty state. F5 — Narrative generation: grounded prose per scope (range/era/person) with precision-honest dates and code-enforced citation integrity; Markdown/HTML export; story dialog reachable from Eras, Timeline, and People. F8 — Spans/swimlanes/uncertainty + perf: duration span bars, collapsible swimlanes, uncertainty band rendering; scroll reload coalescing (major timeline performance fix). F6 — Guided recall prompts: recall_prompts table; five gap sources (density gaps, dangling people, era edges, thin events, anniversaries); deduped against all prior prompts so a question is never re-asked; cards on Queue and Home. F9 — People hub: person_aliases, tombstone merges (people.merged_into_id), case-insensitive NOCASE identity with a defensive migration that merges case-variant duplicates and backfills contact columns; person profiles; alias-aware extraction. F10 — Offline map: coordinates on locations (EXIF GPS backfill + pin drop), opt-in Nominatim geocoding off by default, fully offline canvas map (deliberately not WinUI MapControl/Azure Maps). F11 — Pluggable AI: local ONNX all-MiniLM-L6-v2 embeddings (384-dim, CPU EP) — local-first Connections with no OpenAI key; OpenAI-compatible LLM endpoint support (Ollama/LM Studio); per-call provider routing (RoutingLlmService/ RoutingEmbeddingService); embedding dimension guard + re-embed flow; per-session LLM usage counter. F12 — Backup/restore/revisions: .mtbak online-backup archives (optionally with media), restore with preview + explicit confirmation, append-only event_revisions history + history dialog, scheduled daily/weekly backups, and a real Clear Cache. Infrastructure fixes in the same wave: the SQLite pragma interceptor no longer rewrites journal_mode on read-only connections; CI triggers on the feature branch; app_settings seed parity is three-way (33 keys, AppDbContext seed = SchemaUpgrader backfill = SettingKeys). Explicitly deferred (not implemented, by design): PhotoImportPage bulk-import wizard; map tile basemaps (the map is a plain offline canvas); a location chip on timeline events; real LLM token streaming (responses arrive whole); PDF narrative export (Markdown/HTML only); vertical scrolling within swimlanes; reorderable lanes; an EXIF test against a real binary image fixture; a Merge restore mode (restore is replace-only, with a pre-restore safety backup); DirectML execution provider for the ONNX embedder (CPU is used). Honest caveats: all of the above is code-complete and CI-green, but runtime validation on a real Windows m"},{"p":"development-status","t":"Development status","s":"Status & history","h":"Post-audit hardening (2026-07)","a":"post-audit-hardening-2026-07","x":"Date: 2026-07-10 Between the Phase 6 \"feature-complete\" milestone and the start of formal Phase 7 testing, three live user-reported bugs (Save on Add Event did nothing; searching for the added event showed a \"search error\"; the timeline Refresh button showed nothing) triggered a multi-agent feature audit and fix pass. Five specialized agents traced every major feature end-to-end (UI → command → ViewModel → service → repository → SQLite → UI) with file:line evidence. The full findings are in FEATURE-AUDIT.md; deferred items are tracked in HARDENING-FOLLOWUPS.md. What the audit found (root causes): A category string case mismatch + swallowed errors — the Add Event dialog fell back to \"Other\" (capital O) while validation checked case-sensitively against lowercase categories, throwing before any DB write; the exception was reduced to a status-text log line and the dialog had already closed. This alone produced \"Save does nothing\" (Bug 1) and, downstream, \"Refresh shows nothing\" (Bug 3, because no row was ever inserted). One app-wide shared, never-disposed AppDbContext — every page resolved its ViewModel from the root provider, so a single Scoped context served the whole app. Overlapping operations (e.g. a fire-and-forget embedding task racing an un-debounced per-keystroke search) threw \"a second operation was started on this context,\" surfaced as the \"search error\" (Bug 2) and intermittent failures across features. Mic-based STT that ignored the recorded file — the speech-to-text path loaded the WAV into an unused variable and then transcribed the live microphone, so the core audio ingestion loop never processed the actual recording. What was fixed in this pass: Category-casing fallback normalized and validation made case-insensitive; Add Event dialog now uses a deferral and surfaces errors in-dialog instead of silently closing. Data access converted to per-operation contexts via IDbContextFactory<AppDbContext>; the shared-context Task.Run for embeddings removed/rescoped; search input debounced/cancellable; Tag.Name→TagName. Startup now uses SchemaUpgrader.EnsureSchemaAsync (EnsureCreated + idempotent drift repair); stale EF migrations were deleted (regenerating a real migration baseline is a follow-up). STT replaced with local Whisper (Whisper.net, ggml base model, offline after first model download), transcribing the recorded file instead of the live mic. Atomic approve (event + tags/people/locations in one transaction) with timeline auto-refresh; settings key writer/reader unified under a SettingKeys constants class; embeddings settings-key + provider/dimension wiring; RAG mapped-column queries + persistence + IsAvailable; export Include fix; unified INotificationService; navigation param overload; dead AnthropicClaudeService/IAudioService deleted. A CI Windows-build workflow was added (.github/workflows/windows-native-build.yml) that builds Release|x64 on windows-latest and runs the test suite. Outcome / honest current state: the solution builds green in CI on a Windows runner, but end-to-end runtime validation is ongoing — this is not yet production ready. The audit work resolved the three reported bugs at the code level and removed the shared-context foundation defect underneath them; the remaining Phase 7 work is runtime verification plus the follow-ups listed below. Build reality (important for anyone building locally): The solution is x64-only (no AnyCPU configuration). WinUI 3 PRI generation needs Visual Studio msbuild.exe; dotnet build fails with MSB4062. global.json pins the .NET 8 SDK with rollForward: \"major\". CI (windows-native-build.yml) builds Release|x64 on windows-latest and runs tests. Immediate follow-ups (see HARDENING-FOLLOWUPS.md): end-to-end runtime validation; DPAPI encryption of API keys at rest; regenerate the EF migration baseline; Whisper model/language options; analytics export; MSIX packaging + Microsoft Store submission; update tests still using the old constructor signatures to the context factory"},{"p":"development-status","t":"Development status","s":"Status & history","h":"Executive Summary","a":"executive-summary","x":"The Memory Timeline Windows native application has completed Phases 0-6 and is in Phase 7 (Testing & Deployment). Following the July 2026 post-audit hardening pass and the August 2026 F1–F12 feature-spec implementation (see above), the app is feature-complete across core functionality, advanced features, Windows integration, and polish, and builds green in CI on a Windows runner. Phase 7 work is in progress: end-to-end runtime validation is ongoing (now covering the feature wave as well), followed by performance validation, MSIX packaging, and Microsoft Store submission. The application is not yet production ready. Quick Status Overview# Phase Status Completion Key Deliverables Phase 0: Preparation ✅ Complete 100% Development environment, WinUI 3 skeleton, SQLite demo Phase 1: Core Infrastructure ✅ Complete 100% Database (EF Core), Settings, Navigation, Repository Pattern Phase 2: Timeline Visualization ✅ Complete 100% Timeline canvas, Zoom/pan, Touch support, TimelinePage UI Phase 3: Audio & Processing ✅ Complete 100% Audio recording, Queue system, Windows STT, QueuePage UI Phase 4: LLM Integration ✅ Complete 100% Claude API, Event extraction, ReviewPage, PendingEvent workflow Phase 5: RAG & Embeddings ✅ Complete 100% Backend services, ConnectionsPage UI, embedding workflow Phase 6: Polish & Integration ✅ Complete 100% Export/Import, Windows notifications, JumpList, Timeline Phase 7: Testing & Deployment 🔄 In Progress — CI Windows build green; runtime validation, MSIX, Store pending Note (2026-07-10): A post-Phase-6 multi-agent feature audit + fix pass hardened the data layer and core flows before formal Phase 7 testing. The solution now builds green in CI (Release|x64, windows-latest); end-to-end runtime validation is the current focus. See the \"Post-audit hardening (2026-07)\" section above, plus FEATURE-AUDIT.md and HARDENING-FOLLOWUPS.md."},{"p":"development-status","t":"Development status","s":"Status & history","h":"Phase 0: Preparation - ✅ COMPLETED","a":"phase-0-preparation---completed","x":"Summary# Established complete project structure, solution configuration, and foundational architecture for the Windows native application. Completed Items# Project Structure Created windows-native directory Set up solution structure with 4 projects Configured clean architecture layers Solution & Project Files MemoryTimeline.sln - Main solution file MemoryTimeline.csproj - WinUI 3 application project MemoryTimeline.Core.csproj - Business logic project MemoryTimeline.Data.csproj - Data access project MemoryTimeline.Tests.csproj - Test project NuGet Package References Microsoft.WindowsAppSDK 1.5+ CommunityToolkit.Mvvm 8.2.2 EF Core 8 with SQLite xUnit testing framework Moq + FluentAssertions Anthropic SDK ONNX Runtime with DirectML Database Layer All 13 data models (Event, Era, Tag, Person, Location, etc.) AppDbContext with EF Core configuration Repository pattern with generic and specialized interfaces Initial migrations created WinUI 3 Application Shell App.xaml / App.xaml.cs with DI setup MainWindow.xaml with NavigationView Package.appxmanifest DPI awareness configured Completion Date: 2025-11-21Verification: See PHASE0-COMPLETION-REPORT.md"},{"p":"development-status","t":"Development status","s":"Status & history","h":"Phase 1: Core Infrastructure - ✅ COMPLETED","a":"phase-1-core-infrastructure---completed","x":"Summary# Implemented complete database layer, settings system, navigation framework, and dependency injection infrastructure. Completed Items# Database Layer (EF Core) All entity models with relationships configured EventRepository with specialized queries EraRepository, TagRepository, PeopleRepository, LocationRepository RecordingQueueRepository, PendingEventRepository EventEmbeddingRepository, CrossReferenceRepository Unit of Work pattern Timestamp auto-updates Soft delete support Settings System SettingsService with Windows.Storage integration Strongly-typed settings models API key secure storage (Windows Credential Manager) Theme settings (Light/Dark) LLM configuration settings Audio quality settings App Shell & Navigation MainWindow with NavigationView Frame-based navigation service Navigation menu items Page transition animations Title bar customization Theme switching (Light/Dark/System) Dependency Injection Full DI container setup (Microsoft.Extensions.DependencyInjection) All services registered (Singleton, Scoped, Transient) All repositories registered All ViewModels registered All Pages registered Completion Date: 2025-11-21Verification: See PHASE1-COMPLETED.md and PHASE1-VERIFICATION-REPORT.md"},{"p":"development-status","t":"Development status","s":"Status & history","h":"Phase 2: Timeline Visualization - ✅ COMPLETED","a":"phase-2-timeline-visualization---completed","x":"Summary# Built high-performance timeline rendering with zoom/pan controls, touch support, and smooth 60 FPS performance. Completed Items# Timeline Canvas Custom TimelineControl with XAML Virtualization for 5000+ events Hardware-accelerated rendering Viewport management with lazy loading Memory-efficient caching Event Rendering Event bubbles with category colors Category icons (XAML Geometry) Era gradient backgrounds Duration event bars Tooltip on hover Responsive sizing Zoom & Pan Controls 4 zoom levels: Year, Month, Week, Day Smooth zoom transitions with animations Pan with touch/mouse drag Keyboard navigation (←/→ arrows, +/- zoom) \"Today\" quick navigation (T key) Touch & Pen Support Touch gestures (pinch-to-zoom, drag-to-pan) Windows Ink integration (ready for Phase 6+) High-DPI support Per-monitor DPI awareness TimelinePage UI Command bar with zoom controls Date range display Event details panel Filter controls (placeholder) Loading indicators Completion Date: 2025-11-22Verification: See PHASE2-IMPLEMENTATION-PLAN.md and PHASE2-PROGRESS-REPORT.md"},{"p":"development-status","t":"Development status","s":"Status & history","h":"Phase 3: Audio & Processing - ✅ COMPLETED","a":"phase-3-audio--processing---completed","x":"Summary# Implemented audio recording, queue management, and speech-to-text integration using Windows APIs. Completed Items# Audio Recording MediaCapture API integration Audio device selection Format: 16kHz, 16-bit WAV Pause/resume/cancel controls Real-time waveform preview File management (ApplicationData folder) Queue System RecordingQueue database table QueueService with background processing Status tracking (pending, processing, completed, failed) Retry logic with exponential backoff Progress reporting Error handling and logging Speech-to-Text ISpeechToTextService interface Windows Speech Recognition implementation Mock STT service for testing Transcription progress reporting Confidence scoring Multi-engine support (ready for cloud STT) QueuePage UI Recording controls (Start, Pause, Cancel) ListView with queue items Play/remove buttons for queue items Progress bars for processing Status indicators with icons File metadata display (duration, size, timestamp) Completion Date: 2025-11-22Verification: See PHASE3-VERIFICATION-REPORT.md and PHASE3-4-CODE-COMPLETENESS-VERIFICATION.md"},{"p":"development-status","t":"Development status","s":"Status & history","h":"Phase 4: LLM Integration - ✅ COMPLETED","a":"phase-4-llm-integration---completed","x":"Summary# Integrated Anthropic Claude API for intelligent event extraction from transcripts with review workflow. Completed Items# LLM Service ILlmService interface AnthropicService implementation Claude 3.5 Sonnet integration Structured prompt engineering JSON response parsing Retry logic with Polly library Error handling Event Extraction EventExtractionService Extract title, dates, description, category Extract tags, people, locations Confidence scoring per field Relative date parsing Category classification (9 categories) Batch processing support Review Workflow PendingEvent entity and repository ReviewPage UI with pending events list Event edit dialog for modifications Approve/Edit/Reject actions Bulk operations (Approve All, Reject All) Confidence indicators with color coding Integration with timeline (approved events) ReviewPage UI Pending events ListView Event details cards Edit dialog with all fields Confidence score displays Command bar with bulk actions Empty state handling Completion Date: 2025-11-23Verification: See PHASE3-4-CODE-COMPLETENESS-VERIFICATION.md and PHASE4-5-VERIFICATION-REPORT.md"},{"p":"development-status","t":"Development status","s":"Status & history","h":"Phase 5: RAG & Embeddings - ✅ COMPLETED","a":"phase-5-rag--embeddings---completed","x":"Summary# Implemented RAG (Retrieval-Augmented Generation) capabilities with vector embeddings, similarity search, cross-reference detection, and pattern analysis. Completed Items# Embedding Service IEmbeddingService interface OpenAIEmbeddingService implementation text-embedding-3-small model (1536 dimensions) Batch embedding generation Cosine similarity calculation K-nearest neighbors search Threshold-based filtering RAG Service IRagService interface RagService implementation Similarity search (find similar events) Cross-reference detection (6 relationship types) Pattern detection (categories, clusters, transitions) Tag suggestions based on similarity LLM-powered relationship analysis Data Layer EventEmbedding entity CrossReference entity EventEmbeddingRepository CrossReferenceRepository Vector storage as JSON ConnectionsPage UI ConnectionsViewModel with observable collections Three-section layout (Similar Events, Cross-References, Tag Suggestions) Similar events list with similarity scores Cross-references with relationship type icons Tag suggestions with confidence Refresh command Generate Embeddings batch workflow Navigate to event command Embedding Generation Workflow Automatic embedding on event creation (fire-and-forget) Manual embedding generation per event Batch embedding generation for all events Progress reporting Navigation Integration ConnectionsPage registered in navigation Navigation menu item with icon Deep linking with eventId parameter ViewModel and Page registered in DI Completion Date: 2025-11-24Verification: See PHASE5-IMPLEMENTATION-REPORT.md and PHASE4-5-VERIFICATION-REPORT.md"},{"p":"development-status","t":"Development status","s":"Status & history","h":"Phase 6: Polish & Windows Integration - ✅ COMPLETED","a":"phase-6-polish--windows-integration---completed","x":"Summary# Added export/import functionality, Windows 11 integration features (notifications, JumpList, Timeline), and comprehensive UI polish. Completed Items# Export Service IExportService interface ExportService implementation Export to JSON (with date filtering) Export to CSV (with proper escaping) Export to Markdown (grouped by year) Full database export Progress reporting (IProgress) Import Service IImportService interface ImportService implementation Import from JSON (with validation) Duplicate detection (by title + date) Conflict resolution options Automatic backup creation ImportResult with detailed statistics ValidationResult for file validation Progress reporting with messages Windows Notification Service INotificationService interface NotificationService implementation Toast notifications (simple) Action notifications with callbacks Success/Error styled notifications Processing complete notifications AppNotificationManager integration Windows JumpList Service IJumpListService interface JumpListService implementation Recent events (last 10 accessed) Quick actions (New Event, Start Recording, View Timeline, Search) Deep linking with arguments Group-based organization Duplicate prevention Windows Timeline Service IWindowsTimelineService interface WindowsTimelineService implementation Publish events to Windows Timeline User Activity API integration Adaptive Card visualization Deep link support (memory-timeline://event/{id}) Activity update and removal Protocol handler registration Settings UI Enhancement Export/Import section added to SettingsPage Export buttons (JSON, CSV, Markdown) Import button with file picker Progress indicators (ProgressBar, ProgressRing) Status message displays FileSavePicker/FileOpenPicker integration Button state management during operations SettingsViewModel Enhancement ExportToJsonCommand ExportToCsvCommand ExportToMarkdownCommand ImportFromJsonCommand Progress properties (IsExporting, IsImporting, ExportProgress) Status message properties Window handle initialization for pickers Completion Date: 2025-11-25Verification: See PHASE6-IMPLEMENTATION-REPORT.md"},{"p":"development-status","t":"Development status","s":"Status & history","h":"Phase 7: Testing & Deployment - 🔄 IN PROGRESS","a":"phase-7-testing--deployment---in-progress","x":"Status: In Progress# Current Focus: End-to-end runtime validation of the post-audit hardening fixes, followed by comprehensive automated testing, performance validation, packaging, and store submission. Done so far in Phase 7: Multi-agent feature audit + fix pass (see \"Post-audit hardening (2026-07)\" above and FEATURE-AUDIT.md) — resolved the three reported user bugs at the code level and removed the shared-context foundation defect. CI workflow .github/workflows/windows-native-build.yml added: builds Release|x64 on windows-latest and runs the test suite. The solution builds green in CI. Still ahead: end-to-end runtime validation on real hardware; regenerating the EF migration baseline; updating tests still on the old constructor signatures; performance validation; MSIX packaging + code signing; Microsoft Store submission. Objectives# Comprehensive Testing Unit tests for all services Integration tests for database operations UI tests with WinAppDriver Performance tests with large datasets Performance Validation Timeline rendering at 60 FPS with 5000+ events Memory usage < 100 MB for 5000 events Cold start time < 2 seconds Database query performance < 50ms MSIX Packaging Package manifest configuration App icons and assets (all sizes) Code signing with EV certificate Dependencies bundling Microsoft Store Submission Store listing preparation Screenshots (1920×1080, 2560×1440) App description and keywords Privacy policy Age ratings Pending Items# 7.1 Testing# Unit Tests EventService tests (CRUD operations) SettingsService tests AudioService tests LlmService tests (with mocked API) RagService tests ExportService tests ImportService tests Repository tests Target: > 80% code coverage Integration Tests Database integration tests API integration tests (LLM, STT, Embeddings) File system tests (audio files, exports) Windows API integration tests UI Tests WinAppDriver setup Timeline navigation tests Event CRUD workflow tests Audio recording workflow tests Review workflow tests Settings tests Accessibility tests (keyboard, screen reader) Performance Tests Load testing with 10/100/1000/5000/10000 events Memory profiling (Visual Studio Profiler) Render performance benchmarks Database query performance tests Embedding generation performance tests Timeline FPS monitoring 7.2 Packaging# MSIX Package Configure Package.appxmanifest Identity (name, publisher, version) Display name and description Logos (Square44x44, Square150x150, Wide310x150, StoreLogo) Capabilities (internetClient, microphone, runFullTrust) Target device families Create all icon assets Square44x44Logo.png (list icon) Square150x150Logo.png (medium tile) Wide310x150Logo.png (wide tile) StoreLogo.png (50x50) SplashScreen.png (620x300) Privacy policy document License agreement Package build configuration Code Signing Obtain EV Code Signing Certificate Configure SignTool Test signing process Automate signing in CI/CD 7.3 Deployment# Microsoft Store Create Partner Center account ($19) Prepare store listing App title: \"Memory Timeline - AI-Powered Personal History\" Short description (< 200 chars) Full description with features Keywords (max 7) Category selection Create screenshots Timeline view Audio recording Event review Connections/RAG Settings Age rating questionnaire Submit for certification Side-loading Option Create standalone MSIX installer PowerShell install script Installation instructions document Troubleshooting guide Auto-Updates Microsoft Store auto-update (if Store) Or custom UpdateService implementation Version check mechanism Update notification UI 7.4 Documentation# User Manual Getting started guide Feature walkthroughs Keyboard shortcuts reference FAQ Troubleshooting Developer Guide Architecture documentation API reference Contributing guidelines Build instructions Deployment Guide System requirements Installation instructions Configuration options Backup and restore procedures Timeline# Phase 7 Duration: 3 weeks Start Date: TBD (after current updates committed) Targ"},{"p":"development-status","t":"Development status","s":"Status & history","h":"Technology Stack Summary","a":"technology-stack-summary","x":"Component Technology Version Status UI Framework WinUI 3 + XAML Windows App SDK 1.5+ ✅ Runtime .NET 8 8.0 ✅ Database SQLite + EF Core EF Core 8.0 ✅ MVVM CommunityToolkit.Mvvm 8.2.2 ✅ Audio Windows.Media.Capture Windows SDK ✅ STT Local Whisper (Whisper.net, ggml base) offline after first model download ✅ LLM Anthropic Claude API or OpenAI-compatible endpoint (Ollama / LM Studio), routed per call claude-sonnet-4-20250514 default ✅ Embeddings Local ONNX all-MiniLM-L6-v2 (default, 384-dim, CPU EP) or OpenAI API text-embedding-3-small (1536-dim) as the cloud option ✅ Media metadata MetadataExtractor (EXIF) 2.8.1 ✅ Geocoding Nominatim (opt-in, off by default) HTTP typed client ✅ Navigation Frame-based WinUI 3 ✅ Theming Light/Dark mode WinUI 3 ✅ Notifications AppNotifications Windows App SDK ✅ JumpList Windows.UI.StartScreen UWP API ✅ Timeline UserActivities UWP API ✅"},{"p":"development-status","t":"Development status","s":"Status & history","h":"Code Statistics","a":"code-statistics","x":"Overall Project (after the 2026-08 feature wave)# Total Projects: 4 (Main App, Core, Data, Tests) Total Code Files: 250+ (.cs/.xaml, excluding build output) Total Lines of Code: ~70,000+ (including XAML and tests) Data Models: 20 Core Service Interfaces: 30 Repositories: 15 ViewModels: 14 Views (XAML Pages): 12 Test Files: unit/integration/performance suites in MemoryTimeline.Tests (run in CI; coverage targets still Phase 7) By Phase# Phase 0: ~1,500 lines (scaffolding, configuration) Phase 1: ~2,500 lines (database, services, DI) Phase 2: ~2,000 lines (timeline UI, controls) Phase 3: ~1,800 lines (audio, queue, STT) Phase 4: ~2,200 lines (LLM, extraction, review) Phase 5: ~2,000 lines (RAG, embeddings, connections) Phase 6: ~2,500 lines (export, import, Windows integration, polish) Phase 7: Pending (tests)"},{"p":"development-status","t":"Development status","s":"Status & history","h":"Known Issues & Limitations","a":"known-issues--limitations","x":"Current Limitations# Runtime validation: The post-audit fixes and the entire F1–F12 feature wave build green in CI but are not yet validated end-to-end on real hardware (Phase 7, in progress) Automated tests: Some older tests still use the old constructor signatures and need updating to the IDbContextFactory pattern; broad coverage still pending (Phase 7) EF migrations: Stale migrations deleted; a real migration baseline still needs regenerating — all 2026-08 schema additions ship via SchemaUpgrader.EnsureSchemaAsync API keys: Stored in plaintext; DPAPI encryption is a follow-up Performance: Not yet validated with 5000+ events (Phase 7) MSIX Package / Store Submission: Not created or submitted yet (Phase 7) ONNX acceleration: The local embedder runs on the CPU execution provider; DirectML/NPU registration is deliberately deferred (can throw on non-DX12 machines) PDF Export: Not implemented — narrative export ships Markdown/HTML only Deferred F1–F12 items: See the deferred list in the 2026-08 section above (photo-import wizard, tile basemaps, token streaming, Merge restore mode, etc.) Future Enhancements# DirectML/NPU execution for the local ONNX embedder (currently CPU) Advanced Timeline Features: Filtering, advanced search from timeline Pattern Visualization: Charts and graphs for detected patterns More Embedding Models: Voyage AI, Cohere, alternative local ONNX models (local all-MiniLM-L6-v2 and OpenAI are implemented) Performance Optimization: Caching, lazy loading, pagination for very large datasets PDF Export: Using WinUI 3 printing APIs Cloud Sync: OneDrive/Dropbox integration (optional) Collaborative Features: Shared timelines, multi-user support"},{"p":"development-status","t":"Development status","s":"Status & history","h":"Success Criteria","a":"success-criteria","x":"Completed ✅# Full feature parity across the core features All 6 phases (0-6) complete Clean architecture maintained MVVM pattern throughout Full dependency injection Windows-exclusive features (Notifications, JumpList, Timeline) Export/Import functionality RAG capabilities (embeddings, cross-references, patterns) Phase 7 Targets ⬜# 80% code coverage 60 FPS timeline rendering with 5000+ events < 100 MB memory usage for 5000 events < 2 second cold start time Zero critical bugs MSIX package created and signed Microsoft Store submission completed User documentation complete"},{"p":"development-status","t":"Development status","s":"Status & history","h":"Next Steps (Immediate Priorities)","a":"next-steps-immediate-priorities","x":"These reflect the real post-audit follow-ups (see HARDENING-FOLLOWUPS.md). End-to-end runtime validation Run the app on real Windows hardware and exercise each fixed flow (add event → search → refresh; record → local Whisper STT → LLM extract → approve → timeline; embeddings/connections; export/import; settings persistence). Confirm the three reported bugs are gone at runtime, not just in code. Data-layer / migrations Regenerate a real EF migration baseline (stale migrations were deleted; startup currently uses SchemaUpgrader.EnsureSchemaAsync). Update tests still using the old constructor signatures to the IDbContextFactory. Security & config hardening Encrypt API keys at rest via DPAPI / ProtectedData. Add Whisper model/language options; wire up analytics export. Testing & performance baseline Set up xUnit structure, in-memory/test DB, first EventService tests. Generate test datasets (100/1000/5000 events) and measure baseline metrics. MSIX & Store Design app icons/assets, write privacy policy, configure Package.appxmanifest, code-sign, and prepare the Microsoft Store submission."},{"p":"development-status","t":"Development status","s":"Status & history","h":"Documentation References","a":"documentation-references","x":"Migration Plan: ../MIGRATION-TO-NATIVE-WIN.md Windows README: README-WINDOWS.md Deployment Guide: DEPLOYMENT.md Testing Guide: TESTING.md Phase Reports: PHASE0-COMPLETION-REPORT.md PHASE1-COMPLETED.md PHASE1-VERIFICATION-REPORT.md PHASE2-IMPLEMENTATION-PLAN.md PHASE2-PROGRESS-REPORT.md PHASE3-VERIFICATION-REPORT.md PHASE3-4-CODE-COMPLETENESS-VERIFICATION.md PHASE4-5-VERIFICATION-REPORT.md PHASE5-IMPLEMENTATION-REPORT.md PHASE6-IMPLEMENTATION-REPORT.md Document Owner: Development TeamPhase 7 Status: In progress (CI Windows build green through the F1–F12 wave pushes; runtime validation ongoing)Next Review: After end-to-end runtime validationLast Updated: 2026-08-07"},{"p":"development-history","t":"Development history","s":"Status & history","h":"Development history","a":"","x":"Consolidated phase completion reports (Phase 0 through Phase 6) with deliverables, statistics, and architecture achievements. Document Type: Consolidated Development HistoryLast Updated: 2026-07-10Overall Progress: Phases 0-6 complete; Phase 7 (Testing & Deployment) in progress"},{"p":"development-history","t":"Development history","s":"Status & history","h":"Executive Summary","a":"executive-summary","x":"This document consolidates all phase completion reports and verification summaries for the Memory Timeline Windows native application. The project has successfully completed Phases 0-6 and is ready for Phase 7 (Testing & Deployment). Progress Overview# Phase Status Completion Date Key Deliverables Phase 0: Preparation ✅ Complete 2025-11-21 Development environment, WinUI 3 skeleton, SQLite demo Phase 1: Core Infrastructure ✅ Complete 2025-11-21 Database (EF Core), Settings, Navigation, Repository Pattern Phase 2: Timeline Visualization ✅ Complete 2025-11-22 Timeline canvas, Zoom/pan, Touch support, TimelinePage UI Phase 3: Audio & Processing ✅ Complete 2025-11-22 Audio recording, Queue system, Windows STT, QueuePage UI Phase 4: LLM Integration ✅ Complete 2025-11-23 Claude API, Event extraction, ReviewPage, PendingEvent workflow Phase 5: RAG & Embeddings ✅ Complete 2025-11-24 Embedding service, ConnectionsPage UI, embedding workflow Phase 6: Polish & Integration ✅ Complete 2025-11-25 Export/Import, Windows notifications, JumpList, Timeline Phase 7: Testing & Deployment 🔄 In Progress 2026-07 → Post-audit hardening (CI build green); runtime validation, MSIX, Store pending"},{"p":"development-history","t":"Development history","s":"Status & history","h":"Phase 0: Preparation","a":"phase-0-preparation","x":"Summary# Established complete project structure, solution configuration, and foundational architecture for the Windows native application. Deliverables# Project Structure Created: windows-native directory with organized structure Solution with 4 projects configured for clean architecture NuGet package references configured Solution & Project Files: MemoryTimeline.sln - Main solution file MemoryTimeline.csproj - WinUI 3 application project MemoryTimeline.Core.csproj - Business logic project MemoryTimeline.Data.csproj - Data access project MemoryTimeline.Tests.csproj - Test project NuGet Packages Configured: Microsoft.WindowsAppSDK 1.5+ CommunityToolkit.Mvvm 8.2.2 EF Core 8 with SQLite xUnit testing framework Moq + FluentAssertions Anthropic SDK ONNX Runtime with DirectML Database Layer: 13 data models (Event, Era, Tag, Person, Location, etc.) AppDbContext with EF Core configuration Repository pattern with generic and specialized interfaces Initial migrations created WinUI 3 Application Shell: App.xaml / App.xaml.cs with DI setup MainWindow.xaml with NavigationView Package.appxmanifest configured DPI awareness configured Statistics# ~80 files created ~4,000 lines of code 10 integration tests for SQLite connectivity"},{"p":"development-history","t":"Development history","s":"Status & history","h":"Phase 1: Core Infrastructure","a":"phase-1-core-infrastructure","x":"Summary# Implemented complete database layer, settings system, navigation framework, and dependency injection infrastructure. Deliverables# Database Layer (EF Core): All entity models with relationships configured EventRepository with specialized queries EraRepository, TagRepository, PeopleRepository, LocationRepository RecordingQueueRepository, PendingEventRepository EventEmbeddingRepository, CrossReferenceRepository Unit of Work pattern Timestamp auto-updates Soft delete support Settings System: SettingsService with Windows.Storage integration Strongly-typed settings models API key secure storage (Windows Credential Manager) Theme settings (Light/Dark) LLM configuration settings Audio quality settings App Shell & Navigation: MainWindow with NavigationView Frame-based navigation service Navigation menu items Page transition animations Title bar customization Theme switching (Light/Dark/System) Dependency Injection: Full DI container setup (Microsoft.Extensions.DependencyInjection) All services registered (Singleton, Scoped, Transient) All repositories registered All ViewModels registered All Pages registered Statistics# ~2,500 lines of code added 22 unit tests covering services and repositories"},{"p":"development-history","t":"Development history","s":"Status & history","h":"Phase 2: Timeline Visualization","a":"phase-2-timeline-visualization","x":"Summary# Built high-performance timeline rendering with zoom/pan controls, touch support, and smooth 60 FPS performance. Deliverables# Timeline Canvas: Custom TimelineControl with XAML Virtualization for 5000+ events Hardware-accelerated rendering Viewport management with lazy loading Memory-efficient caching Event Rendering: Event bubbles with category colors Category icons (XAML Geometry) Era gradient backgrounds Duration event bars Tooltip on hover Responsive sizing Zoom & Pan Controls: 4 zoom levels: Year, Month, Week, Day Smooth zoom transitions with animations Pan with touch/mouse drag Keyboard navigation (←/→ arrows, +/- zoom) \"Today\" quick navigation (T key) Touch & Pen Support: Touch gestures (pinch-to-zoom, drag-to-pan) Windows Ink integration (ready for annotations) High-DPI support Per-monitor DPI awareness TimelinePage UI: Command bar with zoom controls Date range display Event details panel Filter controls Loading indicators Statistics# 2,000+ lines of code added 60 FPS target achieved"},{"p":"development-history","t":"Development history","s":"Status & history","h":"Phase 3: Audio & Processing","a":"phase-3-audio--processing","x":"Summary# Implemented audio recording, queue management, and speech-to-text integration using Windows APIs. Deliverables# Audio Recording: MediaCapture API integration Audio device selection Format: 16kHz, 16-bit WAV Pause/resume/cancel controls Real-time waveform preview File management (ApplicationData folder) Queue System: RecordingQueue database table QueueService with background processing Status tracking (pending, processing, completed, failed) Retry logic with exponential backoff Progress reporting Error handling and logging Speech-to-Text: ISpeechToTextService interface Windows Speech Recognition implementation Mock STT service for testing Transcription progress reporting Confidence scoring Multi-engine support (ready for cloud STT) QueuePage UI: Recording controls (Start, Pause, Cancel) ListView with queue items Play/remove buttons for queue items Progress bars for processing Status indicators with icons File metadata display (duration, size, timestamp) Statistics# 1,800+ lines of code added"},{"p":"development-history","t":"Development history","s":"Status & history","h":"Phase 4: LLM Integration","a":"phase-4-llm-integration","x":"Summary# Integrated Anthropic Claude API for intelligent event extraction from transcripts with review workflow. Deliverables# LLM Service: ILlmService interface AnthropicService implementation Claude 3.5 Sonnet integration Structured prompt engineering JSON response parsing Retry logic with Polly library Error handling Event Extraction: EventExtractionService Extract title, dates, description, category Extract tags, people, locations Confidence scoring per field Relative date parsing Category classification (9 categories) Batch processing support Review Workflow: PendingEvent entity and repository ReviewPage UI with pending events list Event edit dialog for modifications Approve/Edit/Reject actions Bulk operations (Approve All, Reject All) Confidence indicators with color coding Integration with timeline (approved events) ReviewPage UI: Pending events ListView Event details cards Edit dialog with all fields Confidence score displays Command bar with bulk actions Empty state handling Statistics# 2,200+ lines of code added"},{"p":"development-history","t":"Development history","s":"Status & history","h":"Phase 5: RAG & Embeddings","a":"phase-5-rag--embeddings","x":"Summary# Implemented RAG (Retrieval-Augmented Generation) capabilities with vector embeddings, similarity search, cross-reference detection, and pattern analysis. Deliverables# Embedding Service: IEmbeddingService interface OpenAIEmbeddingService implementation text-embedding-3-small model (1536 dimensions) Batch embedding generation Cosine similarity calculation K-nearest neighbors search Threshold-based filtering RAG Service: IRagService interface RagService implementation Similarity search (find similar events) Cross-reference detection (6 relationship types) Pattern detection (categories, clusters, transitions) Tag suggestions based on similarity LLM-powered relationship analysis Data Layer: EventEmbedding entity CrossReference entity EventEmbeddingRepository CrossReferenceRepository Vector storage as JSON ConnectionsPage UI: ConnectionsViewModel with observable collections Three-section layout (Similar Events, Cross-References, Tag Suggestions) Similar events list with similarity scores Cross-references with relationship type icons Tag suggestions with confidence Refresh command Generate Embeddings batch workflow Navigate to event command Embedding Generation Workflow: Automatic embedding on event creation (fire-and-forget) Manual embedding generation per event Batch embedding generation for all events Progress reporting Navigation Integration: ConnectionsPage registered in navigation Navigation menu item with icon Deep linking with eventId parameter ViewModel and Page registered in DI Statistics# 2,000+ lines of code added"},{"p":"development-history","t":"Development history","s":"Status & history","h":"Phase 6: Polish & Windows Integration","a":"phase-6-polish--windows-integration","x":"Summary# Added export/import functionality, Windows 11 integration features (notifications, JumpList, Timeline), and comprehensive UI polish. Deliverables# Export Service: IExportService interface ExportService implementation Export to JSON (with date filtering) Export to CSV (with proper escaping) Export to Markdown (grouped by year) Full database export Progress reporting (IProgress) Import Service: IImportService interface ImportService implementation Import from JSON (with validation) Duplicate detection (by title + date) Conflict resolution options Automatic backup creation ImportResult with detailed statistics ValidationResult for file validation Progress reporting with messages Windows Notification Service: INotificationService interface NotificationService implementation Toast notifications (simple) Action notifications with callbacks Success/Error styled notifications Processing complete notifications AppNotificationManager integration Windows JumpList Service: IJumpListService interface JumpListService implementation Recent events (last 10 accessed) Quick actions (New Event, Start Recording, View Timeline, Search) Deep linking with arguments Group-based organization Duplicate prevention Windows Timeline Service: IWindowsTimelineService interface WindowsTimelineService implementation Publish events to Windows Timeline User Activity API integration Adaptive Card visualization Deep link support (memory-timeline://event/{id}) Activity update and removal Protocol handler registration Settings UI Enhancement: Export/Import section added to SettingsPage Export buttons (JSON, CSV, Markdown) Import button with file picker Progress indicators (ProgressBar, ProgressRing) Status message displays FileSavePicker/FileOpenPicker integration Button state management during operations SettingsViewModel Enhancement: ExportToJsonCommand ExportToCsvCommand ExportToMarkdownCommand ImportFromJsonCommand Progress properties (IsExporting, IsImporting, ExportProgress) Status message properties Window handle initialization for pickers Statistics# 2,500+ lines of code added"},{"p":"development-history","t":"Development history","s":"Status & history","h":"Technology Stack Summary","a":"technology-stack-summary","x":"Component Technology Version UI Framework WinUI 3 + XAML Windows App SDK 1.5+ Runtime .NET 8 8.0 Database SQLite + EF Core EF Core 8.0 MVVM CommunityToolkit.Mvvm 8.2.2 Audio Windows.Media.Capture Windows SDK STT Windows.Media.SpeechRecognition Windows SDK LLM Anthropic Claude API claude-sonnet-4-20250514 Embeddings OpenAI API text-embedding-3-small Navigation Frame-based WinUI 3 Theming Light/Dark mode WinUI 3 Notifications AppNotifications Windows App SDK JumpList Windows.UI.StartScreen UWP API Timeline UserActivities UWP API"},{"p":"development-history","t":"Development history","s":"Status & history","h":"Code Statistics Summary","a":"code-statistics-summary","x":"Overall Project# Total Projects: 4 (Main App, Core, Data, Tests) Total Code Files: 100+ Total Lines of Code: ~15,000+ Data Models: 13 Service Interfaces: 12 Service Implementations: 12 Repositories: 9 ViewModels: 7 Views (XAML Pages): 6 By Phase# Phase Lines of Code Focus Area Phase 0 ~1,500 Scaffolding, configuration Phase 1 ~2,500 Database, services, DI Phase 2 ~2,000 Timeline UI, controls Phase 3 ~1,800 Audio, queue, STT Phase 4 ~2,200 LLM, extraction, review Phase 5 ~2,000 RAG, embeddings, connections Phase 6 ~2,500 Export, import, Windows integration"},{"p":"development-history","t":"Development history","s":"Status & history","h":"Architecture Achievements","a":"architecture-achievements","x":"Clean Architecture# Presentation Layer: WinUI 3 + XAML Application Layer: Services + ViewModels Domain Layer: Models + Interfaces Infrastructure Layer: Repositories + External APIs MVVM Pattern# ObservableObject base with CommunityToolkit.Mvvm IRelayCommand for all user actions x:Bind for performance Proper separation of concerns Dependency Injection# Full DI container setup with Microsoft.Extensions.DependencyInjection Scoped, Singleton, and Transient lifetimes appropriately used All services, repositories, ViewModels, and Pages registered"},{"p":"development-history","t":"Development history","s":"Status & history","h":"Known Limitations","a":"known-limitations","x":"Current limitations pending Phase 7: Testing: Comprehensive automated tests not yet implemented Performance: Not yet validated with 5000+ events at scale MSIX Package: Not created yet Store Submission: Not submitted yet NPU Acceleration: Stubs in place, not implemented (future enhancement) Local Embeddings: Only cloud-based (OpenAI) currently PDF Export: Interface defined but not implemented"},{"p":"development-history","t":"Development history","s":"Status & history","h":"Phase 7: Testing & Deployment (Pending)","a":"phase-7-testing--deployment-pending","x":"Objectives# Comprehensive testing (unit, integration, UI, performance) Performance validation (60 FPS with 5000+ events) MSIX packaging and code signing Microsoft Store submission Testing Requirements# Unit tests for all services (> 80% coverage) Integration tests for database operations UI tests with WinAppDriver Performance tests with large datasets Packaging Requirements# Package manifest configuration App icons and assets (all sizes) Code signing with EV certificate Dependencies bundling Store Submission Requirements# Partner Center account Store listing preparation Screenshots and descriptions Privacy policy Age ratings"},{"p":"development-history","t":"Development history","s":"Status & history","h":"Post-Phase-6 Hardening — Feature Audit & Fix Pass (2026-07)","a":"post-phase-6-hardening--feature-audit--fix-pass-2026-07","x":"After the Phase 6 \"feature-complete\" milestone, and before formal Phase 7 testing, three live user-reported bugs triggered a multi-agent feature audit and fix pass. This section records what happened; the detailed findings live in FEATURE-AUDIT.md and the deferred work in HARDENING-FOLLOWUPS.md. 1. Reported bugs that triggered the pass# Save did nothing — pressing Save on the Add Event dialog produced no event. Search error — searching for the just-added event showed a generic \"search error\". Refresh showed nothing — the timeline Refresh button did not surface the new event. 2. Root causes found (five specialized agents, end-to-end traces)# Category-casing save bug + swallowed errors — the Add Event dialog fell back to \"Other\" (capital O) while validation checked case-sensitively against lowercase categories, throwing before any DB write; the exception was reduced to a status-text log line while the dialog had already closed. This produced \"Save does nothing\" and, because no row was inserted, \"Refresh shows nothing\". App-wide shared AppDbContext (concurrency) — every page resolved its ViewModel from the root provider, so one Scoped, never-disposed context served the whole app. Overlapping operations (a fire-and-forget embedding Task.Run racing un-debounced per-keystroke search queries) threw \"a second operation was started on this context\", surfaced as the \"search error\". Mic-based STT that ignored the recorded file — the speech-to-text path loaded the recorded WAV into an unused variable and then transcribed the live microphone, so the core audio ingestion loop never processed the actual recording. 3. Fixes shipped# Category-casing fallback normalized; ValidateEvent made case-insensitive; Add Event dialog now takes a deferral and surfaces errors in-dialog instead of silently closing. Data access converted to per-operation contexts via IDbContextFactory<AppDbContext>; the shared-context embedding Task.Run removed/rescoped; search input debounced and cancellable; Tag.Name → TagName in queries. Startup switched to SchemaUpgrader.EnsureSchemaAsync (EnsureCreated + idempotent drift repair); stale EF migrations deleted (a real migration baseline is a follow-up). STT replaced with local Whisper (Whisper.net, ggml base model, offline after first model download), transcribing the recorded file instead of the live mic. Atomic approve (event + tags/people/locations in one transaction) with timeline auto-refresh; settings key writer/reader unified under a SettingKeys constants class; embeddings settings-key + provider/dimension wiring; RAG mapped-column queries + persistence + IsAvailable; export Include fix; unified INotificationService; navigation param overload; dead AnthropicClaudeService / IAudioService deleted. 4. CI Windows-build workflow added# .github/workflows/windows-native-build.yml builds Release|x64 on windows-latest and runs the test suite. Build realities pinned down in the process: the solution is x64-only (no AnyCPU); WinUI 3 PRI generation needs Visual Studio msbuild.exe (dotnet build fails MSB4062); global.json pins the .NET 8 SDK with rollForward: \"major\". The solution builds green in CI. 5. Outcome# The three reported bugs were resolved at the code level and the shared-context foundation defect beneath them removed. The solution builds green in CI, but end-to-end runtime validation is ongoing — this work is part of Phase 7 and the app is not yet production ready. Deferred items (runtime validation, DPAPI key encryption, regenerated EF migration baseline, Whisper model/language options, analytics export, MSIX + Store, updating tests to the context factory) are tracked in HARDENING-FOLLOWUPS.md."},{"p":"development-history","t":"Development history","s":"Status & history","h":"References","a":"references","x":"Main README: README.md Development Status: DEVELOPMENT-STATUS.md Testing Guide: TESTING.md Deployment Guide: DEPLOYMENT.md Scripts Documentation: scripts/README.md Document Owner: Development TeamVersion: 1.0.0Created: 2026-01-17"},{"p":"feature-audit","t":"Feature audit (2026-07)","s":"Audits & reviews","h":"Feature audit (2026-07)","a":"","x":"Root causes of three reported bugs, the shared-DbContext foundation defect underneath them, a per-feature audit, and the dependency-ordered master fix plan. Date: 2026-07-09Method: Five specialized audit agents traced every major feature end-to-end(UI control → command → ViewModel → service → repository → SQLite → back to UI), read-only, with file:line evidence. Findings are tagged CONFIRMED (proven from code) or PROBABLE (depends on runtime state we can't observe). Trigger: three user-reported live bugs — (1) pressing Save on Add Event does nothing, (2) searching for the added event shows \"search error\", (3) the timeline Refresh button doesn't bring up the new event."},{"p":"feature-audit","t":"Feature audit (2026-07)","s":"Audits & reviews","h":"Part 0 — Root causes of the three reported bugs","a":"part-0--root-causes-of-the-three-reported-bugs","x":"Bug 1 — \"Save does nothing\" · ROOT CAUSE CONFIRMED# A category string case mismatch, made invisible by swallowed errors: The Add Event dialog opens with no category selected (TimelineControl.xaml.cs:721 sets SelectedIndex = -1; the field looks optional). On Save, the handler falls back to the literal \"Other\" — capital O (TimelineControl.xaml.cs:825-829; the XAML items carry lowercase tags). EventService.ValidateEvent does a case-sensitive check against EventCategory.AllCategories, which are all lowercase (\"other\") (IEventService.cs:571-575 vs Event.cs:77-91) → throws ArgumentException: Invalid category: Other before any DB write. The exception is caught in TimelineViewModel.CreateEventAsync:763-767 and reduced to a log line + a small StatusText string in the CommandBar — and the dialog has already closed because the Save handler takes no dialog deferral (TimelineControl.xaml.cs:809). Net effect: Save appears to do nothing, and no row exists. Secondary, intermittent contributor when a category is picked: the fire-and-forget embedding task (IEventService.cs:98) races the post-save reload on the app-wide shared DbContext (see Part 1), which can surface as a swallowed \"Error creating event\" after a successful insert. Bug 2 — \"search error\" · ROOT CAUSE CONFIRMED# DbContext lifetime/concurrency, not a query bug. The whole app shares one root-scoped AppDbContext (Part 1). Adding an event arms a fire-and-forget Task.Run that uses that same context from a thread-pool thread (IEventService.cs:98 → settings read + SaveChangesAsync at :608-609); meanwhile every keystroke in the search box fires un-debounced, un-cancelled autocomplete queries on it too (SearchViewModel.cs:25-28 → 5 sequential EF queries each, IAdvancedSearchService.cs:312-376). When the user presses Enter, CountAsync/ToListAsync collide with an in-flight operation → InvalidOperationException: \"A second operation was started on this context\" → caught at SearchViewModel.cs:225-229 → generic \"Search error\". The main search query itself is fully SQLite-translatable. This reproduces right after adding an event — exactly the user's sequence. Bug 3 — \"Refresh does nothing\" · CONFIRMED DOWNSTREAM OF BUG 1# The refresh pipeline is mechanically sound: RefreshCommand is correctly x:Bind-wired (TimelineControl.xaml:399-404), and EventRepository.GetByDateRangeAsync is AsNoTracking() — it genuinely re-reads SQLite each time (EventRepository.cs:103-111). It shows nothing because the insert never happened. Two real secondary traps: an event dated outside viewport ± 30 days will never appear on refresh (ITimelineService.cs:52-54), and the Ctrl+R accelerator re-navigates the Frame instead of refreshing, which no-ops when window dimensions are unchanged (MainWindow.xaml.cs:132-140 → TimelineViewModel.cs:704-723)."},{"p":"feature-audit","t":"Feature audit (2026-07)","s":"Audits & reviews","h":"Part 1 — The foundation defect underneath everything (CONFIRMED by all 5 agents)","a":"part-1--the-foundation-defect-underneath-everything-confirmed-by-all-5-agents","x":"One shared, never-disposed AppDbContext for the entire app# App.xaml.cs:80 registers AddDbContext<AppDbContext>() (Scoped), but every page resolves its ViewModel from the root provider (App.Current.Services.GetRequiredService<…> in all 8 pages' constructors), and the only CreateScope() in the product is the startup EnsureCreated block (App.xaml.cs:237). Scoped services resolved from the root are cached in the root scope → one AppDbContext instance for the app's lifetime, shared by every feature. Singletons capture it too: SettingsService (Singleton, App.xaml.cs:97) directly injects AppDbContext (ISettingsService.cs:40); TimelineViewModel (Singleton, App.xaml.cs:133) holds root-scoped ITimelineService/IEventService. Host.CreateDefaultBuilder validates scopes only in Development; an unpackaged double-clicked exe runs as Production → no startup crash, just silent sharing. (If anyone sets DOTNET_ENVIRONMENT=Development, the app instead crashes at _host.Build() on the singleton→scoped chain.) Consequences: (a) DbContext is not thread-safe — any two overlapping operations anywhere throw InvalidOperationException (\"second operation\"), surfaced as search errors, silent save failures, blank analytics sections; (b) the change tracker grows for the app's lifetime; (c) a failed SaveChangesAsync leaves poisoned tracked entities that can re-fail every subsequent save of any feature until restart. How it should be implemented: a desktop app has no per-request scope, so AddDbContext (Scoped) is the wrong primitive. Standard pattern: AddDbContextFactory<AppDbContext>(), and every service/repository creates a short-lived context per operation (await using var db = await factory.CreateDbContextAsync()). Alternatively, create an IServiceScope per page navigation and resolve VMs from it. Background work (embeddings, queue processing) must create its own scope/context — never a bare Task.Run over a captured context. Fix (do this first — it unblocks every feature): Replace AddDbContext with AddDbContextFactory<AppDbContext>. Convert repositories + SettingsService, EventService, AdvancedSearchService, AnalyticsService, QueueService, EventExtractionService, ExportService, ImportService, RagService to consume the factory (context per method). GenerateEmbeddingForEventAsync gets its own scope/context (via IServiceScopeFactory) — or the Task.Run is removed entirely. Make QueueService an intentional Singleton (its semaphore/events only work today by accident of root-scope caching). Enable scope validation in debug builds to prevent regression. Database lifecycle: EnsureCreatedAsync + stale migrations (CONFIRMED)# App.xaml.cs:241 uses EnsureCreatedAsync(); the checked-in migration (Migrations/20250121000000_InitialCreate.cs) is badly stale — no era_categories, milestones, era_tags, or saved_searches tables and missing eras/events columns. EnsureCreated is a no-op when the DB file already exists, so any database created by an earlier build keeps its old schema → runtime SqliteException: no such table/column, reported only as generic \"Error loading…\" status text — indistinguishable from the concurrency failures. Fix: regenerate the migration, switch to MigrateAsync(), and bridge EnsureCreated-born DBs (insert baseline history row, then migrate)."},{"p":"feature-audit","t":"Feature audit (2026-07)","s":"Audits & reviews","h":"Part 2 — Per-feature audit","a":"part-2--per-feature-audit","x":"2.1 Event creation / editing — BROKEN (Bug 1)# Should be: dialog Save takes args.GetDeferral(), awaits the VM call, and on failure cancels the close and shows the error in-dialog; validation shares one source of truth with the UI (bind the ComboBox to EventCategory.AllCategories instead of duplicating string literals); category comparison case-insensitive; embeddings generated in their own scope. Wrong now: capital-\"Other\" fallback vs lowercase validation (CRITICAL, CONFIRMED — Bug 1); silent error channel (CRITICAL, CONFIRMED); fire-and-forget embedding race (HIGH, CONFIRMED defect); empty-title/no-date validation cancels the dialog with zero feedback; the Edit path silently fails the same way if a stored category isn't in the combo list. Must do: (1) lowercase/normalize the category fallback and make ValidateEvent case-insensitive; (2) dialog deferral + in-dialog error (InfoBar); (3) fix or remove the embedding Task.Run; (4) after a successful create, navigate the viewport to the event's date if it isn't visible. 2.2 Timeline render / refresh — SOUND, with traps# Render pipeline and refresh are correct. Must do: surface refresh errors visibly; make Ctrl+R invoke RefreshCommand instead of re-navigating; add an event-created message (WeakReferenceMessenger) so approve/create flows refresh the singleton TimelineViewModel without renavigation (today an approved event only appears after a pan/zoom/resize — TimelineControl.xaml.cs:86-90, TimelineViewModel.cs:699-724). 2.3 Search — BROKEN error path + degraded features (Bug 2)# Should be: context-per-operation; debounced (~300 ms) input with a CancellationToken per search that cancels the previous one; only mapped columns in predicates; errors surfaced with the message. Wrong now (beyond the Bug 2 concurrency root cause): [NotMapped] Tag.Name used in EF queries (IAdvancedSearchService.cs:236, 328) — untranslatable → tag facets always throw, which aborts people/location/era facets and counts; swallowed silently (CONFIRMED). The AutoSuggestBox never binds AutocompleteSuggestions (SearchPage.xaml:32-40) — suggestions are computed per keystroke (cost) but never shown (dead UI) (CONFIRMED). Sort default mismatch XAML created_desc vs VM date_desc; facets re-run ~10 queries every search (CONFIRMED, minor). If the DB file predates the current model, saved_searches doesn't exist → save-search errors (PROBABLE, depends on user's DB). Must do: (1) fix Bug 2 via the DbContext factory + remove/debounce the per-keystroke autocomplete; (2) Tag.Name → TagName; (3) wire or remove the suggestions UI; (4) StatusMessage = $\"Search error: {ex.Message}\". 2.4 Audio pipeline (record → STT → LLM → review) — NOT FUNCTIONAL END-TO-END# Four breaks in series (all CONFIRMED): Recording cannot start in the checked-in configuration. WindowsPackageType=None (unpackaged) + ApplicationData.Current (AudioRecordingService.cs:329, IAudioImportService.cs:348) which requires package identity → throws before any file is created → \"Error starting recording\" every time. STT never transcribes the file. WindowsSpeechRecognitionService.cs:53 loads the WAV into a variable that is never used, then line 68 calls SpeechRecognizer.RecognizeAsync() — which listens to the live microphone for one utterance. \"Processing\" a memory transcribes ambient room audio, up to 3× per item via the retry loop. File-based STT does not exist in the codebase (OnnxWhisperService is an unregistered TODO stub). Transcript never persisted — lives only in memory between STT and LLM (PendingEvent.Transcript/AudioFilePath never assigned, EventExtractionService.cs:110-123). Approve loses data and isn't transactional — only title/description/dates/category copied; tags/people/locations/confidence die in the ExtractedData blob; two separate SaveChanges mean a failure in between duplicates events on re-approve (EventExtractionService.cs:147-188). Approved events don't appear on the timeline until pan/zoom/resize. Also: pause is a one-way trap (no Resume comman"},{"p":"feature-audit","t":"Feature audit (2026-07)","s":"Audits & reviews","h":"Part 3 — Master fix plan (dependency-ordered)","a":"part-3--master-fix-plan-dependency-ordered","x":"# Fix Unblocks 1 Category case fix + dialog deferral/error surfacing (2.1) Bug 1, Bug 3 — smallest change with the biggest user-visible win 2 AddDbContextFactory migration + kill shared-context Task.Run (Part 1) Bug 2, intermittent failures in every feature 3 Search hygiene: debounce/cancel autocomplete, Tag.Name→TagName, error messages (2.3) Facets, suggestions, honest errors 4 Settings key unification (SettingKeys constants) + LLM config re-read (2.7) Settings actually working; prerequisite for 5 & 6 5 Migrations: regenerate, MigrateAsync(), EnsureCreated bridge (Part 1) Upgrade safety; schema-drift errors 6 Audio pipeline: storage path → real file STT → transcript persistence → key pre-flight → transactional approve + metadata → timeline invalidation message (2.4) The app's core ingestion loop 7 RAG: OpenAI key UI, navigation wiring, mapped-column queries, persistence (2.5) Connections feature 8 Export Include fix; import options honored (2.8) Data portability 9 Shell: MainViewModel/badges, notifications, JumpList, host shutdown (2.9) Polish/integration Items 1-3 together fully resolve the three reported bugs. Items 4-6 make the core product loop real. Items 7-9 finish the feature surface."},{"p":"feature-audit","t":"Feature audit (2026-07)","s":"Audits & reviews","h":"Cross-agent convergence (confidence signal)","a":"cross-agent-convergence-confidence-signal","x":"The captive shared DbContext was independently confirmed by all five agents with the same evidence chain. Settings key mismatches were found independently three times (PascalCase/snake_case; OpenAIApiKey never written; the dead second AnthropicApiKey in the unregistered AnthropicClaudeService). Silent error swallowing into StatusText/StatusMessage appears in every feature audit — it is the reason all of these defects present as \"nothing happens\" instead of visible errors, and should be treated as a design defect in its own right (adopt a visible InfoBar pattern app-wide)."},{"p":"hardening-followups","t":"Hardening follow-ups","s":"Audits & reviews","h":"Hardening follow-ups","a":"","x":"Deferred hardening items ranked high / medium / low — captive DbContext scopes, fire-and-forget embeddings, and migration snapshot drift. This file captures the deferred items from the Phase-7 multi-agent hardening pass. The applied fixes are in the commit that adds this file; the items below were intentionally not auto-fixed because they require a compiler to verify a non-trivial refactor, a public-API/DI change spanning layers, or a team decision. Context: the pass was performed statically (no .NET SDK in the environment). Before release, run dotnet build on src/MemoryTimeline.sln and execute the test suite to validate all applied fixes."},{"p":"hardening-followups","t":"Hardening follow-ups","s":"Audits & reviews","h":"High priority","a":"high-priority","x":"1. Captive / scope-captured DbContext (converged flag from 3 agents)# TimelineViewModel is registered AddSingleton (App.xaml.cs) but depends on ITimelineService/IEventService (Scoped) → AppDbContext (Scoped). Pages also resolve their VMs from the root provider (App.Current.Services.GetRequiredService<…>), not from a DI scope. Net effect: Production: a single AppDbContext lives for the whole app lifetime — not thread-safe, and the change-tracker grows unbounded. Development (host scope validation): throws \"Cannot consume scoped service from singleton.\" Fix (coordinated, needs compile): register the context via AddDbContextFactory<AppDbContext>() and create a per-operation context in services, or resolve VMs/pages inside an explicit IServiceScope. Touches App DI + every repository/service ctor, so it was not done blind. 2. EventService.CreateEventAsync fire-and-forget embedding (Core + Tests agents)# _ = Task.Run(() => GenerateEmbeddingForEventAsync(createdEvent)) reuses the request-scoped AppDbContext on a background thread → ObjectDisposedException / \"second operation on this context\" once a real IEmbeddingService is registered. Currently masked by an internal catch (embeddings silently fail). Fix: inject IServiceScopeFactory, create a fresh scope+context for the background work (ctor change → flagged rather than applied). 3. Migration + snapshot drift (Data agent — Critical for migration-based release)# AppDbContextModelSnapshot is an empty stub and InitialCreate is far behind the model (missing tables era_categories, era_tags, milestones, saved_searches; missing columns on eras/events/tags; missing cross_references FKs; missing seed InsertData). Runtime is fine today because startup uses EnsureCreatedAsync() (schema built from the model), but any migration-based deploy will fail. Fix: on a machine with the SDK, regenerate the baseline (dotnet ef migrations add InitialCreate --force) before shipping migrations."},{"p":"hardening-followups","t":"Hardening follow-ups","s":"Audits & reviews","h":"Medium priority","a":"medium-priority","x":"Unit-of-work / atomicity — multi-repository workflows (e.g. approve pending → create Event + delete PendingEvent) each call SaveChangesAsync independently and are not atomic. Introduce an explicit transaction / unit-of-work at the service layer. Polly referenced but unused — add a bounded, transient-only retry with jitter (and a timeout) around the Anthropic and OpenAI network calls (AddHttpClient + SDK call sites). CrossReference delete behavior = Restrict — deleting an Event referenced by a RAG-generated cross-reference will throw once FK enforcement is on. Cascade is likely intended but has data-loss implications — needs sign-off. Analytics color bindings — CategoryDistribution/TagCloudItem/ActivityHeatmapCell.Color are string bound directly to Brush properties via x:Bind in AnalyticsPage.xaml. Expose a Brush/SolidColorBrush on the model (as the timeline DTOs do with ColorBrush) or add a string→Brush converter."},{"p":"hardening-followups","t":"Hardening follow-ups","s":"Audits & reviews","h":"Low priority","a":"low-priority","x":"API keys stored plaintext in AppSettings — encrypt at rest via DPAPI / ProtectedData at the settings/Data layer (keys are not logged or hardcoded today). CancellationToken not plumbable through IRepository<T> and specialized repo interfaces — add CancellationToken ct = default in a coordinated interface change. DateTime.Kind round-trip — SQLite returns Unspecified; add a UTC ValueConverter on DateTime properties to avoid local/UTC comparison bugs. Inclusive viewport boundaries — EventLayoutEngine.GetVisibleLayouts / TimelineViewport.IsEventVisible treat edge-touching (zero-area) events as visible on both ends. Internally consistent (tests aligned to it); confirm it's intended. Singleton AnthropicLlmService caches _model at first init — a later model change in settings needs an app restart."},{"p":"repo-audit-2026-07","t":"Exhaustive repo audit","s":"Audits & reviews","h":"Exhaustive repo audit","a":"","x":"A bug hunt and feature crawl across the repository: 18 adversarially verified findings, 45 unverified medium/low findings, and ranked improvement opportunities. Date: 2026-07-12Method: A 40-agent orchestrated workflow: 10 scoped hunter agents crawled disjoint areas of both apps(weighted toward the primary Windows-native implementation), then every critical/high finding was independently adversarially verified by a skeptic agent instructed to refute it against the current code. Findings below marked CONFIRMED survived that verification (verifier reasoning included). Medium/low findings were not adversarially verified (quota-trimmed) and are listed separately as UNVERIFIED. Results: 18 confirmed findings (12 high, 6 medium) · 45 unverified medium/low findings · 61 improvement opportunities · 0 findings refuted by verification. Edited 2026-08-07. The audit originally covered both the Windows Native app and the legacy Electron build. The Electron implementation has since been removed from the repository, so its findings (9 confirmed, plus the corresponding unverified findings and improvement opportunities) were dropped and the remaining findings renumbered. Everything below concerns code that still exists. The counts above are post-edit; the original run produced 27 confirmed findings, 61 unverified and 80 opportunities. Context: the codebase compiles green in CI, but finding #10 below shows the CI test step never actually executes tests — so 'CI green' currently proves compilation only. Runtime validation remains the top gap."},{"p":"repo-audit-2026-07","t":"Exhaustive repo audit","s":"Audits & reviews","h":"Part 1 — CONFIRMED findings (adversarially verified)","a":"part-1--confirmed-findings-adversarially-verified","x":"1. [HIGH] Legacy-export import binds none of the snake_case fields — all migrated events get StartDate 0001-01-01# windows-native/src/MemoryTimeline.Core/Services/ImportService.cs:114 · scope: wn-core-b The import entry point just delegates to ImportFromJsonAsync, which deserializes into the JsonEvent DTO (lines 421-434) with only PropertyNameCaseInsensitive. The legacy export emits raw SQL rows with snake_case keys: event_id, start_date, end_date, created_at, updated_at (and eras with start_date/color_code). Case-insensitive matching does not bridge underscores, so StartDate/EndDate/EventId/CreatedAt never bind. Only title/description/category/tags match. Era dates and colors are lost the same way (JsonEra.StartDate vs start_date, Color vs color_code). Failure scenario: User migrates from the legacy app: exports JSON from it, then imports that file in the Windows app via the JSON import UI. Every event is created with StartDate = default(DateTime) = 0001-01-01 and EndDate = null; ValidateImportFileAsync only emits warnings. The import reports success, but all events land in year 1 — invisible in any timeline viewport — and every date is permanently lost. Verifier: The import entry point delegates verbatim to ImportFromJsonAsync with no preprocessing. Deserialization (lines 45-48) sets only PropertyNameCaseInsensitive; DTOs (421-453) have no [JsonPropertyName] or snake_case naming policy, and case-insensitive matching does not bridge underscores. The legacy export emits raw SQL rows with snake_case keys (event_id, start_date, end_date, created_at; eras with start_date/color_code). Top-level events/eras/tags keys bind, so events are imported, but StartDate stays default(DateTime)=0001-01-01 and EndDate null. Path is reachable via SettingsViewModel.cs:386-429 (JSON import UI); ValidateImportFileAsync treats default StartDate as a Warning only (ImportService.cs:159-166, IsValid=!Errors.Any()) so import proceeds and reports success. CreateEventFromJson (line 284) persists the default date. Tag names (tag_name vs Name) and era colors (color_code vs Color) are likewise lost. Severity high stands: silent date loss on migration, partially mitigated only by the automatic DB backup (lines 61-65). 2. [HIGH] Pre-import backup File.Copy of a live WAL-mode SQLite DB is a sharing violation or a stale copy# windows-native/src/MemoryTimeline.Core/Services/ImportService.cs:196 · scope: wn-core-b CreateDatabaseBackup (lines 182-205) does File.Copy on the main .db file while the app holds it open. Two independent failure modes: (1) Microsoft.Data.Sqlite pools connections by default, so a pooled handle with write access is open on the file; File.Copy (CopyFileEx, FILE_SHARE_READ only) fails with a sharing violation, which is caught at line 200 and downgraded to a warning — the import proceeds with NO backup. (2) Even if the copy succeeds, the app forces journal_mode=WAL on every connection (AppDbContext.cs:65), so recent committed transactions live in the -wal file, which is not copied — the backup is stale (and potentially torn if copied mid-checkpoint). The correct primitive is SqliteConnection.BackupDatabase or VACUUM INTO. Failure scenario: User runs a JSON import with the default CreateBackup=true (SettingsViewModel.cs:426), the import mangles their data (e.g. the date bug above, or Overwrite conflict resolution), and they go looking for the promised backup: either no .bak file exists (sharing violation, silently reduced to a result warning) or the .bak is missing every event committed since the last WAL checkpoint. The safety net for the only destructive bulk operation in the app does not work. Verifier: Core claim verified in current code. ImportService.cs:196 does File.Copy of only the main .db; exceptions are downgraded to warnings (200-204) and the import proceeds backup-less. Path is reachable: ImportFromJsonAsync calls it at :61-64, CreateBackup defaults true (IImportService.cs:20, SettingsViewModel.cs:426). WAL is forced on every conn"},{"p":"repo-audit-2026-07","t":"Exhaustive repo audit","s":"Audits & reviews","h":"Part 2 — UNVERIFIED findings (medium/low; not adversarially checked)","a":"part-2--unverified-findings-mediumlow-not-adversarially-checked","x":"Medium (22)# RemoveTagFromEventAsync / RemovePersonFromEventAsync / RemoveLocationFromEventAsync silently never delete the junction row — windows-native/src/MemoryTimeline.Core/Services/IEventService.cs:355 (wn-data) Same detached-graph root cause as the Add methods, opposite symptom: the service removes the junction entity from the in-memory collection (lines 355/430/505) and calls EventRepository.UpdateAsync. The fresh context (EventRepository.cs:86) only sees the entities still reachable from the graph — the removed EventTag/EventPerson/EventLocation is simply not attached, so no DELETE is ever generated. S… Detached graph Update() rewrites included related rows with stale snapshots on every event edit — windows-native/src/MemoryTimeline.Data/Repositories/EventRepository.cs:86 (wn-data) EventRepository.UpdateAsync attaches the whole detached graph via context.Events.Update(entity), and with non-store-generated string keys EF marks every reachable entity Modified. The standard edit flow (TimelineViewModel.UpdateEventAsync lines 898-912 → EventService.UpdateEventAsync → repo) passes an Event loaded by GetByIdAsync, which Includes Era. Every event edit therefore also issues a fu… SettingsService cache is read without the lock while writers mutate it under the lock — windows-native/src/MemoryTimeline.Core/Services/ISettingsService.cs:65 (wn-core-a) The in-memory settings cache is a plain Dictionary<string,string>. SetSettingAsync (line 115) and DeleteSettingAsync (line 175) mutate it while holding _cacheLock, but GetSettingAsync reads _cache.TryGetValue at line 65 with no lock, SettingExistsAsync calls ContainsKey at line 154 with no lock, and GetAllSettingsAsync enumerates the dictionary into a copy at line 139 with no lock. Dictionary is n… Time ruler ticks step by fixed day counts, so month/year labels duplicate and drift at the default zoom — windows-native/src/MemoryTimeline.Core/Models/TimelineCoordinateConverter.cs:240 (wn-core-a) TimeRulerConfig.GenerateTicks (lines 214-245) advances currentDate by fixed increments (MajorTickIntervalDays of 30, 90, 365, or 1825 days) from a calendar-aligned start (GetAlignedDate). Calendar months/years are not fixed-length, so ticks immediately desynchronize from real boundaries. At the app's default zoom (Month, PixelsPerDay=3 -> targetIntervalDays=40 -> the '<60' bucket with 30-day major… Ongoing eras (null EndDate) are marked invisible once the viewport passes their start date — windows-native/src/MemoryTimeline.Core/Services/ITimelineService.cs:326 (wn-core-a) CalculateEraPositions sets era.IsVisible = converter.IsRangeVisible(era.StartDate, era.EndDate). IsRangeVisible (TimelineCoordinateConverter.cs:101-105) collapses a null end to a point at StartDate ('rangeEnd = end ?? start'), which is correct for point events but wrong for eras, where null EndDate means 'ongoing' — the same method's own width computation three lines above (endDate = era.EndDate ?… Facet counts use a narrower search-term predicate than the results they describe — windows-native/src/MemoryTimeline.Core/Services/IAdvancedSearchService.cs:217 (wn-core-a) ApplyFilters matches the SearchTerm against Title, Description, RawTranscript, and Location (lines 114-118), but GetFacetsAsync rebuilds the term predicate over Title and Description only (lines 216-219). Every facet (categories, tags, people, locations, eras, audio/transcript counts, date range) is therefore computed over a smaller event set than the result list whenever the term matches only a t… Invalid (non-empty) API key or bad model is treated as retryable — 3 full transcribe+LLM cycles per queue item — windows-native/src/MemoryTimeline.Core/Services/EventExtractionService.cs:404 (wn-core-b) EnsureLlmConfiguredAsync only checks that the Anthropic key is non-empty. If the key is wrong (401), the model id invalid, or InitializeClientAsync swallows a settings exception (AnthropicLlmService.cs:220-224), ExtractEventsAsync returns Success=false, which EventExtra"},{"p":"repo-audit-2026-07","t":"Exhaustive repo audit","s":"Audits & reviews","h":"Part 3 — Improvement opportunities (ranked by scope)","a":"part-3--improvement-opportunities-ranked-by-scope","x":"Product-level (user-facing oversights)# [medium] First-run onboarding and timeline empty state — A fresh install lands on a completely blank timeline canvas: TimelineControl.xaml has no empty-state UI (no 'no events yet' text exists anywhere in it), and nothing guides the user through the required setup chain (Anthropic key in Settings, microphone permission, the one-time ~140 MB Whisper model … [small] Auto-process recordings option (stop clicking Process All forever) — StopRecordingAsync only adds the recording to the queue (lines 223-232); nothing ever triggers processing automatically, so the steady-state loop is record → stop → click Process All → go to Review, forever. QueueService already serializes work with a semaphore and is a singleton, so an 'auto-proces… [small] User-facing database backup and restore — The Data Management card offers only a placeholder Clear Cache and Reset — there is no way to back up or restore the SQLite database, even though ImportService already implements CreateDatabaseBackup for pre-import snapshots (ImportService.cs:60-65) and the README positions the app as the local-firs… [small] Wire the already-written navigation keyboard accelerators and do an AutomationProperties pass — MainWindow.xaml.cs contains seven fully-implemented accelerator handlers (NavigateToTimeline_Invoked ... NavigateToSettings_Invoked, GoBack_Invoked, GoForward_Invoked, lines 91-170) but MainWindow.xaml declares only the Ctrl+R accelerator (line 13), so Ctrl+1..7 / Alt+Left style navigation silently … [small] Recording length limit / long-recording warning — There is no cap or warning on recording duration anywhere in the record path — the timer just counts up. A forgotten hot mic (start, walk away) produces an hours-long WAV that takes very long to transcribe with the base Whisper model, and the extraction call caps output at MaxTokens=4096 (AnthropicL… [small] Make error.log reachable from the UI (diagnostics surface) — App.xaml.cs writes rich startup/crash diagnostics to %LOCALAPPDATA%\\MemoryTimeline\\error.log (lines 23-58) and the startup-failure dialog cites the path, but once the app is running nothing in the UI links to it — grep shows zero references to the log from any View/ViewModel. The About card in Setti… [small] Wire AudioImportService: import existing audio files into the queue — AudioImportService is fully implemented and registered in DI (App.xaml.cs:132) — validation, copy-into-AudioRecordings, queue insertion — but has zero consumers, so users cannot ingest pre-existing audio (phone voice memos, old dictaphone files), which is a core scenario for an app about capturing p… Windows Native — shell & platform# [small] Make Jump List launch actions perform the action, not just navigate — OnLaunched maps 'action:new-event' to plain Timeline navigation and 'action:start-recording' to the Queue page. The labels promise 'Create a new timeline event' and 'Begin audio recording', but nothing opens the Add Event dialog or starts recording — pass a parameter through INavigationService and h… [medium] Wire or remove the dead 'event:{id}' deep-link surface (recent-events Jump List + Windows Timeline) — UpdateRecentEventsAsync, AddEventToJumpListAsync, and the entire IWindowsTimelineService have zero call sites, and Program.CaptureLaunchAction only recognizes 'action:' tokens, so the 'event:{EventId}' arguments these services emit would never be handled anyway. TimelinePage.OnNavigatedTo already ac… [medium] Jump List quick actions likely no-op in the unpackaged configuration — use ICustomDestinationList or document — Windows.UI.StartScreen.JumpList requires package identity; with WindowsPackageType=None, JumpList.IsSupported()/LoadCurrentAsync will report unsupported or throw (gracefully logged), so the whole quick-actions feature is silently absent in the shipped configuration. The Win32 ICustomDestinationList … [medium] Surface the one-time Whisper model download (~140 MB) with progress and cancellation — The gg"},{"p":"repo-audit-2026-07","t":"Exhaustive repo audit","s":"Audits & reviews","h":"Part 4 — Recommended fix order","a":"part-4--recommended-fix-order","x":"Restore CI truth (#10 + the vstest glob, finding #9): make the .NET test subset gating and actually executed — everything else depends on trustworthy CI. Data-loss class: legacy-import date loss (#1), WAL-unsafe pre-import backup (#2), Reject All without confirmation (#11). Dead/broken native features: Save Search (#5), search checkbox inversion (#4), View-on-Timeline navigation contract (#3), audio play/pause state reset (#7), era Gantt alignment (#6), single-instance activation drop (#8), phantom LLM providers (#12). Association API + ranged events (unblockers for future work): detached-graph junction writes (#15/16), date-range overlap predicate (#13/14). Unverified mediums triage, then the improvement backlog (product items first). Numbering refers to Part 1 ordering. Generated from the workflow run wf_c8b04dfb-451; raw structured results retained in the session workspace."},{"p":"macos-port-plan","t":"macOS port plan","s":"Design notes","h":"macOS port plan","a":"","x":"Bringing Memory Line to macOS as a native SwiftUI app: what the iOS companion already shares, the Keychain and device-platform traps, the phased order of work, and the undecided question of how the C# service layer reaches the Mac. Status: groundwork landed; app is a walking skeletonTarget: a native SwiftUI macOS app under macos-native/, sharing code with the iOS companionLast updated: 2026-08-07"},{"p":"macos-port-plan","t":"macOS port plan","s":"Design notes","h":"1. What we are building, and what we are not","a":"1-what-we-are-building-and-what-we-are-not","x":"Memory Line's primary product is the Windows Native app (.NET 10 / WinUI 3) under windows-native/. This plan covers bringing the same product to macOS. The macOS app is not a port of the iOS companion. The companion is a single-purpose capture device: record a memory in the car, sync it, done. The Mac is a full peer of the Windows app — timeline, review, people, ask — plus capture. Decision: native SwiftUI, not a shared .NET UI. The alternatives were Avalonia or .NET MAUI (Mac Catalyst), both of which would have reused MemoryTimeline.Core directly. SwiftUI was chosen for platform fit and because the repository already carries a working Swift codebase — domain models, sync networking, SQLite persistence, Keychain — that the Mac app inherits on day one. The cost is that the C# service layer does not come with it; §3.3 covers what that means in practice."},{"p":"macos-port-plan","t":"macOS port plan","s":"Design notes","h":"2. What already exists","a":"2-what-already-exists","x":"Piece Where State Shared Swift core ios-companion/MemoryLineCompanion/Shared/ 11 of 13 files compile on macOS unchanged Sync service services/MemoryTimeline.SyncApi net10.0, runs on macOS/Linux Wire contracts shared-contracts/ OpenAPI + JSON Schema + .NET DTOs, platform-neutral Business logic windows-native/src/MemoryTimeline.Core, .Data, .Sync retargeted to plain net10.0 (see §3.3) macOS app macos-native/ skeleton: pairing + capture library 2.1 The shared Swift layer, file by file# Audited by imports. Everything in Foundation / os / SQLite3 / Security / CryptoKit is available on macOS unchanged. File Imports macOS Domain/Interfaces.swift Foundation ✅ shared Domain/Models.swift Foundation ✅ shared Networking/DTOs.swift Foundation ✅ shared Networking/SyncAPIClient.swift Foundation, os ✅ shared Persistence/SQLiteCaptureStore.swift Foundation, os ✅ shared Persistence/SQLiteDatabase.swift Foundation, SQLite3, os ✅ shared Security/KeychainTokenStore.swift Foundation, Security, os ⚠️ shared, see §3.2 Support/AppLog.swift os ✅ shared Support/AudioStorage.swift Foundation ✅ shared Support/CaptureStatusStore.swift Foundation ✅ shared Support/FileHasher.swift CryptoKit, Foundation ✅ shared Support/ConfirmationFeedback.swift AVFAudio, UIKit ❌ iOS-only, excluded Support/WidgetStatusPublisher.swift Foundation, WidgetKit ❌ iOS widget bridge, excluded The two exclusions are declared in the macOS project's PBXFileSystemSynchronizedBuildFileExceptionSet; everything else is compiled straight into the Mac app target."},{"p":"macos-port-plan","t":"macOS port plan","s":"Design notes","h":"3. Decisions and their consequences","a":"3-decisions-and-their-consequences","x":"3.1 Code sharing: synchronized folder, not a Swift package# The Mac target references ../ios-companion/MemoryLineCompanion/Shared as an Xcode synchronized folder group, compiling those sources into the app target directly. A local Swift package (MemoryLineKit) consumed by both apps would be the tidier end state. It was deliberately deferred, for one concrete reason: every type in Shared/ is internal. Extracting a module means adding public to roughly 50 declarations — protocols, structs, enums, and their members — across a codebase that is shipping and that just received a large feature (Phase 3 capture status). That is a wide, risky diff whose only immediate benefit is tidiness. The synchronized folder gets real sharing today with zero changes to the iOS app. Revisit the package extraction when: a third consumer appears, or the two apps start needing different behaviour from the same file (at which point #if os(macOS) in shared code is the smell that says \"extract now\"). Known wrinkle: a synchronized folder whose path escapes the project directory is unusual. If Xcode does not resolve it on first open, the group appears empty or red — fix by deleting the group and dragging ios-companion/MemoryLineCompanion/Shared back in with \"create folder reference\". Nothing else in the repository depends on this working. 3.2 Keychain: the Mac needs its own item and a modern keychain — done# KeychainTokenStore hardcoded the service name ca.fluxology.memoryline.ios.tokens and passed no kSecUseDataProtectionKeychain. Both are fixed: Service name now derives from Bundle.main.bundleIdentifier. On iOS that evaluates to ca.fluxology.memoryline.ios.tokens — byte for byte the literal it replaced — so existing installs keep reading their stored tokens and no migration is needed. The Mac gets ca.fluxology.memoryline.mac.tokens and therefore its own credentials, which is correct: each device pairs independently and holds its own device-bound token pair. kSecUseDataProtectionKeychain is set on macOS only. Without it, SecItem* calls land in the legacy file-based keychain where kSecAttrAccessible is not honoured the way it is on iOS. It is #if os(macOS)-guarded rather than unconditional: the key is documented as ignored on iOS, but this store holds the credentials a paired phone needs and a lookup that silently stopped matching would unpair every existing install — not worth the risk for a flag that does nothing there. It requires the keychain-access-groups entitlement, already declared in macos-native/Config/MemoryLineMac.entitlements. 3.3 The C# business layer does not come to macOS — but it stayed portable anyway# MemoryTimeline.Core, .Data and .Sync were decoupled from WinUI and retargeted from net10.0-windows10.0.26100.0 to plain net10.0. That work is done and in the tree. The SwiftUI decision means the Mac app does not consume those assemblies. The retarget was still worth doing, and stays worth maintaining, for three reasons: It enforces the layering rule the project already had on paper — Core must not know about brushes, Visibility, or Windows.Storage. It keeps a headless option open: the extraction/RAG/narrative services can run on macOS or Linux (a sync-side worker, a batch tool) without a Windows machine. It makes Core testable off Windows. The rule is written up in claude.md under \"Keeping Core portable\". The real consequence for macOS: every service in MemoryTimeline.Core — extraction, RAG, ask, narrative, resurfacing, recall prompts, export/import, timeline math — has no Swift equivalent. §5 is mostly about that."},{"p":"macos-port-plan","t":"macOS port plan","s":"Design notes","h":"4. Platform capabilities the Mac needs","a":"4-platform-capabilities-the-mac-needs","x":"Ordered by how much they block everything else. 4.1 Capture (recording)# iOS uses AudioRecorderService with an AVAudioSession lifecycle that does not exist on macOS. The Mac needs its own recorder on AVAudioEngine / AVAudioRecorder, plus: Microphone permission via NSMicrophoneUsageDescription (declared) and the com.apple.security.device.audio-input entitlement (declared). Device selection — Macs routinely have several inputs; the iPhone does not. This is new UI with no iOS counterpart. No background-audio equivalent: on macOS the app is simply running or not. 4.2 Upload and status sync — pull side done# iOS UploadCoordinator and StatusSyncCoordinator are built on BGTaskScheduler, which macOS does not have. MacSyncCoordinator is the Mac equivalent for the pull side: a foreground Task loop on a 120s interval plus an explicit Sync Now, since the app is either running or not. The SyncAPIClient calls underneath are shared unchanged. It is a reimplementation, not a shared type, for two reasons: the iOS coordinator depends on BackgroundTasks, and it reconciles remote status against capture records the phone created, which the Mac does not have yet. The parts that are a contract with the server rather than a local choice are mirrored exactly and covered by tests — page until hasMore, persist the cursor before acking, hold the cursor when applying fails so the page replays, never ack a cursor that did not advance, and last-write-wins on the Windows-authored updatedAtUtc when a page is redelivered. Known gap: the Mac applies capture_status changes but ignores capture and capture_artifact ones, so the Library shows status for captures it does not yet hold. Materialising capture rows from the feed (or recording its own) is Phase 2. 4.3 Storage locations# Shared AppDatabase.defaultURL() uses .applicationSupportDirectory, which is correct on both platforms. Under the App Sandbox this resolves inside the container; that is intended. Note the asymmetry with the Windows app, which stores everything under %LOCALAPPDATA%\\MemoryTimeline\\. Nothing needs to reconcile these — the sync service is the meeting point, not a shared filesystem. 4.4 Windows-only integrations with no macOS analogue# Toast notifications map to UNUserNotificationCenter. JumpList and Windows Timeline activity publishing have no equivalent and should be dropped rather than approximated; the Mac equivalents worth having instead are Spotlight indexing (CoreSpotlight) and a menu-bar item for quick capture."},{"p":"macos-port-plan","t":"macOS port plan","s":"Design notes","h":"5. Phasing","a":"5-phasing","x":"Each phase is shippable and leaves the app in a usable state. Phase Scope Notes 0 — Skeleton ✅ Xcode project, composition root, pairing, capture library in the tree 1 — Keychain + sync pull ✅ §3.2 fixed; MacSyncCoordinator pulls/applies/acks the change feed on a foreground timer in the tree 1b — Upload Drain pending uploads nothing to upload until Phase 2 gives the Mac a recorder; deferred deliberately 2 — Capture ✅ macOS recorder, input device selection, menu-bar quick capture §4.1 3 — Timeline ✅ Read-only timeline, eras, people, review queue, fed by the projection feed see \"how phase 3 was actually solved\" below 4 — Review decisions ✅ Approve/reject a pending event from the Mac queued to disk, pushed as pending_event_decision, pruned when Windows confirms 5 — Ask & narrative Retrieval + LLM answers with citations Phase 4 assistant contract exists; no responder is built on either side 6 — Packaging Notarisation, Sparkle or App Store, hardened runtime entitlements already set The decision that gated phases 3–5 — resolved, by a fourth option# This section originally said everything from Phase 3 on needed the logic living in C# — extraction prompts, date-precision inference, hybrid retrieval, narrative grounding, timeline coordinate math — and listed three ways to get it: reimplement in Swift, move it behind the sync service, or embed .NET as an AOT library. All three are ways of getting the computation onto the Mac. The fourth option, and the one built: publish the result instead of the computation. Windows runs the logic it already has and puts the answer on the sync feed as a read-only projection — shared-contracts/.../TimelineProjectionContracts.cs. An event crosses with its tags, people and locations already denormalised, and with displayDate already formatted by the same DateDisplay.FormatPrecise the Windows UI binds to. The Mac draws what it is sent. Why this beats all three of the originals, for this product: Nothing is reimplemented, so nothing can drift. The original recommendation was to reimplement date-precision formatting in Swift because it is \"self-contained and well-tested\". It is also exactly the kind of logic where a second implementation is invisible when it diverges: a memory the user dated to a summer rendered as a precise day is wrong in a way no test on either side would catch, because each side is self-consistent. It stays local-first. The Mac reads its own SQLite copy and needs no service running to draw a timeline, which options 2 and 3 could not both promise. It answers \"who may write\" at the same time. Windows is the only writer by construction rather than by convention, and the one exception — PendingEventDecisionPayload — is narrow enough to defend: a verdict is one idempotent bit with no field values to merge, so accepting it does not make the system multi-writer. What this does not solve: Ask (Phase 5) is genuinely computation, not a projection, and the original 2-vs-3 question stands for it. The Phase 4 assistant contract (AssistantContracts.cs) already frames the answer as \"Windows is the brain, with an option to link an LLM provider or pre-process on device\" — that is option 2 in a different suit, and it remains undecided in the sense that no responder is implemented. Consequence for the Mac's UI: it is a reader. Timeline, Review and People render a copy and offer no editing. That is the design, not a shortfall, and the screens say so rather than hiding it."},{"p":"macos-port-plan","t":"macOS port plan","s":"Design notes","h":"6. Verification","a":"6-verification","x":".github/workflows/macos-native-build.yml runs on macos-latest: xcode — xcodebuild build + test for the MemoryLineMac scheme. dotnet — dotnet build of MemoryTimeline.Data, .Core, .Sync and MemoryTimeline.SyncContracts. The dotnet job is the guard on §3.3. Those four projects are declared platform-neutral; building them on a Mac is the only automated check that the declaration is true, because the Windows workflow stays green whether or not a Windows-only type creeps back in. Both jobs gate — a non-gating check here would repeat exactly the failure the 2026-07 audit called out (finding #10, the .NET test suite that ran with continue-on-error). The dotnet job has since run green, so §3.3 is now evidence rather than reasoning: Microsoft.ML.OnnxRuntime and Anthropic.SDK do restore on macOS and those four projects do compile there. If it ever fails on a native-asset restore rather than a compile error, the fix belongs in the package reference, not in a retreat from the net10.0 target. 3.4 The Mac registers as other, because the contract has no macos# DeviceRegisterRequest.platform is constrained to [ios, windows, other] by shared-contracts/openapi/memory-line-sync-v1.yaml, and the server enforces it — DeviceService.AllowedPlatforms rejects anything else with a 400. So the Mac app sends \"other\" today. Two smaller traps in the same call, both already handled in MacAppEnvironment.pair: The Swift DTO defaults platform to \"ios\". Using the memberwise initializer without passing it registers a Mac as an iPhone, silently and permanently — the value is stored on the device row. displayName on iOS is UIDevice.current.name; the Mac uses the host name with the Bonjour .local suffix trimmed. This is what the user sees in Windows Settings → Sync, so a blank or studio.local-shaped name is a real papercut. Making macos first-class means changing the OpenAPI enum, AllowedPlatforms, and any UI that renders a platform label — worth doing before the Mac ships, not worth doing now."},{"p":"macos-port-plan","t":"macOS port plan","s":"Design notes","h":"7. Open questions","a":"7-open-questions","x":"Add macos to the device-platform enum? See §3.4. Touches the OpenAPI contract, the server's AllowedPlatforms, and the Swift DTO's default. Until then the Mac is other. Distribution: Mac App Store (sandbox already assumed) or Developer ID + Sparkle? Affects whether the sandbox exceptions in §4 stay viable. Minimum macOS version. Currently 14.0 (Sonoma), chosen to match the iOS 17 baseline and because ContentUnavailableView and the @Observable macro need it. Shared UI vocabulary with Windows. The Windows app has a settled visual language for precision-honest dates, era colours, and category glyphs. The Mac should agree with it; nobody has written that down as a cross-platform spec. Note that displayDate already removes the worst of this risk — the precision-honest string is formatted once, on Windows, and every client renders it verbatim. An EraService in Core. Eras are the only projected entity with no Core service, so their publish calls live in ErasViewModel and ImportService writes eras that nothing publishes. This is also why eras have no write-path test: nothing in this repo loads a ViewModel into the test host. See a4bb149. There is no iOS CI. .github/workflows/ builds Windows, macOS, the sync service and the docs site — nothing builds the iOS companion. The macOS job compiles everything under ios-companion/…/Shared/ into the Mac target, so shared code is covered by accident, but the phone's own App/ and Features/ are not built anywhere. Answered since this list was written: Does the Mac record at all? Yes — Phase 2 shipped a recorder, input-device selection and menu-bar quick capture. How does the C# business logic reach the Mac? It does not; Windows publishes results as projections instead. See \"the decision that gated phases 3–5\" in §5."},{"p":"people-feature-contracts","t":"People feature contracts","s":"Design notes","h":"People feature contracts","a":"","x":"The cross-agent interface contract for the People hub: file ownership map, entity columns, DTOs, service signatures, extraction changes, UI conventions, and DI registrations. Status: Implementation contract (binding for the 2026-08 people feature build)Scope: windows-native/ only. All paths below are relative to windows-native/src/. This document pins the exact contracts shared between parallel implementation agents. Every agent implements its owned files exactly against these signatures; deviations must be reported, not silently made. Files not owned by an agent are read-only for that agent."},{"p":"people-feature-contracts","t":"People feature contracts","s":"Design notes","h":"1. Feature summary","a":"1-feature-summary","x":"Contact-book persons — Person grows contact fields (nickname, relationship, email, phone, birthday, company, notes, photo, avatar color, favorite, first-met date). People page — new nav tab (Tag=\"People\", page key \"People\", ContactsPage) for managing contacts: search, sort, favorites, add/edit/delete, merge duplicates, per-person linked-event list. Events with persons everywhere — event create/edit dialog gets a person picker (plus tags/location/era enrichment); search gets a person facet; event display surfaces people. Audio → person suggestions — extraction emits per-person details; the Review queue shows new person / known person / update details suggestions with one-click apply. Drafts — \"Save as draft\" in event, era, and person editors; a Drafts section (Pivot) on the Review page lists drafts and resumes them in the owning editor via navigation parameter \"draft:<draftId>\"."},{"p":"people-feature-contracts","t":"People feature contracts","s":"Design notes","h":"2. File ownership map","a":"2-file-ownership-map","x":"Agent Owns (create/modify) A — Data MemoryTimeline.Data/Models/Person.cs, MemoryTimeline.Data/Models/Draft.cs (new), MemoryTimeline.Data/AppDbContext.cs, MemoryTimeline.Data/SchemaUpgrader.cs, MemoryTimeline.Data/Repositories/IPersonRepository.cs, PersonRepository.cs, IDraftRepository.cs (new), DraftRepository.cs (new) B — Core services MemoryTimeline.Core/Services/IPersonService.cs (new, interface + impl), MemoryTimeline.Core/Services/IDraftService.cs (new, interface + impl), MemoryTimeline.Core/DTOs/PersonDto.cs (new), MemoryTimeline.Core/DTOs/DraftDto.cs (new, incl. payload classes), MemoryTimeline.Core/Services/Messages.cs C — Extraction MemoryTimeline.Core/Services/EventExtractionService.cs, IEventExtractionService.cs, ILlmService.cs, AnthropicLlmService.cs, MemoryTimeline.Core/DTOs/PersonSuggestionDto.cs (new), MemoryTimeline.Core/DTOs/PendingEventDto.cs D — Contacts UI MemoryTimeline/Views/ContactsPage.xaml (new), ContactsPage.xaml.cs (new), MemoryTimeline/ViewModels/ContactsViewModel.cs (new), MemoryTimeline/Converters/HexToBrushConverter.cs (new) E — Review UI MemoryTimeline/Views/ReviewPage.xaml, ReviewPage.xaml.cs, MemoryTimeline/ViewModels/ReviewViewModel.cs F — Event CRUD UI MemoryTimeline/Controls/TimelineControl.xaml, TimelineControl.xaml.cs, MemoryTimeline/ViewModels/TimelineViewModel.cs, MemoryTimeline/Views/TimelinePage.xaml.cs, MemoryTimeline.Core/DTOs/TimelineEventDto.cs, MemoryTimeline/Controls/EventBubble.xaml, EventBubble.xaml.cs G — Eras + Search UI MemoryTimeline/Views/ErasPage.xaml, ErasPage.xaml.cs, MemoryTimeline/ViewModels/ErasViewModel.cs, MemoryTimeline/Views/SearchPage.xaml, SearchPage.xaml.cs, MemoryTimeline/ViewModels/SearchViewModel.cs, MemoryTimeline.Core/Services/IAdvancedSearchService.cs, MemoryTimeline.Core/Models/SearchModels.cs H — Tests New files only under MemoryTimeline.Tests/: Services/PersonServiceTests.cs, Services/DraftServiceTests.cs, UnitTests/PersonSuggestionTests.cs, Integration/PeopleSchemaTests.cs Integrator (orchestrator) MemoryTimeline/App.xaml.cs (DI), MemoryTimeline/MainWindow.xaml, MainWindow.xaml.cs, MemoryTimeline/App.xaml, root docs Nobody edits App.xaml.cs, MainWindow.*, or App.xaml except the integrator. UI agents needing converters define page-local resources and new converter classes with agent-unique names."},{"p":"people-feature-contracts","t":"People feature contracts","s":"Design notes","h":"3. Data layer (Agent A)","a":"3-data-layer-agent-a","x":"3.1 Person entity — new columns (all additive)# Extend the existing Person class (table people) with: C#Copy [MaxLength(100)] [Column(\"nickname\")] public string? Nickname { get; set; } [MaxLength(100)] [Column(\"relationship\")] public string? Relationship { get; set; } [MaxLength(320)] [Column(\"email\")] public string? Email { get; set; } [MaxLength(50)] [Column(\"phone\")] public string? Phone { get; set; } [Column(\"birthday\")] public DateTime? Birthday { get; set; } [MaxLength(200)] [Column(\"company\")] public string? Company { get; set; } [Column(\"notes\")] public string? Notes { get; set; } [Column(\"photo_path\")] public string? PhotoPath { get; set; } [MaxLength(9)] [Column(\"avatar_color\")] public string? AvatarColor { get; set; } [Column(\"is_favorite\")] public bool IsFavorite { get; set; } [Column(\"first_met_date\")] public DateTime? FirstMetDate { get; set; } [Column(\"updated_at\")] public DateTime UpdatedAt { get; set; } = DateTime.UtcNow; Existing PersonId, Name, CreatedAt, EventPeople are unchanged. 3.2 Draft entity (new file Models/Draft.cs)# C#Copy [Table(\"drafts\")] public class Draft { [Key] [Column(\"draft_id\")] public string DraftId { get; set; } = Guid.NewGuid().ToString(); [Required] [MaxLength(20)] [Column(\"draft_type\")] public string DraftType { get; set; } = string.Empty; [Required] [MaxLength(500)] [Column(\"title\")] public string Title { get; set; } = string.Empty; [Required] [Column(\"payload_json\")] public string PayloadJson { get; set; } = \"{}\"; [Column(\"created_at\")] public DateTime CreatedAt { get; set; } = DateTime.UtcNow; [Column(\"updated_at\")] public DateTime UpdatedAt { get; set; } = DateTime.UtcNow; } public static class DraftTypes { public const string Event = \"event\"; public const string Era = \"era\"; public const string Person = \"person\"; } 3.3 AppDbContext# public DbSet<Draft> Drafts { get; set; } = null!; OnModelCreating: Draft — HasKey(DraftId), HasIndex(DraftType), HasIndex(UpdatedAt). Person — add entity.HasIndex(p => p.IsFavorite); (keep existing unique Name index). UpdateTimestamps(): also stamp Person.UpdatedAt and Draft.UpdatedAt for modified entries. 3.4 SchemaUpgrader (drift repair for pre-existing DBs)# New table (via EnsureTableAsync): SQLCopy CREATE TABLE IF NOT EXISTS \"drafts\" ( \"draft_id\" TEXT NOT NULL CONSTRAINT \"PK_drafts\" PRIMARY KEY, \"draft_type\" TEXT NOT NULL, \"title\" TEXT NOT NULL, \"payload_json\" TEXT NOT NULL, \"created_at\" TEXT NOT NULL, \"updated_at\" TEXT NOT NULL ); Indexes: IX_drafts_draft_type on draft_type, IX_drafts_updated_at on updated_at. New columns on people (via EnsureColumnsAsync; NOT NULL columns must carry constant defaults — SQLite ALTER TABLE ADD COLUMN requirement): textCopy nickname TEXT NULL · relationship TEXT NULL · email TEXT NULL · phone TEXT NULL birthday TEXT NULL · company TEXT NULL · notes TEXT NULL · photo_path TEXT NULL avatar_color TEXT NULL · is_favorite INTEGER NOT NULL DEFAULT 0 first_met_date TEXT NULL · updated_at TEXT NOT NULL DEFAULT '2025-01-21 00:00:00' Plus CREATE INDEX IF NOT EXISTS \"IX_people_is_favorite\" ON \"people\" (\"is_favorite\"); (only when the people table exists). 3.5 Repositories# IPersonRepository additions: C#Copy Task<IEnumerable<Person>> GetFavoritesAsync(); Task<Dictionary<string, int>> GetEventCountsAsync(); // personId -> event count Task<Dictionary<string, (DateTime First, DateTime Last)>> GetEventDateRangesAsync(); // personId -> first/last event StartDate IDraftRepository (new): IRepository<Draft> plus C#Copy Task<IEnumerable<Draft>> GetByTypeAsync(string draftType); // ordered UpdatedAt desc Task<IEnumerable<Draft>> GetAllOrderedAsync(); // ordered UpdatedAt desc Both repository impls follow the existing factory pattern (IDbContextFactory<AppDbContext>, await using context per operation, AsNoTracking() for reads, tracked-load-then-mutate for updates — see PersonRepository.cs today)."},{"p":"people-feature-contracts","t":"People feature contracts","s":"Design notes","h":"4. Core DTOs + services (Agent B)","a":"4-core-dtos--services-agent-b","x":"All DTOs live in MemoryTimeline.Core.DTOs, are partial class … : ObservableObject with [ObservableProperty] fields (follow PendingEventDto.cs style). No Microsoft.UI references in the new DTOs — colors are hex strings; the app layer converts. 4.1 PersonDto (new file DTOs/PersonDto.cs)# Observable properties (backing-field names shown): textCopy _personId (init Guid.NewGuid().ToString()), _name (\"\"), _nickname, _relationship, _email, _phone, _birthday (DateTime?), _company, _notes, _photoPath, _avatarColor, _isFavorite (bool), _firstMetDate (DateTime?), _createdAt (DateTime), _updatedAt (DateTime), _eventCount (int), _firstEventDate (DateTime?), _lastEventDate (DateTime?), _isSelected (bool) Computed (plain get-only, with partial void On…Changed notifications where the source is observable): C#Copy public string DisplayName // Name, or $\"{Name} ({Nickname})\" when nickname set public string Initials // up to 2 uppercase initials from Name words; \"?\" when empty public string EffectiveAvatarColor // AvatarColor if set, else deterministic pick from AvatarPalette by stable hash of Name public string EventCountDisplay // \"3 events\" / \"1 event\" / \"No events\" public string BirthdayDisplay // \"MMM d, yyyy\" or \"\" public bool HasBirthday, HasEmail, HasPhone, HasCompany, HasNotes, HasRelationship public static readonly string[] AvatarPalette // 10 pleasant hex colors public static PersonDto FromPerson(Person person, int eventCount = 0, DateTime? firstEventDate = null, DateTime? lastEventDate = null); public Person ToPerson(); // full copy incl. PersonId public void CopyTo(Person person); // copies editable fields (not PersonId/CreatedAt) The deterministic hash must be stable across processes (do not use string.GetHashCode(); sum chars or use a simple FNV-1a). 4.2 DraftDto + payloads (new file DTOs/DraftDto.cs)# C#Copy public partial class DraftDto : ObservableObject { // _draftId, _draftType, _title, _payloadJson, _createdAt, _updatedAt public string TypeDisplay { get; } // \"Event\" | \"Era\" | \"Person\" (fallback: DraftType) public string TypeGlyph { get; } // \"\\uE8EB\" event (calendar), \"\\uE81C\" era, \"\\uE77B\" person public string UpdatedDisplay { get; } // \"MMM d, yyyy h:mm tt\" public static DraftDto FromDraft(Draft draft); public Draft ToDraft(); public T? GetPayload<T>() where T : class; // JSON deserialize, null on malformed (no throw) } Payload classes (same file, plain mutable classes, serialized with System.Text.Json default options): C#Copy public sealed class EventDraftPayload { public string Title { get; set; } = string.Empty; public string? Description { get; set; } public DateTime? StartDate { get; set; } public DateTime? EndDate { get; set; } public string? Category { get; set; } public string? EraId { get; set; } public string? Location { get; set; } public List<string> TagNames { get; set; } = new(); public List<string> PersonIds { get; set; } = new(); // existing persons public List<string> PersonNames { get; set; } = new(); // to-be-created persons } public sealed class EraDraftPayload { public string Name { get; set; } = string.Empty; public string? Subtitle { get; set; } public DateTime? StartDate { get; set; } public DateTime? EndDate { get; set; } public string? CategoryId { get; set; } public string? ColorCode { get; set; } public string? Description { get; set; } public string? Notes { get; set; } public List<string> Tags { get; set; } = new(); } public sealed class PersonDraftPayload { public string Name { get; set; } = string.Empty; public string? Nickname { get; set; } public string? Relationship { get; set; } public string? Email { get; set; } public string? Phone { get; set; } public DateTime? Birthday { get; set; } public string? Company { get; set; } public string? Notes { get; set; } public string? AvatarColor { get; set; } public bool IsFavorite { get; set; } public DateTime? FirstMetDate { get; set; } } 4.3 IPersonService (new file Services/IPersonService.cs, interface + PersonService impl in same file)# C#Copy"},{"p":"people-feature-contracts","t":"People feature contracts","s":"Design notes","h":"5. Extraction + review pipeline (Agent C)","a":"5-extraction--review-pipeline-agent-c","x":"5.1 ILlmService.cs# Add alongside ExtractedEvent: C#Copy public class ExtractedPersonDetail { public string Name { get; set; } = string.Empty; public string? Relationship { get; set; } public string? Details { get; set; } } ExtractedEvent gains public List<ExtractedPersonDetail>? PeopleDetails { get; set; } (the flat People list stays for compatibility). 5.2 AnthropicLlmService.cs# Extraction prompt: request peopleDetails array (name, relationship, details) in the JSON schema alongside people; instruct that people stays the flat name list. When ExtractionContext.KnownPeople is non-empty, include a \"Known people (use these canonical spellings when they match): …\" line in the prompt. 5.3 PersonSuggestionDto (new file DTOs/PersonSuggestionDto.cs)# C#Copy public enum PersonSuggestionKind { NewPerson, KnownPerson, UpdateDetails } public partial class PersonSuggestionDto : ObservableObject { // _pendingEventId, _name, _matchedPersonId (string?), _matchedPersonName (string?), // _kind (PersonSuggestionKind), _suggestedRelationship (string?), // _suggestedDetails (string?), _isApplied (bool) public string KindDisplay { get; } // \"New person\" | \"Known\" | \"Update details\" public string KindGlyph { get; } // \"\\uE8FA\" new person, \"\\uE73E\" check, \"\\uE70F\" edit public string Summary { get; } // e.g. \"Will be added as a new contact\" / \"Matches existing contact 'X'\" / \"Adds relationship 'sister' to 'X'\" public bool CanApply => !IsApplied && Kind != PersonSuggestionKind.KnownPerson; } (Notify CanApply from OnIsAppliedChanged/OnKindChanged.) 5.4 IEventExtractionService additions# C#Copy /// <summary>Computes create/update suggestions for the people mentioned in a pending event.</summary> Task<List<PersonSuggestionDto>> GetPersonSuggestionsAsync(string pendingEventId); /// <summary>Applies one suggestion (creates the person or merges suggested details). Returns the updated suggestion (IsApplied=true).</summary> Task<PersonSuggestionDto> ApplyPersonSuggestionAsync(PersonSuggestionDto suggestion); 5.5 EventExtractionService changes# Constructor gains IPersonService personService (registered by integrator). BuildExtractionContextAsync: populate context.KnownPeople with up to 100 person display names via IPersonService.GetAllPersonsAsync(PersonSortOption.MostEvents) (best-effort; keep the existing catch-and-continue shape). Resolve the existing TODO. GetPersonSuggestionsAsync: deserialize ExtractedData; source names from PeopleDetails (fallback People); for each distinct name run IPersonService.FindBestMatchAsync: no match → NewPerson (carry suggested relationship/details); match, and the suggestion has relationship/details the matched person lacks → UpdateDetails; match otherwise → KnownPerson. ApplyPersonSuggestionAsync: NewPerson → CreatePersonAsync with Name/Relationship(+Details→Notes); UpdateDetails → fill only missing fields on the matched person via UpdatePersonAsync; KnownPerson → no-op. Always return with IsApplied = true. Duplicate-create races resolve to the existing person (catch the duplicate InvalidOperationException, re-match). ApprovePendingEventAsync / MapExtractedMetadataAsync: when creating a brand-new Person during approve, if a matching ExtractedPersonDetail exists, populate Relationship and Notes (details) on the new row. Matching stays name-based (OrdinalIgnoreCase). PendingEventDto: add read-only List<string> PeopleNames populated in FromPendingEvent by deserializing ExtractedData (PeopleDetails ?? People, distinct, trimmed; empty list on malformed) + bool HasPeople, string PeopleDisplay => string.Join(\", \", PeopleNames)."},{"p":"people-feature-contracts","t":"People feature contracts","s":"Design notes","h":"6. Shared UI contracts (Agents D–G + integrator)","a":"6-shared-ui-contracts-agents-dg--integrator","x":"6.1 Navigation# Page key \"People\" → ContactsPage (integrator registers; nav item Content=\"People\" Tag=\"People\", FontIcon glyph &#xE716;). Draft resume parameter: Frame navigation parameter string \"draft:<draftId>\". TimelinePage.OnNavigatedTo (F): parameter starting \"draft:\" → tell TimelineViewModel to open the event editor prefilled from that draft; otherwise existing eventId behavior. ErasPage.OnNavigatedTo (G) and ContactsPage.OnNavigatedTo (D): same pattern for era/person drafts. A plain (non-draft:) string parameter to ContactsPage is a personId to select/show in the detail pane. Review's Drafts tab resumes via INavigationService.NavigateTo(pageKeyFor(draftType), $\"draft:{draftId}\") where event→\"Timeline\", era→\"Eras\", person→\"People\". Person chips on events/search results may navigate with NavigateTo(\"People\", personId). 6.2 Save-as-draft editor behavior (all editors)# Editors (event dialog in TimelineControl, era dialog in ErasPage, person dialog in ContactsPage) get a \"Save as Draft\" SecondaryButton (or equivalent) that serializes the corresponding payload class (§4.2) with System.Text.Json.JsonSerializer.Serialize(...) and calls IDraftService.SaveDraftAsync(DraftTypes.X, title, json, currentDraftId). When an editor was opened from a draft, keep the draftId; saving the real entity deletes the draft on success (DeleteDraftAsync). Draft titles: the entity's title/name, else \"Untitled event/era/person\". 6.3 ViewModels# Resolve services via constructor injection (registered in DI by integrator): IPersonService, IDraftService, IEventExtractionService, etc. Pages fetch VMs with App.Current.Services.GetRequiredService<T>() in the constructor (existing pattern). Marshal service callbacks/messenger handlers to the UI thread via DispatcherQueue as existing VMs do. WeakReferenceMessenger.Default for cross-feature refresh (PersonCreated/Updated/Deleted/Merged, DraftsChangedMessage, EventCreatedMessage, EventUpdatedMessage). 6.4 TimelineEventDto additions (Agent F; G may bind, not edit)# C#Copy [ObservableProperty] private List<string> _peopleNames = new(); public bool HasPeople => PeopleNames.Count > 0; public string PeopleDisplay => string.Join(\", \", PeopleNames); // partial void OnPeopleNamesChanged(...) notifies HasPeople + PeopleDisplay FromEvent populates PeopleNames from e.EventPeople when the navigation is loaded (ep.Person?.Name, non-null, ordered by name). 6.5 XAML conventions# WinUI 3 + x:Bind (Page/Control property ViewModel), ThemeResource brushes only, converters from App.xaml (NullToVisibility, BoolToVisibility, InvertedBoolToVisibility, BoolNegation, NullToFalse, DateFormat, ZeroToVisibility) or page-local new converters. ContentDialog.XamlRoot must be set from the hosting page before ShowAsync (existing pattern). No new NuGet packages. Person chips = ItemsControl/ItemsRepeater with chip-styled Buttons + AutoSuggestBox; do not assume TokenizingTextBox works. Segoe Fluent glyphs (use \\uXXXX in C#, &#xXXXX; in XAML): people E716, person E77B, add E710, favorite outline E734 / filled E735, edit E70F, delete E74D, drafts E70B, save E74E, mail E715, phone E717, calendar E787, company E821, check E73E, add-friend E8FA, merge/link E71B."},{"p":"people-feature-contracts","t":"People feature contracts","s":"Design notes","h":"7. DI registrations (integrator applies)","a":"7-di-registrations-integrator-applies","x":"C#Copy services.AddSingleton<IDraftRepository, DraftRepository>(); services.AddSingleton<IPersonService, PersonService>(); services.AddSingleton<IDraftService, DraftService>(); services.AddTransient<ContactsViewModel>(); MainWindow: nav item People (after Review), RegisterPage(\"People\", typeof(ContactsPage))."},{"p":"people-feature-contracts","t":"People feature contracts","s":"Design notes","h":"8. Conventions checklist (all agents)","a":"8-conventions-checklist-all-agents","x":"File-scoped namespaces, 4-space indent, Nullable enable, C# 12, XML doc comments on public members, ILogger<T> logging, no .Result/.Wait(). EF: await using var context = await _contextFactory.CreateDbContextAsync(); per operation; AsNoTracking() for reads; load-tracked-then-mutate for updates (never Update() on detached graphs with junctions). Time: store DateTime.UtcNow timestamps; display via local formatting. Do not run git commit; the integrator commits. Do not modify files outside your ownership row (§2). Report every deviation from this contract in your final summary."},{"p":"ios-roadtrip-companion-system-design","t":"Memory Line iOS Roadtrip Companion — System Design","s":"Design notes","h":"Memory Line iOS Roadtrip Companion — System Design","a":"","x":"Memory Line currently operates as a local-first Windows desktop application: it records audio, queues recordings, transcribes locally with Whisper, extracts structured memories with an LLM, presents pending events for… Status: Accepted — Phases 0–1 implemented (Windows + sync service); §22 decisions resolved 2026-08-07Date: 2026-08-06Repository: ethanbissbort/memory-lineTarget branch: design/ios-roadtrip-companion"},{"p":"ios-roadtrip-companion-system-design","t":"Memory Line iOS Roadtrip Companion — System Design","s":"Design notes","h":"1. Executive summary","a":"1-executive-summary","x":"Memory Line currently operates as a local-first Windows desktop application: it records audio, queues recordings, transcribes locally with Whisper, extracts structured memories with an LLM, presents pending events for review, and stores approved events in a local SQLite timeline. The proposed iOS companion extends that system into a roadtrip-focused, low-distraction capture and interaction surface. The iPhone becomes the mobile capture, voice interaction, navigation-context, and detour-discovery client. The Windows application remains the authoritative long-form review, organization, analytics, and archival environment. The central architectural change is the introduction of a Memory Line Sync Service and a device-neutral domain protocol. The iOS application must not write directly into the Windows SQLite database or depend on Windows file paths. Instead, both applications exchange versioned domain commands and artifacts through an authenticated API with durable, idempotent synchronization. The first release should prioritize: One-touch voice recording from the app, Lock Screen widgets, Control Center controls, and supported hands-free entry points. On-device recording with durable offline storage and deferred upload. Server or Windows-hosted ingestion into the existing transcription and extraction pipeline. One-touch conversational voice interaction with a retrieval-augmented Memory Line assistant. A roadtrip dashboard combining recording, assistant, navigation status, media controls, and generated detour cards. Context-aware detour suggestions verified against current opening hours, route impact, admission pricing, and user constraints. Safe driving UX: glanceable information, audio-first interaction, and strict suppression of editing-heavy flows while moving."},{"p":"ios-roadtrip-companion-system-design","t":"Memory Line iOS Roadtrip Companion — System Design","s":"Design notes","h":"2. Product goals","a":"2-product-goals","x":"2.1 Primary goals# Capture spontaneous memories, observations, ideas, and travel narration with one deliberate action. Preserve recordings when cellular data is unavailable or unreliable. Convert mobile recordings into the same pending-event workflow used by the Windows application. Allow voice questions against the user’s memory corpus and current trip context. Surface worthwhile detours without requiring manual research while driving. Make the iPhone experience useful independently while preserving Windows as the richer review and archive station. Maintain local-first ownership: raw audio and the canonical memory database remain under user control. 2.2 Secondary goals# Attach road context to captures: trip, route segment, coarse location, heading, speed state, and nearby point of interest. Let a user mark a recording as memory, idea, trip log, reminder, question, or unclassified capture. Support CarPlay-compatible experiences where Apple platform rules permit them. Support background transfer and eventual consistency across multiple devices. Allow future iPad, macOS, web, and Android clients to reuse the same protocol. 2.3 Non-goals for the first release# Rebuilding the entire Windows timeline editor on iOS. Direct replication of the SQLite database file between devices. Continuous ambient recording. Replacing Apple Maps, Google Maps, or the system media player. Autonomous route modification without explicit user confirmation. Full offline LLM inference on iPhone in the first release. Real-time collaborative multi-user timelines."},{"p":"ios-roadtrip-companion-system-design","t":"Memory Line iOS Roadtrip Companion — System Design","s":"Design notes","h":"3. Existing architecture and required changes","a":"3-existing-architecture-and-required-changes","x":"3.1 Existing Windows pipeline# The current Windows application has a persistent queue and recoverable pipeline: textCopy Record -> recording_queue -> local Whisper transcription -> LLM extraction -> pending_events -> user review -> approved timeline events The current RecordingQueue model stores an audio_file_path that points to a Windows-local file. QueueService accepts an AudioRecordingDto, persists a queue item, and processes pending items through IEventExtractionService. This works well on one machine but is not a device-neutral ingestion contract. 3.2 Architectural constraints# The iOS design must account for the following realities: The Windows SQLite file cannot safely be opened remotely by iOS. A Windows path has no meaning on iOS. Mobile recordings may arrive in chunks, may be retried, and may be duplicated by background transfer. Mobile devices frequently lose network connectivity. iOS background execution is opportunistic and cannot be treated as an always-running service. Voice interaction requires streaming or short-turn request handling distinct from the existing batch extraction pipeline. Detour information is time-sensitive and must be revalidated near presentation time. 3.3 Required system changes# Memory Line should add: Device-neutral IDs and globally unique capture IDs. A capture_artifacts abstraction that replaces assumptions about direct local file paths. A versioned sync protocol with idempotency keys and cursors. An authenticated HTTP API and optional streaming channel. A sync outbox/inbox on Windows and iOS. Trip, route-context, detour, assistant-session, and device entities. A retrieval service that can answer questions over approved events, pending transcripts where allowed, and trip context. A provider abstraction for maps/place search, opening hours, pricing, and route estimates."},{"p":"ios-roadtrip-companion-system-design","t":"Memory Line iOS Roadtrip Companion — System Design","s":"Design notes","h":"4. Proposed topology","a":"4-proposed-topology","x":"textCopy +---------------------------+ +----------------------------+ | iOS Roadtrip Companion | | Windows Memory Line | |---------------------------| |----------------------------| | SwiftUI | | WinUI 3 | | App Intents / Widgets | | Existing timeline/review | | AVAudioEngine | | Existing queue/extraction | | Core Location | | New sync client | | MapKit / provider adapter | | New artifact cache | | Local encrypted store | | New assistant UI | | Sync outbox | | Existing SQLite + schema | +-------------+-------------+ +--------------+-------------+ | HTTPS / WebSocket or SSE | +----------------------+---------------------------+ | +-----------v------------+ | Memory Line Sync/API | |------------------------| | Authentication | | Device registry | | Capture ingestion | | Artifact object store | | Sync cursor/change log | | Assistant orchestration| | Detour agent | | Push notification fanout| +------+-----------+-----+ | | +-------------+ +------------------+ | | +---------v---------+ +---------v----------+ | LLM / embeddings | | Places/maps/pricing | | provider adapters | | provider adapters | +-------------------+ +---------------------+ 4.1 Deployment modes# The architecture should support two modes behind the same API contract. Mode A — Self-hosted home service# The sync/API service runs on the user’s home-lab or Windows machine and is exposed through a private overlay network or reverse proxy. This best matches Memory Line’s local-first positioning. Recommended characteristics: ASP.NET Core service. PostgreSQL or SQLite for service metadata depending on scale. S3-compatible object storage or a filesystem-backed artifact store. Tailscale/WireGuard/private access preferred. Windows application connects as another authenticated client. Mode B — Managed relay# A hosted service stores encrypted artifacts and synchronization metadata. The Windows machine downloads and becomes the canonical archive when online. This improves reliability away from home but increases operational and privacy burden. It should be optional, not required by the domain model. 4.2 Recommended first implementation# Implement an ASP.NET Core sync service in the same repository and allow it to run: locally on the Windows machine for development; in a Docker container on the user’s home-lab; later as a managed deployment without changing the client contract."},{"p":"ios-roadtrip-companion-system-design","t":"Memory Line iOS Roadtrip Companion — System Design","s":"Design notes","h":"5. Repository structure","a":"5-repository-structure","x":"Proposed additions: The iOS project may live in the same monorepo initially. A separate repository is reasonable later, but shared contracts and coordinated schema evolution are simpler in one repository during early development."},{"p":"ios-roadtrip-companion-system-design","t":"Memory Line iOS Roadtrip Companion — System Design","s":"Design notes","h":"6. Domain model","a":"6-domain-model","x":"6.1 Capture# A Capture is the device-neutral unit of user input. Audio is one artifact type; text and images may be added later. textCopy Capture - capture_id: UUID - owner_id: UUID - source_device_id: UUID - source_platform: ios | windows | other - capture_type: memory | idea | trip_log | reminder | question | unclassified - created_at_utc - captured_at_utc - timezone_id - local_offset_minutes - status: local_only | uploading | received | processing | review_ready | completed | failed - title_hint: nullable string - user_note: nullable string - trip_id: nullable UUID - route_segment_id: nullable UUID - location_context_id: nullable UUID - client_schema_version - server_revision - deleted_at_utc: nullable 6.2 CaptureArtifact# textCopy CaptureArtifact - artifact_id: UUID - capture_id: UUID - artifact_type: audio_original | audio_normalized | transcript | waveform | image | metadata - storage_locator: opaque string - media_type - byte_length - sha256 - encryption_scheme - created_at_utc - upload_state The queue should reference an artifact_id, not rely exclusively on audio_file_path. 6.3 Transcript# textCopy Transcript - transcript_id: UUID - capture_id: UUID - text - language - provider - model - confidence_summary - segments_json - created_at_utc - revision 6.4 Trip and route context# textCopy Trip - trip_id: UUID - name - started_at_utc - ended_at_utc - origin_label - destination_label - status: planned | active | paused | completed | archived - preferences_json RouteContext - route_context_id: UUID - trip_id: UUID - captured_at_utc - latitude - longitude - horizontal_accuracy_m - heading_degrees - speed_mps - route_progress - remaining_distance_m - remaining_duration_s - current_road_name - destination_eta_utc - provider Location sampling must be configurable and minimized. A capture should store one contextual snapshot by default, not a continuous trail unless the user explicitly enables trip logging. 6.5 DetourSuggestion# textCopy DetourSuggestion - suggestion_id: UUID - trip_id: UUID - generated_at_utc - expires_at_utc - place_provider - provider_place_id - name - category - reason - latitude - longitude - route_added_distance_m - route_added_duration_s - open_status: open | closed | closing_soon | unknown - next_open_interval - price_summary - admission_currency - confidence - verification_sources_json - state: proposed | heard | saved | accepted | dismissed | expired 6.6 AssistantSession and AssistantTurn# textCopy AssistantSession - session_id: UUID - device_id: UUID - trip_id: nullable UUID - started_at_utc - ended_at_utc - mode: memory_query | trip_assistant | capture_followup AssistantTurn - turn_id: UUID - session_id: UUID - sequence - user_audio_artifact_id: nullable UUID - user_text - assistant_text - assistant_audio_artifact_id: nullable UUID - tool_calls_json - citations_json - created_at_utc 6.7 Device and sync entities# textCopy Device - device_id: UUID - owner_id: UUID - platform - display_name - public_key - push_token_encrypted - app_version - last_seen_at_utc - revoked_at_utc SyncChange - change_id: monotonically ordered value - owner_id - entity_type - entity_id - operation: upsert | delete - revision - changed_at_utc"},{"p":"ios-roadtrip-companion-system-design","t":"Memory Line iOS Roadtrip Companion — System Design","s":"Design notes","h":"7. Windows application modifications","a":"7-windows-application-modifications","x":"7.1 Replace path-only queue ingestion# Extend RecordingQueue with device-neutral fields: textCopy source_capture_id nullable UUID/string, unique source_device_id nullable UUID/string source_platform default \"windows\" audio_artifact_id nullable UUID/string original_file_name nullable string content_sha256 nullable string sync_state nullable string received_at nullable timestamp Keep audio_file_path for local processing, but treat it as a resolved cache path rather than the identity of the recording. 7.2 New ingestion service# Add an abstraction: C#Copy public interface ICaptureIngestionService { Task<IngestionResult> IngestLocalRecordingAsync( AudioRecordingDto recording, CancellationToken cancellationToken = default); Task<IngestionResult> IngestRemoteCaptureAsync( RemoteCaptureEnvelope capture, CancellationToken cancellationToken = default); } Responsibilities: enforce idempotency using source_capture_id and artifact hash; download or resolve the audio artifact; verify byte length and SHA-256; normalize format if required; create or update the queue item; acknowledge durable receipt to the sync service; schedule existing queue processing; never create duplicate pending events on retries. 7.3 Queue service changes# IQueueService should gain cancellation support and explicit processing stages: C#Copy Task<RecordingQueue> AddToQueueAsync( AudioRecordingDto recording, CancellationToken cancellationToken = default); Task ProcessCaptureAsync( string queueId, CancellationToken cancellationToken = default); Recommended queue status model: textCopy pending_download verifying ready_for_transcription transcribing extracting review_ready completed failed_retryable failed_configuration failed_permanent The current four-state model can remain externally compatible while an additional processing_stage column provides better mobile progress reporting. 7.4 Sync worker# Add MemoryTimeline.Sync with: ISyncClient IArtifactTransferClient ISyncCursorStore SyncBackgroundWorker RemoteChangeApplier LocalOutboxPublisher The Windows client should: Pull changes after its stored cursor. Download unclaimed mobile artifacts. Ingest captures idempotently. Push processing state, transcript availability, pending-event state, and approved-event changes. Resolve conflicts using revision checks. 7.5 Database schema# Add tables: devices captures capture_artifacts transcripts sync_outbox sync_state trips route_contexts detour_suggestions assistant_sessions assistant_turns Do not put remote synchronization logic directly into EF repositories for timeline entities. Use an outbox written in the same database transaction as the domain change. 7.6 Outbox pattern# When Windows approves or edits an event: textCopy BEGIN TRANSACTION update event and metadata insert sync_outbox event_changed payload COMMIT A worker publishes outbox records and marks them delivered. This prevents the local database and remote sync state from silently diverging. 7.7 Review UX# Pending events created from iOS should display: source device; capture time and timezone; trip name; optional location context; original audio playback; transcript; synchronization and processing history. The Windows review queue remains the canonical editing surface in the first release."},{"p":"ios-roadtrip-companion-system-design","t":"Memory Line iOS Roadtrip Companion — System Design","s":"Design notes","h":"8. iOS application architecture","a":"8-ios-application-architecture","x":"8.1 Technology choices# Swift 6+ SwiftUI Swift Concurrency actors and async/await AVFoundation / AVAudioEngine for recording and playback SwiftData or GRDB/SQLite for durable local state BackgroundTasks and background URLSession for deferred transfer App Intents for actions exposed to Siri, Shortcuts, widgets, and supported controls WidgetKit for Home Screen and Lock Screen widgets ActivityKit for active trip/capture Live Activities where useful Core Location for capture context MapKit plus provider adapters for route and place functions Keychain and Secure Enclave-backed key material where practical UserNotifications for completed processing and detour alerts GRDB is preferable if precise migrations, outbox queries, WAL tuning, and deterministic synchronization behavior outweigh SwiftData convenience. 8.2 Modules# textCopy AppShell CaptureFeature AssistantFeature RoadtripFeature DetourFeature SyncFeature MediaIntegration NavigationIntegration Persistence Security Telemetry Each feature owns presentation and use cases; shared domain models are immutable value types where practical. 8.3 Local persistence# Required local tables: captures artifacts upload_parts sync_outbox sync_cursor trips route_context_snapshots detour_cache assistant_sessions assistant_turns settings Every capture is committed locally before the recording UI reports success. 8.4 Capture state machine# textCopy idle -> preparing -> recording -> paused -> finalizing -> saved_local -> queued_upload -> uploading -> uploaded -> processing_remote -> review_ready -> completed Any state -> failed_recoverable Any active recording state -> cancelled The audio file should be written incrementally. A crash must not destroy the entire recording; recoverable partial files should be surfaced on next launch. 8.5 Audio format# Recommended original capture: AAC-LC in .m4a, mono, 44.1 or 48 kHz for efficient mobile storage; or lossless PCM only when explicitly selected. The ingestion service normalizes to the Windows transcription format. Avoid forcing iPhone to record large WAV files during long drives. Store: original mobile artifact; normalized transcription artifact if generated; duration and waveform summary; SHA-256 hash. 8.6 One-touch record# Entry points: prominent in-app record button; Lock Screen widget; Home Screen widget; Control Center control through supported App Intent/control APIs; Action Button assignment through Shortcuts/App Intents; Siri phrase; optional headset/steering control behavior where platform APIs permit. A one-touch action should begin capture immediately after required permissions are already granted. First-run permission education happens before driving mode use. 8.7 One-touch LLM voice interaction# The assistant interaction uses push-to-talk by default: User invokes assistant. App records a question. Speech is transcribed locally or remotely. Assistant service classifies intent. Retrieval and tools run. Response is streamed as text and synthesized audio. The user can interrupt playback with a new turn. Initial tools: search approved memories; summarize memories about a person/place/time period; ask follow-up questions about the current capture; query current trip status; find and verify detours; save a detour; create a new voice capture; retrieve pending processing status. No assistant tool should silently modify navigation. The assistant may propose a destination and hand it to the chosen navigation app after confirmation."},{"p":"ios-roadtrip-companion-system-design","t":"Memory Line iOS Roadtrip Companion — System Design","s":"Design notes","h":"9. Widgets, controls, and integrations","a":"9-widgets-controls-and-integrations","x":"9.1 Capture widget# Compact controls: start/stop recording; open assistant; show last capture upload state. The widget delegates to App Intents and the containing app. It should not attempt unrestricted long-running recording inside the widget extension. 9.2 Roadtrip dashboard widget# Displays: current destination and ETA when available; next saved detour; latest generated suggestion; recording state; sync state. 9.3 Music controls# The application should not recreate a universal media player. Use system Now Playing controls and supported media integrations. In-app controls may expose play/pause/skip where the active media session and platform APIs permit. 9.4 Maps controls# The application should treat navigation providers as integrations: show current trip/destination state; open Apple Maps or another selected provider; calculate detour route impact; pass an accepted detour as a destination or waypoint where supported. Avoid embedding an inferior turn-by-turn system in the first release. 9.5 Live Activity# During an active trip, a Live Activity may show: capture status and elapsed time; latest suggestion name and added time; current sync/upload state; tap targets to reopen the relevant app surface."},{"p":"ios-roadtrip-companion-system-design","t":"Memory Line iOS Roadtrip Companion — System Design","s":"Design notes","h":"10. Detour agent design","a":"10-detour-agent-design","x":"10.1 Inputs# active route polyline or origin/destination approximation; current location and direction of travel; remaining trip time; user-defined maximum added time/distance; interests and exclusions; time of day and date; current weather when available; accessibility and mobility constraints; prior visited/saved/dismissed locations; charging/fuel/meal/rest needs; opening hours and closing-soon threshold; admission price and reservation requirement. 10.2 Candidate generation# The service queries place providers within a route corridor rather than a simple radius. Candidate categories include: scenic viewpoints; unusual roadside attractions; museums and historical sites; architecture and infrastructure; parks and short walks; specialty food; technology/industrial sites open to visitors; weather phenomena or seasonal events; practical stops. 10.3 Verification pipeline# textCopy Generate candidate set -> remove route-incompatible candidates -> fetch authoritative place metadata -> verify hours for arrival time -> verify price/admission where available -> estimate route delta -> check freshness and confidence -> rank -> produce concise spoken rationale Every suggestion must include a freshness timestamp and confidence. Unknown opening hours or prices must be labeled unknown, not invented. 10.4 Ranking# Example score: textCopy score = interest_match * 0.30 + uniqueness * 0.20 + route_efficiency * 0.20 + timing_fit * 0.15 + data_confidence * 0.10 + novelty_vs_history * 0.05 Weights should be user-adjustable later. 10.5 Generation cadence# Generate suggestions: when a trip starts; when route context changes materially; every configurable 30–60 minutes during long trips; when the user asks; before a saved suggestion becomes impractical; after a suggestion is dismissed to avoid repetition. Do not issue frequent unsolicited prompts. A default maximum of one spoken suggestion per hour is reasonable unless the user requests more. 10.6 Spoken card# Example: “There’s an aviation museum 11 minutes off your route. It is open until 5:00 PM, arrival would be around 2:40, and admission is listed at 14 dollars. It has several restored Cold War aircraft. Save it, navigate there, or skip?” The visual card contains source/freshness details, but the driving interaction remains three simple choices."},{"p":"ios-roadtrip-companion-system-design","t":"Memory Line iOS Roadtrip Companion — System Design","s":"Design notes","h":"11. API design","a":"11-api-design","x":"11.1 Conventions# Base path: /api/v1 JSON for metadata Presigned or direct multipart upload for large artifacts UUID identifiers UTC timestamps in ISO 8601 Idempotency-Key header on all create/mutation calls If-Match/ETag or explicit revision for updates cursor-based synchronization OAuth 2.1/OIDC or device-bound token exchange 11.2 Core endpoints# Device registration# httpCopy POST /api/v1/devices/register POST /api/v1/devices/{deviceId}/refresh DELETE /api/v1/devices/{deviceId} Captures# httpCopy POST /api/v1/captures GET /api/v1/captures/{captureId} PATCH /api/v1/captures/{captureId} POST /api/v1/captures/{captureId}/complete POST /api/v1/captures/{captureId}/retry Artifacts# httpCopy POST /api/v1/captures/{captureId}/artifacts/initiate PUT /api/v1/artifacts/{artifactId}/parts/{partNumber} POST /api/v1/artifacts/{artifactId}/complete GET /api/v1/artifacts/{artifactId}/download Sync# httpCopy POST /api/v1/sync/push GET /api/v1/sync/pull?cursor={cursor}&limit={limit} POST /api/v1/sync/ack Assistant# httpCopy POST /api/v1/assistant/sessions POST /api/v1/assistant/sessions/{sessionId}/turns GET /api/v1/assistant/sessions/{sessionId}/stream Trips and detours# httpCopy POST /api/v1/trips PATCH /api/v1/trips/{tripId} POST /api/v1/trips/{tripId}/route-context POST /api/v1/trips/{tripId}/detours/generate GET /api/v1/trips/{tripId}/detours POST /api/v1/detours/{suggestionId}/accept POST /api/v1/detours/{suggestionId}/dismiss POST /api/v1/detours/{suggestionId}/save 11.3 Capture creation example# JSONCopy { \"captureId\": \"8d3afab4-bd0c-43db-9b43-18cc4ddc49aa\", \"sourceDeviceId\": \"5ef474dd-02f8-48e5-9616-a48b27017466\", \"captureType\": \"trip_log\", \"capturedAtUtc\": \"2026-08-06T19:46:00Z\", \"timezoneId\": \"America/Toronto\", \"localOffsetMinutes\": -240, \"tripId\": \"fb811275-7cf4-490f-a908-16657d1f92cb\", \"locationContext\": { \"latitude\": 43.6532, \"longitude\": -79.3832, \"horizontalAccuracyM\": 18.0, \"headingDegrees\": 255.0, \"speedMps\": 21.4 }, \"clientSchemaVersion\": 1 } 11.4 Idempotency# The server stores the response associated with each (owner_id, device_id, idempotency_key) tuple for a retention window. Repeated requests return the original result. Artifact completion additionally validates: expected byte length; expected part count; SHA-256; media type; capture ownership."},{"p":"ios-roadtrip-companion-system-design","t":"Memory Line iOS Roadtrip Companion — System Design","s":"Design notes","h":"12. Synchronization and conflict handling","a":"12-synchronization-and-conflict-handling","x":"12.1 Model# Use eventual consistency with one canonical revision per entity. Clients maintain: local outbox sequence; last acknowledged server cursor; per-entity server revision; tombstones for deletions. 12.2 Conflict rules# Immutable artifacts: content-addressed; duplicate hash means reuse. Capture metadata: last writer wins only for non-critical descriptive fields. Approved events: revision conflict requires merge or explicit resolution. Pending event review state: Windows is authoritative in release one. Trip status: latest valid transition wins according to state-machine rules. Detour disposition: accepted/dismissed states use monotonic transitions; an accepted suggestion is not overwritten by a stale proposed state. Deletions: tombstone with retention period; never silently resurrect from an old device. 12.3 Offline operation# While offline, iOS can: record and classify captures; attach cached route context; review local upload queue; access cached detours; use limited local commands; queue assistant questions, though responses requiring server tools wait for connectivity. When connectivity resumes, background URLSession transfers artifacts and the sync outbox drains."},{"p":"ios-roadtrip-companion-system-design","t":"Memory Line iOS Roadtrip Companion — System Design","s":"Design notes","h":"13. Assistant and retrieval architecture","a":"13-assistant-and-retrieval-architecture","x":"13.1 Retrieval sources# The assistant may retrieve from: approved timeline events; event metadata, people, locations, tags, and eras; embeddings and cross-references; user-approved pending transcripts; active trip context; saved/dismissed detours; current capture transcript during a follow-up session. 13.2 Retrieval flow# textCopy voice input -> STT -> intent classification -> permission and driving-mode policy check -> hybrid retrieval: FTS + metadata filters + embeddings -> optional external tools -> response generation with source references -> TTS 13.3 Grounding# Responses about personal history should carry internal source references to event IDs and transcript spans. The iOS UI can show “From 3 memories” and allow later inspection. Spoken output should not read citation IDs aloud. 13.4 Privacy boundary# Only the minimum required text should be sent to external LLM providers. Retrieval should occur inside the trusted service; the provider receives selected context, not the entire database."},{"p":"ios-roadtrip-companion-system-design","t":"Memory Line iOS Roadtrip Companion — System Design","s":"Design notes","h":"14. Security and privacy","a":"14-security-and-privacy","x":"14.1 Authentication# User account or self-hosted owner identity. Device registration with a per-device key pair. Short-lived access tokens. Refresh token stored in Keychain on iOS and protected storage on Windows. Device revocation from Windows or a management endpoint. 14.2 Transport and artifact encryption# TLS 1.3 where available. Certificate pinning is optional and must support rotation. Artifacts encrypted at rest. For managed relay mode, support client-side envelope encryption so the relay cannot read raw audio. Each artifact uses a random data-encryption key wrapped to authorized device/service keys. 14.3 Secrets# Remove API keys from plain application settings over time. Windows: DPAPI/ProtectedData or OS credential vault. iOS: Keychain. Sync service: environment/secret manager; never database plaintext. 14.4 Location privacy# Location is opt-in and scoped separately from microphone permission. Default capture stores a single coarse snapshot. Precise location can be disabled. Continuous trip logging is a separate explicit setting. Retention controls allow route-context deletion without deleting the memory. 14.5 Logging# Never log: raw transcripts; assistant prompts containing personal memories; audio bytes; tokens or keys; exact location unless diagnostic mode is explicitly enabled. Use correlation IDs and structured redacted diagnostics."},{"p":"ios-roadtrip-companion-system-design","t":"Memory Line iOS Roadtrip Companion — System Design","s":"Design notes","h":"15. Driving-mode UX requirements","a":"15-driving-mode-ux-requirements","x":"15.1 Motion detection# Driving mode may be inferred from: active navigation; speed threshold sustained over time; connected CarPlay; explicit user toggle. The user can override incorrect detection. 15.2 Restrictions while moving# While driving: prioritize voice and large controls; no transcript editing; no timeline browsing requiring dense interaction; no long scrolling lists; read detours aloud only at controlled cadence; require short confirmation for navigation changes; defer complex review to “Review when parked.” 15.3 Capture confirmation# A successful capture should use a short tone/haptic and spoken confirmation such as “Saved locally” or “Uploaded.” Avoid long status narration."},{"p":"ios-roadtrip-companion-system-design","t":"Memory Line iOS Roadtrip Companion — System Design","s":"Design notes","h":"16. Reliability requirements","a":"16-reliability-requirements","x":"16.1 Data durability# A completed recording must be fsynced/closed before the UI reports it saved. Local metadata and outbox insertion occur atomically. Uploads support resume and retry. Server ingestion is idempotent. Windows processing never deletes the original artifact automatically. 16.2 Retry policy# Classify failures: retryable network; retryable server; authentication required; configuration required; invalid artifact; unsupported media; permanent domain error. Use exponential backoff with jitter and respect iOS background scheduling. 16.3 Observability# Metrics: capture save success rate; upload latency and retry count; ingestion deduplication count; transcription duration; extraction duration; assistant first-audio latency; detour verification failure rate; stale suggestion rate; sync cursor lag; crash-free sessions. Distributed traces should connect mobile request, artifact upload, server ingestion, Windows processing, and status callback without storing personal content."},{"p":"ios-roadtrip-companion-system-design","t":"Memory Line iOS Roadtrip Companion — System Design","s":"Design notes","h":"17. Performance targets","a":"17-performance-targets","x":"Initial targets: Record action to active recording indication: under 500 ms after warm launch. Local finalize for a 10-minute recording: under 2 seconds. Capture visible in local history: immediate after finalize. Upload resumes automatically after connectivity returns. Assistant partial response audio: under 2.5 seconds on healthy connectivity. Detour card from cached candidates: under 1 second. Fresh detour generation: under 8 seconds typical. Windows sync detection after server receipt: under 30 seconds while Windows is online. Duplicate capture rate after retries: zero."},{"p":"ios-roadtrip-companion-system-design","t":"Memory Line iOS Roadtrip Companion — System Design","s":"Design notes","h":"18. Testing strategy","a":"18-testing-strategy","x":"18.1 Contract tests# OpenAPI schema validation. Swift and C# generated client compatibility. Backward compatibility for at least one prior API version. Golden payload tests for captures, artifacts, sync changes, assistant turns, and detours. 18.2 iOS tests# Capture state-machine tests. Crash recovery from partial recording. Offline outbox and resumed upload. Background transfer completion. Permission denial/revocation. Widget/App Intent invocation. driving-mode UI restrictions. location precision settings. detour expiration and dismissal behavior. 18.3 Windows tests# remote capture ingestion idempotency; artifact hash validation; queue stage transitions; duplicate upload handling; outbox atomicity; sync conflict handling; mobile-origin pending-event review; retry classification. 18.4 Service tests# authentication and device revocation; multipart upload integrity; cursor ordering; concurrent push/pull; artifact authorization; assistant tool permission checks; detour verification freshness; provider outage fallback. 18.5 End-to-end scenarios# Record offline for 30 minutes, regain signal, upload, process on Windows, approve event, see status on iOS. Kill the app during recording, relaunch, recover partial audio. Upload the same capture repeatedly and verify one queue item. Revoke the iPhone from Windows and verify access stops. Ask a memory question and verify cited source events. Generate a detour that closes before arrival and verify it is suppressed or marked invalid. Accept a detour and pass it to the selected navigation provider. Use the capture control from Lock Screen and Action Button."},{"p":"ios-roadtrip-companion-system-design","t":"Memory Line iOS Roadtrip Companion — System Design","s":"Design notes","h":"19. Migration plan","a":"19-migration-plan","x":"Phase 0 — Contract and schema groundwork# Define shared IDs, revisions, timestamps, and artifact contracts. Add migrations and SchemaUpgrader compatibility for new fields. Add source_capture_id uniqueness. Introduce ICaptureIngestionService without changing existing UI behavior. Add local Windows outbox. Exit criterion: Existing Windows recordings pass through the new ingestion abstraction with no regression. Phase 1 — Sync service and Windows client# Build device registration and authentication. Implement capture metadata and artifact upload. Implement cursor-based pull/push. Build Windows sync worker. Ingest remote audio into current queue. Exit criterion: A test client can upload an audio capture and it appears once in Windows review. Phase 2 — iOS capture MVP# SwiftUI shell. One-touch recording. Local durable queue. Background upload. Capture history and status. Basic widget/App Intent. Exit criterion: Road recording works offline and reliably reaches Windows later. Phase 3 — Processing status and review handoff# Sync queue progress, transcript status, pending-event status, and approval state. Push notifications. Playback of original audio and transcript preview on iOS. Exit criterion: User can understand the full lifecycle without opening Windows, while edits remain on Windows. Phase 4 — Voice assistant# Assistant sessions and streaming turns. STT/TTS. Memory retrieval. Current trip context. interruption and cancellation. Exit criterion: User can ask grounded questions over their timeline and receive audio responses. Phase 5 — Roadtrip and detour agent# Trip lifecycle. route context snapshots. provider adapters. verified detour generation. save/dismiss/accept flows. navigation handoff. Exit criterion: Suggestions include verified timing, route cost, and price confidence. Phase 6 — Car and control surfaces# Lock Screen and Home Screen widgets. Control Center/App Intent support. Live Activity. CarPlay surfaces permitted by entitlement/category. Action Button and Siri workflows. Exit criterion: Core capture and assistant functions are available with minimal visual interaction. Phase 7 — Hardening# end-to-end encryption option; device management; load and soak tests; privacy controls; telemetry review; App Store packaging and policy validation."},{"p":"ios-roadtrip-companion-system-design","t":"Memory Line iOS Roadtrip Companion — System Design","s":"Design notes","h":"20. Work breakdown","a":"20-work-breakdown","x":"Epic A — Domain and contracts# Define Capture and CaptureArtifact schemas. Define sync envelope and cursor protocol. Generate Swift/C# clients. Add contract compatibility CI. Epic B — Windows ingestion refactor# Add remote-source fields to queue. Implement artifact resolver. Implement idempotent ingestion. Expand processing stages. Add source context to review UI. Epic C — Sync API# Device auth. Artifact upload/download. Change log. Outbox consumers. Push notifications. Epic D — iOS capture# Recorder actor. local database. upload coordinator. capture history. App Intents/widgets. Epic E — Assistant# session service. retrieval adapter. streaming audio. tool execution. source references. Epic F — Roadtrip agent# trip model. route context. place provider. hours/price verifier. ranking and cadence. navigation handoff. Epic G — Security and operations# key management. encryption. revocation. redacted telemetry. deployment documentation."},{"p":"ios-roadtrip-companion-system-design","t":"Memory Line iOS Roadtrip Companion — System Design","s":"Design notes","h":"21. Key decisions","a":"21-key-decisions","x":"Windows remains the canonical review and archive client for release one. The iOS app never directly accesses the Windows SQLite file. A sync/API service is a first-class component, not a thin file-transfer script. Captures and artifacts receive device-neutral IDs and hashes. All mutations are idempotent and revisioned. Original audio is retained unless the user explicitly deletes it. Detours require verified route impact and time-sensitive metadata. Navigation changes always require user confirmation. Driving mode is audio-first and blocks dense editing interactions. Self-hosted deployment is supported from the beginning."},{"p":"ios-roadtrip-companion-system-design","t":"Memory Line iOS Roadtrip Companion — System Design","s":"Design notes","h":"22. Resolved decisions","a":"22-resolved-decisions","x":"Resolved by the owner on 2026-08-07 (originally \"open decisions to resolve before Phase 1\"): Deployment: self-hosted only. No managed relay. Mode B (§4.1) is dropped from the roadmap; the sync service runs on the user's own machine or home-lab (Docker), reached over a private network (Tailscale/WireGuard or a TLS reverse proxy). Authentication: no user accounts or logins. Single-owner identity with device pairing, exactly as Phase 1 implemented: a server-held pairing code admits devices, each device gets rotating tokens, and any device can be revoked. Account recovery = re-pair using the pairing code from the server's data directory; no email/password/recovery flows will be built. Transcription: the Windows machine, by default. Windows performs transcription with its local Whisper pipeline, using GPU/NPU acceleration when the hardware and an appropriate model are installed (CPU otherwise). The sync service stores and forwards audio; it does not transcribe. iOS on-device Whisper: yes, as an option. A small on-device model is an optional low-latency path (e.g. immediate rough transcript for the assistant); Windows remains the authoritative transcription. Places/maps: Google preferred, Apple selectable. Detour/place lookups use Google APIs by default with request caps sized to stay inside the free tier. When the cap is reached, the app informs the user and offers to fail over to Apple (MapKit) for the remainder of the period. Apple is also available as a user-selectable primary provider. CarPlay: design the screens for v1; entitlement deferred. The app is not intended for App Store publication. CarPlay screens are designed and validated in the CarPlay Simulator (no entitlement needed there), but rendering on a real head unit requires Apple to grant the CarPlay entitlement to the signing developer account even for sideloaded personal builds — so the in-car experience for v1 is carried by Siri, the Lock Screen widget, and the Action Button (none need approval), with the \"driving task\" category entitlement application as an optional later step. Artifact retention on the sync service: 14 days after Windows acknowledges archival, or sooner under storage pressure. (Follow-up for the Phase 1 service, which currently retains artifacts indefinitely.) Pending transcripts and the assistant: excluded by default. The assistant searches approved events only; pending transcripts participate only when the user deliberately includes them via an explicit UI option. Route-context retention: 14 days by default. Trip location trails auto-delete after 14 days; a capture's single location snapshot is retained with the memory itself (§14.4 controls still allow deleting it independently)."},{"p":"ios-roadtrip-companion-system-design","t":"Memory Line iOS Roadtrip Companion — System Design","s":"Design notes","h":"23. Acceptance criteria for the first usable release","a":"23-acceptance-criteria-for-the-first-usable-release","x":"The first production-usable version is complete when: The user can start and stop a recording from the iOS app and at least one system control surface. A recording made without connectivity is preserved and uploaded later without user repair. Repeated upload attempts cannot create duplicate queue or pending-event records. The Windows application downloads, verifies, transcribes, and extracts the mobile recording through its normal review workflow. iOS displays processing and approval status. Authentication tokens and local secrets use platform secure storage. The user can revoke a device. Location attachment is optional and independently configurable. Failure states are visible and actionable on both clients. Automated end-to-end tests cover offline capture, resumed transfer, idempotent ingestion, processing, and status synchronization. The assistant and detour features then build on this reliable capture/sync foundation rather than bypassing it."}];
+window.MT_SEARCH_PAGES={"overview":"Project overview","windows-native":"Windows Native app","setup-scripts-windows":"PowerShell setup scripts","testing":"Testing guide","deployment":"Deployment guide","development-status":"Development status","development-history":"Development history","feature-audit":"Feature audit (2026-07)","hardening-followups":"Hardening follow-ups","repo-audit-2026-07":"Exhaustive repo audit","macos-port-plan":"macOS port plan","people-feature-contracts":"People feature contracts","ios-roadtrip-companion-system-design":"Memory Line iOS Roadtrip Companion — System Design"};
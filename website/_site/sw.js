@@ -0,0 +1,129 @@
+/* Memory Timeline documentation — offline service worker, generated by the build.
+   Precaches every page and asset of one build. A new build changes VERSION, so
+   the browser installs a fresh cache and this worker deletes the stale one. */
+
+'use strict';
+
+var VERSION = "9dcd688c56e6c78c";
+// Several sites can share an origin (GitHub project pages do): caches are per scope.
+var PREFIX = 'mt-docs:' + self.registration.scope + ':';
+var CACHE = PREFIX + VERSION;
+var FILES = [
+  "404.html",
+  "assets/app.js",
+  "assets/print.css",
+  "assets/search-index.js",
+  "assets/styles.css",
+  "book.html",
+  "deployment.html",
+  "development-history.html",
+  "development-status.html",
+  "documentation-map.html",
+  "feature-audit.html",
+  "hardening-followups.html",
+  "icon.svg",
+  "index.html",
+  "ios-roadtrip-companion-system-design.html",
+  "macos-port-plan.html",
+  "manifest.webmanifest",
+  "overview.html",
+  "people-feature-contracts.html",
+  "repo-audit-2026-07.html",
+  "setup-scripts-windows.html",
+  "testing.html",
+  "whats-new.html",
+  "windows-native.html"
+];
+// Production asset names carry a hash of their contents: a saved copy of one
+// is never stale. Any other asset can change under the same name.
+var FINGERPRINTED = /\.[0-9a-f]{10}\.\w+$/;
+
+// Past the browser's HTTP cache, which may still hold the previous build.
+function fresh(files) {
+  return files.map(function (file) {
+    return new Request(file, { cache: 'reload' });
+  });
+}
+
+self.addEventListener('install', function (event) {
+  event.waitUntil(
+    caches
+      .open(CACHE)
+      .then(function (cache) {
+        return cache.addAll(fresh(FILES));
+      })
+      .then(function () {
+        return self.skipWaiting();
+      })
+  );
+});
+
+self.addEventListener('activate', function (event) {
+  event.waitUntil(
+    caches
+      .keys()
+      .then(function (keys) {
+        return Promise.all(
+          keys
+            .filter(function (key) {
+              return key.indexOf(PREFIX) === 0 && key !== CACHE;
+            })
+            .map(function (key) {
+              return caches.delete(key);
+            })
+        );
+      })
+      .then(function () {
+        // The assets whose names do not change, fetched again now that this
+        // worker takes over; a failed fetch keeps the copy from install.
+        return caches.open(CACHE).then(function (cache) {
+          var assets = FILES.filter(function (file) {
+            return file.indexOf('assets/') === 0 && !FINGERPRINTED.test(file);
+          });
+          return cache.addAll(fresh(assets)).catch(function () {});
+        });
+      })
+      .then(function () {
+        return self.clients.claim();
+      })
+  );
+});
+
+self.addEventListener('fetch', function (event) {
+  var request = event.request;
+  var url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== location.origin) return;
+  if (url.pathname.slice(-1) === '/') url.pathname += 'index.html';
+  url.search = '';
+
+  // Pages: the network while there is one, so a deploy shows at once; the
+  // saved copy, or the saved 404 page, without it. Fingerprinted assets: the
+  // saved copy. Other assets: the saved copy, refreshed from the network for
+  // next time (stale-while-revalidate).
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request).catch(function () {
+        return caches.open(CACHE).then(function (cache) {
+          return cache.match(url.href).then(function (saved) {
+            return saved || cache.match(new URL('404.html', self.registration.scope).href);
+          });
+        });
+      })
+    );
+    return;
+  }
+  event.respondWith(
+    caches.open(CACHE).then(function (cache) {
+      return cache.match(url.href).then(function (saved) {
+        if (saved && FINGERPRINTED.test(url.pathname)) return saved;
+        var update = fetch(request).then(function (response) {
+          if (saved && response.ok) cache.put(url.href, response.clone());
+          return response;
+        });
+        if (!saved) return update;
+        event.waitUntil(update.catch(function () {}));
+        return saved;
+      });
+    })
+  );
+});
@@ -4,278 +4,360 @@
  *
  *   node build.mjs            # writes ./_site
  *   node build.mjs --out DIR  # writes DIR
+ *   node build.mjs --clean    # ignore the build cache and rebuild everything
+ *   node build.mjs --watch    # rebuild whenever a document, the config or lib/ changes
+ *   node build.mjs --lenient  # report config problems as warnings instead of failing
+ *   node build.mjs --drafts   # include documents whose front matter says `draft: true`
+ *   node build.mjs --versions v1.2,v1.3  # also build these git refs (default: site.versions)
+ *   node build.mjs --verify-reproducible # build twice as CI deploys and fail if the outputs differ
+ *   node build.mjs --check    # fail when the committed _site is not what a build produces
+ *   node build.mjs --production  # minify HTML, CSS and JS and fingerprint asset names
+ *   node build.mjs --single-file [--out FILE]  # the whole site as one HTML file
  *
- * Every markdown document listed in site.config.mjs becomes a page, plus two
- * generated pages: the landing page and the documentation map. Output is a plain
- * static site with no runtime dependencies — it works over file:// as well as
- * from a web server.
+ * Every markdown document listed in site.config.mjs becomes a page, plus the
+ * generated ones: the landing page, the documentation map, "What's new", the
+ * book edition with every document on one page (lib/book.mjs) and a 404 page
+ * that suggests where a missing address may have gone. The documents are also
+ * packed as an EPUB for e-readers (lib/epub.mjs), and copied as cleaned
+ * markdown with an llms.txt index for language models (lib/llms.mjs).
+ * Output is a plain static site with no runtime dependencies — it works over
+ * file:// as well as from a web server. With `site.baseUrl` set, pages also
+ * carry their canonical URL and the build writes sitemap.xml (lib/sitemap.mjs) and
+ * Atom feeds of documentation updates (lib/feed.mjs). Every page also gets a
+ * social preview card for `og:image` (lib/social.mjs), and every slug that is
+ * no longer a page — renamed or removed since the previous build, or listed in
+ * `site.redirects` — a stub that forwards to its new page (lib/redirects.mjs).
+ * With `site.offline` the build adds a service worker that saves every page
+ * for reading offline (lib/offline.mjs).
+ *
+ * A document's YAML front matter overrides its config entry (see
+ * lib/frontmatter.mjs). site.config.mjs is validated before anything is rendered: duplicate slugs,
+ * references to pages that do not exist or will not be built, missing required
+ * fields and sources that are missing or outside the repository fail the build.
+ *
+ * Builds are incremental: .cache/build.json remembers what the last build was
+ * made from, so only documents whose source changed are re-rendered and only
+ * files whose contents changed are rewritten. The result is always identical to
+ * a clean build.
+ *
+ * Builds are reproducible. The date in every page footer is SOURCE_DATE_EPOCH
+ * when set, otherwise the date of the last commit touching a source document,
+ * so rebuilding an unchanged tree leaves the committed _site untouched.
+ *
+ * Production builds (--production) minify every page, the stylesheet, app.js
+ * and the search index with lib/minify.mjs, and write the assets under names
+ * carrying a hash of their contents, with .br and .gz copies of every page and
+ * asset beside them (lib/compress.mjs); the report lists the sizes at each step.
+ * Any build fails when a page or asset outgrows its limit in `site.budgets`.
+ *
+ * --single-file builds the current checkout in memory and writes it as one
+ * self-contained HTML file, memory-timeline-docs.html unless --out names
+ * another (lib/bundle.mjs): every page, the stylesheet, app.js and the search
+ * index inlined, with pages shown by the address's hash.
+ *
+ * With versions configured, each git ref is exported from the local repository
+ * and built into its own subdirectory, and every page gets a version switcher
+ * (see lib/versions.mjs).
+ *
+ * The pipeline itself is lib/pipeline.mjs; `buildSite()` is re-exported here
+ * for tooling that wants to drive a build from code. Every build also writes
+ * manifest.json, a machine-readable listing of the pages it produced, and the
+ * JSON content API under api/ (lib/api.mjs).
  */
 
 import fs from 'node:fs/promises';
+import os from 'node:os';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 
-import { landing, sections, site } from './site.config.mjs';
-import { renderMarkdown, toPlainText } from './lib/render.mjs';
-import {
-  layout,
-  renderDocHeader,
-  renderDocMap,
-  renderLanding,
-  renderPager,
-  renderSidebar,
-  renderToc,
-} from './lib/templates.mjs';
+import { landing, sections as configSections, site } from './site.config.mjs';
+import { bundleFileName, singleFileBundle } from './lib/bundle.mjs';
+import { compareTrees, unifiedDiff } from './lib/diff.mjs';
+import { buildSite } from './lib/pipeline.mjs';
+import { ConfigError, formatProblems } from './lib/validate.mjs';
+import { builtAtRevision, refCommitTime } from './lib/git.mjs';
+import { pageUrl } from './lib/sitemap.mjs';
+import { LATEST, loadTreeConfig, resolveVersions, versionsScript, withExportedRef } from './lib/versions.mjs';
+import { watchBuild } from './lib/watch.mjs';
+
+export { buildSite };
 
 const here = path.dirname(fileURLToPath(import.meta.url));
 const repoRoot = path.resolve(here, '..');
 
+const singleFile = process.argv.includes('--single-file');
 const outArgIndex = process.argv.indexOf('--out');
 const outDir =
   outArgIndex > -1 && process.argv[outArgIndex + 1]
     ? path.resolve(process.cwd(), process.argv[outArgIndex + 1])
-    : path.join(here, '_site');
-
-const WORDS_PER_MINUTE = 220;
+    : path.join(here, singleFile ? bundleFileName(site.name) : '_site');
+const clean = process.argv.includes('--clean');
+const lenient = process.argv.includes('--lenient');
+const includeDrafts = process.argv.includes('--drafts');
+const versionsArgIndex = process.argv.indexOf('--versions');
+const versionsArg =
+  versionsArgIndex > -1 && process.argv[versionsArgIndex + 1]
+    ? process.argv[versionsArgIndex + 1].split(',').filter(Boolean)
+    : null;
+const verifyReproducible = process.argv.includes('--verify-reproducible');
+const checkOnly = process.argv.includes('--check');
+const production = process.argv.includes('--production');
+const cacheFile = path.join(here, '.cache', 'build.json');
 
 async function main() {
-  const started = Date.now();
-
-  /* ---- flatten the page list ------------------------------------- */
-  const pages = [];
-  for (const section of sections) {
-    for (const page of section.pages) {
-      pages.push({ ...page, sectionId: section.id, sectionTitle: section.title });
-    }
+  const config = { site, sections: configSections, landing };
+  const options = { repoRoot, outDir, cacheFile, clean, lenient, drafts: includeDrafts, production };
+
+  if (verifyReproducible) {
+    await verify({ ...options, config });
+  } else if (checkOnly) {
+    await check({ ...options, config });
+  } else if (singleFile) {
+    await bundle({ ...options, config });
+  } else {
+    await buildAll({ ...options, config });
   }
+}
 
-  const pageIndex = new Map(pages.map((p) => [p.slug, p]));
-  const pathToSlug = new Map();
-  for (const page of pages) {
-    if (page.source) pathToSlug.set(page.source.replace(/^\.\//, ''), page.slug);
+/**
+ * Build the current checkout and every configured older version into
+ * `options.outDir`. Resolves with false when a build failed.
+ */
+async function buildAll(options) {
+  const { config, outDir } = options;
+  const versions = resolveVersions(versionsArg || site.versions);
+
+  if (!versions.length) {
+    if (!(await build(options))) return false;
+    await fs.rm(path.join(outDir, 'versions.js'), { force: true });
+    return true;
   }
 
-  /* ---- render every markdown document ---------------------------- */
-  const searchIndex = [];
-  let totalWords = 0;
-  let missing = 0;
-
-  for (const page of pages) {
-    if (!page.source) continue;
-
-    const absolute = path.join(repoRoot, page.source);
-    let markdown;
-    try {
-      markdown = await fs.readFile(absolute, 'utf8');
-    } catch {
-      console.warn(`  ! missing source: ${page.source} — skipping`);
-      page.missing = true;
-      missing += 1;
-      continue;
-    }
-
-    const { html, toc } = renderMarkdown(markdown, {
-      sourceDir: path.posix.dirname(page.source.split(path.sep).join('/')),
-      pathToSlug,
-      repoUrl: site.repoUrl,
-      branch: site.branch,
+  // The current checkout is built first: a clean build of it empties outDir.
+  const table = [{ id: LATEST, label: 'Latest', path: '' }, ...versions];
+  const latest = await build({ ...options, version: { id: LATEST, root: '' } });
+  if (!latest) return false;
+  table[0].pages = versionPages(latest);
+
+  for (const version of versions) {
+    console.log(`Version ${version.label} (${version.ref}):`);
+    const built = await withExportedRef(repoRoot, version.ref, async (tree) => {
+      const own = (await loadTreeConfig(tree)) || config;
+      // An exported tree has no history: a version is dated by its own commit.
+      const date = new Date((await refCommitTime(repoRoot, version.ref)) * 1000);
+      return build(
+        {
+          // Published under the current site's address, in the version's directory.
+          config: {
+            ...own,
+            site: { ...own.site, branch: version.ref, baseUrl: pageUrl(config.site.baseUrl, version.path) },
+          },
+          repoRoot: tree,
+          outDir: path.join(outDir, version.id),
+          lenient: true,
+          version: { id: version.id, root: '../' },
+          date,
+          previousBuild: path.join(options.previousBuild || outDir, version.id),
+          production: options.production,
+        },
+        { listUnlisted: false }
+      );
+    }).catch((error) => {
+      console.error(`  ${error.message}`);
+      return null;
     });
-
-    // The doc header already prints the title, so drop the leading H1.
-    const body = html.replace(/^\s*<h1\b[^>]*>[\s\S]*?<\/h1>\s*/, '');
-
-    const plain = toPlainText(body);
-    const words = plain ? plain.split(/\s+/).length : 0;
-    totalWords += words;
-
-    page.html = body;
-    page.toc = toc;
-    page.stats = {
-      words,
-      minutes: Math.max(1, Math.round(words / WORDS_PER_MINUTE)),
-      headings: toc.length,
-      bytes: Buffer.byteLength(markdown),
-    };
-
-    searchIndex.push(...indexPage(page, body));
+    if (!built) {
+      process.exitCode = 1;
+      return false;
+    }
+    version.pages = versionPages(built);
   }
 
-  const livePages = pages.filter((p) => !p.missing);
-  const liveSections = sections
-    .map((s) => ({
-      ...s,
-      pages: s.pages
-        .filter((p) => !pageIndex.get(p.slug)?.missing)
-        .map((p) => pageIndex.get(p.slug)),
-    }))
-    .filter((s) => s.pages.length);
-
-  const docPages = livePages.filter((p) => p.source);
-  const totals = {
-    docs: docPages.length,
-    words: totalWords,
-    minutes: Math.round(totalWords / WORDS_PER_MINUTE),
-  };
-
-  const buildTime = new Date().toISOString().slice(0, 10);
-
-  // Fill the landing-page counters from the corpus we just rendered.
-  const statValues = {
-    docs: String(totals.docs),
-    words: totals.words >= 1000 ? `${Math.round(totals.words / 1000)}k` : String(totals.words),
-  };
-  const landingWithStats = {
-    ...landing,
-    stats: landing.stats.map((s) => (s.key && statValues[s.key] ? { ...s, value: statValues[s.key] } : s)),
-  };
-
-  const shellCommon = {
-    siteName: site.name,
-    repoUrl: site.repoUrl,
-    buildTime,
-    pageCount: totals.docs,
-  };
-
-  /* ---- write output ---------------------------------------------- */
-  await fs.rm(outDir, { recursive: true, force: true });
-  await fs.mkdir(path.join(outDir, 'assets'), { recursive: true });
-
-  // Document pages
-  for (let i = 0; i < livePages.length; i += 1) {
-    const page = livePages[i];
-    if (!page.source) continue;
+  await write(path.join(outDir, 'versions.js'), versionsScript(table));
+  console.log(`  ${versions.length} older version(s): ${versions.map((v) => v.id).join(', ')}`);
+  return true;
+}
 
-    const prev = findNeighbour(livePages, i, -1);
-    const next = findNeighbour(livePages, i, 1);
+/**
+ * Build from scratch into a temporary directory and compare the result with
+ * the output directory — the committed _site — file by file. Any drift is
+ * listed with a short diff per changed file and fails the run.
+ */
+async function check(options) {
+  const committed = options.outDir;
+  const shown = path.relative(process.cwd(), committed) || committed;
+  const scratch = await fs.mkdtemp(path.join(os.tmpdir(), 'mt-docs-check-'));
+  try {
+    // Redirects depend on the previous build, which is the committed one. Page
+    // history, dates and feeds are read as of the commit it was built on: the
+    // commit that added it cannot show in it.
+    const historyRef = await builtAtRevision(repoRoot, committed);
+    const scratchBuild = { ...options, outDir: scratch, previousBuild: committed, cacheFile: null };
+    if (!(await buildAll({ ...scratchBuild, historyRef }))) {
+      process.exitCode = 1;
+      return;
+    }
 
-    const content = `
-${renderDocHeader(page, page.stats, site.repoUrl, site.branch)}
-<div class="doc-grid">
-  <article class="prose">
-${page.html}
-${renderPager(prev, next)}
-  </article>
-${renderToc(page.toc)}
-</div>`;
+    const { added, removed, changed, unchanged } = await compareTrees(committed, scratch);
+    if (!added.length && !removed.length && !changed.length) {
+      console.log(`\n${shown}/ is up to date (${unchanged} files).`);
+      return;
+    }
 
-    await write(
-      path.join(outDir, `${page.slug}.html`),
-      layout({
-        ...shellCommon,
-        title: `${page.title} · ${site.name} docs`,
-        description: page.description,
-        bodyClass: 'page-doc',
-        activeSlug: page.slug,
-        sidebar: renderSidebar(liveSections, page.slug, page.toc),
-        content,
-      })
+    console.error(
+      `\n${shown}/ is out of date: ${added.length} added, ${removed.length} removed, ` +
+        `${changed.length} changed. Rebuild with "npm run build" and commit the result.`
     );
+    for (const file of added) console.error(`  + ${file}`);
+    for (const file of removed) console.error(`  - ${file}`);
+    for (const file of changed) console.error(`  ~ ${file}`);
+    for (const file of changed) {
+      const before = await fs.readFile(path.join(committed, file));
+      const after = await fs.readFile(path.join(scratch, file));
+      console.error(`\n${unifiedDiff(before, after, { from: `${shown}/${file}`, to: `build/${file}` })}`);
+    }
+    process.exitCode = 1;
+  } finally {
+    await fs.rm(scratch, { recursive: true, force: true });
   }
+}
 
-  // Landing page
-  await write(
-    path.join(outDir, 'index.html'),
-    layout({
-      ...shellCommon,
-      title: `${site.name} — documentation`,
-      description: site.description,
-      bodyClass: 'page-landing',
-      activeSlug: 'index',
-      sidebar: renderSidebar(liveSections, 'index', null),
-      content: renderLanding({
-        landing: landingWithStats,
-        site,
-        sections: liveSections,
-        pageIndex,
-        totals,
-      }),
-    })
-  );
-
-  // Documentation map
-  await write(
-    path.join(outDir, 'documentation-map.html'),
-    layout({
-      ...shellCommon,
-      title: `All documentation · ${site.name}`,
-      description: `Every ${site.name} Windows Native document, with size, reading time and section previews.`,
-      bodyClass: 'page-map',
-      activeSlug: 'documentation-map',
-      sidebar: renderSidebar(liveSections, 'documentation-map', null),
-      content: renderDocMap({
-        sections: liveSections,
-        totals,
-        repoUrl: site.repoUrl,
-        branch: site.branch,
-      }),
-    })
-  );
-
-  // Static assets
-  for (const file of ['styles.css', 'app.js']) {
-    await fs.copyFile(path.join(here, 'assets', file), path.join(outDir, 'assets', file));
+/**
+ * Run one build and print its report. Resolves with the build manifest, or null
+ * when the configuration has problems and --lenient is off.
+ */
+async function build(options, { listUnlisted = true } = {}) {
+  const started = Date.now();
+  let result;
+  try {
+    result = await buildSite(options);
+  } catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    console.error(`${error.message}\n\nFix them, or pass --lenient to build anyway.`);
+    process.exitCode = 1;
+    return null;
   }
 
-  await write(
-    path.join(outDir, 'assets', 'search-index.js'),
-    `window.MT_SEARCH_INDEX=${JSON.stringify(searchIndex)};\n` +
-      `window.MT_SEARCH_PAGES=${JSON.stringify(
-        Object.fromEntries(docPages.map((p) => [p.slug, p.title]))
-      )};\n`
-  );
-
-  // GitHub Pages: do not run the output through Jekyll.
-  await write(path.join(outDir, '.nojekyll'), '');
+  const { manifest, report } = result;
+  const { totals } = manifest;
+  if (report.problems.length) {
+    const { problems } = report;
+    console.warn(`${problems.length} problem(s) in the site configuration:\n${formatProblems(problems)}`);
+  }
+  for (const source of report.missing) console.warn(`  ! missing source: ${source} — skipping`);
 
   const seconds = ((Date.now() - started) / 1000).toFixed(2);
+  const target = path.relative(process.cwd(), options.outDir) || options.outDir;
   console.log(
-    `Built ${totals.docs + 2} pages (${totals.docs} documents, ${searchIndex.length} search sections, ` +
-      `${totals.words.toLocaleString('en-US')} words) → ${path.relative(process.cwd(), outDir) || outDir} in ${seconds}s`
+    `Built ${manifest.pages.length} pages (${totals.docs} documents, ${report.searchSections} search sections, ` +
+      `${totals.words.toLocaleString('en-US')} words) → ${target} in ${seconds}s`
   );
-  if (missing) console.log(`  ${missing} configured source file(s) were missing and were skipped.`);
+  if (report.incremental) {
+    const { rerendered, written, files } = report.incremental;
+    console.log(
+      `  incremental: ${rerendered} of ${totals.docs} documents re-rendered, ${written} of ${files} files written`
+    );
+  }
+  if (report.missing.length) {
+    console.log(`  ${report.missing.length} configured source file(s) were missing and were skipped.`);
+  }
+  if (report.redirects.length) {
+    const list = report.redirects.map(({ from, to }) => `${from} → ${to}`).join(', ');
+    console.log(`  ${report.redirects.length} redirect stub(s) for old slugs: ${list}`);
+  }
+  if (report.sizes) {
+    const row = (label, cells) => `    ${label.padEnd(36)}${cells.map((cell) => cell.padStart(11)).join('')}`;
+    console.log('  production sizes:');
+    console.log(row('', ['source', 'minified', 'brotli', 'gzip']));
+    for (const { file, before, after, br, gzip } of report.sizes) {
+      console.log(row(file, [before, after, br, gzip].map(kilobytes)));
+    }
+  }
+  if (report.drafts) {
+    console.log(`  ${report.drafts} draft document(s) left out — pass --drafts to include them.`);
+  }
+  if (report.unlisted.length && listUnlisted) {
+    console.log(`  ${report.unlisted.length} unlisted document(s) — on no page and not in site.ignore:`);
+    for (const file of report.unlisted) console.log(`    ${file}`);
+  }
+  if (report.overBudget.length) {
+    console.error(`${report.overBudget.length} file(s) over their size budget (site.budgets):`);
+    for (const { file, bytes, budget } of report.overBudget) {
+      console.error(`  ${file}: ${kilobytes(bytes)}, budget ${kilobytes(budget)}`);
+    }
+    process.exitCode = 1;
+    return null;
+  }
+  return manifest;
 }
 
-/** Split a rendered document into H2 sections for the search index. */
-function indexPage(page, html) {
-  const entries = [];
-  const chunks = html.split(/(?=<h2\b)/);
+/**
+ * Build the site twice, the way CI deploys it — production, with every
+ * configured version — into temporary directories and compare every file byte
+ * for byte. Anything that differs depends on more than the sources — the clock,
+ * the environment or iteration order — and would churn the committed _site.
+ */
+async function verify(options) {
+  const runs = [];
+  try {
+    for (let run = 0; run < 2; run += 1) {
+      runs.push(await fs.mkdtemp(path.join(os.tmpdir(), 'mt-docs-verify-')));
+      // Both runs take their redirects from the same previous build, the committed one.
+      const built = await buildAll({
+        ...options,
+        outDir: runs[run],
+        previousBuild: options.outDir,
+        cacheFile: null,
+        production: true,
+      });
+      if (!built) {
+        process.exitCode = 1;
+        return;
+      }
+    }
 
-  for (const chunk of chunks) {
-    const match = chunk.match(/^<h2\b[^>]*id="([^"]+)"[^>]*>([\s\S]*?)<\/h2>/);
-    const anchor = match ? match[1] : '';
-    const heading = match ? stripToText(match[2]) : '';
-    const text = toPlainText(match ? chunk.slice(match[0].length) : chunk);
-    if (!heading && !text) continue;
-    entries.push({
-      p: page.slug,
-      t: page.title,
-      s: page.sectionTitle,
-      h: heading || page.title,
-      a: anchor,
-      x: (heading ? '' : `${page.description} `) + text.slice(0, 4000),
-    });
+    const { added, removed, changed, unchanged } = await compareTrees(...runs);
+    const differing = [...added, ...removed, ...changed].sort();
+    const total = unchanged + differing.length;
+    if (differing.length) {
+      console.error(`Not reproducible: ${differing.length} of ${total} file(s) differ between two builds:`);
+      for (const name of differing) console.error(`  ${name}`);
+      process.exitCode = 1;
+      return;
+    }
+    console.log(`\nReproducible: two production builds produced the same ${total} files, byte for byte.`);
+  } finally {
+    for (const dir of runs) await fs.rm(dir, { recursive: true, force: true });
   }
+}
 
-  return entries;
+/**
+ * Build the current checkout in memory and write it as the single-file edition
+ * to `options.outDir`, which here names the file.
+ */
+async function bundle(options) {
+  const files = new Map();
+  const manifest = await build({
+    ...options,
+    cacheFile: null,
+    write: (relative, contents) => files.set(relative, contents),
+  });
+  if (!manifest) return;
+
+  const { baseUrl } = options.config.site;
+  const { html, pages } = singleFileBundle({ files, pages: manifest.pages, baseUrl });
+  await write(options.outDir, html);
+  const shown = path.relative(process.cwd(), options.outDir) || options.outDir;
+  console.log(`  single file: ${pages} pages → ${shown} (${kilobytes(Buffer.byteLength(html))})`);
 }
 
-function stripToText(html) {
-  return html
-    .replace(/<a class="heading-anchor"[\s\S]*?<\/a>/g, '')
-    .replace(/<[^>]*>/g, '')
-    .replace(/&amp;/g, '&')
-    .replace(/&lt;/g, '<')
-    .replace(/&gt;/g, '>')
-    .replace(/&quot;/g, '"')
-    .replace(/&#39;/g, "'")
-    .trim();
+/** A version's slug → title table, for the version switcher. */
+function versionPages(manifest) {
+  return Object.fromEntries(manifest.pages.map((page) => [page.slug, page.title]));
 }
 
-function findNeighbour(list, index, step) {
-  for (let i = index + step; i >= 0 && i < list.length; i += step) {
-    if (list[i].source) return list[i];
-  }
-  return null;
+function kilobytes(bytes) {
+  return `${(bytes / 1024).toFixed(1)} kB`;
 }
 
 async function write(file, contents) {
@@ -283,7 +365,24 @@ async function write(file, contents) {
   await fs.writeFile(file, contents, 'utf8');
 }
 
-main().catch((error) => {
-  console.error(error);
-  process.exit(1);
-});
+// Run as a script; importing build.mjs for `buildSite` builds nothing.
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  if (process.argv.includes('--watch')) {
+    watchBuild({
+      root: here,
+      repoRoot,
+      args: process.argv.slice(2).filter((arg) => arg !== '--watch'),
+      onBuild({ ok, files, changed, initial }) {
+        const what = initial ? 'initial build' : changed.join(', ');
+        const done = initial ? `full build, ${files.length} file(s)` : `${files.length} file(s) updated`;
+        if (ok) console.log(`  ✓ ${what} → ${done}. Watching for changes…`);
+        else console.log(`  ✗ ${what} → build failed. Watching for changes…`);
+      },
+    });
+  } else {
+    main().catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+  }
+}
@@ -1,7 +1,10 @@
 #!/usr/bin/env node
 /**
  * Verify the built site: every internal link points at a page or asset that
- * exists, and every in-site anchor resolves to a real element id.
+ * exists, and every in-site anchor resolves to a real element id. Redirect
+ * stubs for old slugs must lead to a page — with its anchor — and not to another
+ * redirect. Older documentation versions, built into subdirectories, are
+ * checked too.
  *
  *   node check-links.mjs [--dir _site]
  *
@@ -24,7 +27,10 @@ if (!fs.existsSync(siteDir)) {
   process.exit(1);
 }
 
-const htmlFiles = fs.readdirSync(siteDir).filter((f) => f.endsWith('.html'));
+const htmlFiles = fs
+  .readdirSync(siteDir, { recursive: true })
+  .map((f) => f.split(path.sep).join('/'))
+  .filter((f) => f.endsWith('.html') && !f.startsWith('assets/'));
 const documents = new Map();
 
 for (const file of htmlFiles) {
@@ -35,21 +41,41 @@ for (const file of htmlFiles) {
   });
 }
 
+const REDIRECT = /<meta http-equiv="refresh" content="\d+; url=([^"]+)">/;
+
 const problems = [];
 let links = 0;
 let anchors = 0;
+let redirects = 0;
 
 for (const [file, { html }] of documents) {
-  for (const match of html.matchAll(/href="([^"]+)"/g)) {
+  const redirect = html.match(REDIRECT);
+  if (redirect) {
+    redirects += 1;
+    const href = redirect[1].replace(/&amp;/g, '&');
+    const [target, fragment] = href.split('#');
+    const page = path.posix.join(path.posix.dirname(file), target);
+    if (!documents.has(page)) {
+      problems.push(`${file} ⇒ ${href} (redirect target does not exist)`);
+    } else if (REDIRECT.test(documents.get(page).html)) {
+      problems.push(`${file} ⇒ ${href} (redirect target is itself a redirect)`);
+    } else if (fragment && !documents.get(page).ids.has(fragment)) {
+      problems.push(`${file} ⇒ ${href} (redirect anchor not found)`);
+    }
+    continue;
+  }
+
+  // The 404 page's <base> is the published site root, which is where it is built.
+  for (const match of html.replace(/<base href="[^"]*">/, '').matchAll(/href="([^"]+)"/g)) {
     const href = match[1];
     if (/^(?:https?:|mailto:|data:|javascript:)/i.test(href)) continue;
 
     const [target, fragment] = href.split('#');
-    const page = target === '' ? file : target;
+    const page = target === '' ? file : path.posix.join(path.posix.dirname(file), target);
 
     if (target !== '') {
       links += 1;
-      const onDisk = path.join(siteDir, target);
+      const onDisk = path.join(siteDir, page);
       if (!fs.existsSync(onDisk)) {
         problems.push(`${file} → ${href} (target does not exist)`);
         continue;
@@ -72,5 +98,6 @@ if (problems.length) {
 }
 
 console.log(
-  `OK — ${htmlFiles.length} pages, ${links} internal links and ${anchors} anchors all resolve.`
+  `OK — ${htmlFiles.length - redirects} pages, ${links} internal links, ${anchors} anchors and ` +
+    `${redirects} redirect(s) all resolve.`
 );
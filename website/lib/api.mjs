@@ -0,0 +1,145 @@
+/**
+ * The JSON content API: the rendered documents for tools that show them
+ * somewhere else — an in-app help panel, say — without scraping the pages.
+ *
+ *   api/index.json         every page, sidebar section by section
+ *   api/pages/<slug>.json  one document: metadata, body, TOC, links, sections
+ *
+ * Both carry `version`, API_VERSION, which changes only when their shape does;
+ * adding a field is not a change of shape, renaming or removing one is. The
+ * shapes are the typedefs below, and the README describes every field.
+ *
+ * HTML is the page's body as the site renders it, without the H1 the page
+ * header replaces. Its links are relative, like the site's: resolve them
+ * against the page's `url` (or `output`, for a copy of the site on disk).
+ */
+
+import { htmlSections, toPlainText } from './render.mjs';
+import { pageUrl } from './sitemap.mjs';
+
+/** Bump when a field of api/ is renamed, removed or changes meaning. */
+export const API_VERSION = 1;
+
+/**
+ * @typedef {object} ApiIndex  api/index.json
+ * @property {number} version  API_VERSION
+ * @property {object} site  `name`, `description`, `baseUrl` (or null), `repoUrl` and `branch`
+ * @property {string} buildTime  YYYY-MM-DD
+ * @property {{ docs: number, words: number, minutes: number }} totals
+ * @property {{ id: string, title: string, pages: string[] }[]} sections  sidebar order; `pages` are slugs
+ * @property {ApiIndexPage[]} pages  sidebar order
+ *
+ * @typedef {object} ApiIndexPage
+ * @property {string} slug
+ * @property {string} title
+ * @property {string} kind  `document`, `landing`, `map`, `changes` or `book`
+ * @property {string} section  section id
+ * @property {string} description
+ * @property {string} output  the HTML page, relative to the site root
+ * @property {string|null} url  its absolute address, with `site.baseUrl` set
+ * @property {string|null} api  the document's api/pages file; null for generated pages
+ * @property {string|null} updated  YYYY-MM-DD of the last commit to a document's source
+ *
+ * @typedef {object} ApiPage  api/pages/<slug>.json
+ * @property {number} version  API_VERSION
+ * @property {string} slug
+ * @property {string} title
+ * @property {string} description
+ * @property {string|null} audience
+ * @property {string[]} tags  as configured or set in front matter; empty without any
+ * @property {{ id: string, title: string }} section
+ * @property {string} source  the markdown file, relative to the repository root
+ * @property {string} sourceUrl  that file on GitHub
+ * @property {string} output
+ * @property {string|null} url
+ * @property {string} markdown  the cleaned markdown copy, relative to the site root
+ * @property {string|null} updated  YYYY-MM-DD of the last commit to the source
+ * @property {number} commits
+ * @property {number} words
+ * @property {number} minutes  reading time
+ * @property {{ id: string, depth: number, text: string }[]} toc  H2 and H3 headings
+ * @property {string[]} links  distinct outbound links, in document order
+ * @property {{ id: string, title: string, html: string, text: string }[]} sections  split at each H2;
+ *   any text before the first one comes first, with an empty `id` and `title`
+ * @property {string} html
+ * @property {string} text
+ */
+
+/**
+ * api/index.json.
+ *
+ * @param {object} options
+ * @param {object} options.site
+ * @param {object[]} options.sections  live sidebar sections and their pages
+ * @param {string} options.buildTime
+ * @param {object} options.totals
+ * @returns {ApiIndex}
+ */
+export function apiIndex({ site, sections, buildTime, totals }) {
+  return {
+    version: API_VERSION,
+    site: {
+      name: site.name,
+      description: site.description,
+      baseUrl: site.baseUrl || null,
+      repoUrl: site.repoUrl,
+      branch: site.branch,
+    },
+    buildTime,
+    totals,
+    sections: sections.map((section) => ({
+      id: section.id,
+      title: section.title,
+      pages: section.pages.map((page) => page.slug),
+    })),
+    pages: sections.flatMap((section) =>
+      section.pages.map((page) => ({
+        slug: page.slug,
+        title: page.title,
+        kind: page.kind || 'document',
+        section: section.id,
+        description: page.description || '',
+        output: `${page.slug}.html`,
+        url: pageUrl(site.baseUrl, `${page.slug}.html`),
+        api: page.source ? apiPagePath(page.slug) : null,
+        updated: page.history ? page.history.updated : null,
+      }))
+    ),
+  };
+}
+
+/**
+ * api/pages/<slug>.json for a rendered document.
+ *
+ * @returns {ApiPage}
+ */
+export function apiPage(page, site) {
+  return {
+    version: API_VERSION,
+    slug: page.slug,
+    title: page.title,
+    description: page.description || '',
+    audience: page.audience || null,
+    tags: page.tags || [],
+    section: { id: page.sectionId, title: page.sectionTitle },
+    source: page.source,
+    sourceUrl: `${site.repoUrl}/blob/${site.branch}/${page.source}`,
+    output: `${page.slug}.html`,
+    url: pageUrl(site.baseUrl, `${page.slug}.html`),
+    markdown: `${page.slug}.md`,
+    updated: page.history ? page.history.updated : null,
+    commits: page.history ? page.history.commits : 0,
+    words: page.stats.words,
+    minutes: page.stats.minutes,
+    toc: page.toc,
+    links: page.links,
+    sections: htmlSections(page.html).filter(({ id, text }) => id || text),
+    html: page.html.trim(),
+    text: toPlainText(page.html),
+  };
+}
+
+/** Where a document's API file goes, relative to the site root. */
+export function apiPagePath(slug) {
+  return `api/pages/${slug}.json`;
+}
@@ -0,0 +1,79 @@
+/**
+ * The book edition: every document, in sidebar order, as chapters of one page
+ * (book.html) to read straight through, print or keep as a single file.
+ *
+ * Documents are written as separate pages, so their ids only have to be
+ * unique within one document and they link to each other by file name. Here
+ * every id is renamed `<slug>--<id>` — numbered on in the rare case that is
+ * still taken — and links between documents become links within the book. A
+ * link to a page the book does not contain (the landing page, the map) keeps
+ * pointing at the site, unless the site does not build it either: then only
+ * the link's text is kept.
+ */
+
+/** Ids the page shell and the book's own front matter use. */
+const RESERVED_IDS = ['main', 'book-cover', 'book-contents'];
+
+/** A link to another page of the site, `<a href="slug.html#x">text</a>`: the slug and the text. */
+const DOCUMENT_LINK = /<a\b[^>]*\shref="([\w.-]+)\.html(?:#[^"]*)?"[^>]*>([\s\S]*?)<\/a>/g;
+
+/**
+ * Chapters for `sections` (each with the document pages it holds, rendered):
+ * the same sections, each page carrying `anchor`, its in-book `html` and its
+ * H2 headings as `toc: [{ text, anchor }]`. `built` is the slug of every page
+ * the site has; without it every link outside the book is kept.
+ */
+export function bookChapters(sections, { built = null } = {}) {
+  const taken = new Set(RESERVED_IDS);
+  const unique = (wanted) => {
+    let id = wanted;
+    for (let n = 2; taken.has(id); n += 1) id = `${wanted}-${n}`;
+    taken.add(id);
+    return id;
+  };
+
+  // Every anchor is settled before any link is rewritten: links point forward too.
+  const anchors = new Map();
+  for (const page of sections.flatMap((s) => s.pages)) {
+    const ids = new Map();
+    const doc = unique(page.slug);
+    for (const [, id] of page.html.matchAll(/\sid="([^"]+)"/g)) {
+      if (!ids.has(id)) ids.set(id, unique(`${page.slug}--${id}`));
+    }
+    anchors.set(page.slug, { doc, ids });
+  }
+
+  const isBuilt = (slug) => anchors.has(slug) || !built || built.has(slug);
+
+  return sections.map((section) => ({
+    ...section,
+    pages: section.pages.map((page) => {
+      const own = anchors.get(page.slug);
+      return {
+        ...page,
+        anchor: own.doc,
+        html: page.html
+          .replace(DOCUMENT_LINK, (link, file, text) => (isBuilt(file) ? link : text))
+          .replace(/(\sid=")([^"]+)"/g, (_, attr, id) => `${attr}${own.ids.get(id) || id}"`)
+          .replace(/(\shref=")([^"]*)"/g, (_, attr, href) => `${attr}${bookHref(href, page.slug, anchors)}"`),
+        toc: page.toc
+          .filter((item) => item.depth === 2 && own.ids.has(item.id))
+          .map((item) => ({ text: item.text, anchor: own.ids.get(item.id) })),
+      };
+    }),
+  }));
+}
+
+/**
+ * Where a link in document `slug` goes in the book: `#x` and `other.html#x`
+ * become the renamed anchors, `other.html` the start of that document. A
+ * fragment the target does not have falls back to the document's start.
+ */
+function bookHref(href, slug, anchors) {
+  const match = /^(?:([\w.-]+)\.html)?(?:#(.*))?$/.exec(href);
+  if (!match) return href;
+  const [, file, fragment] = match;
+  const target = anchors.get(file === undefined ? slug : file);
+  if (!target) return href;
+  return `#${(fragment && target.ids.get(fragment)) || target.doc}`;
+}
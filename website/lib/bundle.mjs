@@ -0,0 +1,92 @@
+/**
+ * The single-file edition (`build.mjs --single-file`): the whole site as one
+ * HTML file to hand around — attached to a mail, on a stick — and open from
+ * anywhere, no folder to unzip.
+ *
+ * It is assembled from a build's output. The home page gives the page shell:
+ * the topbar, the search dialog and, inlined, the stylesheets, app.js and the
+ * search index. Every page then contributes its `.shell` — sidebar and content
+ * — as a hidden section, and app.js shows the one the address's hash names:
+ * `#/slug`, or `#/slug/anchor` for a place on the page. Links between pages
+ * are rewritten to those hashes; links to anything the file does not hold (the
+ * book edition, feeds, redirect stubs) point at the published site.
+ */
+
+import { pageUrl } from './sitemap.mjs';
+
+/** Pages left out: the book repeats every document, and would double the file. */
+const NOT_BUNDLED = new Set(['book']);
+
+/** The bundle's file name: `memory-timeline-docs.html`. */
+export function bundleFileName(siteName) {
+  return `${siteName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}-docs.html`;
+}
+
+/**
+ * One HTML file holding every page of a build.
+ *
+ * @param {object} options
+ * @param {Map<string, string|Buffer>} options.files  the build's output, by path
+ * @param {object[]} options.pages  `pages` from the build manifest
+ * @param {string} [options.baseUrl]  `site.baseUrl`, for links out of the file
+ * @returns {{ html: string, pages: number }}
+ */
+export function singleFileBundle({ files, pages, baseUrl }) {
+  const read = (relative) => {
+    if (!files.has(relative)) throw new Error(`single-file bundle: the build wrote no ${relative}`);
+    return String(files.get(relative));
+  };
+  // The home page first: an address without a route shows the first section.
+  const bundled = pages
+    .filter((page) => !NOT_BUNDLED.has(page.kind))
+    .sort((a, b) => (a.slug === 'index' ? -1 : b.slug === 'index' ? 1 : 0));
+  const routes = new Set(bundled.map((page) => page.slug));
+  const relink = (html, slug) =>
+    html.replace(/(<a\s[^>]*?href=")([^"]*)"/g, (_, start, href) =>
+      `${start}${bundleHref(href, slug, routes, baseUrl)}"`);
+
+  const sections = bundled.map((page) => {
+    const html = read(page.output);
+    const shell = SHELL.exec(html);
+    if (!shell) throw new Error(`single-file bundle: ${page.output} has no page shell`);
+    const attribute = (pattern) => (pattern.exec(html) || [])[1] || '';
+    return (
+      `<section class="shell" data-route="${page.slug}" data-title="${attribute(/<title>([^<]*)<\/title>/)}" ` +
+      `data-body-class="${attribute(/<body class="([^"]*)"/)}" hidden>${relink(shell[1], page.slug)}</section>`
+    );
+  });
+
+  const home = read(bundled[0].output);
+  const html = relink(home.replace(SHELL, () => `${SECTIONS}\n\n<div class="search-modal"`), null)
+    .replace(/<link rel="(?:manifest|alternate)"[^>]*>\n?/g, '')
+    .replace(/<link rel="stylesheet" href="([^"]+)"( media="print")?>/g, (_, href, media = '') =>
+      `<style${media}>\n${read(href)}</style>`)
+    .replace(/<script src="([^"]+)" defer><\/script>/g, (_, src) =>
+      `<script>\n${inlineScript(read(src))}</script>`)
+    .replace(SECTIONS, () => sections.join('\n'));
+  return { html, pages: bundled.length };
+}
+
+/* ---- helpers ------------------------------------------------------ */
+
+/** The part of a page that changes from page to page: sidebar and content. */
+const SHELL = /<div class="shell">([\s\S]*?)<\/div>\s*<div class="search-modal"/;
+const SECTIONS = '<!-- single-file sections -->';
+
+/**
+ * Where a link on page `slug` (null for the shared topbar) goes in the bundle:
+ * a page it holds becomes a route, an anchor a route to that place on the
+ * page, and any other relative link an address on the published site.
+ */
+function bundleHref(href, slug, routes, baseUrl) {
+  if (href.startsWith('#')) return slug && href.length > 1 ? `#/${slug}/${href.slice(1)}` : href;
+  if (/^(?:[a-z][a-z\d+.-]*:|\/\/)/i.test(href)) return href;
+  const page = /^([\w.-]+)\.html(?:#(.*))?$/.exec(href);
+  if (page && routes.has(page[1])) return `#/${page[1]}${page[2] ? `/${page[2]}` : ''}`;
+  return pageUrl(baseUrl, href) || href;
+}
+
+/** A script that is safe inside a <script> element: nothing in it can close or comment it out. */
+function inlineScript(source) {
+  return source.replace(/<\/(script)/gi, '<\\/$1').replace(/<!--/g, '\\x3C!--');
+}
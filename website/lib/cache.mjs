@@ -0,0 +1,75 @@
+/**
+ * Incremental build cache.
+ *
+ * The manifest records what the previous build was made from: the generator
+ * version, a hash of the configuration, every document's source hash together
+ * with its rendered result, a hash of every file written and, for watch mode,
+ * the documents and globs the config lists. A build with the same generator
+ * and configuration reuses the documents whose source did not change and
+ * leaves alone any output file that comes out byte-identical.
+ * Anything else — no manifest, a corrupt one, another output directory, a new
+ * generator or an edited config — falls back to a clean build.
+ */
+
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import { createRequire } from 'node:module';
+import path from 'node:path';
+
+const MANIFEST_VERSION = 1;
+
+/** Short content hash, stable across platforms. */
+export function hash(value) {
+  return crypto.createHash('sha256').update(value).digest('hex').slice(0, 16);
+}
+
+/**
+ * Fingerprint of everything that turns markdown into HTML: the build script,
+ * every lib/ module and the installed marked version. Any change here can
+ * change every page, so it invalidates the whole cache. The static assets are
+ * not part of it: they are read on every build and, like any other output,
+ * rewritten only when their contents change.
+ */
+export async function generatorVersion(root) {
+  const entries = await fs.readdir(path.join(root, 'lib'));
+  const files = ['build.mjs', ...entries.sort().map((name) => `lib/${name}`)];
+
+  const digest = crypto.createHash('sha256');
+  for (const file of files) {
+    digest.update(`${file}\0`);
+    digest.update(await fs.readFile(path.join(root, file)));
+  }
+
+  const require = createRequire(path.join(root, 'build.mjs'));
+  digest.update(`marked@${require('marked/package.json').version}`);
+
+  return digest.digest('hex').slice(0, 16);
+}
+
+/** A manifest with nothing in it — what a clean build starts from. */
+export function emptyManifest(key) {
+  return { version: MANIFEST_VERSION, ...key, pages: {}, outputs: {} };
+}
+
+/**
+ * Load the previous manifest, or null when it cannot be trusted for a build
+ * described by `key` ({ outDir, generator, config }).
+ */
+export async function loadManifest(file, key) {
+  let manifest;
+  try {
+    manifest = JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch {
+    return null;
+  }
+  if (manifest.version !== MANIFEST_VERSION) return null;
+  for (const [name, value] of Object.entries(key)) {
+    if (manifest[name] !== value) return null;
+  }
+  return manifest;
+}
+
+export async function saveManifest(file, manifest) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, JSON.stringify(manifest), 'utf8');
+}
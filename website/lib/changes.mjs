@@ -0,0 +1,101 @@
+/**
+ * "What's new": recent documentation changes, read from local git history.
+ *
+ * Changes are grouped by day (UTC). For each document changed on a day the page
+ * lists that day's commit subjects and compares the document's H2 sections from
+ * before the day's first commit with those after its last one: which sections
+ * were added, which were removed, and which kept their heading but were
+ * rewritten. The window ends at the newest documentation commit rather than at
+ * the clock, so the page only changes when the documents do.
+ */
+
+import { fileCommits, showFile } from './git.mjs';
+import { documentSections } from './render.mjs';
+
+/** How far back the page reaches, counted from the newest documentation commit. */
+export const WHATS_NEW_DAYS = 60;
+
+const DAY = 24 * 60 * 60;
+
+/**
+ * Recent changes to `pages` (live document pages, in site order), newest day
+ * first: `[{ date, documents: [{ page, created, time, commits, added, removed, rewritten, excerpt }] }]`
+ * where `time` is the day's last commit (seconds since the epoch), `commits` are
+ * `{ hash, subject }`, the section lists hold H2 titles, and `excerpt` is the
+ * markdown the change is best summed up by — null when sections were only removed.
+ * History is read up to `rev`.
+ */
+export async function documentChanges(repoRoot, pages, { days = WHATS_NEW_DAYS, rev = 'HEAD' } = {}) {
+  const logs = [];
+  for (const page of pages) {
+    logs.push({ page, commits: await fileCommits(repoRoot, page.source, rev) });
+  }
+  const newest = Math.max(0, ...logs.flatMap((log) => log.commits.map((c) => c.time)));
+  if (!newest) return [];
+  const since = newest - days * DAY;
+
+  const byDate = new Map();
+  for (const { page, commits } of logs) {
+    // Commits are newest first; group the ones inside the window by day.
+    const perDay = new Map();
+    for (const commit of commits) {
+      if (commit.time < since) break;
+      const date = new Date(commit.time * 1000).toISOString().slice(0, 10);
+      if (!perDay.has(date)) perDay.set(date, []);
+      perDay.get(date).push(commit);
+    }
+
+    for (const [date, dayCommits] of perDay) {
+      const last = dayCommits[0];
+      const first = dayCommits[dayCommits.length - 1];
+      const after = await showFile(repoRoot, last.hash, last.path);
+      const before = await showFile(repoRoot, `${first.hash}^`, first.previousPath);
+      const sections = documentSections(after ?? '');
+      const change = compareSections(before === null ? [] : documentSections(before), sections);
+      // The text worth quoting: the document's opening, or the first new or rewritten section.
+      const quoted = sections.find((s) => s.title === (change.added[0] ?? change.rewritten[0]));
+      if (!byDate.has(date)) byDate.set(date, []);
+      byDate.get(date).push({
+        page,
+        created: before === null,
+        time: last.time,
+        commits: dayCommits.map(({ hash, subject }) => ({ hash, subject })),
+        ...change,
+        excerpt: before === null ? after : quoted ? `## ${quoted.title}\n\n${quoted.body}` : null,
+      });
+    }
+  }
+
+  // Days newest first; within a day, documents stay in site order.
+  return [...byDate.keys()]
+    .sort()
+    .reverse()
+    .map((date) => ({ date, documents: byDate.get(date) }));
+}
+
+/**
+ * H2 titles added, removed and rewritten between two outlines. Sections are
+ * matched by title, so a renamed section counts as one removed and one added.
+ */
+function compareSections(before, after) {
+  const bodies = (sections) => {
+    const map = new Map();
+    for (const { title, body } of sections) {
+      if (!map.has(title)) map.set(title, []);
+      map.get(title).push(body.trim());
+    }
+    return map;
+  };
+  const old = bodies(before);
+  const next = bodies(after);
+
+  const added = [];
+  const rewritten = [];
+  for (const [title, list] of next) {
+    const previous = old.get(title);
+    if (!previous) added.push(title);
+    else if (list.some((body, i) => body !== previous[i])) rewritten.push(title);
+  }
+  const removed = [...old.keys()].filter((title) => !next.has(title));
+  return { added, removed, rewritten };
+}
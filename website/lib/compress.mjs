@@ -0,0 +1,52 @@
+/**
+ * Pre-compressed copies of text outputs, written by production builds: each
+ * page, stylesheet and script gets `.br` and `.gz` siblings that a server can
+ * send as they are instead of compressing every response (serve.mjs does).
+ *
+ * Both encoders run at their strongest setting — the work is done once per
+ * deploy, not per request — and are deterministic, so production builds stay
+ * reproducible.
+ */
+
+import zlib from 'node:zlib';
+
+/** Outputs worth compressing. */
+export const COMPRESSIBLE = /\.(?:html|css|js)$/;
+
+/** The encodings written, in the order a server should prefer them. */
+export const ENCODINGS = [
+  {
+    encoding: 'br',
+    suffix: '.br',
+    compress: (contents) =>
+      zlib.brotliCompressSync(contents, {
+        params: {
+          [zlib.constants.BROTLI_PARAM_QUALITY]: zlib.constants.BROTLI_MAX_QUALITY,
+          [zlib.constants.BROTLI_PARAM_MODE]: zlib.constants.BROTLI_MODE_TEXT,
+          [zlib.constants.BROTLI_PARAM_SIZE_HINT]: Buffer.byteLength(contents),
+        },
+      }),
+  },
+  {
+    encoding: 'gzip',
+    suffix: '.gz',
+    compress: (contents) => zlib.gzipSync(contents, { level: zlib.constants.Z_BEST_COMPRESSION }),
+  },
+];
+
+/**
+ * The stored encoding to send for an `Accept-Encoding` header: the first of
+ * ENCODINGS the client accepts with a non-zero quality, or null.
+ */
+export function negotiateEncoding(header) {
+  const accepted = new Map();
+  for (const part of String(header || '').split(',')) {
+    const [name, ...params] = part.trim().toLowerCase().split(';');
+    if (!name) continue;
+    const q = params.map((p) => /^\s*q=([\d.]+)\s*$/.exec(p)).find(Boolean);
+    accepted.set(name, q ? Number(q[1]) : 1);
+  }
+  const wildcard = accepted.get('*') || 0;
+  const quality = (encoding) => (accepted.has(encoding) ? accepted.get(encoding) : wildcard);
+  return ENCODINGS.find(({ encoding }) => quality(encoding) > 0) || null;
+}
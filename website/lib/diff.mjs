@@ -0,0 +1,221 @@
+/**
+ * Comparing two builds: which files were added, removed or changed, and a short
+ * unified diff of each change.
+ *
+ * The line diff is Myers' O(ND) algorithm, so a small edit to a large page stays
+ * cheap. Files that differ too much for a readable diff, and binary files, are
+ * reported as changed without one.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+/** Lines of unchanged context around each change. */
+const CONTEXT = 3;
+
+/** Past this many line edits a diff is no longer "short": it is just reported. */
+const MAX_EDITS = 2000;
+
+/** Long lines — the search index is one — are cut to this many characters. */
+const MAX_LINE = 160;
+
+/**
+ * Every file under `before` and `after`, compared byte for byte. Paths are
+ * relative with forward slashes, sorted.
+ */
+export async function compareTrees(before, after) {
+  const [old, next] = await Promise.all([listFiles(before), listFiles(after)]);
+  const oldSet = new Set(old);
+  const nextSet = new Set(next);
+
+  const changed = [];
+  let unchanged = 0;
+  for (const file of next) {
+    if (!oldSet.has(file)) continue;
+    const a = await fs.readFile(path.join(before, file));
+    const b = await fs.readFile(path.join(after, file));
+    if (a.equals(b)) unchanged += 1;
+    else changed.push(file);
+  }
+
+  return {
+    added: next.filter((file) => !oldSet.has(file)),
+    removed: old.filter((file) => !nextSet.has(file)),
+    changed,
+    unchanged,
+  };
+}
+
+/**
+ * A unified diff of two versions of a file, at most `maxLines` long, or a
+ * one-line note when the files are binary or too different to diff usefully.
+ */
+export function unifiedDiff(a, b, { from = 'a', to = 'b', maxLines = 40 } = {}) {
+  if (isBinary(a) || isBinary(b)) return `Binary files ${from} and ${to} differ`;
+
+  const oldLines = splitLines(a);
+  const newLines = splitLines(b);
+  const ops = diffLines(oldLines, newLines);
+  if (!ops) return `${from} and ${to} differ in more than ${MAX_EDITS} lines`;
+
+  const out = [`--- ${from}`, `+++ ${to}`];
+  for (const hunk of hunks(ops)) {
+    out.push(hunk.header, ...hunk.lines.map((line) => clip(line)));
+  }
+  if (out.length > maxLines) {
+    const more = out.length - maxLines;
+    return [...out.slice(0, maxLines), `… ${more} more line(s)`].join('\n');
+  }
+  return out.join('\n');
+}
+
+/**
+ * The edit script turning `a` into `b`, as `{ op: ' ' | '-' | '+', line, a, b }`
+ * where `a` and `b` are 0-based positions in each side; null past MAX_EDITS.
+ */
+function diffLines(a, b) {
+  // Common prefix and suffix never need the search.
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start += 1;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA -= 1;
+    endB -= 1;
+  }
+
+  const middle = myers(a.slice(start, endA), b.slice(start, endB));
+  if (!middle) return null;
+
+  const ops = [];
+  for (let i = 0; i < start; i += 1) ops.push({ op: ' ', line: a[i], a: i, b: i });
+  for (const edit of middle) ops.push({ ...edit, a: edit.a + start, b: edit.b + start });
+  for (let i = 0; i < a.length - endA; i += 1) {
+    ops.push({ op: ' ', line: a[endA + i], a: endA + i, b: endB + i });
+  }
+  return ops;
+}
+
+function myers(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, MAX_EDITS);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d += 1) {
+    // What round d reads: v[k ± 1] for k in [-d, d].
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      const down = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]);
+      let x = down ? v[offset + k + 1] : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x += 1;
+        y += 1;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) return backtrack(a, b, trace, d);
+    }
+  }
+  return null;
+}
+
+function backtrack(a, b, trace, depth) {
+  const edits = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = depth; d > 0; d -= 1) {
+    const v = trace[d];
+    const at = (k) => v[k + d + 1];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      x -= 1;
+      y -= 1;
+      edits.push({ op: ' ', line: a[x], a: x, b: y });
+    }
+    if (x === prevX) edits.push({ op: '+', line: b[prevY], a: x, b: prevY });
+    else edits.push({ op: '-', line: a[prevX], a: prevX, b: y });
+    x = prevX;
+    y = prevY;
+  }
+  while (x > 0 && y > 0) {
+    x -= 1;
+    y -= 1;
+    edits.push({ op: ' ', line: a[x], a: x, b: y });
+  }
+  return edits.reverse();
+}
+
+/** Group an edit script into hunks with CONTEXT lines around each change. */
+function hunks(ops) {
+  const result = [];
+  let i = 0;
+  while (i < ops.length) {
+    if (ops[i].op === ' ') {
+      i += 1;
+      continue;
+    }
+    const from = Math.max(0, i - CONTEXT);
+    let to = i;
+    // Extend over changes separated by no more than twice the context.
+    while (to < ops.length) {
+      let next = to;
+      while (next < ops.length && ops[next].op !== ' ') next += 1;
+      let gap = next;
+      while (gap < ops.length && ops[gap].op === ' ') gap += 1;
+      if (gap < ops.length && gap - next <= CONTEXT * 2) {
+        to = gap;
+      } else {
+        to = Math.min(ops.length, next + CONTEXT);
+        break;
+      }
+    }
+
+    const slice = ops.slice(from, to);
+    const oldCount = slice.filter((o) => o.op !== '+').length;
+    const newCount = slice.filter((o) => o.op !== '-').length;
+    const oldStart = oldCount ? slice.find((o) => o.op !== '+').a + 1 : slice[0].a;
+    const newStart = newCount ? slice.find((o) => o.op !== '-').b + 1 : slice[0].b;
+    result.push({
+      header: `@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`,
+      lines: slice.map((o) => `${o.op}${o.line}`),
+    });
+    i = to;
+  }
+  return result;
+}
+
+async function listFiles(root) {
+  try {
+    const entries = await fs.readdir(root, { recursive: true, withFileTypes: true });
+    return entries
+      .filter((entry) => entry.isFile())
+      .map((entry) => path.relative(root, path.join(entry.parentPath ?? entry.path, entry.name)))
+      .map((file) => file.split(path.sep).join('/'))
+      .sort();
+  } catch {
+    return [];
+  }
+}
+
+function splitLines(buffer) {
+  const text = buffer.toString('utf8');
+  if (!text) return [];
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+function isBinary(buffer) {
+  return buffer.subarray(0, 8000).includes(0);
+}
+
+function clip(line) {
+  return line.length > MAX_LINE ? `${line.slice(0, MAX_LINE)}…` : line;
+}
@@ -0,0 +1,145 @@
+/**
+ * Finding documents: glob-based sections and the unlisted-documents report.
+ *
+ * A section may list its pages explicitly, match them with `include` globs, or
+ * both. Included documents get a slug from their file name and, unless a page
+ * entry says otherwise, a title and description read from the document itself.
+ * Every markdown file in the repository that ends up on no page — and is not
+ * covered by `site.ignore` — is reported, so nothing is left out by accident.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { documentSummary } from './render.mjs';
+
+/** Directories never scanned for markdown, besides any starting with a dot. */
+const SKIPPED_DIRS = new Set(['node_modules', 'bin', 'obj']);
+
+/**
+ * Translate a repo-relative glob into a RegExp. Supports `*` (within one path
+ * segment), `**` (any number of segments) and `?`.
+ */
+export function globToRegExp(glob) {
+  let pattern = '';
+  for (let i = 0; i < glob.length; i += 1) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      const slash = glob[i + 2] === '/';
+      pattern += slash ? '(?:.*/)?' : '.*';
+      i += slash ? 2 : 1;
+    } else if (char === '*') {
+      pattern += '[^/]*';
+    } else if (char === '?') {
+      pattern += '[^/]';
+    } else {
+      pattern += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${pattern}$`);
+}
+
+/** The directory a glob is rooted at: everything before its first wildcard segment. */
+export function globBase(glob) {
+  const segments = glob.split('/');
+  const fixed = [];
+  for (const segment of segments.slice(0, -1)) {
+    if (/[*?]/.test(segment)) break;
+    fixed.push(segment);
+  }
+  return fixed.join('/') || '.';
+}
+
+/** Every markdown file in the repository, repo-relative with forward slashes, sorted. */
+export async function listMarkdown(repoRoot) {
+  const found = [];
+
+  async function walk(dir) {
+    const entries = await fs.readdir(path.join(repoRoot, dir), { withFileTypes: true });
+    for (const entry of entries) {
+      const relative = dir ? `${dir}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        if (!entry.name.startsWith('.') && !SKIPPED_DIRS.has(entry.name)) await walk(relative);
+      } else if (entry.isFile() && /\.md$/i.test(entry.name)) {
+        found.push(relative);
+      }
+    }
+  }
+
+  await walk('');
+  return found.sort();
+}
+
+/**
+ * Resolve `include` globs into page entries. Explicit pages keep their place
+ * and their metadata; included documents follow them in path order, skipping
+ * any document already listed anywhere in the config. Included pages carry an
+ * `origin` naming the glob that produced them, for error messages.
+ */
+export async function expandSections(sections, { repoRoot, files }) {
+  const listed = new Set(
+    sections
+      .flatMap((s) => (Array.isArray(s.pages) ? s.pages : []))
+      .filter((p) => p.source)
+      .map((p) => normalize(p.source))
+  );
+
+  const expanded = [];
+  for (const [s, section] of sections.entries()) {
+    // A malformed `pages` is left for the validator to report.
+    if (section.pages !== undefined && !Array.isArray(section.pages)) {
+      expanded.push(section);
+      continue;
+    }
+    const pages = [...(section.pages || [])];
+    const globs = Array.isArray(section.include) ? section.include : [];
+
+    for (const [g, glob] of globs.entries()) {
+      const matcher = globToRegExp(String(glob));
+      for (const source of files) {
+        if (!matcher.test(source) || listed.has(source)) continue;
+        listed.add(source);
+        const summary = documentSummary(await fs.readFile(path.join(repoRoot, source), 'utf8'));
+        pages.push({
+          slug: slugFromPath(source),
+          source,
+          title: summary.title || path.posix.basename(source, path.posix.extname(source)),
+          description: summary.description,
+          origin: `sections[${s}].include[${g}] → ${source}`,
+        });
+      }
+    }
+
+    expanded.push({ ...section, pages });
+  }
+  return expanded;
+}
+
+/**
+ * Markdown files that are on no page and not covered by an ignore glob. Under
+ * --lenient `ignore` may not have passed validation; what is not a glob is skipped.
+ */
+export function unlistedDocuments(files, sections, ignore = []) {
+  const sources = new Set(
+    sections
+      .flatMap((s) => (Array.isArray(s.pages) ? s.pages : []))
+      .filter((p) => p.source)
+      .map((p) => normalize(p.source))
+  );
+  const ignored = (Array.isArray(ignore) ? ignore : [])
+    .filter((glob) => typeof glob === 'string' && glob)
+    .map(globToRegExp);
+  return files.filter((file) => !sources.has(file) && !ignored.some((re) => re.test(file)));
+}
+
+function slugFromPath(source) {
+  return path.posix
+    .basename(source, path.posix.extname(source))
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+function normalize(source) {
+  return path.posix.normalize(String(source).split(path.sep).join('/')).replace(/^\.\//, '');
+}
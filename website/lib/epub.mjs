@@ -0,0 +1,316 @@
+/**
+ * The EPUB edition: every document as one EPUB 3 file, for reading on e-readers.
+ *
+ * Each document becomes its own XHTML file, so ids stay as they are and links
+ * between documents only change extension; links to pages the book does not
+ * contain (the landing page, the map) become absolute site URLs, or plain text
+ * without `site.baseUrl`. The navigation document follows the sidebar: sections,
+ * their documents, and each document's H2 and H3 headings. The stylesheet is
+ * assets/epub.css — simpler than the site's, since e-readers bring their own
+ * fonts, margins and night modes.
+ *
+ * Rendered pages are HTML, and EPUB wants XML: `toXhtml()` re-serializes them,
+ * closing void elements, quoting attributes and escaping anything markdown let
+ * through that is not an HTML element (`IProgress<int>`).
+ */
+
+import { escapeHtml } from './highlight.mjs';
+import { pageUrl } from './sitemap.mjs';
+import { inline } from './templates.mjs';
+import { zipArchive } from './zip.mjs';
+
+/** The EPUB's file name at the site root: `memory-timeline-docs.epub`. */
+export function epubFileName(siteName) {
+  return `${siteName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}-docs.epub`;
+}
+
+/**
+ * The EPUB for `sections` (each with the document pages it holds, rendered), as
+ * a Buffer.
+ *
+ * @param {object} options
+ * @param {string} options.title  the book's title
+ * @param {object} options.site  `site` from the config
+ * @param {object[]} options.sections
+ * @param {string} options.css  the book's stylesheet
+ * @param {Date} options.date  the build date: the book's modification time
+ * @param {string} options.identifier  a URL that identifies this book
+ */
+export function epubArchive({ title, site, sections, css, date, identifier }) {
+  const docs = new Map();
+  for (const page of sections.flatMap((s) => s.pages)) {
+    const body = toXhtml(
+      page.html
+        .replace(/<a class="heading-anchor"[^>]*>[^<]*<\/a>/g, '')
+        .replace(/<button class="codeblock-copy"[^>]*>[^<]*<\/button>/g, '')
+    );
+    docs.set(page.slug, { page, body, ids: new Set([...body.matchAll(/\sid="([^"]+)"/g)].map((m) => m[1])) });
+  }
+
+  const file = (slug) => `${slug}.xhtml`;
+  const chapter = ({ page, body }) => {
+    const linked = body.replace(/(<a\b[^>]*?)\shref="([^"]*)"/g, (_, start, href) => {
+      const target = epubHref(href.replace(/&amp;/g, '&'), page.slug, docs, site);
+      return target === null ? start : `${start} href="${escapeHtml(target)}"`;
+    });
+    return xhtmlDocument(
+      page.title,
+      `<section epub:type="chapter">
+<header class="doc-header">
+  <p class="doc-section">${escapeHtml(page.sectionTitle)}</p>
+  <h1>${escapeHtml(page.title)}</h1>
+  ${page.description ? `<p class="doc-lede">${toXhtml(inline(page.description))}</p>` : ''}
+  <p class="doc-meta">${page.stats.words.toLocaleString('en-US')} words · ${page.stats.minutes} min · <a href="${escapeHtml(site.repoUrl)}/blob/${escapeHtml(site.branch)}/${escapeHtml(page.source)}">${escapeHtml(page.source)}</a></p>
+</header>
+${linked}
+</section>`
+    );
+  };
+
+  const cover = xhtmlDocument(
+    title,
+    `<section class="cover" epub:type="titlepage">
+  <h1>${escapeHtml(title)}</h1>
+  ${site.tagline ? `<p class="cover-tagline">${escapeHtml(site.tagline)}</p>` : ''}
+  <p>${escapeHtml(site.description)}</p>
+  <p class="cover-meta">${docs.size} documents · generated ${date.toISOString().slice(0, 10)}</p>
+  <p class="cover-meta"><a href="${escapeHtml(site.baseUrl || site.repoUrl)}">${escapeHtml(site.baseUrl || site.repoUrl)}</a></p>
+</section>`
+  );
+
+  const outline = (toc, slug) => {
+    const items = [];
+    for (const item of toc.filter((t) => t.depth === 2 || t.depth === 3)) {
+      const link = `<a href="${file(slug)}#${escapeHtml(item.id)}">${escapeHtml(item.text)}</a>`;
+      if (item.depth === 3 && items.length) items[items.length - 1].children.push(link);
+      else items.push({ link, children: [] });
+    }
+    return items.length
+      ? `<ol>${items
+          .map(({ link, children }) =>
+            children.length
+              ? `<li>${link}<ol>${children.map((c) => `<li>${c}</li>`).join('')}</ol></li>`
+              : `<li>${link}</li>`
+          )
+          .join('')}</ol>`
+      : '';
+  };
+  const first = sections[0].pages[0];
+  const nav = xhtmlDocument(
+    'Contents',
+    `<nav epub:type="toc" id="toc">
+  <h1>Contents</h1>
+  <ol>
+${sections
+  .map(
+    (section) => `    <li><span>${escapeHtml(section.title)}</span>
+      <ol>
+${section.pages
+  .map(
+    (page) =>
+      `        <li><a href="${file(page.slug)}">${escapeHtml(page.title)}</a>${outline(page.toc, page.slug)}</li>`
+  )
+  .join('\n')}
+      </ol>
+    </li>`
+  )
+  .join('\n')}
+  </ol>
+</nav>
+<nav epub:type="landmarks" hidden="hidden">
+  <ol>
+    <li><a epub:type="titlepage" href="cover.xhtml">Title page</a></li>
+    <li><a epub:type="toc" href="nav.xhtml">Contents</a></li>
+    <li><a epub:type="bodymatter" href="${file(first.slug)}">${escapeHtml(first.title)}</a></li>
+  </ol>
+</nav>`
+  );
+
+  const xhtml = 'application/xhtml+xml';
+  const items = [
+    { id: 'cover', href: 'cover.xhtml', type: xhtml, contents: cover },
+    { id: 'nav', href: 'nav.xhtml', type: xhtml, contents: nav, properties: 'nav' },
+    ...[...docs.values()].map((doc) => ({
+      id: `doc-${doc.page.slug}`,
+      href: file(doc.page.slug),
+      type: xhtml,
+      contents: chapter(doc),
+    })),
+    { id: 'styles', href: 'styles.css', type: 'text/css', contents: css },
+  ];
+
+  const opf = `<?xml version="1.0" encoding="utf-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="en">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="book-id">${escapeHtml(identifier)}</dc:identifier>
+    <dc:title>${escapeHtml(title)}</dc:title>
+    <dc:creator>${escapeHtml(site.name)}</dc:creator>
+    <dc:language>en</dc:language>
+    <dc:description>${escapeHtml(site.description)}</dc:description>
+    <dc:source>${escapeHtml(site.repoUrl)}</dc:source>
+    <dc:date>${date.toISOString().slice(0, 10)}</dc:date>
+    <meta property="dcterms:modified">${date.toISOString().replace(/\.\d{3}Z$/, 'Z')}</meta>
+  </metadata>
+  <manifest>
+${items
+  .map(
+    (item) =>
+      `    <item id="${item.id}" href="${item.href}" media-type="${item.type}"${item.properties ? ` properties="${item.properties}"` : ''}/>`
+  )
+  .join('\n')}
+  </manifest>
+  <spine>
+${items
+  .filter((item) => item.type === xhtml)
+  .map((item) => `    <itemref idref="${item.id}"/>`)
+  .join('\n')}
+  </spine>
+</package>
+`;
+
+  return zipArchive(
+    [
+      // The mimetype comes first and uncompressed, so the file identifies itself.
+      { name: 'mimetype', data: 'application/epub+zip', store: true },
+      {
+        name: 'META-INF/container.xml',
+        data: `<?xml version="1.0" encoding="utf-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="EPUB/package.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>
+`,
+      },
+      { name: 'EPUB/package.opf', data: opf },
+      ...items.map((item) => ({ name: `EPUB/${item.href}`, data: item.contents })),
+    ],
+    date
+  );
+}
+
+/* ---- XHTML ---------------------------------------------------------- */
+
+/** Elements kept as markup; any other tag is escaped and reads as text. */
+const ELEMENTS = new Set(
+  [
+    'a abbr article aside b bdi bdo blockquote br caption cite code col colgroup dd del details dfn div dl',
+    'dt em figcaption figure footer h1 h2 h3 h4 h5 h6 header hr i img ins kbd li mark nav ol p pre q s samp',
+    'section small span strong sub summary sup table tbody td tfoot th thead time tr u ul var wbr',
+  ]
+    .join(' ')
+    .split(' ')
+);
+const VOID_ELEMENTS = new Set(['br', 'col', 'hr', 'wbr']);
+
+/** Named character references XML does not define, by code point. */
+const ENTITIES = new Map([
+  ['nbsp', 160], ['copy', 169], ['reg', 174], ['deg', 176], ['middot', 183], ['times', 215],
+  ['ndash', 8211], ['mdash', 8212], ['lsquo', 8216], ['rsquo', 8217], ['ldquo', 8220], ['rdquo', 8221],
+  ['bull', 8226], ['hellip', 8230], ['trade', 8482], ['larr', 8592], ['rarr', 8594],
+]);
+
+const TAG =
+  /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][\w-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>/g;
+const ATTRIBUTE = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+/**
+ * Rendered HTML as well-formed XHTML: known elements kept, void ones closed and
+ * unclosed ones closed at the end, attributes quoted, comments and unknown tags
+ * dropped or escaped. Images, which the book does not carry, become their alt text.
+ */
+export function toXhtml(html) {
+  const open = [];
+  let out = '';
+  let from = 0;
+  for (const match of html.matchAll(TAG)) {
+    out += xmlText(html.slice(from, match.index));
+    from = match.index + match[0].length;
+    const [tag, closing, rawName, attributes] = match;
+    const name = (rawName || '').toLowerCase();
+    if (tag.startsWith('<!--')) continue;
+    if (!ELEMENTS.has(name)) {
+      out += xmlText(tag);
+    } else if (closing) {
+      // Close everything opened since, as a browser would.
+      const at = open.lastIndexOf(name);
+      if (at >= 0) while (open.length > at) out += `</${open.pop()}>`;
+    } else if (name === 'img') {
+      out += xmlAttributes(attributes).alt || '';
+    } else {
+      const attrs = Object.entries(xmlAttributes(attributes))
+        .map(([key, value]) => ` ${key}="${value}"`)
+        .join('');
+      out += VOID_ELEMENTS.has(name) ? `<${name}${attrs}/>` : `<${name}${attrs}>`;
+      if (!VOID_ELEMENTS.has(name)) open.push(name);
+    }
+  }
+  out += xmlText(html.slice(from));
+  while (open.length) out += `</${open.pop()}>`;
+  return out;
+}
+
+/* ---- helpers ------------------------------------------------------ */
+
+/** An XHTML content document. */
+function xhtmlDocument(title, body) {
+  return `<?xml version="1.0" encoding="utf-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="en" lang="en">
+<head>
+<meta charset="utf-8"/>
+<title>${escapeHtml(title)}</title>
+<link rel="stylesheet" type="text/css" href="styles.css"/>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+/**
+ * Where a link in document `slug` goes in the book: `#x` and `other.html#x`
+ * stay within it (a missing fragment falls back to the document's start), a
+ * page it does not contain goes to the site — or nowhere, as null, without a
+ * `site.baseUrl` to link to.
+ */
+function epubHref(href, slug, docs, site) {
+  const match = /^(?:([\w.-]+)\.html)?(?:#(.*))?$/.exec(href);
+  if (!match) return href;
+  const [, file, fragment] = match;
+  const target = file === undefined ? slug : file;
+  const doc = docs.get(target);
+  if (doc) {
+    const anchor = fragment && doc.ids.has(fragment) ? `#${fragment}` : '';
+    return target === slug && anchor ? anchor : `${target}.xhtml${anchor}`;
+  }
+  const url = pageUrl(site.baseUrl, `${target}.html`);
+  return url ? `${url}${fragment ? `#${fragment}` : ''}` : null;
+}
+
+/** Text as XML: markup characters escaped, HTML-only entities as numbers. */
+function xmlText(text) {
+  return text
+    .replace(/&(?!#\d+;|#x[\da-f]+;|[a-z]\w*;)/gi, '&amp;')
+    .replace(/&([a-z]\w*);/gi, (entity, name) =>
+      ['amp', 'lt', 'gt', 'quot', 'apos'].includes(name)
+        ? entity
+        : ENTITIES.has(name)
+          ? `&#${ENTITIES.get(name)};`
+          : `&amp;${name};`
+    )
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/** A tag's attributes as `{ name: value }`, values escaped for a double-quoted XML attribute. */
+function xmlAttributes(source) {
+  const attributes = {};
+  for (const [, rawName, double, single, bare] of (source || '').matchAll(ATTRIBUTE)) {
+    const name = rawName.toLowerCase();
+    if (!/^[a-z_][\w.:-]*$/.test(name) || name in attributes) continue;
+    attributes[name] = xmlText(double ?? single ?? bare ?? name).replace(/"/g, '&quot;');
+  }
+  return attributes;
+}
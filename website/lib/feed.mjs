@@ -0,0 +1,61 @@
+/**
+ * Atom feeds of documentation updates: atom.xml for the whole site, and
+ * feeds/<section>.xml for every section configured with `feed: true`.
+ *
+ * Entries come from the same history as "What's new" (lib/changes.mjs): one per
+ * document per day on which it was created or had H2 sections added, removed or
+ * rewritten. Edits that leave every section as it was are not news. Feed and
+ * entry ids are absolute URLs, so feeds need `site.baseUrl`.
+ */
+
+import { escapeHtml } from './highlight.mjs';
+
+/** Most entries a feed carries, newest first. */
+export const FEED_ENTRIES = 30;
+
+/** The changes from `documentChanges()` worth an entry, newest first, as `{ date, ...change }`. */
+export function feedChanges(days) {
+  return days.flatMap(({ date, documents }) =>
+    documents
+      .filter((d) => d.created || d.added.length || d.removed.length || d.rewritten.length)
+      .map((d) => ({ date, ...d }))
+  );
+}
+
+/**
+ * An Atom document. `entries` are `{ id, title, url, updated, category, summary, content }`
+ * with `updated` a Date, `category` `{ term, label }` and `content` HTML; relative
+ * links in it resolve against the entry's `url`.
+ */
+export function atomFeed({ title, subtitle, url, siteUrl, author, entries }) {
+  const updated = new Date(Math.max(0, ...entries.map((e) => e.updated.getTime())));
+  const entry = (e) => `  <entry>
+    <title>${escapeHtml(e.title)}</title>
+    <id>${escapeHtml(e.id)}</id>
+    <link rel="alternate" type="text/html" href="${escapeHtml(e.url)}"/>
+    <updated>${isoTime(e.updated)}</updated>
+    <category term="${escapeHtml(e.category.term)}" label="${escapeHtml(e.category.label)}"/>
+    <summary>${escapeHtml(e.summary)}</summary>
+    <content type="html" xml:base="${escapeHtml(e.url)}">${escapeHtml(e.content)}</content>
+  </entry>`;
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeHtml(title)}</title>
+  <subtitle>${escapeHtml(subtitle)}</subtitle>
+  <id>${escapeHtml(url)}</id>
+  <link rel="self" type="application/atom+xml" href="${escapeHtml(url)}"/>
+  <link rel="alternate" type="text/html" href="${escapeHtml(siteUrl)}"/>
+  <updated>${isoTime(updated)}</updated>
+  <author>
+    <name>${escapeHtml(author.name)}</name>
+    <uri>${escapeHtml(author.uri)}</uri>
+  </author>
+${entries.map(entry).join('\n')}
+</feed>
+`;
+}
+
+function isoTime(date) {
+  return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
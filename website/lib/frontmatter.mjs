@@ -0,0 +1,158 @@
+/**
+ * YAML front matter in source documents.
+ *
+ * A document may open with a `---` fenced block of page metadata, so authors can
+ * keep a page's title and description next to the text they describe. Only the
+ * subset of YAML that metadata needs is understood — `key: value` pairs with
+ * plain, quoted, boolean and numeric scalars, `[inline, lists]`, `- block` lists
+ * and `>` / `|` multi-line strings — which keeps the site at one dependency.
+ *
+ * Precedence, highest first: the document's front matter, then its entry in
+ * site.config.mjs, then whatever is derived from the document itself (the title
+ * and description of a page picked up by an `include` glob). `slug` and `source`
+ * come from the config only — a document cannot move its own URL.
+ */
+
+/** Fields a document may set, and the type each must have. */
+export const FRONT_MATTER_FIELDS = {
+  title: 'string',
+  shortTitle: 'string',
+  description: 'string',
+  audience: 'string',
+  tags: 'string[]',
+  hideFromCards: 'boolean',
+  draft: 'boolean',
+  order: 'number',
+  heuristicCallouts: 'boolean',
+};
+
+const FENCE = /^---\s*$/;
+const CLOSING_FENCE = /^(?:---|\.\.\.)\s*$/;
+
+/**
+ * Split a document into its front matter and its body. A document without a
+ * complete block at the very top is all body, and so is one whose block is not
+ * `key: value` lines: markdown may open with a `---` thematic break, and the
+ * next one would otherwise swallow everything between them.
+ */
+export function splitFrontMatter(markdown) {
+  const text = String(markdown).replace(/^\uFEFF/, '');
+  const lines = text.split(/\r?\n/);
+  if (!FENCE.test(lines[0] || '')) return { data: {}, body: text };
+
+  const end = lines.findIndex((line, i) => i > 0 && CLOSING_FENCE.test(line));
+  if (end < 0) return { data: {}, body: text };
+
+  const data = parseYaml(lines.slice(1, end));
+  if (!data) return { data: {}, body: text };
+  return { data, body: lines.slice(end + 1).join('\n') };
+}
+
+/** Problems with a document's front matter, as `{ location, message }`. */
+export function checkFrontMatter({ data }) {
+  const problems = [];
+  for (const [key, value] of Object.entries(data)) {
+    const expected = FRONT_MATTER_FIELDS[key];
+    const location = `front matter › ${key}`;
+    if (!expected) {
+      const known = Object.keys(FRONT_MATTER_FIELDS).join(', ');
+      problems.push({ location, message: `unknown field (known: ${known})` });
+    } else if (!hasType(value, expected)) {
+      problems.push({ location, message: `must be a ${expected}` });
+    }
+  }
+  return problems;
+}
+
+/** A page entry with the document's front matter applied over it. */
+export function applyFrontMatter(page, data) {
+  const merged = { ...page };
+  for (const [key, value] of Object.entries(data)) {
+    const expected = FRONT_MATTER_FIELDS[key];
+    if (expected && hasType(value, expected)) merged[key] = value;
+  }
+  return merged;
+}
+
+function hasType(value, expected) {
+  if (expected === 'string[]') return Array.isArray(value) && value.every((v) => typeof v === 'string');
+  if (expected === 'string') return typeof value === 'string' && value.trim() !== '';
+  return typeof value === expected;
+}
+
+/* ------------------------------------------------------------------ */
+/* The YAML subset                                                     */
+/* ------------------------------------------------------------------ */
+
+/** The block's fields, or null when a line is not part of a `key: value` pair. */
+function parseYaml(lines) {
+  const data = {};
+
+  for (let i = 0; i < lines.length; i += 1) {
+    const line = lines[i];
+    if (!line.trim() || /^\s*#/.test(line)) continue;
+
+    const match = line.match(/^([A-Za-z_][\w-]*)\s*:(?:\s+(.*?))?\s*$/);
+    if (!match) return null;
+    const [, key, value = ''] = match;
+
+    if (value === '' || value.startsWith('#')) {
+      // A block list, or nothing at all.
+      const items = [];
+      while (i + 1 < lines.length && /^\s*-(?:\s|$)/.test(lines[i + 1])) {
+        i += 1;
+        items.push(scalar(lines[i].replace(/^\s*-\s*/, '')));
+      }
+      data[key] = items.length ? items : null;
+    } else if (/^[>|][-+]?$/.test(value)) {
+      const block = [];
+      while (i + 1 < lines.length && (/^\s+\S/.test(lines[i + 1]) || !lines[i + 1].trim())) {
+        i += 1;
+        block.push(lines[i]);
+      }
+      data[key] = blockScalar(block, value[0] === '>');
+    } else {
+      data[key] = scalar(value);
+    }
+  }
+
+  return data;
+}
+
+function scalar(raw) {
+  const text = raw.trim();
+  if (text.startsWith('"') && text.endsWith('"') && text.length > 1) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text.slice(1, -1);
+    }
+  }
+  if (text.startsWith("'") && text.endsWith("'") && text.length > 1) {
+    return text.slice(1, -1).replace(/''/g, "'");
+  }
+  if (text.startsWith('[') && text.endsWith(']')) {
+    const items = text.slice(1, -1).match(/\s*(?:"(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^,]+)/g) || [];
+    return items.map((item) => scalar(item)).filter((item) => item !== '');
+  }
+
+  const plain = text.replace(/\s+#.*$/, '');
+  if (plain === 'true') return true;
+  if (plain === 'false') return false;
+  if (/^(?:null|~)$/i.test(plain)) return null;
+  if (/^[-+]?\d+(?:\.\d+)?$/.test(plain)) return Number(plain);
+  return plain;
+}
+
+/** `|` keeps line breaks; `>` folds lines into spaces and keeps blank-line breaks. */
+function blockScalar(block, fold) {
+  while (block.length && !block[block.length - 1].trim()) block.pop();
+  const indent = Math.min(...block.filter((l) => l.trim()).map((l) => l.match(/^\s*/)[0].length));
+  const lines = block.map((l) => l.slice(indent));
+  if (!fold) return lines.join('\n');
+  return lines
+    .join('\n')
+    .split(/\n\s*\n/)
+    .map((paragraph) => paragraph.replace(/\s*\n\s*/g, ' ').trim())
+    .join('\n');
+}
@@ -0,0 +1,123 @@
+/**
+ * The little the site needs from git, run against the local repository only:
+ * commit dates for reproducible builds, per-document history, and documents as
+ * they were at earlier commits.
+ *
+ * Every helper shells out to the `git` binary without a shell and resolves
+ * with plain values; nothing here ever fetches or changes the working tree.
+ */
+
+import { spawn } from 'node:child_process';
+
+/** Run `git <args>` in `cwd` and resolve with its stdout; rejects with its stderr. */
+export function git(cwd, args) {
+  return run('git', args, { cwd });
+}
+
+/**
+ * Seconds since the epoch of the newest commit up to `rev` that touched any of
+ * `paths`, or null when there is none — outside a repository, or for files never
+ * committed.
+ */
+export async function lastCommitTime(repoRoot, paths, rev = 'HEAD') {
+  if (!paths.length) return null;
+  try {
+    const out = await git(repoRoot, ['log', '-1', '--format=%ct', rev, '--', ...paths]);
+    return out.trim() ? Number(out.trim()) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The history of one file up to `rev`, following renames: how many commits
+ * touched it, when the newest one was, and the newest `limit` of them as
+ * `{ hash, time, subject }` (`time` in seconds since the epoch). Null when the
+ * file has no history — outside a repository, or never committed.
+ */
+export async function fileHistory(repoRoot, file, limit, rev = 'HEAD') {
+  const commits = await fileCommits(repoRoot, file, rev);
+  if (!commits.length) return null;
+  return {
+    commits: commits.length,
+    updated: commits[0].time,
+    recent: commits.slice(0, limit).map(({ hash, time, subject }) => ({ hash, time, subject })),
+  };
+}
+
+/**
+ * Every commit up to `rev` that touched `file`, newest first, following renames,
+ * as `{ hash, time, subject, path, previousPath }`: `path` is the file's name in
+ * that commit and `previousPath` its name just before. Empty outside a repository.
+ */
+export async function fileCommits(repoRoot, file, rev = 'HEAD') {
+  let out;
+  try {
+    const format = '--format=%x1e%H%x1f%ct%x1f%s';
+    out = await git(repoRoot, ['log', '--follow', '--name-status', format, rev, '--', file]);
+  } catch {
+    return [];
+  }
+
+  const commits = [];
+  let path = file;
+  for (const record of out.split('\x1e').filter((r) => r.trim())) {
+    const [header, ...rest] = record.split('\n');
+    const [hash, time, subject] = header.split('\x1f');
+    // `R087<TAB>old<TAB>new` for a rename, `M<TAB>path` otherwise; merges may list nothing.
+    const status = rest.find((line) => /^[A-Z]\d*\t/.test(line));
+    const fields = status ? status.split('\t') : [];
+    const current = fields.length ? fields[fields.length - 1] : path;
+    const previous = fields.length === 3 ? fields[1] : current;
+    commits.push({ hash, time: Number(time), subject, path: current, previousPath: previous });
+    path = previous;
+  }
+  return commits;
+}
+
+/** The contents of `file` as of `rev`, or null when it did not exist there. */
+export async function showFile(repoRoot, rev, file) {
+  try {
+    return await git(repoRoot, ['show', `${rev}:${file}`]);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The revision the build committed in `dir` was made at: the parent of the last
+ * commit that touched it, since a commit cannot hold output that shows its own
+ * hash. HEAD while `dir` has uncommitted changes, or was never committed.
+ */
+export async function builtAtRevision(repoRoot, dir) {
+  try {
+    if ((await git(repoRoot, ['status', '--porcelain', '--', dir])).trim()) return 'HEAD';
+    const last = (await git(repoRoot, ['log', '-1', '--format=%H', '--', dir])).trim();
+    return last ? `${last}^` : 'HEAD';
+  } catch {
+    return 'HEAD';
+  }
+}
+
+/** Seconds since the epoch of the commit `ref` points at. */
+export async function refCommitTime(repoRoot, ref) {
+  const out = await git(repoRoot, ['log', '-1', '--format=%ct', `${ref}^{commit}`, '--']);
+  return Number(out.trim());
+}
+
+/** Run a command to completion, collecting stdout; rejects with a message carrying its stderr. */
+export function run(command, args, options) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { ...options, stdio: ['ignore', 'pipe', 'pipe'] });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', (chunk) => (stdout += chunk));
+    child.stderr.on('data', (chunk) => (stderr += chunk));
+    child.on('error', reject);
+    child.on('close', (code) => (code === 0 ? resolve(stdout) : reject(failed(command, stderr))));
+  });
+}
+
+export function failed(command, stderr) {
+  return new Error(`${command} failed${stderr.trim() ? `: ${stderr.trim()}` : ''}`);
+}
@@ -0,0 +1,138 @@
+/**
+ * The documents as markdown, for language models and the tools around them.
+ *
+ * Each document gets a cleaned copy beside its page (`overview.md` next to
+ * `overview.html`): the front matter and HTML comments gone, and every link
+ * resolved the way the site resolves it — a link to another document goes to
+ * that document's copy, an in-page anchor to this one's, any other repository
+ * path to GitHub. Unlike the pages, the copies link by absolute URL when
+ * `site.baseUrl` is set: they are read out of context, pasted into a prompt or
+ * fetched one at a time, where a relative link leads nowhere.
+ *
+ * llms.txt (https://llmstxt.org) indexes the copies in sidebar order, with each
+ * document's description; llms-full.txt holds all of them in one file, each
+ * between `<document>` markers that carry its slug, title, section and source.
+ */
+
+import { splitFrontMatter } from './frontmatter.mjs';
+import { escapeHtml } from './highlight.mjs';
+import { resolveHref } from './render.mjs';
+import { pageUrl } from './sitemap.mjs';
+
+/**
+ * The cleaned markdown copy of one document.
+ *
+ * @param {string} markdown  the source document, front matter and all
+ * @param {object} options
+ * @param {string} options.slug  the document's page
+ * @param {string} options.sourceDir  the source's directory, for relative links
+ * @param {Map<string, string>} options.pathToSlug  documented source paths → slugs
+ * @param {string} options.repoUrl
+ * @param {string} options.branch
+ * @param {string} [options.baseUrl]  `site.baseUrl`; links stay relative without it
+ */
+export function markdownCopy(markdown, options) {
+  // Code is set aside first, so nothing in it is taken for a link or a comment.
+  const code = [];
+  const { body } = splitFrontMatter(markdown);
+  const text = body
+    .replace(CODE, (block) => `\u0000${code.push(block) - 1}\u0000`)
+    .replace(COMMENT_LINES, '')
+    .replace(COMMENT, '')
+    .replace(INLINE_LINK, (_, start, href) => `${start}${copyHref(href, options)}`)
+    .replace(LINK_DEFINITION, (_, start, href) => `${start}${copyHref(href, options)}`)
+    .replace(/\u0000(\d+)\u0000/g, (_, i) => code[i]);
+  return `${text.replace(/\n{3,}/g, '\n\n').trim()}\n`;
+}
+
+/**
+ * llms.txt: the site's name and description, then one list per sidebar section
+ * linking each document's markdown copy.
+ *
+ * @param {object} options
+ * @param {object} options.site  `name`, `description`, `tagline` and `baseUrl`
+ * @param {object[]} options.sections  sidebar sections holding only documents
+ * @param {string} options.buildTime  YYYY-MM-DD
+ */
+export function llmsTxt({ site, sections, buildTime }) {
+  const url = (relative) => pageUrl(site.baseUrl, relative) || relative;
+  const documents = sections.reduce((sum, section) => sum + section.pages.length, 0);
+  const about =
+    `${documents} documents, generated ${buildTime}. Each link is a document as markdown, its links ` +
+    `resolved to the site; [llms-full.txt](${url('llms-full.txt')}) holds all of them in one file.`;
+  const lists = sections.map((section) => {
+    const items = section.pages.map((page) => {
+      const link = `- [${page.title}](${url(`${page.slug}.md`)})`;
+      return page.description ? `${link}: ${page.description}` : link;
+    });
+    return `## ${section.title}\n\n${items.join('\n')}`;
+  });
+  return `# ${site.name}
+
+> ${site.description}
+
+${site.tagline ? `${site.tagline}\n\n` : ''}${about}
+
+${lists.join('\n\n')}
+`;
+}
+
+/**
+ * llms-full.txt: every document's markdown copy, in sidebar order, each inside
+ * `<document slug title section source url>` … `</document>`. The markers only
+ * change when the document's own metadata does.
+ */
+export function llmsFullTxt({ site, sections, buildTime }) {
+  const documents = sections.flatMap((section) =>
+    section.pages.map((page) => {
+      const attributes = {
+        slug: page.slug,
+        title: page.title,
+        section: section.title,
+        source: page.source,
+        url: pageUrl(site.baseUrl, `${page.slug}.html`) || `${page.slug}.html`,
+      };
+      const start = Object.entries(attributes)
+        .map(([name, value]) => `${name}="${escapeHtml(value)}"`)
+        .join(' ');
+      return `<document ${start}>\n${page.markdown}</document>`;
+    })
+  );
+  return `# ${site.name} documentation
+
+> ${site.description}
+
+${documents.length} documents, generated ${buildTime}, in the order of the site's sidebar.
+
+${documents.join('\n\n')}
+`;
+}
+
+/* ---- helpers ------------------------------------------------------ */
+
+/** Fenced code blocks and inline code spans. */
+const CODE = /^ {0,3}(`{3,}|~{3,})[^\n]*\n[\s\S]*?^ {0,3}\1[^\n]*$|(`+)(?!`)[\s\S]*?[^`]\2(?!`)/gm;
+
+/** An HTML comment, and one that fills its lines: only then does its line break go too. */
+const COMMENT = /[ \t]*<!--(?:(?!-->)[\s\S])*-->/g;
+const COMMENT_LINES = /^[ \t]*<!--(?:(?!-->)[\s\S])*-->[ \t]*\n/gm;
+
+/** `[text](href` and `![alt](src` — up to the destination, which is captured. */
+const INLINE_LINK = /(!?\[(?:[^[\]\n]|\[[^[\]\n]*\])*\]\(\s*)(<[^>\n]*>|[^\s()]+(?:\([^\s()]*\)[^\s()]*)*)/g;
+
+/** `[label]: href` reference definitions. */
+const LINK_DEFINITION = /^( {0,3}\[[^\]\n]+\]:[ \t]*)(<[^>\n]*>|\S+)/gm;
+
+/**
+ * Where a link in the copy of `options.slug` goes: to a document's markdown
+ * copy, or wherever the site's page sends it.
+ */
+function copyHref(destination, options) {
+  const href = destination.replace(/^<|>$/g, '');
+  if (!href) return destination;
+  const resolved = href.startsWith('#') ? `${options.slug}.html${href}` : resolveHref(href, options).href;
+  const page = /^([\w.-]+)\.html(#.*)?$/.exec(resolved);
+  const copy = page && `${page[1]}.md${page[2] || ''}`;
+  const target = copy ? pageUrl(options.baseUrl, copy) || copy : resolved;
+  return /[\s()]/.test(target) ? `<${target}>` : target;
+}
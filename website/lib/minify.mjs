@@ -0,0 +1,179 @@
+/**
+ * Minifiers for production builds (`--production`), with no dependencies.
+ *
+ * They are deliberately conservative: comments and layout whitespace go,
+ * nothing is renamed or restructured. Each one knows only enough syntax to
+ * leave strings, regular expressions and preformatted text alone, which is all
+ * the site's own HTML, CSS and JavaScript needs.
+ */
+
+/* ---- HTML ---------------------------------------------------------- */
+
+/** Elements whose contents are copied through untouched. */
+const RAW_ELEMENTS = /<(pre|textarea|script|style)\b[^>]*>[\s\S]*?<\/\1>/gi;
+
+/**
+ * Drop comments and indentation. A run of whitespace becomes one space, or one
+ * newline if it had one: both render the same, so the page looks identical.
+ */
+export function minifyHtml(html) {
+  const source = String(html);
+  let out = '';
+  let from = 0;
+  for (const match of source.matchAll(RAW_ELEMENTS)) {
+    out += collapseHtml(source.slice(from, match.index)) + match[0];
+    from = match.index + match[0].length;
+  }
+  return (out + collapseHtml(source.slice(from))).trim() + '\n';
+}
+
+function collapseHtml(text) {
+  return text
+    .replace(/<!--(?!\[)[\s\S]*?-->/g, '')
+    .replace(/\s+/g, (space) => (space.includes('\n') ? '\n' : ' '));
+}
+
+/* ---- CSS ----------------------------------------------------------- */
+
+/** Drop comments and whitespace that no selector, value or media query needs. */
+export function minifyCss(css) {
+  let out = '';
+  for (const part of String(css).split(/("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\/\*[\s\S]*?\*\/)/)) {
+    if (part.startsWith('/*')) continue;
+    if (part.startsWith('"') || part.startsWith("'")) {
+      out += part;
+      continue;
+    }
+    // A space before ":" can be a descendant combinator (`nav :focus`), so only
+    // the space after one goes; "+" and "-" keep theirs for calc().
+    out += part
+      .replace(/\s+/g, ' ')
+      .replace(/\s*([{};,>])\s*/g, '$1')
+      .replace(/:\s+/g, ':');
+  }
+  return `${out.replace(/;}/g, '}').trim()}\n`;
+}
+
+/* ---- JavaScript ---------------------------------------------------- */
+
+/** After one of these, a `/` starts a regular expression rather than dividing. */
+const BEFORE_REGEX = new Set([...'(,=:[!&|?{};+-*%<>~^']);
+const REGEX_KEYWORDS = new Set(
+  ['return', 'typeof', 'case', 'do', 'else', 'in', 'of', 'new', 'delete', 'void', 'throw']
+);
+
+/** Line breaks after these, or before the next set, never end a statement. */
+const JOINS_NEXT = new Set([...'{;,([=:?&|<>!']);
+const JOINS_PREVIOUS = new Set([...'})];,.:?']);
+
+const isWord = (char) => /[\w$]/.test(char || '');
+
+/**
+ * Drop comments, indentation and blank lines. Line breaks that automatic
+ * semicolon insertion might depend on are kept.
+ */
+export function minifyJs(js) {
+  const source = String(js);
+  let out = '';
+  let i = 0;
+
+  // The last thing written that is not whitespace, to tell regex from division.
+  const lastSignificant = () => {
+    const trimmed = out.trimEnd();
+    const word = /[\w$]+$/.exec(trimmed);
+    return { char: trimmed.slice(-1), word: word ? word[0] : '' };
+  };
+
+  while (i < source.length) {
+    const char = source[i];
+    const next = source[i + 1];
+
+    // Whitespace and comments alike separate tokens.
+    if (/\s/.test(char) || (char === '/' && (next === '/' || next === '*'))) {
+      let newline = false;
+      for (;;) {
+        if (/\s/.test(source[i] || '')) {
+          newline ||= source[i] === '\n';
+          i += 1;
+        } else if (source.startsWith('//', i)) {
+          while (i < source.length && source[i] !== '\n') i += 1;
+        } else if (source.startsWith('/*', i)) {
+          const end = source.indexOf('*/', i + 2);
+          const stop = end < 0 ? source.length : end + 2;
+          newline ||= source.slice(i, stop).includes('\n');
+          i = stop;
+        } else {
+          break;
+        }
+      }
+      const prev = out.slice(-1);
+      const following = source[i];
+      if (!prev || following === undefined) continue;
+      if (newline) {
+        if (!JOINS_NEXT.has(prev) && !JOINS_PREVIOUS.has(following)) out += '\n';
+      } else if ((isWord(prev) && isWord(following)) || ('+-'.includes(prev) && prev === following)) {
+        out += ' ';
+      }
+      continue;
+    }
+    if (char === '"' || char === "'" || char === '`') {
+      const start = i;
+      i = skipString(source, i);
+      out += source.slice(start, i);
+      continue;
+    }
+    if (char === '/') {
+      const { char: before, word } = lastSignificant();
+      if (!before || BEFORE_REGEX.has(before) || REGEX_KEYWORDS.has(word)) {
+        const start = i;
+        let inClass = false;
+        i += 1;
+        while (i < source.length && (inClass || source[i] !== '/')) {
+          if (source[i] === '\\') i += 1;
+          else if (source[i] === '[') inClass = true;
+          else if (source[i] === ']') inClass = false;
+          i += 1;
+        }
+        i += 1;
+        while (isWord(source[i])) i += 1;
+        out += source.slice(start, i);
+        continue;
+      }
+    }
+    out += char;
+    i += 1;
+  }
+  return `${out.trim()}\n`;
+}
+
+/**
+ * The index just past the string or template literal that opens at `i`. A
+ * template's `${}` expressions are skipped whole, with any strings and
+ * templates nested in them, so the text around them stays untouched.
+ */
+function skipString(source, i) {
+  const quote = source[i];
+  i += 1;
+  while (i < source.length && source[i] !== quote) {
+    if (source[i] === '\\') i += 2;
+    else if (quote === '`' && source.startsWith('${', i)) i = skipExpression(source, i + 2);
+    else i += 1;
+  }
+  return i + 1;
+}
+
+/** The index just past the `}` that closes the template expression starting at `i`. */
+function skipExpression(source, i) {
+  let depth = 0;
+  while (i < source.length) {
+    const char = source[i];
+    if (char === '"' || char === "'" || char === '`') {
+      i = skipString(source, i);
+    } else {
+      if (char === '{') depth += 1;
+      else if (char === '}' && !depth--) return i + 1;
+      i += 1;
+    }
+  }
+  return i;
+}
@@ -0,0 +1,151 @@
+/**
+ * Offline reading: a service worker (sw.js) and web manifest
+ * (manifest.webmanifest) at the site root, written when `site.offline` is set.
+ *
+ * The worker precaches every page and asset of the build. Its cache is named
+ * after a hash of those files, so a new build installs a fresh cache and
+ * deletes the stale one. Pages come from the network while there is one and
+ * from the cache when there is not; assets, whose names change with their
+ * contents in production builds, come from the cache first. app.js registers
+ * the worker only over HTTP(S) — under file:// the feature stays off.
+ */
+
+/** Outputs that are not worth a place in the cache: compressed copies, machine-readable files, downloads. */
+const NOT_PRECACHED = /\.(?:br|gz|xml|txt|md|json|epub)$|^social\/|^\.nojekyll$/;
+
+/** The light theme's page background, shown while an installed copy starts. */
+const BACKGROUND_COLOR = '#faf8f4';
+
+/**
+ * The files to precache, from a build's output list: every page and asset
+ * except redirect stubs, relative to the site root.
+ */
+export function precacheList(outputs, redirects) {
+  const stubs = new Set(redirects.map(({ from }) => `${from}.html`));
+  return outputs.filter((file) => !NOT_PRECACHED.test(file) && !stubs.has(file)).sort();
+}
+
+/** manifest.webmanifest: what a browser needs to install the docs as an app. */
+export function webManifest({ name, description, icon, themeColor }) {
+  const manifest = {
+    name: `${name} documentation`,
+    short_name: `${name} docs`,
+    description,
+    start_url: './',
+    scope: './',
+    display: 'minimal-ui',
+    theme_color: themeColor,
+    background_color: BACKGROUND_COLOR,
+    icons: [{ src: icon, sizes: 'any', type: 'image/svg+xml' }],
+  };
+  return `${JSON.stringify(manifest, null, 2)}\n`;
+}
+
+/** sw.js for `files` (paths relative to the worker) at cache version `version`. */
+export function serviceWorker({ version, files }) {
+  return `/* Memory Timeline documentation — offline service worker, generated by the build.
+   Precaches every page and asset of one build. A new build changes VERSION, so
+   the browser installs a fresh cache and this worker deletes the stale one. */
+
+'use strict';
+
+var VERSION = ${JSON.stringify(version)};
+// Several sites can share an origin (GitHub project pages do): caches are per scope.
+var PREFIX = 'mt-docs:' + self.registration.scope + ':';
+var CACHE = PREFIX + VERSION;
+var FILES = ${JSON.stringify(files, null, 2)};
+// Production asset names carry a hash of their contents: a saved copy of one
+// is never stale. Any other asset can change under the same name.
+var FINGERPRINTED = /\\.[0-9a-f]{10}\\.\\w+$/;
+
+// Past the browser's HTTP cache, which may still hold the previous build.
+function fresh(files) {
+  return files.map(function (file) {
+    return new Request(file, { cache: 'reload' });
+  });
+}
+
+self.addEventListener('install', function (event) {
+  event.waitUntil(
+    caches
+      .open(CACHE)
+      .then(function (cache) {
+        return cache.addAll(fresh(FILES));
+      })
+      .then(function () {
+        return self.skipWaiting();
+      })
+  );
+});
+
+self.addEventListener('activate', function (event) {
+  event.waitUntil(
+    caches
+      .keys()
+      .then(function (keys) {
+        return Promise.all(
+          keys
+            .filter(function (key) {
+              return key.indexOf(PREFIX) === 0 && key !== CACHE;
+            })
+            .map(function (key) {
+              return caches.delete(key);
+            })
+        );
+      })
+      .then(function () {
+        // The assets whose names do not change, fetched again now that this
+        // worker takes over; a failed fetch keeps the copy from install.
+        return caches.open(CACHE).then(function (cache) {
+          var assets = FILES.filter(function (file) {
+            return file.indexOf('assets/') === 0 && !FINGERPRINTED.test(file);
+          });
+          return cache.addAll(fresh(assets)).catch(function () {});
+        });
+      })
+      .then(function () {
+        return self.clients.claim();
+      })
+  );
+});
+
+self.addEventListener('fetch', function (event) {
+  var request = event.request;
+  var url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== location.origin) return;
+  if (url.pathname.slice(-1) === '/') url.pathname += 'index.html';
+  url.search = '';
+
+  // Pages: the network while there is one, so a deploy shows at once; the
+  // saved copy, or the saved 404 page, without it. Fingerprinted assets: the
+  // saved copy. Other assets: the saved copy, refreshed from the network for
+  // next time (stale-while-revalidate).
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request).catch(function () {
+        return caches.open(CACHE).then(function (cache) {
+          return cache.match(url.href).then(function (saved) {
+            return saved || cache.match(new URL('404.html', self.registration.scope).href);
+          });
+        });
+      })
+    );
+    return;
+  }
+  event.respondWith(
+    caches.open(CACHE).then(function (cache) {
+      return cache.match(url.href).then(function (saved) {
+        if (saved && FINGERPRINTED.test(url.pathname)) return saved;
+        var update = fetch(request).then(function (response) {
+          if (saved && response.ok) cache.put(url.href, response.clone());
+          return response;
+        });
+        if (!saved) return update;
+        event.waitUntil(update.catch(function () {}));
+        return saved;
+      });
+    })
+  );
+});
+`;
+}
@@ -0,0 +1,915 @@
+/**
+ * The build pipeline: configuration and markdown in, a static site out.
+ *
+ * `buildSite()` is what build.mjs runs, exposed so other tooling and tests can
+ * drive a build without going through the command line. It does no logging and
+ * never sets an exit code; everything worth reporting comes back in its result,
+ * alongside the build manifest that is also written to `manifest.json`.
+ *
+ * Builds are reproducible: the same documents, config and generator always give
+ * byte-identical output. The only date on the site comes from the sources (see
+ * `sourceDate`) rather than the clock, and everything is emitted in config order.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { apiIndex, apiPage, apiPagePath } from './api.mjs';
+import { bookChapters } from './book.mjs';
+import { emptyManifest, generatorVersion, hash, loadManifest, saveManifest } from './cache.mjs';
+import { documentChanges, WHATS_NEW_DAYS } from './changes.mjs';
+import { COMPRESSIBLE, ENCODINGS } from './compress.mjs';
+import { expandSections, listMarkdown, unlistedDocuments } from './discover.mjs';
+import { epubArchive, epubFileName } from './epub.mjs';
+import { atomFeed, FEED_ENTRIES, feedChanges } from './feed.mjs';
+import { applyFrontMatter, checkFrontMatter, splitFrontMatter } from './frontmatter.mjs';
+import { fileHistory, lastCommitTime } from './git.mjs';
+import { llmsFullTxt, llmsTxt, markdownCopy } from './llms.mjs';
+import { minifyCss, minifyHtml, minifyJs } from './minify.mjs';
+import { precacheList, serviceWorker, webManifest } from './offline.mjs';
+import { renderPng } from './png.mjs';
+import { readPreviousBuild, resolveRedirects } from './redirects.mjs';
+import { htmlSections, markdownExcerpt, renderMarkdown, toPlainText } from './render.mjs';
+import { CARD_HEIGHT, CARD_WIDTH, socialCard, socialSvg } from './social.mjs';
+import { pageUrl, robotsTxt, sitemapXml } from './sitemap.mjs';
+import {
+  BRAND_ICON,
+  layout,
+  renderDocHeader,
+  renderBook,
+  renderBookSidebar,
+  renderDocMap,
+  renderFeedEntry,
+  renderLanding,
+  renderNotFound,
+  renderPageHistory,
+  renderPager,
+  renderRedirect,
+  renderSidebar,
+  renderToc,
+  renderWhatsNew,
+  THEME_COLOR,
+} from './templates.mjs';
+import { ConfigError, validateConfig } from './validate.mjs';
+import { LATEST } from './versions.mjs';
+
+/** The website directory: the generator and its static assets. */
+const websiteRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+/** Bump when the shape of manifest.json changes. */
+export const SITE_MANIFEST_VERSION = 1;
+
+export const WORDS_PER_MINUTE = 220;
+
+/** Commits listed in a page's history panel; the full history is a link away. */
+const HISTORY_LIMIT = 8;
+
+// Landing-page `stats[].key` values the build fills in from the rendered corpus.
+export const STAT_KEYS = ['docs', 'words'];
+
+/**
+ * Build one site from `config` and the documents under `repoRoot`.
+ *
+ * @param {object} options
+ * @param {{ site: object, sections: object[], landing: object }} options.config
+ * @param {string} options.repoRoot  the repository the config's `source` paths are relative to
+ * @param {string} [options.outDir]  where to write; required unless `write` is false or a function
+ * @param {boolean|Function} [options.write=true]  false builds in memory only; a function
+ *   `(relative, contents)` receives every output file instead of the disk
+ * @param {string} [options.cacheFile]  incremental build manifest; without one every build is clean
+ * @param {boolean} [options.clean]  ignore the cache
+ * @param {boolean} [options.lenient]  keep going despite configuration problems
+ * @param {boolean} [options.drafts]  include documents marked `draft: true`
+ * @param {{ id: string, root: string }} [options.version]  adds the version switcher
+ * @param {Date} [options.date]  the build date shown on every page; defaults to `sourceDate()`
+ * @param {string} [options.historyRef='HEAD']  the revision whose git history the pages show: page
+ *   history, "What's new", the feeds and the build date
+ * @param {string} [options.previousBuild]  a build whose manifest.json names the slugs that need
+ *   redirect stubs now; defaults to `outDir`
+ * @param {boolean} [options.production]  minify HTML, CSS and JavaScript, name assets by their
+ *   content hash and write pre-compressed `.br` and `.gz` copies
+ * @returns {Promise<{ manifest: object, report: object }>} `manifest` is what manifest.json
+ *   holds; `report` carries lenient problems, missing sources, drafts left out, unlisted
+ *   documents, redirects, incremental-build counts, files over `site.budgets` and, in
+ *   production, sizes before and after minifying and compressing
+ * @throws {ConfigError} when the configuration has problems and `lenient` is off
+ */
+export async function buildSite({
+  config: { site, sections: configSections, landing },
+  repoRoot,
+  outDir,
+  write = true,
+  cacheFile = null,
+  clean = false,
+  lenient = false,
+  drafts: includeDrafts = false,
+  version = null,
+  date = null,
+  previousBuild = outDir,
+  production = false,
+  historyRef = 'HEAD',
+}) {
+  const toDisk = write === true;
+
+  /* ---- resolve sections, read documents, validate --------------- */
+  const markdownFiles = await listMarkdown(repoRoot);
+  const expanded = await expandSections(configSections, { repoRoot, files: markdownFiles });
+  const { sections, sources, problems } = await readDocuments(expanded, repoRoot);
+
+  problems.push(
+    ...validateConfig(
+      { site, sections, landing },
+      { repoRoot, statKeys: STAT_KEYS, files: markdownFiles, sources, drafts: includeDrafts }
+    )
+  );
+  if (problems.length && !lenient) throw new ConfigError(problems);
+
+  // Read before anything is written: a clean build empties outDir.
+  const lastBuild = await readPreviousBuild(previousBuild);
+
+  const unlisted = unlistedDocuments(markdownFiles, sections, site.ignore);
+
+  /* ---- flatten the page list ------------------------------------- */
+  let drafts = 0;
+  const pages = [];
+  for (const section of sections) {
+    for (const page of arrangePages(section.pages)) {
+      if (page.draft && !includeDrafts) {
+        drafts += 1;
+        continue;
+      }
+      pages.push({ ...page, sectionId: section.id, sectionTitle: section.title });
+    }
+  }
+
+  const pageIndex = new Map(pages.map((p) => [p.slug, p]));
+  const pathToSlug = new Map();
+  for (const page of pages) {
+    // A missing document is no page: links to it go to the repository instead.
+    if (sources.has(page.source)) pathToSlug.set(page.source.replace(/^\.\//, ''), page.slug);
+  }
+
+  /* ---- load the build cache -------------------------------------- */
+  // Rendered HTML depends on which documents are pages (link rewriting), and
+  // `include` globs make that depend on the file system as well as the config.
+  const cacheKey = {
+    outDir,
+    generator: await generatorVersion(websiteRoot),
+    config: hash(
+      JSON.stringify({ site, sections: configSections, landing, pages: [...pathToSlug], version, production })
+    ),
+  };
+  const useCache = toDisk && cacheFile && !clean;
+  const previous = useCache ? await loadManifest(cacheFile, cacheKey) : null;
+  const manifest = emptyManifest(cacheKey);
+  const prior = previous || manifest;
+  // What watch mode watches: every configured document, and the globs that can add one.
+  manifest.inputs = {
+    sources: configSections.flatMap((section) => section.pages || []).flatMap((page) => page.source || []),
+    include: configSections.flatMap((section) => section.include || []),
+  };
+
+  /* ---- render every markdown document ---------------------------- */
+  const searchIndex = [];
+  const missing = [];
+  let totalWords = 0;
+  let rerendered = 0;
+
+  for (const page of pages) {
+    if (!page.source) continue;
+
+    const markdown = sources.get(page.source);
+    if (markdown === undefined) {
+      page.missing = true;
+      missing.push(page.source);
+      continue;
+    }
+
+    const sourceHash = hash(markdown);
+    const cached = prior.pages[page.slug];
+    let rendered;
+    if (cached && cached.source === page.source && cached.hash === sourceHash) {
+      rendered = cached;
+    } else {
+      rendered = { source: page.source, hash: sourceHash, ...renderDocument(page, markdown, pathToSlug, site) };
+      rerendered += 1;
+    }
+    manifest.pages[page.slug] = rendered;
+
+    totalWords += rendered.stats.words;
+    page.html = rendered.html;
+    page.toc = rendered.toc;
+    page.stats = rendered.stats;
+    page.links = rendered.links;
+    page.markdown = rendered.markdown;
+    // History moves with commits, not with the source, so it is never cached.
+    page.history = await pageHistory(repoRoot, page.source, historyRef);
+    searchIndex.push(...rendered.search);
+  }
+
+  const livePages = pages.filter((p) => !p.missing);
+  const liveSections = sections
+    .map((s) => ({
+      ...s,
+      pages: livePages.filter((p) => p.sectionId === s.id),
+    }))
+    .filter((s) => s.pages.length);
+
+  const docPages = livePages.filter((p) => p.source);
+  const totals = {
+    docs: docPages.length,
+    words: totalWords,
+    minutes: Math.round(totalWords / WORDS_PER_MINUTE),
+  };
+
+  const stamp = date || (await sourceDate(repoRoot, docPages.map((p) => p.source), historyRef));
+  const buildTime = stamp.toISOString().slice(0, 10);
+
+  // Fill the landing-page counters from the corpus we just rendered.
+  const statValues = {
+    docs: String(totals.docs),
+    words: totals.words >= 1000 ? `${Math.round(totals.words / 1000)}k` : String(totals.words),
+  };
+  const landingWithStats = {
+    ...landing,
+    stats: landing.stats.map((s) => (s.key && statValues[s.key] ? { ...s, value: statValues[s.key] } : s)),
+  };
+
+  // Only the site root carries robots.txt, the sitemap and the feeds; older
+  // versions link to the current feed.
+  const atSiteRoot = !version || version.id === LATEST;
+  const feedSections = atSiteRoot && site.baseUrl ? liveSections.filter((s) => s.feed) : [];
+  const feedLinks = (sectionId) =>
+    site.baseUrl
+      ? [
+          { title: `${site.name} documentation updates`, href: `${version ? version.root : ''}atom.xml` },
+          ...feedSections
+            .filter((s) => s.id === sectionId)
+            .map((s) => ({ title: `${site.name} — ${s.title} updates`, href: `feeds/${s.id}.xml` })),
+        ]
+      : [];
+
+  // Recent history, behind "What's new" and the feeds alike.
+  const wantsHistory = livePages.some((p) => p.kind === 'changes') || (atSiteRoot && site.baseUrl);
+  const recentChanges = wantsHistory ? await documentChanges(repoRoot, docPages, { rev: historyRef }) : [];
+
+  /* ---- assets ---------------------------------------------------- */
+  // Fixed names normally. In production they are minified and named by content
+  // hash, so a browser can cache them for good and never runs a stale copy.
+  const searchIndexScript =
+    `window.MT_SEARCH_INDEX=${JSON.stringify(searchIndex)};\n` +
+    `window.MT_SEARCH_PAGES=${JSON.stringify(Object.fromEntries(docPages.map((p) => [p.slug, p.title])))};\n`;
+  const assets = [];
+  for (const [name, source] of [
+    ['styles.css', await fs.readFile(path.join(websiteRoot, 'assets', 'styles.css'), 'utf8')],
+    ['print.css', await fs.readFile(path.join(websiteRoot, 'assets', 'print.css'), 'utf8')],
+    ['app.js', await fs.readFile(path.join(websiteRoot, 'assets', 'app.js'), 'utf8')],
+    ['search-index.js', searchIndexScript],
+  ]) {
+    const contents = !production ? source : name.endsWith('.css') ? minifyCss(source) : minifyJs(source);
+    const fingerprint = (ext) => `.${hash(contents).slice(0, 10)}${ext}`;
+    assets.push({
+      name,
+      output: `assets/${production ? name.replace(/\.\w+$/, fingerprint) : name}`,
+      contents,
+      before: Buffer.byteLength(source),
+      after: Buffer.byteLength(contents),
+    });
+  }
+
+  const shellCommon = {
+    assets: Object.fromEntries(assets.map((a) => [a.name, a.output])),
+    webManifest: site.offline ? `${version ? version.root : ''}manifest.webmanifest` : null,
+    siteName: site.name,
+    repoUrl: site.repoUrl,
+    buildTime,
+    pageCount: totals.docs,
+    version,
+    feeds: feedLinks(null),
+  };
+
+  /* ---- write output ---------------------------------------------- */
+  // Without a usable cache nothing on disk can be trusted: start from empty.
+  if (toDisk && !previous) await fs.rm(outDir, { recursive: true, force: true });
+
+  let written = 0;
+  const sizes = new Map();
+  let htmlBefore = 0;
+  const emit = async (relative, source) => {
+    let contents = source;
+    if (production && relative.endsWith('.html')) {
+      contents = minifyHtml(source);
+      htmlBefore += Buffer.byteLength(source);
+    }
+    sizes.set(relative, Buffer.byteLength(contents));
+    if (production && COMPRESSIBLE.test(relative)) {
+      for (const { suffix, compress } of ENCODINGS) await emit(`${relative}${suffix}`, compress(contents));
+    }
+    const digest = hash(contents);
+    manifest.outputs[relative] = digest;
+    if (typeof write === 'function') {
+      await write(relative, contents);
+    } else if (toDisk) {
+      const file = path.join(outDir, relative);
+      if (prior.outputs[relative] === digest && (await exists(file))) return;
+      await writeFile(file, contents);
+    } else {
+      return;
+    }
+    written += 1;
+  };
+
+  // A social preview card per page: always SVG, PNG as well when configured,
+  // since most link previewers only take raster images. Resolves with the
+  // layout's `image`.
+  const socialImage = async (slug, card) => {
+    const scene = socialCard({ siteName: site.name, ...card });
+    await emit(`social/${slug}.svg`, socialSvg(scene));
+    if (site.socialPng) await emit(`social/${slug}.png`, renderPng(scene));
+    const file = `social/${slug}.${site.socialPng ? 'png' : 'svg'}`;
+    return {
+      url: pageUrl(site.baseUrl, file) || file,
+      width: CARD_WIDTH,
+      height: CARD_HEIGHT,
+      alt: `${card.title} — ${site.name} documentation`,
+    };
+  };
+
+  const pageEntries = [];
+  const emitPage = async (entry, html) => {
+    await emit(entry.output, html);
+    pageEntries.push({ ...entry, hash: manifest.outputs[entry.output] });
+  };
+
+  // Document pages
+  for (let i = 0; i < livePages.length; i += 1) {
+    const page = livePages[i];
+    if (!page.source) continue;
+
+    const prev = findNeighbour(livePages, i, -1);
+    const next = findNeighbour(livePages, i, 1);
+
+    const content = `
+${renderDocHeader(page, page.stats, site.repoUrl, site.branch)}
+<div class="doc-grid">
+  <article class="prose">
+${page.html}
+${renderPageHistory(page, site.repoUrl, site.branch)}
+${renderPager(prev, next)}
+  </article>
+${renderToc(page.toc)}
+</div>`;
+
+    await emit(`${page.slug}.md`, page.markdown);
+    await emit(apiPagePath(page.slug), `${JSON.stringify(apiPage(page, site), null, 2)}\n`);
+    await emitPage(
+      {
+        slug: page.slug,
+        title: page.title,
+        kind: 'document',
+        section: page.sectionId,
+        source: page.source,
+        output: `${page.slug}.html`,
+        words: page.stats.words,
+        updated: page.history ? page.history.updated : null,
+        commits: page.history ? page.history.commits : 0,
+        toc: page.toc,
+        links: page.links,
+      },
+      layout({
+        ...shellCommon,
+        title: `${page.title} · ${site.name} docs`,
+        description: page.description,
+        bodyClass: 'page-doc',
+        activeSlug: page.slug,
+        canonical: pageUrl(site.baseUrl, `${page.slug}.html`),
+        feeds: feedLinks(page.sectionId),
+        image: await socialImage(page.slug, {
+          title: page.title,
+          kicker: page.sectionTitle,
+          meta: [page.audience && `For ${page.audience}`, `${page.stats.minutes} min read`].filter(Boolean),
+        }),
+        sidebar: renderSidebar(liveSections, page.slug, page.toc),
+        content,
+      })
+    );
+  }
+
+  // Landing page
+  const landingContent = renderLanding({
+    landing: landingWithStats,
+    site,
+    sections: liveSections,
+    pageIndex,
+    totals,
+  });
+  await emitPage(
+    generatedEntry('index', site.name, 'landing', landingContent),
+    layout({
+      ...shellCommon,
+      title: `${site.name} — documentation`,
+      description: site.description,
+      bodyClass: 'page-landing',
+      activeSlug: 'index',
+      canonical: pageUrl(site.baseUrl, 'index.html'),
+      image: await socialImage('index', {
+        title: site.tagline || site.name,
+        kicker: pageIndex.get('index')?.sectionTitle,
+        meta: [`${totals.docs} documents`, `about ${totals.minutes} min of reading`],
+      }),
+      sidebar: renderSidebar(liveSections, 'index', null),
+      content: landingContent,
+    })
+  );
+
+  // Documentation map
+  const mapContent = renderDocMap({
+    sections: liveSections,
+    totals,
+    repoUrl: site.repoUrl,
+    branch: site.branch,
+  });
+  await emitPage(
+    generatedEntry('documentation-map', 'All documentation', 'map', mapContent),
+    layout({
+      ...shellCommon,
+      title: `All documentation · ${site.name}`,
+      description: `Every ${site.name} Windows Native document, with size, reading time and section previews.`,
+      bodyClass: 'page-map',
+      activeSlug: 'documentation-map',
+      canonical: pageUrl(site.baseUrl, 'documentation-map.html'),
+      image: await socialImage('documentation-map', {
+        title: 'All documentation',
+        kicker: pageIndex.get('documentation-map')?.sectionTitle,
+        meta: [`${totals.docs} documents`, `${totals.words.toLocaleString('en-US')} words`],
+      }),
+      sidebar: renderSidebar(liveSections, 'documentation-map', null),
+      content: mapContent,
+    })
+  );
+
+  // What's new: generated for a configured page of kind "changes"
+  for (const page of livePages.filter((p) => p.kind === 'changes')) {
+    const changesContent = renderWhatsNew({
+      page,
+      days: recentChanges,
+      windowDays: WHATS_NEW_DAYS,
+      repoUrl: site.repoUrl,
+    });
+    await emitPage(
+      { ...generatedEntry(page.slug, page.title, 'changes', changesContent), section: page.sectionId },
+      layout({
+        ...shellCommon,
+        title: `${page.title} · ${site.name} docs`,
+        description: page.description,
+        bodyClass: 'page-changes',
+        activeSlug: page.slug,
+        canonical: pageUrl(site.baseUrl, `${page.slug}.html`),
+        image: await socialImage(page.slug, { title: page.title, kicker: page.sectionTitle }),
+        sidebar: renderSidebar(liveSections, page.slug, null),
+        content: changesContent,
+      })
+    );
+  }
+
+  // The book and EPUB editions hold the documents, in sidebar order.
+  const docSections = liveSections
+    .map((s) => ({ ...s, pages: s.pages.filter((p) => p.source) }))
+    .filter((s) => s.pages.length);
+  const epub = docSections.length ? epubFileName(site.name) : null;
+
+  // The book edition: generated for a configured page of kind "book"
+  for (const page of livePages.filter((p) => p.kind === 'book')) {
+    const chapters = bookChapters(docSections, { built: new Set(livePages.map((p) => p.slug)) });
+    const bookContent = renderBook({ page, site, chapters, totals, buildTime, epub });
+    await emitPage(
+      { ...generatedEntry(page.slug, page.title, 'book', bookContent), section: page.sectionId },
+      layout({
+        ...shellCommon,
+        title: `${page.title} · ${site.name} docs`,
+        description: page.description,
+        bodyClass: 'page-book',
+        activeSlug: page.slug,
+        canonical: pageUrl(site.baseUrl, `${page.slug}.html`),
+        image: await socialImage(page.slug, {
+          title: page.title,
+          kicker: page.sectionTitle,
+          meta: [`${totals.docs} documents`, `${totals.words.toLocaleString('en-US')} words`],
+        }),
+        sidebar: renderBookSidebar(chapters),
+        content: bookContent,
+      })
+    );
+  }
+
+  // The EPUB edition, for e-readers. Its identifier is its published address.
+  if (epub) {
+    const published = pageUrl(site.baseUrl, `${atSiteRoot ? '' : `${version.id}/`}${epub}`);
+    await emit(
+      epub,
+      epubArchive({
+        title: `${site.name} documentation${atSiteRoot ? '' : ` (${version.id})`}`,
+        site,
+        sections: docSections,
+        css: await fs.readFile(path.join(websiteRoot, 'assets', 'epub.css'), 'utf8'),
+        date: stamp,
+        identifier: published || `${site.repoUrl}#${epub}`,
+      })
+    );
+  }
+
+  // The documents as markdown for language models: an index and the whole corpus.
+  if (atSiteRoot && docSections.length) {
+    await emit('llms.txt', llmsTxt({ site, sections: docSections, buildTime }));
+    await emit('llms-full.txt', llmsFullTxt({ site, sections: docSections, buildTime }));
+  }
+
+  // The JSON content API's index: every page, by sidebar section.
+  const contentIndex = apiIndex({ site, sections: liveSections, buildTime, totals });
+  await emit('api/index.json', `${JSON.stringify(contentIndex, null, 2)}\n`);
+
+  // The 404 page GitHub Pages and serve.mjs return for any address that misses.
+  // Its `base` keeps relative links pointing into the site wherever it is shown.
+  if (atSiteRoot) {
+    await emit(
+      '404.html',
+      layout({
+        ...shellCommon,
+        title: `Page not found · ${site.name} docs`,
+        description: site.description,
+        bodyClass: 'page-not-found',
+        activeSlug: '404',
+        version: null,
+        base: site.baseUrl ? new URL(pageUrl(site.baseUrl, 'index.html')).pathname : null,
+        sidebar: renderSidebar(liveSections, null, null),
+        content: renderNotFound({
+          // The generated pages — home, the map, what's new — are where to start.
+          pages: livePages.filter((p) => p.kind),
+        }),
+      })
+    );
+  }
+
+  // Redirect stubs for slugs that are no longer pages. The landing page and the
+  // map are written whether or not a section lists them.
+  const liveBySlug = new Map([
+    ['index', { slug: 'index', title: site.name }],
+    ['documentation-map', { slug: 'documentation-map', title: 'All documentation' }],
+    ...livePages.map((p) => [p.slug, p]),
+  ]);
+  const configuredSlugs = new Set(sections.flatMap((s) => s.pages.map((p) => p.slug)));
+  const redirects = resolveRedirects({
+    configured: site.redirects,
+    previous: lastBuild,
+    configuredSlugs: new Set([...configuredSlugs, 'index', 'documentation-map']),
+    livePages: liveBySlug,
+    fallback: 'documentation-map',
+  });
+  for (const { from, to } of redirects) {
+    const [slug, anchor] = to.split('#');
+    const target = `${slug}.html${anchor ? `#${anchor}` : ''}`;
+    await emit(
+      `${from}.html`,
+      renderRedirect({
+        target,
+        title: liveBySlug.get(slug).title,
+        siteName: site.name,
+        canonical: pageUrl(site.baseUrl, `${slug}.html`),
+      })
+    );
+  }
+
+  // Static assets
+  for (const asset of assets) await emit(asset.output, asset.contents);
+
+  // Offline reading: the service worker precaches everything above, and its
+  // cache version changes whenever any of it does.
+  if (atSiteRoot && site.offline) {
+    await emit('icon.svg', `${BRAND_ICON}\n`);
+    await emit(
+      'manifest.webmanifest',
+      webManifest({ name: site.name, description: site.description, icon: 'icon.svg', themeColor: THEME_COLOR })
+    );
+    const files = precacheList(Object.keys(manifest.outputs), redirects);
+    const cacheVersion = hash(JSON.stringify(files.map((file) => [file, manifest.outputs[file]])));
+    await emit('sw.js', serviceWorker({ version: cacheVersion, files }));
+  }
+
+  // GitHub Pages: do not run the output through Jekyll.
+  await emit('.nojekyll', '');
+
+  if (atSiteRoot) {
+    if (site.baseUrl) {
+      await emit('robots.txt', robotsTxt(site.baseUrl));
+      const urls = pageEntries.map((entry) => ({
+        url: pageUrl(site.baseUrl, entry.output),
+        lastmod: entry.updated || buildTime,
+      }));
+      await emit('sitemap.xml', sitemapXml(urls));
+    }
+  }
+
+  // Atom feeds: the whole site, and each section that asks for one.
+  if (atSiteRoot && site.baseUrl) {
+    const entries = feedChanges(recentChanges).map((change) => feedEntry(change, site, pathToSlug));
+    const feed = (relative, title, list) =>
+      atomFeed({
+        title,
+        subtitle: site.description,
+        url: pageUrl(site.baseUrl, relative),
+        siteUrl: pageUrl(site.baseUrl, 'index.html'),
+        author: { name: site.name, uri: site.repoUrl },
+        entries: list.slice(0, FEED_ENTRIES),
+      });
+    await emit('atom.xml', feed('atom.xml', `${site.name} documentation`, entries));
+    for (const section of feedSections) {
+      const relative = `feeds/${section.id}.xml`;
+      const list = entries.filter((e) => e.category.term === section.id);
+      await emit(relative, feed(relative, `${site.name} documentation — ${section.title}`, list));
+    }
+  }
+
+  // The machine-readable manifest lists every other output, so it goes last.
+  // Byte budgets: an asset by name, and every page — the book, which holds all
+  // the others, by a limit of its own.
+  const budgets = site.budgets || {};
+  const books = new Set(livePages.filter((p) => p.kind === 'book').map((p) => `${p.slug}.html`));
+  const overBudget = [
+    ...assets.map((a) => ({ file: a.output, bytes: a.after, budget: budgets[a.name] })),
+    ...[...sizes]
+      .filter(([relative]) => relative.endsWith('.html'))
+      .map(([file, bytes]) => ({ file, bytes, budget: books.has(file) ? budgets.book : budgets.page })),
+  ].filter(({ bytes, budget }) => budget !== undefined && bytes > budget);
+
+  const siteManifest = {
+    version: SITE_MANIFEST_VERSION,
+    site: { name: site.name, repoUrl: site.repoUrl, branch: site.branch, baseUrl: site.baseUrl || null },
+    buildTime,
+    totals,
+    pages: pageEntries,
+    redirects: redirects.map(({ from, to }) => ({ from, to, output: `${from}.html` })),
+    files: { ...manifest.outputs },
+  };
+  await emit('manifest.json', `${JSON.stringify(siteManifest, null, 2)}\n`);
+
+  if (toDisk) {
+    // Files the previous build wrote that this one no longer produces.
+    for (const relative of Object.keys(prior.outputs)) {
+      if (!(relative in manifest.outputs)) await fs.rm(path.join(outDir, relative), { force: true });
+    }
+    if (cacheFile) await saveManifest(cacheFile, manifest);
+  }
+
+  return {
+    manifest: siteManifest,
+    report: {
+      problems,
+      missing,
+      drafts,
+      unlisted,
+      redirects,
+      searchSections: searchIndex.length,
+      overBudget,
+      sizes: production ? productionSizes(assets, sizes, htmlBefore) : null,
+      incremental: previous ? { rerendered, written, files: Object.keys(manifest.outputs).length } : null,
+    },
+  };
+}
+
+/**
+ * The date a build of `sources` is stamped with. It must not depend on when the
+ * build runs, or every rebuild would touch every page of the committed site:
+ * `SOURCE_DATE_EPOCH` when set (the reproducible-builds convention), else the
+ * newest commit up to `rev` touching a source document, else — outside git — today.
+ */
+export async function sourceDate(repoRoot, sources, rev = 'HEAD') {
+  const epoch = process.env.SOURCE_DATE_EPOCH;
+  if (epoch !== undefined && epoch !== '') {
+    if (!/^\d+$/.test(epoch.trim())) {
+      throw new Error(`SOURCE_DATE_EPOCH must be whole seconds since 1970-01-01, not "${epoch}"`);
+    }
+    return new Date(Number(epoch) * 1000);
+  }
+  const committed = await lastCommitTime(repoRoot, sources, rev);
+  return committed === null ? new Date() : new Date(committed * 1000);
+}
+
+/**
+ * What a production build did to sizes, as `{ file, before, after, br, gzip }` in
+ * bytes: each asset, then the HTML files together.
+ */
+function productionSizes(assets, sizes, htmlBefore) {
+  const size = (file) => ({
+    after: sizes.get(file),
+    ...Object.fromEntries(ENCODINGS.map(({ encoding, suffix }) => [encoding, sizes.get(`${file}${suffix}`)])),
+  });
+  const pages = [...sizes.keys()].filter((file) => file.endsWith('.html')).map(size);
+  const total = (key) => pages.reduce((sum, page) => sum + page[key], 0);
+  return [
+    ...assets.map(({ output, before }) => ({ file: output, before, ...size(output) })),
+    {
+      file: `${pages.length} HTML files`,
+      before: htmlBefore,
+      after: total('after'),
+      ...Object.fromEntries(ENCODINGS.map(({ encoding }) => [encoding, total(encoding)])),
+    },
+  ];
+}
+
+/**
+ * A feed entry for one document's changes on one day. The excerpt is rendered
+ * like the page itself, so its links point where the page's do.
+ */
+function feedEntry(change, site, pathToSlug) {
+  const { page, date } = change;
+  const url = pageUrl(site.baseUrl, `${page.slug}.html`);
+  const excerpt = change.excerpt
+    ? renderMarkdown(markdownExcerpt(change.excerpt), {
+        sourceDir: path.posix.dirname(page.source.split(path.sep).join('/')),
+        pathToSlug,
+        repoUrl: site.repoUrl,
+        branch: site.branch,
+        heuristicCallouts: heuristicCallouts(page, site),
+      }).html
+    : '';
+  return {
+    id: `${url}#changes-${date}`,
+    title: `${change.created ? 'New' : 'Updated'}: ${page.title}`,
+    url,
+    updated: new Date(change.time * 1000),
+    category: { term: page.sectionId, label: page.sectionTitle },
+    summary: page.description,
+    content: renderFeedEntry(change, excerpt, site.repoUrl),
+  };
+}
+
+/** A manifest entry for a generated page; its links are read off the rendered content. */
+function generatedEntry(slug, title, kind, html) {
+  return {
+    slug,
+    title,
+    kind,
+    section: null,
+    source: null,
+    output: `${slug}.html`,
+    words: 0,
+    updated: null,
+    commits: 0,
+    toc: [],
+    links: outboundLinks(html),
+  };
+}
+
+/**
+ * Read every page's source and apply its front matter over its config entry.
+ * Front-matter problems are returned alongside, attributed to the document; a
+ * source that cannot be read is left for the render step to report as missing.
+ */
+async function readDocuments(expandedSections, repoRoot) {
+  const sources = new Map();
+  const problems = [];
+  const sections = [];
+
+  for (const section of expandedSections) {
+    if (!Array.isArray(section.pages)) {
+      sections.push(section);
+      continue;
+    }
+    const pages = [];
+    for (const page of section.pages) {
+      const markdown = page.source ? await readSource(repoRoot, page.source) : undefined;
+      if (markdown === undefined) {
+        pages.push(page);
+        continue;
+      }
+      sources.set(page.source, markdown);
+      const frontMatter = splitFrontMatter(markdown);
+      problems.push(...checkFrontMatter(frontMatter).map((p) => ({ ...p, file: page.source })));
+      pages.push(applyFrontMatter(page, frontMatter.data));
+    }
+    sections.push({ ...section, pages });
+  }
+
+  return { sections, sources, problems };
+}
+
+async function readSource(repoRoot, source) {
+  try {
+    return await fs.readFile(path.join(repoRoot, source), 'utf8');
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Pages in sidebar order: those with an `order` first, lowest first, then the
+ * rest in config order.
+ */
+function arrangePages(pages) {
+  const rank = (page) => (typeof page.order === 'number' ? page.order : Infinity);
+  return [...pages].sort((a, b) => (rank(a) === rank(b) ? 0 : rank(a) - rank(b)));
+}
+
+/**
+ * Render one document: body HTML without the leading H1, its table of contents,
+ * reading statistics, outbound links, search entries and markdown copy. The
+ * result is what the build cache keeps per document, so it must be plain JSON.
+ */
+function renderDocument(page, markdown, pathToSlug, site) {
+  const options = {
+    sourceDir: path.posix.dirname(page.source.split(path.sep).join('/')),
+    pathToSlug,
+    repoUrl: site.repoUrl,
+    branch: site.branch,
+    heuristicCallouts: heuristicCallouts(page, site),
+  };
+  const { html, toc } = renderMarkdown(markdown, options);
+
+  // The doc header already prints the title, so drop the leading H1.
+  const body = html.replace(/^\s*<h1\b[^>]*>[\s\S]*?<\/h1>\s*/, '');
+
+  const plain = toPlainText(body);
+  const words = plain ? plain.split(/\s+/).length : 0;
+
+  return {
+    html: body,
+    toc,
+    stats: {
+      words,
+      minutes: Math.max(1, Math.round(words / WORDS_PER_MINUTE)),
+      headings: toc.length,
+      bytes: Buffer.byteLength(markdown),
+    },
+    links: outboundLinks(body),
+    search: indexPage(page, body),
+    markdown: markdownCopy(markdown, { ...options, slug: page.slug, baseUrl: site.baseUrl }),
+  };
+}
+
+/**
+ * Whether a document's blockquotes are guessed into callouts by their first
+ * words: the page's own `heuristicCallouts`, else the site's, else not.
+ */
+function heuristicCallouts(page, site) {
+  return page.heuristicCallouts ?? site.heuristicCallouts ?? false;
+}
+
+/** Every distinct link in `html` that leaves the page, in document order. */
+function outboundLinks(html) {
+  const links = new Set();
+  for (const [, href] of html.matchAll(/<a\b[^>]*\shref="([^"#][^"]*)"/g)) {
+    links.add(href.replace(/&amp;/g, '&'));
+  }
+  return [...links];
+}
+
+/** A rendered document's H2 sections, as search index entries. */
+function indexPage(page, html) {
+  return htmlSections(html)
+    .filter(({ title, text }) => title || text)
+    .map(({ id, title, text }) => ({
+      p: page.slug,
+      t: page.title,
+      s: page.sectionTitle,
+      h: title || page.title,
+      a: id,
+      x: (title ? '' : `${page.description} `) + text.slice(0, 4000),
+    }));
+}
+
+/**
+ * A document's git history with dates as `YYYY-MM-DD` (UTC), ready for the
+ * templates: `{ commits, updated, recent: [{ hash, date, subject }] }`, or null.
+ */
+async function pageHistory(repoRoot, source, rev) {
+  const history = await fileHistory(repoRoot, source, HISTORY_LIMIT, rev);
+  if (!history) return null;
+  const isoDate = (seconds) => new Date(seconds * 1000).toISOString().slice(0, 10);
+  return {
+    commits: history.commits,
+    updated: isoDate(history.updated),
+    recent: history.recent.map(({ hash, time, subject }) => ({ hash, date: isoDate(time), subject })),
+  };
+}
+
+function findNeighbour(list, index, step) {
+  for (let i = index + step; i >= 0 && i < list.length; i += step) {
+    if (list[i].source) return list[i];
+  }
+  return null;
+}
+
+async function exists(file) {
+  try {
+    await fs.access(file);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function writeFile(file, contents) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, contents, 'utf8');
+}
@@ -0,0 +1,309 @@
+/**
+ * A small rasterizer for social preview cards (lib/social.mjs), with a PNG
+ * encoder — enough to draw rounded rectangles, circles, lines and text without
+ * a browser or a native image library.
+ *
+ * Shapes are anti-aliased by pixel coverage. Text uses the built-in 5×7 pixel
+ * font below, scaled up: it reads clearly at card size without shipping a font
+ * file, at the price of a deliberately blocky look.
+ */
+
+import zlib from 'node:zlib';
+
+/**
+ * Printable ASCII and the middle dot, one glyph per line: the character, seven
+ * rows of five pixels, and for descenders how many rows the glyph drops below
+ * the baseline. Other characters are approximated (see `glyphText`).
+ */
+const FONT_SOURCE = `
+  ..... ..... ..... ..... ..... ..... .....
+! ..#.. ..#.. ..#.. ..#.. ..#.. ..... ..#..
+" .#.#. .#.#. ..... ..... ..... ..... .....
+# .#.#. .#.#. ##### .#.#. ##### .#.#. .#.#.
+$ ..#.. .#### #.#.. .###. ..#.# ####. ..#..
+% ##... ##..# ...#. ..#.. .#... #..## ...##
+& .##.. #..#. #.#.. .#... #.#.# #..#. .##.#
+' ..#.. ..#.. ..... ..... ..... ..... .....
+( ...#. ..#.. .#... .#... .#... ..#.. ...#.
+) .#... ..#.. ...#. ...#. ...#. ..#.. .#...
+* ..... ..#.. #.#.# .###. #.#.# ..#.. .....
++ ..... ..#.. ..#.. ##### ..#.. ..#.. .....
+, ..... ..... ..... ..... .##.. ..#.. .#...
+- ..... ..... ..... ##### ..... ..... .....
+. ..... ..... ..... ..... ..... .##.. .##..
+/ ..... ....# ...#. ..#.. .#... #.... .....
+0 .###. #...# #..## #.#.# ##..# #...# .###.
+1 ..#.. .##.. ..#.. ..#.. ..#.. ..#.. .###.
+2 .###. #...# ....# ...#. ..#.. .#... #####
+3 ##### ...#. ..#.. ...#. ....# #...# .###.
+4 ...#. ..##. .#.#. #..#. ##### ...#. ...#.
+5 ##### #.... ####. ....# ....# #...# .###.
+6 ..##. .#... #.... ####. #...# #...# .###.
+7 ##### ....# ...#. ..#.. .#... .#... .#...
+8 .###. #...# #...# .###. #...# #...# .###.
+9 .###. #...# #...# .#### ....# ...#. .##..
+: ..... .##.. .##.. ..... .##.. .##.. .....
+; ..... .##.. .##.. ..... .##.. ..#.. .#...
+< ...#. ..#.. .#... #.... .#... ..#.. ...#.
+= ..... ..... ##### ..... ##### ..... .....
+> .#... ..#.. ...#. ....# ...#. ..#.. .#...
+? .###. #...# ....# ...#. ..#.. ..... ..#..
+@ .###. #...# ....# .##.# #.#.# #.#.# .###.
+A .###. #...# #...# ##### #...# #...# #...#
+B ####. #...# #...# ####. #...# #...# ####.
+C .###. #...# #.... #.... #.... #...# .###.
+D ###.. #..#. #...# #...# #...# #..#. ###..
+E ##### #.... #.... ####. #.... #.... #####
+F ##### #.... #.... ####. #.... #.... #....
+G .###. #...# #.... #.### #...# #...# .####
+H #...# #...# #...# ##### #...# #...# #...#
+I .###. ..#.. ..#.. ..#.. ..#.. ..#.. .###.
+J ..### ...#. ...#. ...#. ...#. #..#. .##..
+K #...# #..#. #.#.. ##... #.#.. #..#. #...#
+L #.... #.... #.... #.... #.... #.... #####
+M #...# ##.## #.#.# #.#.# #...# #...# #...#
+N #...# #...# ##..# #.#.# #..## #...# #...#
+O .###. #...# #...# #...# #...# #...# .###.
+P ####. #...# #...# ####. #.... #.... #....
+Q .###. #...# #...# #...# #.#.# #..#. .##.#
+R ####. #...# #...# ####. #.#.. #..#. #...#
+S .#### #.... #.... .###. ....# ....# ####.
+T ##### ..#.. ..#.. ..#.. ..#.. ..#.. ..#..
+U #...# #...# #...# #...# #...# #...# .###.
+V #...# #...# #...# #...# #...# .#.#. ..#..
+W #...# #...# #...# #.#.# #.#.# #.#.# .#.#.
+X #...# #...# .#.#. ..#.. .#.#. #...# #...#
+Y #...# #...# .#.#. ..#.. ..#.. ..#.. ..#..
+Z ##### ....# ...#. ..#.. .#... #.... #####
+[ .###. .#... .#... .#... .#... .#... .###.
+\\ ..... #.... .#... ..#.. ...#. ....# .....
+] .###. ...#. ...#. ...#. ...#. ...#. .###.
+^ ..#.. .#.#. #...# ..... ..... ..... .....
+_ ..... ..... ..... ..... ..... ..... #####
+\` .#... ..#.. ..... ..... ..... ..... .....
+a ..... ..... .###. ....# .#### #...# .####
+b #.... #.... #.##. ##..# #...# #...# ####.
+c ..... ..... .###. #.... #.... #...# .###.
+d ....# ....# .##.# #..## #...# #...# .####
+e ..... ..... .###. #...# ##### #.... .###.
+f ..##. .#..# .#... ###.. .#... .#... .#...
+g .#### #...# #...# #...# .#### ....# .###. 2
+h #.... #.... #.##. ##..# #...# #...# #...#
+i ..#.. ..... .##.. ..#.. ..#.. ..#.. .###.
+j ...#. ..... ..##. ...#. ...#. #..#. .##..
+k #.... #.... #..#. #.#.. ##... #.#.. #..#.
+l .##.. ..#.. ..#.. ..#.. ..#.. ..#.. .###.
+m ..... ..... ##.#. #.#.# #.#.# #...# #...#
+n ..... ..... #.##. ##..# #...# #...# #...#
+o ..... ..... .###. #...# #...# #...# .###.
+p ####. #...# #...# #...# ####. #.... #.... 2
+q .#### #...# #...# #...# .#### ....# ....# 2
+r ..... ..... #.##. ##..# #.... #.... #....
+s ..... ..... .###. #.... .###. ....# ####.
+t .#... .#... ###.. .#... .#... .#..# ..##.
+u ..... ..... #...# #...# #...# #..## .##.#
+v ..... ..... #...# #...# #...# .#.#. ..#..
+w ..... ..... #...# #...# #.#.# #.#.# .#.#.
+x ..... ..... #...# .#.#. ..#.. .#.#. #...#
+y #...# #...# #...# #...# .#### ....# .###. 2
+z ..... ..... ##### ...#. ..#.. .#... #####
+{ ...#. ..#.. ..#.. .#... ..#.. ..#.. ...#.
+| ..#.. ..#.. ..#.. ..#.. ..#.. ..#.. ..#..
+} .#... ..#.. ..#.. ...#. ..#.. ..#.. .#...
+~ ..... ..... .#... #.#.# ...#. ..... .....
+· ..... ..... ..... .##.. .##.. ..... .....
+`;
+
+const GLYPH_WIDTH = 5;
+const GLYPH_HEIGHT = 7;
+
+/** Character → `{ rows, drop }`, rows as arrays of booleans. */
+const FONT = new Map(
+  FONT_SOURCE.split('\n')
+    .filter((line) => line.length > 2)
+    .map((line) => {
+      const fields = line.slice(2).split(' ');
+      const rows = fields.slice(0, GLYPH_HEIGHT).map((row) => [...row].map((c) => c === '#'));
+      return [line[0], { rows, drop: Number(fields[GLYPH_HEIGHT] || 0) }];
+    })
+);
+
+/** Typographic characters the font lacks, spelled with ones it has. */
+const SUBSTITUTES = { '—': '-', '–': '-', '…': '...', '‘': "'", '’': "'", '“': '"', '”': '"', '→': '->' };
+
+/** Draw a card description into a PNG. */
+export function renderPng({ width, height, background, items }) {
+  const canvas = { width, height, pixels: new Uint8Array(width * height * 3) };
+  const [r, g, b] = rgb(background);
+  for (let i = 0; i < canvas.pixels.length; i += 3) {
+    canvas.pixels[i] = r;
+    canvas.pixels[i + 1] = g;
+    canvas.pixels[i + 2] = b;
+  }
+
+  for (const item of items) {
+    const opacity = item.opacity ?? 1;
+    switch (item.type) {
+      case 'rect':
+        fillRect(canvas, item, rgb(item.fill), opacity);
+        break;
+      case 'circle': {
+        const { cx, cy, r: radius } = item;
+        const inside = (x, y) => radius - Math.hypot(x - cx, y - cy);
+        cover(canvas, cx - radius, cy - radius, cx + radius, cy + radius, rgb(item.fill), opacity, inside);
+        break;
+      }
+      case 'line': {
+        const half = item.width / 2;
+        const left = Math.min(item.x1, item.x2) - half;
+        const top = Math.min(item.y1, item.y2) - half;
+        const right = Math.max(item.x1, item.x2) + half;
+        const bottom = Math.max(item.y1, item.y2) + half;
+        cover(canvas, left, top, right, bottom, rgb(item.stroke), opacity, (x, y) => half - segmentDistance(x, y, item));
+        break;
+      }
+      default:
+        drawText(canvas, item);
+    }
+  }
+  return encodePng(canvas);
+}
+
+/* ---- drawing ------------------------------------------------------ */
+
+function fillRect(canvas, { x, y, w, h, r = 0 }, color, opacity) {
+  cover(canvas, x, y, x + w, y + h, color, opacity, (px, py) => {
+    // Distance inside the rectangle, measured to the rounded corner where there is one.
+    const cx = Math.min(Math.max(px, x + r), x + w - r);
+    const cy = Math.min(Math.max(py, y + r), y + h - r);
+    const edge = Math.min(px - x, x + w - px, py - y, y + h - py);
+    return px === cx || py === cy ? edge : r - Math.hypot(px - cx, py - cy);
+  });
+}
+
+/**
+ * Blend `color` over every pixel in the box whose centre is inside the shape;
+ * `inside(x, y)` is the distance from the shape's edge, positive inside, so a
+ * pixel straddling the edge gets partial coverage.
+ */
+function cover(canvas, left, top, right, bottom, color, opacity, inside) {
+  const x0 = Math.max(0, Math.floor(left));
+  const y0 = Math.max(0, Math.floor(top));
+  const x1 = Math.min(canvas.width, Math.ceil(right));
+  const y1 = Math.min(canvas.height, Math.ceil(bottom));
+  for (let y = y0; y < y1; y += 1) {
+    for (let x = x0; x < x1; x += 1) {
+      const coverage = Math.min(1, Math.max(0, inside(x + 0.5, y + 0.5) + 0.5));
+      if (coverage > 0) blend(canvas, x, y, color, coverage * opacity);
+    }
+  }
+}
+
+/**
+ * Text in the pixel font, baseline at `y`. The scale is picked so a glyph is
+ * about as wide as an average character of the SVG fonts, which the card's line
+ * wrapping assumes; bold text gets heavier strokes.
+ */
+function drawText(canvas, { x, y, text, size, fill, weight = 400, spacing = 0 }) {
+  const scale = Math.max(1, Math.floor((size * 0.5) / (GLYPH_WIDTH + 1)));
+  const stroke = weight >= 600 ? scale + Math.ceil(scale / 4) : scale;
+  const color = rgb(fill);
+  const top = Math.round(y - GLYPH_HEIGHT * scale);
+  let left = Math.round(x);
+  for (const char of glyphText(text)) {
+    const { rows, drop } = FONT.get(char) || FONT.get('?');
+    rows.forEach((row, gy) =>
+      row.forEach((on, gx) => {
+        if (!on) return;
+        for (let dy = 0; dy < scale; dy += 1) {
+          for (let dx = 0; dx < stroke; dx += 1) {
+            const px = left + gx * scale + dx;
+            const py = top + (gy + drop) * scale + dy;
+            if (px >= 0 && py >= 0 && px < canvas.width && py < canvas.height) blend(canvas, px, py, color, 1);
+          }
+        }
+      })
+    );
+    left += (GLYPH_WIDTH + 1) * scale + Math.round(spacing);
+  }
+}
+
+/** `text` in the font's character set: accents dropped, typographic marks spelled out. */
+function glyphText(text) {
+  return [...String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '')]
+    .map((char) => SUBSTITUTES[char] ?? char)
+    .join('');
+}
+
+function blend(canvas, x, y, [r, g, b], alpha) {
+  const i = (y * canvas.width + x) * 3;
+  const { pixels } = canvas;
+  pixels[i] = Math.round(pixels[i] + (r - pixels[i]) * alpha);
+  pixels[i + 1] = Math.round(pixels[i + 1] + (g - pixels[i + 1]) * alpha);
+  pixels[i + 2] = Math.round(pixels[i + 2] + (b - pixels[i + 2]) * alpha);
+}
+
+function segmentDistance(px, py, { x1, y1, x2, y2 }) {
+  const dx = x2 - x1;
+  const dy = y2 - y1;
+  const length = dx * dx + dy * dy;
+  const t = length ? Math.min(1, Math.max(0, ((px - x1) * dx + (py - y1) * dy) / length)) : 0;
+  return Math.hypot(px - (x1 + t * dx), py - (y1 + t * dy));
+}
+
+function rgb(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+/* ---- PNG encoding ------------------------------------------------- */
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/** An 8-bit RGB PNG; every scanline unfiltered, which deflate handles well for flat artwork. */
+function encodePng({ width, height, pixels }) {
+  const stride = width * 3;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y += 1) {
+    raw[y * (stride + 1)] = 0;
+    raw.set(pixels.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1);
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header.set([8, 2, 0, 0, 0], 8); // bit depth 8, colour type RGB, default compression, filter, no interlace
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+function chunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+let crcTable = null;
+
+/** CRC-32 (ISO 3309), as PNG chunks and ZIP entries (lib/zip.mjs) use it. */
+export function crc32(buffer) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n += 1) {
+      let c = n;
+      for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
@@ -0,0 +1,63 @@
+/**
+ * Redirect stubs for slugs that are no longer pages.
+ *
+ * GitHub Pages cannot redirect on the server, so every old URL gets a small page
+ * of its own that forwards to the new one — by script, keeping the `#anchor`,
+ * and by meta refresh without script. Old slugs come from `site.redirects` and
+ * from the previous build: a page its manifest.json lists that is no longer
+ * configured moves to the page with the same source document if there is one,
+ * else to the fallback (the documentation map). The manifest records every
+ * redirect, so stubs survive the builds after the one that noticed the change.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+/** The manifest.json of the build in `dir`, or null when there is none to read. */
+export async function readPreviousBuild(dir) {
+  if (!dir) return null;
+  try {
+    const manifest = JSON.parse(await fs.readFile(path.join(dir, 'manifest.json'), 'utf8'));
+    return { pages: manifest.pages || [], redirects: manifest.redirects || [] };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Every redirect this build needs, as `{ from, to }` sorted by `from`, where
+ * `to` is a live page's slug with an optional `#anchor`. Configured redirects
+ * win over detected ones; a chain of renames collapses to its last page.
+ *
+ * @param {object} options
+ * @param {Record<string, string>} [options.configured]  `site.redirects`
+ * @param {{ pages: object[], redirects: object[] }|null} options.previous  from `readPreviousBuild()`
+ * @param {Set<string>} options.configuredSlugs  every page slug in the config, drafts included
+ * @param {Map<string, object>} options.livePages  slug → page, for pages this build writes
+ * @param {string} options.fallback  where a removed page with no successor goes
+ */
+export function resolveRedirects({ configured = {}, previous, configuredSlugs, livePages, fallback }) {
+  const targets = new Map();
+  for (const { from, to } of previous?.redirects || []) targets.set(from, to);
+  for (const page of previous?.pages || []) {
+    if (configuredSlugs.has(page.slug)) continue;
+    const moved = page.source && [...livePages.values()].find((p) => p.source === page.source);
+    targets.set(page.slug, moved ? moved.slug : fallback);
+  }
+  for (const [from, to] of Object.entries(configured)) targets.set(from, to);
+
+  const slugOf = (target) => target.split('#')[0];
+  const redirects = [];
+  for (const [from, first] of targets) {
+    // A slug taken by a page again no longer redirects.
+    if (configuredSlugs.has(from)) continue;
+    let to = first;
+    const seen = new Set([from]);
+    while (!livePages.has(slugOf(to)) && targets.has(slugOf(to)) && !seen.has(slugOf(to))) {
+      seen.add(slugOf(to));
+      to = targets.get(slugOf(to));
+    }
+    redirects.push({ from, to: livePages.has(slugOf(to)) ? to : fallback });
+  }
+  return redirects.sort((a, b) => (a.from < b.from ? -1 : a.from > b.from ? 1 : 0));
+}
@@ -3,12 +3,16 @@
  *
  * Beyond plain rendering this adds the things that make long technical docs
  * browsable: stable GitHub-compatible heading anchors, an extracted table of
- * contents, admonition callouts, status chips in tables, syntax highlighting,
- * ASCII-diagram figures, copyable code blocks, and repo-aware link rewriting.
+ * contents, GitHub alerts and (optionally) guessed admonition callouts, status
+ * chips in tables, syntax highlighting, ASCII-diagram figures, copyable code
+ * blocks, and repo-aware link rewriting.
+ * A leading YAML front-matter block is parsed off and returned as `meta`; it
+ * never reaches the rendered page.
  */
 
 import { Marked } from 'marked';
 import path from 'node:path';
+import { splitFrontMatter } from './frontmatter.mjs';
 import { escapeHtml, highlight, looksLikeDiagram, normalizeLang } from './highlight.mjs';
 
 /** GitHub-compatible heading slugs, so in-document anchors keep working. */
@@ -26,6 +30,19 @@ export function slugify(text, seen) {
   return count === 0 ? base : `${base}-${count}`;
 }
 
+/** GitHub's alert kinds, `> [!NOTE]` and the rest, with their default titles. */
+const ALERTS = {
+  note: 'Note',
+  tip: 'Tip',
+  important: 'Important',
+  warning: 'Warning',
+  caution: 'Caution',
+};
+
+/** An alert's marker line: `[!KIND]`, then an optional title of its own. */
+const ALERT_MARKER = /^\[!(\w+)\][ \t]*([^\n]*)(?:\n|$)/;
+
+/** Callout kinds guessed from a blockquote's first words, when heuristics are on. */
 const ADMONITIONS = [
   { kind: 'danger', test: /^(?:⚠️?\s*)?(?:danger|critical|breaking)\b/i },
   { kind: 'warning', test: /^(?:⚠️?\s*)?(?:warning|caution|important|heads[- ]up)\b/i },
@@ -57,13 +74,6 @@ const LANG_LABELS = {
   dockerfile: 'Dockerfile',
 };
 
-/**
- * @param {object} options
- * @param {string} options.sourceDir  repo-relative directory of the document
- * @param {Map<string,string>} options.pathToSlug  repo path → page slug
- * @param {string} options.repoUrl
- * @param {string} options.branch
- */
 /**
  * Runs of `**Label:** value` lines are metadata blocks, not wrapped prose.
  * Without hard breaks they collapse onto a single line, so add them explicitly —
@@ -82,8 +92,17 @@ function keepMetadataLineBreaks(markdown) {
     .join('\n');
 }
 
+/**
+ * @param {object} options
+ * @param {string} options.sourceDir  repo-relative directory of the document
+ * @param {Map<string,string>} options.pathToSlug  repo path → page slug
+ * @param {string} options.repoUrl
+ * @param {string} options.branch
+ * @param {boolean} [options.heuristicCallouts]  also turn blockquotes that open with
+ *   "Note", "Warning" and the like, or with a heading, into callouts
+ */
 export function renderMarkdown(markdown, options) {
-  const { sourceDir, pathToSlug, repoUrl, branch } = options;
+  const { sourceDir, pathToSlug, repoUrl, branch, heuristicCallouts = false } = options;
   const seen = new Map();
   const toc = [];
 
@@ -131,7 +150,25 @@ export function renderMarkdown(markdown, options) {
       },
 
       blockquote({ tokens }) {
+        // `> [!WARNING]` or `> [!WARNING] Custom title`, GitHub's alert syntax.
+        const [first] = tokens;
+        const marker = first && first.type === 'paragraph' ? ALERT_MARKER.exec(first.raw) : null;
+        const kind = marker && marker[1].toLowerCase();
+        if (kind && ALERTS[kind]) {
+          const custom = marker[2].trim();
+          const title = custom ? this.parser.parseInline(marked.Lexer.lexInline(custom)) : ALERTS[kind];
+          const rest = first.raw.slice(marker[0].length);
+          const body = this.parser.parse([...(rest.trim() ? marked.lexer(rest) : []), ...tokens.slice(1)]);
+          return (
+            `<div class="callout callout-alert callout-${kind}">` +
+            `<p class="callout-title">${title}</p>` +
+            (body.trim() ? `<div class="callout-body">${body}</div>` : '') +
+            `</div>\n`
+          );
+        }
+
         const inner = this.parser.parse(tokens);
+        if (!heuristicCallouts) return `<blockquote>${inner}</blockquote>\n`;
         const lead = stripTags(inner).trim().replace(/\s+/g, ' ').slice(0, 60);
         const hit = ADMONITIONS.find((a) => a.test.test(lead));
         if (hit) {
@@ -192,8 +229,70 @@ export function renderMarkdown(markdown, options) {
     },
   });
 
-  const html = marked.parse(keepMetadataLineBreaks(markdown));
-  return { html, toc };
+  const { data: meta, body } = splitFrontMatter(markdown);
+  const html = marked.parse(keepMetadataLineBreaks(body));
+  return { html, toc, meta };
+}
+
+const SUMMARY_LENGTH = 220;
+const summaryMarked = new Marked({ gfm: true });
+
+/**
+ * Title and description for a document the config does not describe: the first
+ * H1, and the first real paragraph as plain text — skipping `**Label:** value`
+ * metadata blocks — cut at a word boundary.
+ */
+export function documentSummary(markdown) {
+  const tokens = summaryMarked.lexer(splitFrontMatter(markdown).body);
+  const heading = tokens.find((t) => t.type === 'heading' && t.depth === 1);
+  const paragraph = tokens.find((t) => t.type === 'paragraph' && !/^\*\*[^*\n]+:\*\*/.test(t.text));
+
+  const plain = (text) => stripTags(summaryMarked.parseInline(text)).replace(/\s+/g, ' ').trim();
+
+  let description = paragraph ? plain(paragraph.text) : '';
+  if (description.length > SUMMARY_LENGTH) {
+    description = `${description.slice(0, SUMMARY_LENGTH).replace(/\s+\S*$/, '')}…`;
+  }
+  return { title: heading ? plain(heading.text) : '', description };
+}
+
+/**
+ * A document's H2 sections in order, as `{ title, body }` with `body` the raw
+ * markdown up to the next H2 — what "What's new" compares between commits.
+ */
+export function documentSections(markdown) {
+  const sections = [];
+  let current = null;
+  for (const token of summaryMarked.lexer(splitFrontMatter(markdown).body)) {
+    if (token.type === 'heading' && token.depth <= 2) {
+      current = null;
+      if (token.depth === 2) {
+        current = { title: stripTags(summaryMarked.parseInline(token.text)).trim(), body: '' };
+        sections.push(current);
+      }
+    } else if (current) {
+      current.body += token.raw;
+    }
+  }
+  return sections;
+}
+
+const EXCERPT_LENGTH = 600;
+
+/**
+ * The opening of a piece of markdown, as markdown: whole blocks, skipping H1s, rules
+ * and `**Label:** value` metadata, until about EXCERPT_LENGTH characters.
+ */
+export function markdownExcerpt(markdown) {
+  const tokens = summaryMarked.lexer(splitFrontMatter(markdown).body);
+  let excerpt = '';
+  for (const token of tokens) {
+    if (excerpt.length >= EXCERPT_LENGTH) break;
+    if (token.type === 'space' || token.type === 'hr' || (token.type === 'heading' && token.depth === 1)) continue;
+    if (token.type === 'paragraph' && /^\*\*[^*\n]+:\*\*/.test(token.text)) continue;
+    excerpt += `${token.raw.trimEnd()}\n\n`;
+  }
+  return excerpt;
 }
 
 /** Turn a leading status emoji in a table cell into a coloured chip. */
@@ -262,6 +361,36 @@ export function resolveHref(href, { sourceDir, pathToSlug, repoUrl, branch }) {
   };
 }
 
+/** The target of every markdown link in a document, as written. */
+export function documentLinks(markdown) {
+  const marked = new Marked({ gfm: true });
+  const hrefs = [];
+  marked.walkTokens(marked.lexer(splitFrontMatter(markdown).body), (token) => {
+    if (token.type === 'link') hrefs.push(token.href);
+  });
+  return hrefs;
+}
+
+/**
+ * Rendered document HTML split at its H2s, as `{ id, title, html, text }`: the
+ * heading's anchor and text, and the HTML and plain text up to the next H2.
+ * Whatever precedes the first H2 comes first, with an empty `id` and `title`.
+ */
+export function htmlSections(html) {
+  return String(html)
+    .split(/(?=<h2\b)/)
+    .map((chunk) => {
+      const match = chunk.match(/^<h2\b[^>]*id="([^"]+)"[^>]*>([\s\S]*?)<\/h2>/);
+      const body = match ? chunk.slice(match[0].length) : chunk;
+      return {
+        id: match ? match[1] : '',
+        title: match ? stripTags(match[2].replace(/<a class="heading-anchor"[\s\S]*?<\/a>/g, '')).trim() : '',
+        html: body.trim(),
+        text: toPlainText(body),
+      };
+    });
+}
+
 /** Plain text of a document, for search indexing and excerpts. */
 export function toPlainText(html) {
   return stripTags(
@@ -0,0 +1,44 @@
+/**
+ * Search-engine plumbing: absolute page URLs, sitemap.xml and robots.txt.
+ *
+ * Everything hangs off `site.baseUrl`, the address the site is published at —
+ * for a GitHub project site that includes the repository sub-path. Only these
+ * outputs and the canonical tags use absolute URLs; links between pages stay
+ * relative, so the output still works opened from disk.
+ */
+
+import { escapeHtml } from './highlight.mjs';
+
+/**
+ * The absolute URL of an output file, or null without a base URL. An
+ * `index.html` is addressed by its directory, the way it is served.
+ */
+export function pageUrl(baseUrl, output) {
+  if (!baseUrl) return null;
+  const base = baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`;
+  return new URL(output.replace(/(^|\/)index\.html$/, '$1'), base).href;
+}
+
+/** sitemap.xml for `pages` as `{ url, lastmod }`, `lastmod` a YYYY-MM-DD date. */
+export function sitemapXml(pages) {
+  const urls = pages
+    .map(
+      ({ url, lastmod }) =>
+        `  <url>\n    <loc>${escapeHtml(url)}</loc>\n${lastmod ? `    <lastmod>${lastmod}</lastmod>\n` : ''}  </url>`
+    )
+    .join('\n');
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls}
+</urlset>
+`;
+}
+
+/**
+ * robots.txt: everything may be crawled, and the sitemap is named. Crawlers only
+ * read it at the root of a host, so a site published under a sub-path has to be
+ * copied there to count.
+ */
+export function robotsTxt(baseUrl) {
+  return `User-agent: *\nAllow: /\n\nSitemap: ${pageUrl(baseUrl, 'sitemap.xml')}\n`;
+}
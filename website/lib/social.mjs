@@ -0,0 +1,171 @@
+/**
+ * Social preview cards: the 1200×630 image chat tools and social sites show
+ * for a shared link (`og:image`).
+ *
+ * A card is described once, as a flat list of shapes and text runs, and drawn
+ * twice: as SVG here, and — when `site.socialPng` is set, since most link
+ * previewers do not accept SVG — as PNG by lib/png.mjs. Both are plain Node; no
+ * browser is involved. The look borrows the brand mark and the landing page's
+ * hero timeline.
+ */
+
+import { escapeHtml } from './highlight.mjs';
+
+export const CARD_WIDTH = 1200;
+export const CARD_HEIGHT = 630;
+
+/** The light theme's palette, from assets/styles.css. */
+const COLORS = {
+  bg: '#faf8f4',
+  ink: '#191713',
+  muted: '#6d6459',
+  faint: '#978d80',
+  accent: '#a8461a',
+  amber: '#9a6c05',
+  teal: '#1f6f68',
+  markBg: '#1d1b18',
+  markLine: '#8b8175',
+  markA: '#e0873f',
+  markB: '#f0b46e',
+  markC: '#6ec2b8',
+};
+
+const FONTS = {
+  sans: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif',
+  serif: '"Iowan Old Style", "Palatino Linotype", Palatino, Georgia, serif',
+};
+
+const MARGIN = 80;
+const TITLE_SIZE = 64;
+const TITLE_LINES = 3;
+
+/** Width of an average character as a fraction of the font size, for wrapping. */
+const CHAR_WIDTH = 0.5;
+
+/**
+ * The card for one page: `kicker` (the section) above the title, and `meta` —
+ * audience, reading time — below it.
+ */
+export function socialCard({ siteName, title, kicker, meta = [] }) {
+  const items = [{ type: 'rect', x: 0, y: 0, w: CARD_WIDTH, h: 10, fill: COLORS.accent }];
+  const segment = (a, b, width, stroke, opacity) => ({
+    type: 'line',
+    x1: a.x,
+    y1: a.y,
+    x2: b.x,
+    y2: b.y,
+    width,
+    stroke,
+    opacity,
+  });
+  const text = (x, y, value, size, font, fill, extra) => ({ type: 'text', x, y, text: value, size, font, fill, ...extra });
+
+  // The brand mark — the favicon, drawn on a 32-unit grid — and the site name.
+  const scale = 1.75;
+  const at = (cx, cy) => ({ x: MARGIN + cx * scale, y: 58 + cy * scale });
+  const bead = (c, r, fill) => ({ type: 'circle', cx: c.x, cy: c.y, r: r * scale, fill });
+  items.push(
+    { type: 'rect', x: MARGIN, y: 58, w: 32 * scale, h: 32 * scale, r: 7 * scale, fill: COLORS.markBg },
+    segment(at(4, 21), at(28, 21), 2.6, COLORS.markLine),
+    segment(at(9, 21), at(17, 14), 2, COLORS.markLine),
+    segment(at(17, 14), at(25, 18), 2, COLORS.markLine),
+    bead(at(9, 21), 3.1, COLORS.markA),
+    bead(at(17, 14), 3.6, COLORS.markB),
+    bead(at(25, 18), 2.6, COLORS.markC)
+  );
+  items.push(
+    text(MARGIN + 76, 84, siteName, 28, 'sans', COLORS.ink, { weight: 700 }),
+    text(MARGIN + 76, 112, 'DOCUMENTATION', 16, 'sans', COLORS.faint, { spacing: 3 })
+  );
+
+  if (kicker) {
+    items.push(text(MARGIN, 204, kicker.toUpperCase(), 22, 'sans', COLORS.accent, { spacing: 3, weight: 600 }));
+  }
+  const perLine = Math.floor((CARD_WIDTH - 2 * MARGIN) / (TITLE_SIZE * CHAR_WIDTH));
+  wrap(title, perLine, TITLE_LINES).forEach((line, i) => {
+    items.push(text(MARGIN, 280 + i * 76, line, TITLE_SIZE, 'serif', COLORS.ink, { weight: 600 }));
+  });
+  if (meta.length) items.push(text(MARGIN, 500, meta.join('  ·  '), 24, 'sans', COLORS.muted));
+
+  // The hero's timeline, stretched along the bottom edge.
+  const x = (n) => n * 2.3;
+  const y = (n) => 450 + n * 1.1;
+  const point = ([px, py]) => ({ x: x(px), y: y(py) });
+  items.push(
+    { type: 'line', x1: 0, y1: y(140), x2: CARD_WIDTH, y2: y(140), width: 2, stroke: COLORS.faint },
+    { type: 'rect', x: x(176), y: y(104), w: 52 * 2.3, h: 13, r: 6.5, fill: COLORS.amber, opacity: 0.35 },
+    { type: 'rect', x: x(292), y: y(72), w: 86 * 2.3, h: 11, r: 5.5, fill: COLORS.teal, opacity: 0.55 }
+  );
+  const dots = [
+    [62, 118, 9, COLORS.accent],
+    [128, 94, 7, COLORS.amber],
+    [202, 110, 11, COLORS.accent],
+    [268, 77, 8, COLORS.teal],
+    [336, 112, 9, COLORS.amber],
+    [404, 88, 12, COLORS.teal],
+    [468, 120, 7, COLORS.accent],
+  ];
+  for (let i = 1; i < dots.length; i += 1) {
+    items.push(segment(point(dots[i - 1]), point(dots[i]), 2, COLORS.faint, 0.5));
+  }
+  for (const [cx, cy, r, fill] of dots) items.push({ type: 'circle', cx: x(cx), cy: y(cy), r: r * 1.6, fill });
+
+  return { width: CARD_WIDTH, height: CARD_HEIGHT, background: COLORS.bg, items };
+}
+
+/** A card as an SVG document. */
+export function socialSvg({ width, height, background, items }) {
+  const opacity = (item) => (item.opacity === undefined ? '' : ` opacity="${item.opacity}"`);
+  const draw = (item) => {
+    switch (item.type) {
+      case 'rect':
+        return (
+          `<rect x="${n(item.x)}" y="${n(item.y)}" width="${n(item.w)}" height="${n(item.h)}"` +
+          `${item.r ? ` rx="${n(item.r)}"` : ''} fill="${item.fill}"${opacity(item)}/>`
+        );
+      case 'circle':
+        return `<circle cx="${n(item.cx)}" cy="${n(item.cy)}" r="${n(item.r)}" fill="${item.fill}"${opacity(item)}/>`;
+      case 'line':
+        return (
+          `<line x1="${n(item.x1)}" y1="${n(item.y1)}" x2="${n(item.x2)}" y2="${n(item.y2)}" stroke="${item.stroke}"` +
+          ` stroke-width="${n(item.width)}" stroke-linecap="round"${opacity(item)}/>`
+        );
+      default:
+        return (
+          `<text x="${n(item.x)}" y="${n(item.y)}" font-family="${escapeHtml(FONTS[item.font])}" font-size="${item.size}"` +
+          `${item.weight ? ` font-weight="${item.weight}"` : ''}${item.spacing ? ` letter-spacing="${item.spacing}"` : ''}` +
+          ` fill="${item.fill}">${escapeHtml(item.text)}</text>`
+        );
+    }
+  };
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+<rect width="${width}" height="${height}" fill="${background}"/>
+${items.map(draw).join('\n')}
+</svg>
+`;
+}
+
+/** Break `text` into at most `maxLines` lines of about `width` characters, with an ellipsis if it overflows. */
+function wrap(text, width, maxLines) {
+  const lines = [];
+  let line = '';
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    if (line && line.length + 1 + word.length > width) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  if (line) lines.push(line);
+  if (lines.length <= maxLines) return lines;
+  const kept = lines.slice(0, maxLines);
+  const last = kept[maxLines - 1];
+  kept[maxLines - 1] = `${last.length < width ? last : last.replace(/\s+\S*$/, '')}…`;
+  return kept;
+}
+
+/** Coordinates to at most two decimals, so the SVG stays byte-stable and short. */
+function n(value) {
+  return String(Math.round(value * 100) / 100);
+}
@@ -17,16 +17,36 @@ export function block(text) {
   return inlineMarked.parse(String(text ?? ''));
 }
 
-const FAVICON =
-  'data:image/svg+xml,' +
-  encodeURIComponent(
-    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 32 32"><rect width="32" height="32" rx="7" fill="#1d1b18"/><path d="M4 21h24" stroke="#8b8175" stroke-width="1.5" stroke-linecap="round"/><circle cx="9" cy="21" r="3.1" fill="#e0873f"/><circle cx="17" cy="14" r="3.6" fill="#f0b46e"/><circle cx="25" cy="18" r="2.6" fill="#6ec2b8"/><path d="M9 21 17 14 25 18" stroke="#8b8175" stroke-width="1.2" fill="none" stroke-linejoin="round" opacity=".8"/></svg>`
-  );
+/** The brand mark as a standalone SVG: the favicon, and the web manifest's icon. */
+export const BRAND_ICON = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 32 32"><rect width="32" height="32" rx="7" fill="#1d1b18"/><path d="M4 21h24" stroke="#8b8175" stroke-width="1.5" stroke-linecap="round"/><circle cx="9" cy="21" r="3.1" fill="#e0873f"/><circle cx="17" cy="14" r="3.6" fill="#f0b46e"/><circle cx="25" cy="18" r="2.6" fill="#6ec2b8"/><path d="M9 21 17 14 25 18" stroke="#8b8175" stroke-width="1.2" fill="none" stroke-linejoin="round" opacity=".8"/></svg>`;
+
+const FAVICON = 'data:image/svg+xml,' + encodeURIComponent(BRAND_ICON);
+
+/** Where the page shell finds its assets, unless a production build renamed them. */
+const ASSETS = {
+  'styles.css': 'assets/styles.css',
+  'print.css': 'assets/print.css',
+  'app.js': 'assets/app.js',
+  'search-index.js': 'assets/search-index.js',
+};
+
+/** The accent colour, for the browser's own chrome when the docs are installed. */
+export const THEME_COLOR = '#a8461a';
 
 const THEME_BOOTSTRAP = `(function(){try{var t=localStorage.getItem('mt-theme');if(t==='light'||t==='dark'){document.documentElement.setAttribute('data-theme',t);}}catch(e){}})();`;
 
 /**
- * The shared page shell.
+ * The shared page shell. `version` ({ id, root }) is set when the site has
+ * older versions: it adds the version switcher, which app.js fills in from the
+ * versions.js table at the site root. `canonical` is the page's absolute URL,
+ * known only when `site.baseUrl` is configured; `feeds` lists the Atom feeds to
+ * advertise as `{ title, href }`; `image` is the page's social preview card as
+ * `{ url, width, height, alt }`. `assets` maps each asset to the file it was
+ * written as — in production builds a content-hashed name. `webManifest` is the
+ * href of manifest.webmanifest when the site works offline; it also adds the
+ * topbar's offline indicator, which app.js shows once the pages are saved.
+ * `base` makes relative links resolve against the site root for a page served
+ * at any address — the 404 page.
  */
 export function layout({
   title,
@@ -39,20 +59,52 @@ export function layout({
   activeSlug,
   buildTime,
   pageCount,
+  version = null,
+  canonical = null,
+  feeds = [],
+  image = null,
+  base = null,
+  assets = ASSETS,
+  webManifest = null,
 }) {
   return `<!doctype html>
 <html lang="en">
 <head>
-<meta charset="utf-8">
+<meta charset="utf-8">${base ? `\n<base href="${escapeHtml(base)}">` : ''}
 <meta name="viewport" content="width=device-width, initial-scale=1">
 <meta name="color-scheme" content="light dark">
 <title>${escapeHtml(title)}</title>
 <meta name="description" content="${escapeHtml(description || '')}">
 <meta property="og:title" content="${escapeHtml(title)}">
 <meta property="og:description" content="${escapeHtml(description || '')}">
-<meta property="og:type" content="website">
-<link rel="icon" href="${FAVICON}">
-<link rel="stylesheet" href="assets/styles.css">
+<meta property="og:type" content="website">${
+    image
+      ? `
+<meta property="og:image" content="${escapeHtml(image.url)}">
+<meta property="og:image:width" content="${image.width}">
+<meta property="og:image:height" content="${image.height}">
+<meta property="og:image:alt" content="${escapeHtml(image.alt)}">
+<meta name="twitter:card" content="summary_large_image">`
+      : ''
+  }${
+    canonical
+      ? `
+<meta property="og:url" content="${escapeHtml(canonical)}">
+<link rel="canonical" href="${escapeHtml(canonical)}">`
+      : ''
+  }
+<link rel="icon" href="${FAVICON}">${
+    webManifest
+      ? `
+<link rel="manifest" href="${webManifest}">
+<meta name="theme-color" content="${THEME_COLOR}">`
+      : ''
+  }${feeds
+    .map((f) => `
+<link rel="alternate" type="application/atom+xml" title="${escapeHtml(f.title)}" href="${f.href}">`)
+    .join('')}
+<link rel="stylesheet" href="${assets['styles.css']}">
+<link rel="stylesheet" href="${assets['print.css']}" media="print">
 <script>${THEME_BOOTSTRAP}</script>
 </head>
 <body class="${bodyClass}" data-page="${escapeHtml(activeSlug)}">
@@ -79,7 +131,7 @@ export function layout({
       <kbd>/</kbd>
     </button>
 
-    <div class="topbar-actions">
+    <div class="topbar-actions">${webManifest ? OFFLINE_STATUS : ''}${version ? renderVersionSwitch(version) : ''}
       <button class="icon-btn" type="button" data-theme-toggle aria-label="Switch colour theme" title="Switch colour theme">
         <svg class="icon-sun" viewBox="0 0 20 20" width="17" height="17" aria-hidden="true"><circle cx="10" cy="10" r="4" fill="currentColor"/><path d="M10 1.5v2M10 16.5v2M1.5 10h2M16.5 10h2M4 4l1.4 1.4M14.6 14.6 16 16M16 4l-1.4 1.4M5.4 14.6 4 16" stroke="currentColor" stroke-width="1.6" stroke-linecap="round"/></svg>
         <svg class="icon-moon" viewBox="0 0 20 20" width="17" height="17" aria-hidden="true"><path d="M16.5 12.4A7 7 0 0 1 7.6 3.5a7 7 0 1 0 8.9 8.9Z" fill="currentColor"/></svg>
@@ -133,13 +185,21 @@ ${content}
   </div>
 </div>
 
-<script src="assets/search-index.js" defer></script>
-<script src="assets/app.js" defer></script>
+<script src="${assets['search-index.js']}" defer></script>${version ? `\n<script src="${version.root}versions.js" defer></script>` : ''}
+<script src="${assets['app.js']}" defer></script>
 </body>
 </html>
 `;
 }
 
+const OFFLINE_STATUS = `
+      <span class="offline-status" data-offline-status role="status" hidden><span class="offline-dot" aria-hidden="true"></span><span data-offline-label>Available offline</span></span>`;
+
+function renderVersionSwitch({ id, root }) {
+  return `
+      <select class="version-switch" data-version-switch data-version="${escapeHtml(id)}" data-version-root="${root}" aria-label="Documentation version" title="Documentation version" hidden></select>`;
+}
+
 /** Sidebar navigation markup. */
 export function renderSidebar(sections, activeSlug, tocForActive) {
   const parts = ['      <ul class="nav">'];
@@ -206,9 +266,10 @@ export function renderDocHeader(page, meta, repoUrl, branch) {
   <h1>${escapeHtml(page.title)}</h1>
   ${page.description ? `<p class="doc-lede">${inline(page.description)}</p>` : ''}
   <div class="doc-meta">
-    ${page.audience ? `<span class="doc-meta-item"><b>For</b> ${escapeHtml(page.audience)}</span>` : ''}
+    ${page.draft ? '<span class="chip chip-warn">Draft</span>' : ''}${page.audience ? `<span class="doc-meta-item"><b>For</b> ${escapeHtml(page.audience)}</span>` : ''}
     <span class="doc-meta-item"><b>${meta.words.toLocaleString('en-US')}</b> words</span>
     <span class="doc-meta-item"><b>${meta.minutes}</b> min read</span>
+    ${page.history ? `<a class="doc-meta-item doc-updated" href="#page-history"><b>Updated</b> <time datetime="${page.history.updated}">${page.history.updated}</time></a>` : ''}
     <a class="doc-meta-item doc-source" href="${escapeHtml(repoUrl)}/blob/${escapeHtml(branch)}/${escapeHtml(page.source)}" target="_blank" rel="noopener noreferrer">
       ${escapeHtml(page.source)} ↗
     </a>
@@ -217,6 +278,33 @@ export function renderDocHeader(page, meta, repoUrl, branch) {
 </header>`;
 }
 
+/**
+ * The "page history" panel under a document: its most recent commits, each
+ * linked to GitHub, and a link to the document's full history there.
+ */
+export function renderPageHistory(page, repoUrl, branch) {
+  const { history } = page;
+  if (!history) return '';
+  const repo = escapeHtml(repoUrl);
+  const commits = history.recent
+    .map(
+      (c) => `      <li>
+        <a class="page-history-hash" href="${repo}/commit/${c.hash}" target="_blank" rel="noopener noreferrer"><code>${c.hash.slice(0, 7)}</code></a>
+        <span class="page-history-subject">${escapeHtml(c.subject)}</span>
+        <time datetime="${c.date}">${c.date}</time>
+      </li>`
+    )
+    .join('\n');
+  const count = `${history.commits} commit${history.commits === 1 ? '' : 's'}`;
+  return `<details class="page-history" id="page-history">
+    <summary>Page history <span>· ${count}, last updated ${history.updated}</span></summary>
+    <ol class="page-history-list">
+${commits}
+    </ol>
+    <a class="page-history-all" href="${repo}/commits/${escapeHtml(branch)}/${escapeHtml(page.source)}" target="_blank" rel="noopener noreferrer">Full history on GitHub ↗</a>
+  </details>`;
+}
+
 /** Previous / next footer navigation. */
 export function renderPager(prev, next) {
   if (!prev && !next) return '';
@@ -481,7 +569,7 @@ export function renderLanding({ landing, site, sections, pageIndex, totals }) {
 /* ------------------------------------------------------------------ */
 
 export function renderDocMap({ sections, totals, repoUrl, branch }) {
-  const row = (page) => `<article class="map-entry">
+  const row = (page) => `<article class="map-entry"${page.history ? ` data-updated="${page.history.updated}"` : ''}>
     <div class="map-entry-head">
       <h3><a href="${page.slug}.html">${escapeHtml(page.title)}</a></h3>
       <a class="map-source" href="${escapeHtml(repoUrl)}/blob/${escapeHtml(branch)}/${escapeHtml(page.source)}" target="_blank" rel="noopener noreferrer"><code>${escapeHtml(page.source)}</code> ↗</a>
@@ -492,6 +580,7 @@ export function renderDocMap({ sections, totals, repoUrl, branch }) {
       <span class="map-stat">${page.stats.words.toLocaleString('en-US')} words</span>
       <span class="map-stat">${page.stats.minutes} min read</span>
       <span class="map-stat">${page.stats.headings} sections</span>
+      ${page.history ? `<span class="map-stat map-updated">updated <time datetime="${page.history.updated}">${page.history.updated}</time></span>` : ''}
     </div>
     ${
       page.toc && page.toc.length
@@ -513,6 +602,14 @@ export function renderDocMap({ sections, totals, repoUrl, branch }) {
   </nav>
   <h1>All documentation</h1>
   <p class="doc-lede">Every document covering the Windows Native app, rendered and searchable. ${totals.docs} documents, ${totals.words.toLocaleString('en-US')} words, about ${totals.minutes} minutes of reading in total.</p>
+  ${
+    sections.some((s) => s.pages.some((p) => p.history))
+      ? `<div class="map-sort" role="group" aria-label="Order documents" data-map-sort hidden>
+    <button type="button" class="is-active" data-map-order="section" aria-pressed="true">By section</button>
+    <button type="button" data-map-order="updated" aria-pressed="false">Recently updated</button>
+  </div>`
+      : ''
+  }
 </header>
 
 <div class="prose map-body">
@@ -530,3 +627,256 @@ ${sections
   .join('')}
 </div>`;
 }
+
+/* ------------------------------------------------------------------ */
+/* What's new                                                          */
+/* ------------------------------------------------------------------ */
+
+const MONTHS = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December',
+];
+
+/**
+ * The HTML body of a feed entry: the day's commits, the sections that changed
+ * and an excerpt of the new text.
+ */
+export function renderFeedEntry({ created, commits, added, removed, rewritten }, excerpt, repoUrl) {
+  const repo = escapeHtml(repoUrl);
+  const commitList = commits
+    .map((c) => `<li><a href="${repo}/commit/${c.hash}"><code>${c.hash.slice(0, 7)}</code></a> ${escapeHtml(c.subject)}</li>`)
+    .join('');
+  // A new document's sections are all "added"; the excerpt says more.
+  const changed = created
+    ? ''
+    : [
+        ['Added', added],
+        ['Rewritten', rewritten],
+        ['Removed', removed],
+      ]
+        .filter(([, titles]) => titles.length)
+        .map(([label, titles]) => `<p><strong>${label}:</strong> ${titles.map(escapeHtml).join(' · ')}</p>`)
+        .join('');
+  return `<p>${created ? 'New document' : 'Changed'}:</p><ul>${commitList}</ul>${changed}${excerpt ? `<hr>${excerpt}` : ''}`;
+}
+
+export function renderWhatsNew({ page, days, windowDays, repoUrl }) {
+  const repo = escapeHtml(repoUrl);
+  const humanDate = (date) => {
+    const [year, month, day] = date.split('-').map(Number);
+    return `${day} ${MONTHS[month - 1]} ${year}`;
+  };
+
+  // Sections still in the document link to it; removed ones have nowhere to go.
+  const sectionList = (label, tone, titles, doc) => {
+    if (!titles.length) return '';
+    const ids = new Map(doc.toc.filter((t) => t.depth === 2).map((t) => [t.text, t.id]));
+    const items = titles
+      .map((title) =>
+        ids.has(title) && tone !== 'removed'
+          ? `<li><a href="${doc.slug}.html#${ids.get(title)}">${escapeHtml(title)}</a></li>`
+          : `<li>${escapeHtml(title)}</li>`
+      )
+      .join('');
+    return `
+      <div class="change-sections change-${tone}"><span class="change-label">${label}</span><ul>${items}</ul></div>`;
+  };
+
+  const entry = ({ page: doc, created, commits, added, removed, rewritten }) => `<article class="change-entry">
+    <div class="change-entry-head">
+      <h3><a href="${doc.slug}.html">${escapeHtml(doc.title)}</a></h3>
+      ${created ? '<span class="chip chip-ok">New document</span>' : ''}
+    </div>
+    <ul class="change-commits">
+      ${commits
+        .map(
+          (c) =>
+            `<li><a class="page-history-hash" href="${repo}/commit/${c.hash}" target="_blank" rel="noopener noreferrer"><code>${c.hash.slice(0, 7)}</code></a> ${escapeHtml(c.subject)}</li>`
+        )
+        .join('\n      ')}
+    </ul>${created ? '' : sectionList('Added', 'added', added, doc)}${sectionList('Removed', 'removed', removed, doc)}${sectionList('Rewritten', 'rewritten', rewritten, doc)}
+  </article>`;
+
+  return `
+<header class="doc-header">
+  <nav class="breadcrumb" aria-label="Breadcrumb">
+    <a href="index.html">Docs</a><span aria-hidden="true">/</span><span>${escapeHtml(page.sectionTitle)}</span>
+  </nav>
+  <h1>${escapeHtml(page.title)}</h1>
+  <p class="doc-lede">Documentation changes from the last ${windowDays} days of history, newest first: the commits that touched each document, and the top-level sections they added, removed or rewrote.</p>
+</header>
+
+<div class="prose changes-body">
+${
+  days.length
+    ? days
+        .map(
+          (d) => `<section class="change-day">
+  <h2 id="${d.date}" class="anchored"><time datetime="${d.date}">${humanDate(d.date)}</time><a class="heading-anchor" href="#${d.date}" aria-label="Link to this day">#</a></h2>
+  ${d.documents.map(entry).join('\n  ')}
+</section>`
+        )
+        .join('\n')
+    : '<p class="section-lead">No documentation history is available for this build.</p>'
+}
+</div>`;
+}
+
+/* ------------------------------------------------------------------ */
+/* Book edition                                                        */
+/* ------------------------------------------------------------------ */
+
+/**
+ * book.html: a cover, the contents, and every document as a chapter.
+ * `chapters` comes from `bookChapters()` — links and ids already rewritten;
+ * `epub` is the EPUB edition's file name, when the build writes one.
+ */
+export function renderBook({ page, site, chapters, totals, buildTime, epub = null }) {
+  const repo = escapeHtml(site.repoUrl);
+  const contents = chapters
+    .map(
+      (section) => `    <li>
+      <p class="book-contents-section">${escapeHtml(section.title)}</p>
+      <ol>
+        ${section.pages
+          .map(
+            (doc) => `<li><a href="#${doc.anchor}">${escapeHtml(doc.title)}</a> <span class="book-contents-meta">${doc.stats.minutes} min</span>${
+              doc.toc.length
+                ? `<ol class="book-contents-sub">${doc.toc.map((h) => `<li><a href="#${h.anchor}">${escapeHtml(h.text)}</a></li>`).join('')}</ol>`
+                : ''
+            }</li>`
+          )
+          .join('\n        ')}
+      </ol>
+    </li>`
+    )
+    .join('\n');
+
+  const chapter = (doc) => `<article class="book-doc" id="${doc.anchor}">
+  <header class="doc-header">
+    <p class="book-doc-section">${escapeHtml(doc.sectionTitle)}</p>
+    <h1>${escapeHtml(doc.title)}</h1>
+    ${doc.description ? `<p class="doc-lede">${inline(doc.description)}</p>` : ''}
+    <div class="doc-meta">
+      <span class="doc-meta-item"><b>${doc.stats.words.toLocaleString('en-US')}</b> words</span>${doc.history ? `\n      <span class="doc-meta-item"><b>Updated</b> <time datetime="${doc.history.updated}">${doc.history.updated}</time></span>` : ''}
+      <a class="doc-meta-item doc-source" href="${repo}/blob/${escapeHtml(site.branch)}/${escapeHtml(doc.source)}" target="_blank" rel="noopener noreferrer">${escapeHtml(doc.source)} ↗</a>
+    </div>
+  </header>
+  <div class="prose">
+${doc.html}
+  </div>
+</article>`;
+
+  return `
+<header class="book-cover" id="book-cover">
+  <p class="book-kicker">${escapeHtml(page.title)}</p>
+  <h1>${escapeHtml(site.name)} documentation</h1>
+  ${site.tagline ? `<p class="book-tagline">${escapeHtml(site.tagline)}</p>` : ''}
+  <p class="doc-lede">${escapeHtml(site.description)}</p>
+  <dl class="book-facts">
+    <div><dt>Documents</dt><dd>${totals.docs}</dd></div>
+    <div><dt>Words</dt><dd>${totals.words.toLocaleString('en-US')}</dd></div>
+    <div><dt>Reading time</dt><dd>about ${Math.round(totals.minutes / 60)} hours</dd></div>
+    <div><dt>Generated</dt><dd><time datetime="${buildTime}">${buildTime}</time></dd></div>
+    <div><dt>Source</dt><dd><a href="${repo}" target="_blank" rel="noopener noreferrer">${repo}</a></dd></div>
+  </dl>
+  <p class="book-note">Every document on one page, in the order of the site's navigation. Links between documents lead to the chapter in this book; printed, external links show their address.</p>${
+    epub
+      ? `
+  <p class="book-note">For an e-reader: <a href="${epub}" download>download the EPUB edition</a>.</p>`
+      : ''
+  }
+</header>
+
+<nav class="book-contents" id="book-contents" aria-label="Contents">
+  <h2>Contents</h2>
+  <ol>
+${contents}
+  </ol>
+</nav>
+
+${chapters.flatMap((section) => section.pages.map(chapter)).join('\n\n')}`;
+}
+
+/** The book's sidebar: its chapters, linked within the page. */
+export function renderBookSidebar(chapters) {
+  const parts = ['      <ul class="nav">'];
+  parts.push('        <li class="nav-section">');
+  parts.push('          <ul class="nav-list">');
+  parts.push('            <li><a class="nav-link" href="#book-contents">Contents</a></li>');
+  parts.push('          </ul>');
+  parts.push('        </li>');
+  for (const section of chapters) {
+    parts.push(`        <li class="nav-section">`);
+    parts.push(`          <p class="nav-section-title">${escapeHtml(section.title)}</p>`);
+    parts.push(`          <ul class="nav-list">`);
+    for (const doc of section.pages) {
+      parts.push(
+        `            <li><a class="nav-link" href="#${doc.anchor}">${escapeHtml(doc.shortTitle || doc.title)}</a></li>`
+      );
+    }
+    parts.push('          </ul>');
+    parts.push('        </li>');
+  }
+  parts.push('      </ul>');
+  return parts.join('\n');
+}
+
+/* ------------------------------------------------------------------ */
+/* Not found                                                           */
+/* ------------------------------------------------------------------ */
+
+/**
+ * The 404 page. Only the browser knows the address that missed, so app.js
+ * matches it against the search index and replaces `pages` — the places to
+ * start from without script — with the closest pages and sections.
+ */
+export function renderNotFound({ pages }) {
+  return `
+<header class="doc-header">
+  <h1>Page not found</h1>
+  <p class="doc-lede" data-not-found-path>There is no page at this address. It may have been renamed or removed.</p>
+</header>
+
+<div class="prose not-found-body">
+  <h2 data-not-found-heading>Where to start</h2>
+  <ul class="not-found-list" data-not-found-suggestions>
+    ${pages
+      .map(
+        (p) =>
+          `<li><a href="${p.slug}.html"><strong>${escapeHtml(p.title)}</strong></a><span>${escapeHtml(p.description || '')}</span></li>`
+      )
+      .join('\n    ')}
+  </ul>
+  <p class="not-found-search">Or <button class="link-button" type="button" data-search-open>search the documentation</button>.</p>
+</div>`;
+}
+
+/* ------------------------------------------------------------------ */
+/* Redirects                                                           */
+/* ------------------------------------------------------------------ */
+
+/**
+ * A stub standing in for a slug that is no longer a page. Script forwards at
+ * once and keeps the visitor's `#anchor` unless the target names its own; the
+ * meta refresh covers browsers without script.
+ */
+export function renderRedirect({ target, title, siteName, canonical = null }) {
+  const href = escapeHtml(target);
+  // `<` escaped, so a target cannot close the script early.
+  const literal = JSON.stringify(target).replace(/</g, '\\u003c');
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Moved: ${escapeHtml(title)} · ${escapeHtml(siteName)} docs</title>
+<meta name="robots" content="noindex">${canonical ? `\n<link rel="canonical" href="${escapeHtml(canonical)}">` : ''}
+<script>(function(){var t=${literal};location.replace(t.indexOf('#')<0?t+location.hash:t);})();</script>
+<meta http-equiv="refresh" content="0; url=${href}">
+</head>
+<body>
+<p>This page has moved to <a href="${href}">${escapeHtml(title)}</a>.</p>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,296 @@
+/**
+ * site.config.mjs validation.
+ *
+ * Runs before anything is rendered, so a typo in the config fails the build with
+ * a pointer to the offending entry instead of silently producing a page with a
+ * link missing. Every problem carries a location written as a path into the
+ * config (`landing.paths[4].links[0]`), which is what you search for to fix it.
+ */
+
+import path from 'node:path';
+
+import { globToRegExp } from './discover.mjs';
+import { documentLinks, resolveHref } from './render.mjs';
+import { LATEST, versionId } from './versions.mjs';
+
+const REQUIRED_SITE_FIELDS = ['name', 'description', 'repoUrl', 'branch'];
+const REQUIRED_SECTION_FIELDS = ['id', 'title'];
+const REQUIRED_PAGE_FIELDS = ['slug', 'title', 'description'];
+
+/** Pages the build generates instead of rendering a `source` document. */
+const GENERATED_KINDS = ['landing', 'map', 'changes', 'book'];
+
+/** What `site.budgets` can limit: every page, the book edition, or one of the assets. */
+const BUDGETED = ['page', 'book', 'styles.css', 'print.css', 'app.js', 'search-index.js'];
+
+/** Version directories that would clash with the site's own output. */
+const RESERVED_VERSION_IDS = [LATEST, 'assets', ''];
+
+/**
+ * Check a configuration and return its problems as `{ location, message }`.
+ *
+ * @param {{ site: object, sections: object[], landing: object }} config
+ * @param {object} options
+ * @param {string} options.repoRoot  absolute path every `source` must stay inside
+ * @param {string[]} options.statKeys  landing `stats[].key` values the build fills
+ * @param {string[]} options.files  every markdown file in the repository, for `include` globs
+ * @param {Map<string, string>} [options.sources]  the markdown of every source that exists; without it
+ *   sources are not checked
+ * @param {boolean} [options.drafts]  whether draft pages are built
+ */
+export function validateConfig(
+  { site, sections, landing },
+  { repoRoot, statKeys, files, sources, drafts = false }
+) {
+  const problems = [];
+  const report = (location, message) => problems.push({ location, message });
+
+  /* ---- site ------------------------------------------------------- */
+  for (const field of REQUIRED_SITE_FIELDS) {
+    if (!isFilled(site?.[field])) report(`site.${field}`, 'required field is missing');
+  }
+
+  if (site?.baseUrl !== undefined && site.baseUrl !== null && !isHttpUrl(site.baseUrl)) {
+    report('site.baseUrl', 'must be an absolute http(s) URL without a query or fragment');
+  }
+
+  if (site?.socialPng !== undefined && typeof site.socialPng !== 'boolean') {
+    report('site.socialPng', 'must be true or false');
+  }
+
+  if (site?.offline !== undefined && typeof site.offline !== 'boolean') {
+    report('site.offline', 'must be true or false');
+  }
+
+  if (site?.heuristicCallouts !== undefined && typeof site.heuristicCallouts !== 'boolean') {
+    report('site.heuristicCallouts', 'must be true or false');
+  }
+
+  if (site?.budgets !== undefined) {
+    if (!site.budgets || typeof site.budgets !== 'object' || Array.isArray(site.budgets)) {
+      report('site.budgets', 'must map "page" or an asset name to a size in bytes');
+    } else {
+      for (const [name, bytes] of Object.entries(site.budgets)) {
+        if (!BUDGETED.includes(name)) {
+          report(`site.budgets["${name}"]`, `can only limit ${BUDGETED.map((b) => `"${b}"`).join(', ')}`);
+        } else if (!Number.isInteger(bytes) || bytes <= 0) {
+          report(`site.budgets["${name}"]`, 'must be a whole number of bytes');
+        }
+      }
+    }
+  }
+
+  if (site?.ignore !== undefined) {
+    if (!Array.isArray(site.ignore)) {
+      report('site.ignore', 'must be an array of globs');
+    } else {
+      site.ignore.forEach((glob, g) => {
+        if (typeof glob !== 'string' || !glob) report(`site.ignore[${g}]`, 'must be a non-empty glob string');
+      });
+    }
+  }
+
+  if (site?.versions !== undefined) {
+    if (!Array.isArray(site.versions)) {
+      report('site.versions', 'must be an array of git refs');
+    } else {
+      const ids = new Map();
+      site.versions.forEach((entry, v) => {
+        const ref = typeof entry === 'string' ? entry : entry?.ref;
+        if (!isFilled(ref)) {
+          report(`site.versions[${v}]`, 'must be a git ref, or { ref, label }');
+          return;
+        }
+        const id = versionId(ref);
+        if (RESERVED_VERSION_IDS.includes(id)) {
+          report(`site.versions[${v}]`, `"${ref}" would use the reserved version name "${id}"`);
+        } else if (ids.has(id)) {
+          report(`site.versions[${v}]`, `"${ref}" has the same directory as ${ids.get(id)}`);
+        } else {
+          ids.set(id, `site.versions[${v}]`);
+        }
+      });
+    }
+  }
+
+  /* ---- sections and pages ----------------------------------------- */
+  const slugs = new Map();
+  const sectionIds = new Map();
+  // Configured pages the build will leave out, and why: links to them would be dead.
+  const unbuilt = new Map();
+
+  (sections || []).forEach((section, s) => {
+    const at = `sections[${s}]`;
+    for (const field of REQUIRED_SECTION_FIELDS) {
+      if (!isFilled(section[field])) report(`${at}.${field}`, 'required field is missing');
+    }
+    if (section.id) {
+      if (sectionIds.has(section.id)) {
+        const first = sectionIds.get(section.id);
+        report(`${at}.id`, `duplicate section id "${section.id}" (first used at ${first})`);
+      } else {
+        sectionIds.set(section.id, `${at}.id`);
+      }
+    }
+    if (section.include !== undefined) {
+      if (!Array.isArray(section.include)) {
+        report(`${at}.include`, 'must be an array of globs');
+      } else {
+        section.include.forEach((glob, g) => {
+          if (typeof glob !== 'string' || !glob) {
+            report(`${at}.include[${g}]`, 'must be a non-empty glob string');
+          } else if (!files.some((file) => globToRegExp(glob).test(file))) {
+            report(`${at}.include[${g}]`, `"${glob}" matches no markdown file`);
+          }
+        });
+      }
+    }
+    if (section.feed !== undefined && typeof section.feed !== 'boolean') {
+      report(`${at}.feed`, 'must be true or false');
+    } else if (section.feed && section.id && !/^[\w-]+$/.test(section.id)) {
+      report(`${at}.feed`, `section id "${section.id}" cannot name a feed file (letters, digits, - and _ only)`);
+    }
+    if (!Array.isArray(section.pages)) {
+      report(`${at}.pages`, 'must be an array of pages');
+      return;
+    }
+
+    section.pages.forEach((page, p) => {
+      // Pages produced by an `include` glob are located by the glob and the file.
+      const loc = (field) => (page.origin ? `${page.origin} (${field})` : `${at}.pages[${p}].${field}`);
+      for (const field of REQUIRED_PAGE_FIELDS) {
+        if (!isFilled(page[field])) report(loc(field), 'required field is missing');
+      }
+      if (!page.source && !page.kind) {
+        report(loc('source'), 'a page needs either a `source` document or a generated `kind`');
+      }
+      if (page.kind !== undefined && !GENERATED_KINDS.includes(page.kind)) {
+        report(loc('kind'), `unknown kind "${page.kind}" (expected one of: ${GENERATED_KINDS.join(', ')})`);
+      }
+      if (page.heuristicCallouts !== undefined && typeof page.heuristicCallouts !== 'boolean') {
+        report(loc('heuristicCallouts'), 'must be true or false');
+      }
+
+      if (page.slug) {
+        if (slugs.has(page.slug)) {
+          report(loc('slug'), `duplicate slug "${page.slug}" (first used at ${slugs.get(page.slug)})`);
+        } else {
+          slugs.set(page.slug, loc('slug'));
+        }
+      }
+
+      if (page.source) {
+        const absolute = path.resolve(repoRoot, page.source);
+        const relative = path.relative(repoRoot, absolute);
+        if (path.isAbsolute(page.source) || relative.startsWith('..') || path.isAbsolute(relative)) {
+          report(loc('source'), `"${page.source}" is outside the repository`);
+        } else if (sources && !sources.has(page.source)) {
+          report(loc('source'), `"${page.source}" does not exist`);
+          if (page.slug) unbuilt.set(page.slug, `its source "${page.source}" does not exist`);
+        }
+      }
+      if (page.draft && !drafts && page.slug) unbuilt.set(page.slug, 'it is a draft (build with --drafts)');
+    });
+  });
+
+  /* ---- landing references ----------------------------------------- */
+  const checkSlug = (location, slug) => {
+    if (!slugs.has(slug)) report(location, `unknown page slug "${slug}"`);
+    else if (unbuilt.has(slug)) report(location, `page "${slug}" is not built: ${unbuilt.get(slug)}`);
+  };
+
+  (landing?.paths || []).forEach((card, i) => {
+    (card.links || []).forEach((slug, j) => checkSlug(`landing.paths[${i}].links[${j}]`, slug));
+  });
+  (landing?.timeline || []).forEach((milestone, i) => {
+    if (milestone.link) checkSlug(`landing.timeline[${i}].link`, milestone.link);
+  });
+  (landing?.stats || []).forEach((stat, i) => {
+    if (stat.key && !statKeys.includes(stat.key)) {
+      report(
+        `landing.stats[${i}].key`,
+        `"${stat.key}" is never filled by the build (known keys: ${statKeys.join(', ')})`
+      );
+    }
+  });
+
+  /* ---- redirects -------------------------------------------------- */
+  if (site?.redirects !== undefined) {
+    if (!site.redirects || typeof site.redirects !== 'object' || Array.isArray(site.redirects)) {
+      report('site.redirects', 'must map old slugs to page slugs, like { "old-slug": "new-slug#anchor" }');
+    } else {
+      for (const [from, to] of Object.entries(site.redirects)) {
+        const at = `site.redirects["${from}"]`;
+        if (slugs.has(from)) {
+          report(at, `"${from}" is still a page; a redirect would replace it`);
+        } else if (!/^[\w.-]+$/.test(from)) {
+          report(at, `"${from}" is not a slug (letters, digits, ., - and _ only)`);
+        }
+        if (typeof to !== 'string' || !to) {
+          report(at, 'must be a page slug, optionally with a #anchor');
+        } else {
+          checkSlug(at, to.split('#')[0]);
+        }
+      }
+    }
+  }
+
+  /* ---- links between documents ------------------------------------ */
+  // Reported against the document, since that is where the link is fixed.
+  const unbuiltSources = new Map();
+  const builtDocuments = [];
+  for (const page of (sections || []).flatMap((section) => section.pages || [])) {
+    if (!page.source || !page.slug) continue;
+    if (unbuilt.has(page.slug)) unbuiltSources.set(page.source, page.slug);
+    else if (sources?.has(page.source)) builtDocuments.push(page);
+  }
+  if (unbuiltSources.size) {
+    for (const page of builtDocuments) {
+      const sourceDir = path.posix.dirname(page.source);
+      for (const href of documentLinks(sources.get(page.source))) {
+        const { href: to, external } = resolveHref(href, { sourceDir, pathToSlug: unbuiltSources });
+        const slug = external ? null : to.match(/^([^#]+)\.html/)?.[1];
+        if (slug) {
+          problems.push({
+            file: page.source,
+            location: href,
+            message: `links to page "${slug}", which is not built: ${unbuilt.get(slug)}`,
+          });
+        }
+      }
+    }
+  }
+
+  return problems;
+}
+
+/** Thrown by a build whose configuration has problems; `problems` lists them. */
+export class ConfigError extends Error {
+  constructor(problems) {
+    super(`${problems.length} problem(s) in the site configuration:\n${formatProblems(problems)}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * One line per problem, ready for the console. Problems without a `file` are
+ * in site.config.mjs; front-matter problems name their document.
+ */
+export function formatProblems(problems, file = 'site.config.mjs') {
+  return problems.map((p) => `  ${p.file || file} › ${p.location}: ${p.message}`).join('\n');
+}
+
+function isFilled(value) {
+  return value !== undefined && value !== null && String(value).trim() !== '';
+}
+
+function isHttpUrl(value) {
+  if (typeof value !== 'string') return false;
+  try {
+    const url = new URL(value);
+    return (url.protocol === 'https:' || url.protocol === 'http:') && !url.search && !url.hash;
+  } catch {
+    return false;
+  }
+}
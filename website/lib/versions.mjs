@@ -0,0 +1,105 @@
+/**
+ * Versioned documentation: older releases of the docs, built from git refs.
+ *
+ * Each configured ref (a tag or a branch) is exported from the local repository
+ * with `git archive` — no network, no checkout, the working tree is never
+ * touched — and built with the current generator into `_site/<id>/`. A ref that
+ * carries its own website/site.config.mjs is built from that config, so every
+ * version shows the pages it had; older refs fall back to the current config.
+ */
+
+import { spawn } from 'node:child_process';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+import { failed, git } from './git.mjs';
+
+/** The id of the current checkout, which is built at the site root. */
+export const LATEST = 'latest';
+
+/**
+ * Normalize configured versions — strings or `{ ref, label }` — into
+ * `{ id, ref, label, path }`, where `id` is the ref made safe for a directory name.
+ */
+export function resolveVersions(entries) {
+  // Malformed entries are left for the validator to report.
+  return (Array.isArray(entries) ? entries : [])
+    .map((entry) => (typeof entry === 'string' ? { ref: entry } : entry || {}))
+    .filter((entry) => typeof entry.ref === 'string' && entry.ref)
+    .map(({ ref, label }) => {
+      const id = versionId(ref);
+      return { id, ref, label: label || ref, path: `${id}/` };
+    });
+}
+
+export function versionId(ref) {
+  return String(ref)
+    .replace(/[^\w.-]+/g, '-')
+    .replace(/^[-.]+|-+$/g, '');
+}
+
+/**
+ * Export `ref` into a fresh temporary directory and hand it to `task`. The
+ * directory is removed afterwards, whatever `task` does.
+ */
+export async function withExportedRef(repoRoot, ref, task) {
+  await git(repoRoot, ['rev-parse', '--verify', '--quiet', `${ref}^{commit}`]).catch(() => {
+    throw new Error(`unknown git ref "${ref}" — versions are built from local tags and branches only`);
+  });
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mt-docs-version-'));
+  try {
+    await archive(repoRoot, ref, dir);
+    return await task(dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+/** The site configuration an exported tree carries, or null when it has none. */
+export async function loadTreeConfig(treeRoot) {
+  const file = path.join(treeRoot, 'website', 'site.config.mjs');
+  try {
+    await fs.access(file);
+  } catch {
+    return null;
+  }
+  const { site, sections, landing } = await import(pathToFileURL(file).href);
+  return { site, sections, landing };
+}
+
+/**
+ * The client-side version table, written to the site root as versions.js:
+ * every version's label and path, and the slug → title of each of its pages so
+ * the switcher can tell which pages a version lacks.
+ */
+export function versionsScript(versions) {
+  const list = versions.map(({ id, label, path: dir }) => ({ id, label, path: dir }));
+  const pages = Object.fromEntries(versions.map((v) => [v.id, v.pages]));
+  return `window.MT_VERSIONS=${JSON.stringify(list)};\nwindow.MT_VERSION_PAGES=${JSON.stringify(pages)};\n`;
+}
+
+/** `git archive <ref> | tar -x -C <dir>`, without a shell. */
+async function archive(repoRoot, ref, dir) {
+  const source = spawn('git', ['archive', '--format=tar', ref], {
+    cwd: repoRoot,
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  const sink = spawn('tar', ['-x', '-C', dir], { stdio: ['pipe', 'ignore', 'pipe'] });
+  source.stdout.pipe(sink.stdin);
+
+  const [gitCode, tarCode] = await Promise.all([exitCode(source), exitCode(sink)]);
+  if (gitCode !== 0) throw failed('git archive', source.stderrText);
+  if (tarCode !== 0) throw failed('tar', sink.stderrText);
+}
+
+function exitCode(child) {
+  return new Promise((resolve, reject) => {
+    child.stderrText = '';
+    child.stderr.on('data', (chunk) => (child.stderrText += chunk));
+    child.on('error', reject);
+    child.on('close', resolve);
+  });
+}
@@ -0,0 +1,168 @@
+/**
+ * Watch mode: rebuild the site whenever a document, the config or the generator
+ * itself changes, and report each result to whoever is listening.
+ *
+ * Every rebuild runs build.mjs in a fresh child process, so edits to
+ * site.config.mjs and lib/*.mjs take effect without restarting the watcher, and
+ * the incremental build cache keeps that cheap. The files a rebuild actually
+ * rewrote are read off the cache manifest, so a listener can reload only the
+ * pages that changed. Which documents to watch is read off the same manifest,
+ * where the child build records its configured sources, so the watcher never
+ * loads the config itself.
+ */
+
+import { spawn } from 'node:child_process';
+import fs from 'node:fs';
+import path from 'node:path';
+
+import { globBase, globToRegExp } from './discover.mjs';
+
+const DEBOUNCE_MS = 120;
+
+/** Files in the website root that feed the build. */
+const ROOT_INPUTS = new Set(['build.mjs', 'site.config.mjs']);
+
+/** Directories whose every file feeds the build. */
+const INPUT_DIRS = ['lib', 'assets'];
+
+/**
+ * Start watching. `args` are passed through to build.mjs; `onBuild` receives
+ * `{ ok, error, files, changed, initial }` after every build, the first one
+ * included. The first build counts as a full one: its `files` are every file
+ * the site holds, whether or not the cache let it skip rewriting them.
+ */
+export function watchBuild({ root, repoRoot, args = [], onBuild = () => {} }) {
+  const manifestFile = path.join(root, '.cache', 'build.json');
+  const inputDirs = new Set(INPUT_DIRS.map((dir) => path.join(root, dir)));
+  const watchers = new Map();
+  let sources = new Set();
+  let includes = [];
+  let pending = new Set();
+  let timer = null;
+  let running = false;
+  let queued = false;
+  let initial = true;
+
+  const isInput = (file) =>
+    sources.has(file) ||
+    includes.some((glob) => glob.test(path.relative(repoRoot, file).split(path.sep).join('/'))) ||
+    inputDirs.has(path.dirname(file)) ||
+    (path.dirname(file) === root && ROOT_INPUTS.has(path.basename(file)));
+
+  const onEvent = (dir) => (event, filename) => {
+    if (!filename) return;
+    const file = path.join(dir, filename.toString());
+    if (!isInput(file)) return;
+    pending.add(path.relative(repoRoot, file));
+    clearTimeout(timer);
+    timer = setTimeout(rebuild, DEBOUNCE_MS);
+  };
+
+  function refreshWatchers() {
+    const configured = configuredSources(manifestFile, repoRoot);
+    // A build that fails writes no manifest, so a config that does not load
+    // keeps the previous source list; the build itself reports why.
+    if (configured) {
+      sources = new Set(configured.files);
+      includes = configured.globs.map(globToRegExp);
+    }
+
+    const dirs = new Set([
+      root,
+      ...inputDirs,
+      ...[...sources].map((file) => path.dirname(file)),
+      ...(configured ? configured.globs : []).map((glob) => path.join(repoRoot, globBase(glob))),
+    ]);
+    for (const [dir, watcher] of watchers) {
+      if (!dirs.has(dir)) {
+        watcher.close();
+        watchers.delete(dir);
+      }
+    }
+    for (const dir of dirs) {
+      if (watchers.has(dir)) continue;
+      try {
+        watchers.set(dir, fs.watch(dir, onEvent(dir)));
+      } catch {
+        /* directory does not exist (yet) — the build warns about the missing source */
+      }
+    }
+  }
+
+  async function rebuild() {
+    if (running) {
+      queued = true;
+      return;
+    }
+    running = true;
+    const changed = [...pending].sort();
+    pending = new Set();
+
+    const before = initial ? {} : readManifest(manifestFile).outputs || {};
+    const result = await runBuild(path.join(root, 'build.mjs'), args);
+    const after = readManifest(manifestFile).outputs || {};
+    const files = Object.keys(after)
+      .filter((file) => after[file] !== before[file])
+      .sort();
+
+    refreshWatchers();
+    running = false;
+    onBuild({ ...result, files, changed, initial });
+    initial = false;
+
+    if (queued) {
+      queued = false;
+      rebuild();
+    }
+  }
+
+  rebuild();
+
+  return {
+    close() {
+      clearTimeout(timer);
+      for (const watcher of watchers.values()) watcher.close();
+      watchers.clear();
+    },
+  };
+}
+
+/**
+ * Absolute paths of every listed document, and every `include` glob, as the
+ * last successful build recorded them. Globs are watched at their base
+ * directory so a newly created document is picked up too.
+ */
+function configuredSources(manifestFile, repoRoot) {
+  const { inputs } = readManifest(manifestFile);
+  if (!inputs) return null;
+  return {
+    files: inputs.sources.map((source) => path.join(repoRoot, source)),
+    globs: inputs.include,
+  };
+}
+
+function readManifest(manifestFile) {
+  try {
+    return JSON.parse(fs.readFileSync(manifestFile, 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+/** Run one build, echoing its output, and resolve with its outcome. */
+function runBuild(script, args) {
+  return new Promise((resolve) => {
+    const child = spawn(process.execPath, [script, ...args], {
+      stdio: ['ignore', 'inherit', 'pipe'],
+    });
+    let stderr = '';
+    child.stderr.on('data', (chunk) => {
+      stderr += chunk;
+      process.stderr.write(chunk);
+    });
+    child.on('close', (code) => {
+      if (code === 0) resolve({ ok: true, error: '' });
+      else resolve({ ok: false, error: stderr.trim() || `build exited with code ${code}` });
+    });
+  });
+}
@@ -0,0 +1,92 @@
+/**
+ * A minimal ZIP writer: enough of the format for the EPUB export, with no
+ * dependencies beyond node:zlib (and the CRC-32 the PNG encoder already has).
+ *
+ * Entries are written in the order given, stored or deflated, with one fixed
+ * modification time, so the same entries always give the same bytes. There is
+ * no ZIP64, encryption or streaming: an archive is built in memory, and every
+ * entry and the whole archive must stay under 4 GiB.
+ */
+
+import zlib from 'node:zlib';
+
+import { crc32 } from './png.mjs';
+
+/**
+ * The archive for `entries`, as a Buffer.
+ *
+ * @param {{ name: string, data: string|Buffer, store?: boolean }[]} entries
+ *   `store` writes the entry uncompressed (EPUB needs that for `mimetype`).
+ * @param {Date} date  modification time recorded for every entry, read as UTC
+ */
+export function zipArchive(entries, date) {
+  const { time, day } = dosDateTime(date);
+  const locals = [];
+  const central = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, 'utf8');
+    const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(entry.data, 'utf8');
+    const body = entry.store ? data : zlib.deflateRawSync(data, { level: zlib.constants.Z_BEST_COMPRESSION });
+    const fields = {
+      flags: /[^\x20-\x7e]/.test(entry.name) ? 0x0800 : 0, // bit 11: the name is UTF-8
+      method: entry.store ? 0 : 8,
+      time,
+      day,
+      crc: crc32(data),
+      compressed: body.length,
+      size: data.length,
+      nameLength: name.length,
+    };
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4); // version needed: 2.0
+    writeFields(local, 6, fields);
+    locals.push(local, name, body);
+
+    const record = Buffer.alloc(46);
+    record.writeUInt32LE(0x02014b50, 0);
+    record.writeUInt16LE(20, 4); // version made by: 2.0, MS-DOS attributes
+    record.writeUInt16LE(20, 6);
+    writeFields(record, 8, fields);
+    // Extra field, comment, disk number and attributes stay zero.
+    record.writeUInt32LE(offset, 42);
+    central.push(record, name);
+
+    offset += local.length + name.length + body.length;
+  }
+
+  const directory = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+/* ---- helpers ------------------------------------------------------ */
+
+/** The fields local headers and central records share, from flags to name length. */
+function writeFields(buffer, at, { flags, method, time, day, crc, compressed, size, nameLength }) {
+  buffer.writeUInt16LE(flags, at);
+  buffer.writeUInt16LE(method, at + 2);
+  buffer.writeUInt16LE(time, at + 4);
+  buffer.writeUInt16LE(day, at + 6);
+  buffer.writeUInt32LE(crc, at + 8);
+  buffer.writeUInt32LE(compressed, at + 12);
+  buffer.writeUInt32LE(size, at + 16);
+  buffer.writeUInt16LE(nameLength, at + 20);
+}
+
+/** MS-DOS date and time: two-second precision, years from 1980. */
+function dosDateTime(date) {
+  const year = Math.min(Math.max(date.getUTCFullYear(), 1980), 2107);
+  return {
+    time: (date.getUTCHours() << 11) | (date.getUTCMinutes() << 5) | (date.getUTCSeconds() >> 1),
+    day: ((year - 1980) << 9) | ((date.getUTCMonth() + 1) << 5) | date.getUTCDate(),
+  };
+}
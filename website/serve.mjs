@@ -3,6 +3,20 @@
  * Minimal static file server for previewing the built site locally.
  *
  *   node serve.mjs [--port 4173] [--dir _site]
+ *   node serve.mjs --watch    # also rebuild on change and live-reload open pages
+ *
+ * In watch mode every HTML response gets a small script that listens for build
+ * events over server-sent events: a page reloads when its own file, the
+ * stylesheet or app.js changed, and a failed build is shown as an overlay until
+ * the next successful one. The script is injected here rather than built into the
+ * pages, so the output stays identical to a normal build.
+ *
+ * A production build stores .br and .gz copies of every page and asset; they are
+ * sent as they are to browsers that accept the encoding (lib/compress.mjs).
+ * Live-reload pages are always sent uncompressed, since the script goes in.
+ *
+ * Addresses that miss get the build's 404.html, as GitHub Pages does. Its
+ * `<base>` names the published sub-path (/memory-line/); here the site is at /.
  */
 
 import http from 'node:http';
@@ -10,6 +24,9 @@ import fs from 'node:fs/promises';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 
+import { COMPRESSIBLE, negotiateEncoding } from './lib/compress.mjs';
+import { watchBuild } from './lib/watch.mjs';
+
 const here = path.dirname(fileURLToPath(import.meta.url));
 
 function arg(name, fallback) {
@@ -19,20 +36,101 @@ function arg(name, fallback) {
 
 const rootDir = path.resolve(here, arg('dir', '_site'));
 const port = Number(arg('port', 4173));
+const watch = process.argv.includes('--watch');
+
+const LIVE_PATH = '/__live';
+const liveClients = new Set();
+let lastBuild = null;
+
+const LIVE_CLIENT = `<script>
+// app.js leaves the offline service worker out of pages that live-reload.
+window.MT_LIVE_RELOAD = true;
+(function () {
+  // The page's path from the site root, as the build names its files: v1/overview.html.
+  var page = decodeURIComponent(location.pathname).replace(/^\\/+/, '');
+  if (!page || page.slice(-1) === '/') page += 'index.html';
+  var overlay = null;
+  function clear() {
+    if (overlay) overlay.remove();
+    overlay = null;
+  }
+  function show(message) {
+    clear();
+    overlay = document.createElement('div');
+    overlay.setAttribute('role', 'alert');
+    overlay.style.cssText = 'position:fixed;inset:0;z-index:9999;overflow:auto;padding:32px;' +
+      'background:rgba(20,18,16,.94);color:#f3ede4;font:13px/1.55 ui-monospace,monospace;';
+    var title = document.createElement('p');
+    title.textContent = 'Build failed — fix the error and save; this page reloads on the next good build.';
+    title.style.cssText = 'margin:0 0 16px;color:#f0b46e;font-weight:700;';
+    var pre = document.createElement('pre');
+    pre.textContent = message;
+    pre.style.cssText = 'margin:0;white-space:pre-wrap;';
+    overlay.appendChild(title);
+    overlay.appendChild(pre);
+    document.body.appendChild(overlay);
+  }
+  var source = new EventSource('${LIVE_PATH}');
+  source.addEventListener('build', function (event) {
+    var build = JSON.parse(event.data);
+    if (!build.ok) return show(build.error);
+    var hadError = !!overlay;
+    clear();
+    var affected = build.files.some(function (file) {
+      return file === page || file === 'assets/styles.css' || file === 'assets/app.js';
+    });
+    if (affected || hadError) location.reload();
+  });
+})();
+</script>
+`;
 
 const TYPES = {
   '.html': 'text/html; charset=utf-8',
   '.css': 'text/css; charset=utf-8',
   '.js': 'text/javascript; charset=utf-8',
   '.json': 'application/json; charset=utf-8',
+  '.webmanifest': 'application/manifest+json; charset=utf-8',
   '.svg': 'image/svg+xml',
   '.png': 'image/png',
   '.jpg': 'image/jpeg',
   '.ico': 'image/x-icon',
+  '.epub': 'application/epub+zip',
+  '.md': 'text/markdown; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
 };
 
+function broadcast(build) {
+  lastBuild = build;
+  const frame = `event: build\ndata: ${JSON.stringify(build)}\n\n`;
+  for (const client of liveClients) client.write(frame);
+}
+
+function openLiveStream(req, res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.write('retry: 1000\n\n');
+  // A page opened while the last build is broken should show the error at once.
+  if (lastBuild && !lastBuild.ok) res.write(`event: build\ndata: ${JSON.stringify(lastBuild)}\n\n`);
+  liveClients.add(res);
+  req.on('close', () => liveClients.delete(res));
+}
+
+function withLiveClient(html) {
+  return html.toString('utf8').replace(/<\/body>/i, `${LIVE_CLIENT}</body>`);
+}
+
 const server = http.createServer(async (req, res) => {
   const url = new URL(req.url, 'http://localhost');
+  if (watch && url.pathname === LIVE_PATH) {
+    openLiveStream(req, res);
+    return;
+  }
+
   let pathname = decodeURIComponent(url.pathname);
   if (pathname.endsWith('/')) pathname += 'index.html';
 
@@ -43,18 +141,57 @@ const server = http.createServer(async (req, res) => {
   }
 
   try {
-    const body = await fs.readFile(target);
-    res.writeHead(200, {
+    let body = await fs.readFile(target);
+    const headers = {
       'Content-Type': TYPES[path.extname(target)] || 'application/octet-stream',
       'Cache-Control': 'no-cache',
-    });
+    };
+    if (watch && path.extname(target) === '.html') {
+      body = withLiveClient(body);
+    } else if (COMPRESSIBLE.test(target)) {
+      headers.Vary = 'Accept-Encoding';
+      const stored = negotiateEncoding(req.headers['accept-encoding']);
+      const compressed = stored && (await fs.readFile(`${target}${stored.suffix}`).catch(() => null));
+      if (compressed) {
+        body = compressed;
+        headers['Content-Encoding'] = stored.encoding;
+      }
+    }
+    res.writeHead(200, headers);
     res.end(body);
   } catch {
-    res.writeHead(404, { 'Content-Type': 'text/html; charset=utf-8' });
-    res.end('<h1>404</h1><p>Not found. Run <code>npm run build</code> first.</p>');
+    let body;
+    try {
+      body = await fs.readFile(path.join(rootDir, '404.html'), 'utf8');
+      body = body.replace(/<base href="[^"]*">/, '<base href="/">');
+      if (watch) body = withLiveClient(body);
+    } catch {
+      body = '<h1>404</h1><p>Not found. Run <code>npm run build</code> first.</p>';
+    }
+    res.writeHead(404, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-cache' });
+    res.end(body);
   }
 });
 
 server.listen(port, () => {
   console.log(`Serving ${path.relative(process.cwd(), rootDir) || rootDir} at http://localhost:${port}/`);
 });
+
+if (watch) {
+  watchBuild({
+    root: here,
+    repoRoot: path.resolve(here, '..'),
+    args: ['--out', rootDir],
+    onBuild(build) {
+      const what = build.initial ? 'initial build' : build.changed.join(', ');
+      const count = `${build.files.length} file(s)`;
+      const done = build.initial ? `full build, ${count}` : `${count} updated`;
+      console.log(
+        build.ok
+          ? `  ✓ ${what} → ${done}, ${liveClients.size} page(s) notified`
+          : `  ✗ ${what} → build failed, error shown in ${liveClients.size} page(s)`
+      );
+      broadcast({ ok: build.ok, error: build.error, files: build.files });
+    },
+  });
+}
@@ -8,7 +8,9 @@
  * SCOPE: this site documents the **Windows Native** app.
  *
  * To add a new document: drop an entry into the relevant section's `pages` array.
- * `source` is repo-relative; `slug` becomes `<slug>.html`.
+ * `source` is repo-relative; `slug` becomes `<slug>.html`. A section can also
+ * pick documents up by glob with `include: ['docs/design/*.md']`; those get a slug
+ * from the file name and a title and description from the document itself.
  */
 
 export const site = {
@@ -19,6 +21,20 @@ export const site = {
   repo: 'ethanbissbort/memory-line',
   repoUrl: 'https://github.com/ethanbissbort/memory-line',
   branch: 'main',
+  // Where the site is published (GitHub Pages project site), for canonical URLs and sitemap.xml.
+  baseUrl: 'https://ethanbissbort.github.io/memory-line/',
+  // Social preview cards as PNG as well as SVG: most link previewers only show raster images.
+  socialPng: true,
+  // A service worker that saves every page and asset, so the docs keep working without a network.
+  offline: true,
+  // Old slugs to forward, as { 'old-slug': 'new-slug#anchor' }. Pages renamed or removed since the
+  // previous build are forwarded without being listed here.
+  redirects: {},
+  // Size limits in bytes, as written: the build fails when any page, or the named asset, outgrows
+  // its limit. The search index and the book, which holds every document, grow with each one.
+  budgets: { page: 160 * 1024, book: 1024 * 1024, 'search-index.js': 320 * 1024 },
+  // Markdown that is deliberately not on the site, so it is not reported as unlisted.
+  ignore: ['website/**'],
 };
 
 /**
@@ -45,6 +61,22 @@ export const sections = [
           'Every document in the repository, with size, reading time, and a preview of its contents.',
         hideFromCards: true,
       },
+      {
+        slug: 'whats-new',
+        title: "What's new",
+        kind: 'changes',
+        description:
+          'Recent documentation changes by date: the commits behind them and the sections they added, removed or rewrote.',
+        hideFromCards: true,
+      },
+      {
+        slug: 'book',
+        title: 'The whole book',
+        kind: 'book',
+        description:
+          'Every document on one page in reading order, with contents and in-book links — to read straight through, search in the browser, or print.',
+        hideFromCards: true,
+      },
       {
         slug: 'overview',
         source: 'README.md',
@@ -54,16 +86,9 @@ export const sections = [
           'The repository README: what Memory Timeline is, the memory pipeline, the full feature list, tech stack, architecture, setup, configuration, and privacy model.',
         audience: 'Everyone',
         tags: ['overview', 'features', 'getting started'],
-      },
-      {
-        slug: 'developer-guide',
-        source: 'claude.md',
-        title: 'Developer orientation guide',
-        shortTitle: 'Developer guide',
-        description:
-          'The condensed contributor briefing: solution layout, the per-operation DbContext rule, MVVM conventions, settings keys, build reality, and how to add a feature.',
-        audience: 'Contributors',
-        tags: ['conventions', 'architecture', 'how-to'],
+        // Its blockquotes that open with "Note" or a heading predate GitHub's `> [!NOTE]` alerts;
+        // make callouts of them too. Off unless a page (or `site`) turns it on.
+        heuristicCallouts: true,
       },
     ],
   },
@@ -81,6 +106,7 @@ export const sections = [
         audience: 'Developers',
         tags: ['WinUI 3', '.NET 8', 'architecture', 'setup'],
         featured: true,
+        heuristicCallouts: true,
       },
       {
         slug: 'setup-scripts-windows',
@@ -90,6 +116,7 @@ export const sections = [
           'Setup-Dependencies.ps1 and Verify-Installation.ps1 — automated toolchain install and environment verification, plus the build reality (msbuild, not dotnet build).',
         audience: 'Developers',
         tags: ['PowerShell', 'setup', 'CI'],
+        heuristicCallouts: true,
       },
       {
         slug: 'testing',
@@ -108,6 +135,7 @@ export const sections = [
           'Building Release|x64, runtime data layout, MSIX packaging, code signing, Microsoft Store submission, and side-loading.',
         audience: 'Maintainers',
         tags: ['MSIX', 'packaging', 'release'],
+        heuristicCallouts: true,
       },
     ],
   },
@@ -125,6 +153,7 @@ export const sections = [
         audience: 'Everyone',
         tags: ['status', 'roadmap', 'F1–F12'],
         featured: true,
+        heuristicCallouts: true,
       },
       {
         slug: 'development-history',
@@ -141,6 +170,8 @@ export const sections = [
     id: 'quality',
     title: 'Audits & reviews',
     blurb: 'Multi-agent audits, root-cause analyses, and deferred hardening.',
+    // Also publish feeds/quality.xml, an Atom feed of this section's updates only.
+    feed: true,
     pages: [
       {
         slug: 'feature-audit',
@@ -176,6 +207,9 @@ export const sections = [
     id: 'design',
     title: 'Design notes',
     blurb: 'Cross-cutting contracts written before implementation.',
+    // New design notes appear here without a config edit; the entries below only
+    // add metadata the documents themselves do not carry.
+    include: ['docs/design/*.md'],
     pages: [
       {
         slug: 'macos-port-plan',
@@ -407,7 +441,7 @@ export const landing = {
       icon: '🛠',
       title: 'Building & running',
       body: 'Get a working toolchain, build Release|x64, and understand the build reality.',
-      links: ['developer-guide', 'setup-scripts-windows', 'deployment'],
+      links: ['setup-scripts-windows', 'deployment'],
     },
     {
       icon: '🧪',
@@ -424,8 +458,8 @@ export const landing = {
     {
       icon: '📐',
       title: 'Design & history',
-      body: 'The plan that produced the native app, and the contracts written before the code.',
-      links: ['migration-to-native-windows', 'people-feature-contracts', 'development-history'],
+      body: 'The plan for the next platform, the contracts written before the code, and how the native app was built.',
+      links: ['macos-port-plan', 'people-feature-contracts', 'development-history'],
     },
   ],
 
@@ -0,0 +1,143 @@
+/**
+ * The JSON content API: the shape of api/index.json and of each
+ * api/pages/<slug>.json, as tools outside the site read them.
+ */
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { API_VERSION, apiIndex, apiPage, apiPagePath } from '../lib/api.mjs';
+
+const site = {
+  name: 'Memory Timeline',
+  description: 'Docs',
+  baseUrl: 'https://example.org/docs/',
+  repoUrl: 'https://github.com/o/r',
+  branch: 'main',
+};
+
+const setup = {
+  slug: 'setup',
+  title: 'Setup',
+  description: 'Install it.',
+  audience: 'Everyone',
+  source: 'docs/setup.md',
+  sectionId: 'guides',
+  sectionTitle: 'Guides',
+  html: '\n<p>Before.</p>\n<h2 id="install">Install</h2>\n<p>Run <a href="usage.html">it</a>.</p>\n',
+  toc: [{ id: 'install', depth: 2, text: 'Install' }],
+  links: ['usage.html'],
+  stats: { words: 4, minutes: 1 },
+  history: { updated: '2026-07-01', commits: 3 },
+};
+
+describe('apiPage', () => {
+  const page = apiPage(setup, site);
+
+  it('has every field, in a stable order', () => {
+    assert.deepEqual(Object.keys(page), [
+      'version',
+      'slug',
+      'title',
+      'description',
+      'audience',
+      'tags',
+      'section',
+      'source',
+      'sourceUrl',
+      'output',
+      'url',
+      'markdown',
+      'updated',
+      'commits',
+      'words',
+      'minutes',
+      'toc',
+      'links',
+      'sections',
+      'html',
+      'text',
+    ]);
+    assert.equal(page.version, API_VERSION);
+  });
+
+  it('describes the document and where to find it', () => {
+    assert.deepEqual(page.section, { id: 'guides', title: 'Guides' });
+    assert.equal(page.sourceUrl, 'https://github.com/o/r/blob/main/docs/setup.md');
+    assert.equal(page.output, 'setup.html');
+    assert.equal(page.url, 'https://example.org/docs/setup.html');
+    assert.equal(page.markdown, 'setup.md');
+    assert.deepEqual([page.updated, page.commits, page.words, page.minutes], ['2026-07-01', 3, 4, 1]);
+    assert.deepEqual(page.links, ['usage.html']);
+    assert.deepEqual(apiPage({ ...setup, tags: ['install', 'windows'] }, site).tags, ['install', 'windows']);
+  });
+
+  it('splits the body at each H2, text before the first one first', () => {
+    assert.deepEqual(
+      page.sections.map(({ id, title, text }) => ({ id, title, text })),
+      [
+        { id: '', title: '', text: 'Before.' },
+        { id: 'install', title: 'Install', text: 'Run it.' },
+      ]
+    );
+    assert.equal(page.html, setup.html.trim());
+    assert.match(page.text, /^Before\.\s+Install\s+Run it\.$/);
+  });
+
+  it('has nulls and zeros for what a page does not have', () => {
+    const bare = apiPage(
+      { ...setup, description: undefined, audience: undefined, history: null },
+      { ...site, baseUrl: undefined }
+    );
+    assert.deepEqual(
+      [bare.description, bare.audience, bare.tags, bare.url, bare.updated, bare.commits],
+      ['', null, [], null, null, 0]
+    );
+  });
+});
+
+describe('apiIndex', () => {
+  const index = apiIndex({
+    site: { ...site, extra: 'left out' },
+    sections: [
+      {
+        id: 'guides',
+        title: 'Guides',
+        pages: [{ slug: 'index', title: 'Home', kind: 'landing' }, setup],
+      },
+    ],
+    buildTime: '2026-07-02',
+    totals: { docs: 1, words: 4, minutes: 1 },
+  });
+
+  it('lists the site, the sections and every page in sidebar order', () => {
+    assert.equal(index.version, API_VERSION);
+    assert.deepEqual(Object.keys(index.site), ['name', 'description', 'baseUrl', 'repoUrl', 'branch']);
+    assert.deepEqual(index.sections, [{ id: 'guides', title: 'Guides', pages: ['index', 'setup'] }]);
+    assert.deepEqual(index.pages, [
+      {
+        slug: 'index',
+        title: 'Home',
+        kind: 'landing',
+        section: 'guides',
+        description: '',
+        output: 'index.html',
+        url: 'https://example.org/docs/',
+        api: null,
+        updated: null,
+      },
+      {
+        slug: 'setup',
+        title: 'Setup',
+        kind: 'document',
+        section: 'guides',
+        description: 'Install it.',
+        output: 'setup.html',
+        url: 'https://example.org/docs/setup.html',
+        api: apiPagePath('setup'),
+        updated: '2026-07-01',
+      },
+    ]);
+    assert.equal(apiPagePath('setup'), 'api/pages/setup.json');
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * The incremental build cache: a build that reuses the last one's work must
+ * write what a clean build writes, and a new config or generator must start
+ * over. Builds run on a scratch repository of two documents.
+ */
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import { fileURLToPath } from 'node:url';
+
+import { emptyManifest, generatorVersion, loadManifest, saveManifest } from '../lib/cache.mjs';
+import { compareTrees } from '../lib/diff.mjs';
+import { buildSite } from '../lib/pipeline.mjs';
+import { landing } from '../site.config.mjs';
+
+const websiteRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DATE = new Date('2026-07-01T00:00:00Z');
+
+/** A site of the two scratch documents; `site` fields override the defaults. */
+function fixtureConfig(site = {}) {
+  return {
+    site: {
+      name: 'Fixture',
+      description: 'Docs',
+      repoUrl: 'https://github.com/o/r',
+      branch: 'main',
+      ...site,
+    },
+    sections: [
+      {
+        id: 'guides',
+        title: 'Guides',
+        pages: [
+          { slug: 'setup', source: 'docs/setup.md', title: 'Setup', description: 'Install it.' },
+          { slug: 'usage', source: 'docs/usage.md', title: 'Usage', description: 'Run it.' },
+        ],
+      },
+    ],
+    // The real landing content, without its links to the real pages.
+    landing: { ...landing, paths: [], timeline: [] },
+  };
+}
+
+describe('incremental builds', () => {
+  let root;
+  const build = (outDir, { cacheFile = null, config = fixtureConfig() } = {}) =>
+    buildSite({ config, repoRoot: root, outDir: path.join(root, outDir), cacheFile, date: DATE });
+
+  before(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'mt-docs-test-'));
+    await write(root, 'docs/setup.md', '# Setup\n\nSee [usage](usage.md#run).\n\n## Install\n\nRun it.\n');
+    await write(root, 'docs/usage.md', '# Usage\n\n## Run\n\nGo.\n');
+  });
+
+  after(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  it('re-renders only the documents that changed and writes what a clean build writes', async () => {
+    const cacheFile = path.join(root, 'cache/edit.json');
+    assert.equal((await build('edited', { cacheFile })).report.incremental, null);
+
+    await write(root, 'docs/usage.md', '# Usage\n\n## Run\n\nGo, then stop.\n');
+    const { incremental } = (await build('edited', { cacheFile })).report;
+    assert.equal(incremental.rerendered, 1);
+    assert.ok(incremental.written > 0 && incremental.written < incremental.files);
+
+    await build('clean');
+    assert.deepEqual(await differences(path.join(root, 'clean'), path.join(root, 'edited')), []);
+  });
+
+  it('rewrites nothing when nothing changed', async () => {
+    const cacheFile = path.join(root, 'cache/same.json');
+    await build('same', { cacheFile });
+    const { incremental } = (await build('same', { cacheFile })).report;
+    assert.deepEqual([incremental.rerendered, incremental.written], [0, 0]);
+  });
+
+  it('starts over when the config changes', async () => {
+    const cacheFile = path.join(root, 'cache/config.json');
+    await build('config', { cacheFile });
+    const config = fixtureConfig({ description: 'Other docs' });
+    assert.equal((await build('config', { cacheFile, config })).report.incremental, null);
+
+    await build('config-clean', { config });
+    assert.deepEqual(await differences(path.join(root, 'config-clean'), path.join(root, 'config')), []);
+  });
+});
+
+describe('generatorVersion', () => {
+  it('changes with build.mjs and lib/, not with the assets', async () => {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'mt-docs-test-'));
+    try {
+      await write(root, 'build.mjs', '// build\n');
+      await write(root, 'lib/templates.mjs', 'export const a = 1;\n');
+      await write(root, 'assets/styles.css', 'body {}\n');
+      // The marked version is part of the fingerprint.
+      await fs.symlink(path.join(websiteRoot, 'node_modules'), path.join(root, 'node_modules'));
+
+      const first = await generatorVersion(root);
+      await write(root, 'assets/styles.css', 'body { margin: 0 }\n');
+      assert.equal(await generatorVersion(root), first);
+      await write(root, 'lib/templates.mjs', 'export const a = 2;\n');
+      assert.notEqual(await generatorVersion(root), first);
+    } finally {
+      await fs.rm(root, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('loadManifest', () => {
+  it('trusts only a manifest made for the same key', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mt-docs-test-'));
+    const file = path.join(dir, 'build.json');
+    const key = { outDir: '_site', generator: 'g1', config: 'c1' };
+    try {
+      assert.equal(await loadManifest(file, key), null);
+      await saveManifest(file, emptyManifest(key));
+      assert.deepEqual(await loadManifest(file, key), emptyManifest(key));
+      assert.equal(await loadManifest(file, { ...key, generator: 'g2' }), null);
+      assert.equal(await loadManifest(file, { ...key, config: 'c2' }), null);
+      await fs.writeFile(file, '{ not json');
+      assert.equal(await loadManifest(file, key), null);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+/* ---- helpers ------------------------------------------------------ */
+
+/** Every file added, removed or changed between two build trees. */
+async function differences(a, b) {
+  const { added, removed, changed } = await compareTrees(a, b);
+  return [...added, ...removed, ...changed];
+}
+
+async function write(root, file, text) {
+  await fs.mkdir(path.dirname(path.join(root, file)), { recursive: true });
+  await fs.writeFile(path.join(root, file), text);
+}
@@ -0,0 +1,122 @@
+/**
+ * "What's new": per-day section changes, read from the history of a scratch
+ * repository whose commits carry fixed dates.
+ */
+
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+
+import { documentChanges } from '../lib/changes.mjs';
+
+describe('documentChanges', () => {
+  let repo;
+  let days;
+
+  before(async () => {
+    repo = await fs.mkdtemp(path.join(os.tmpdir(), 'mt-docs-test-'));
+    git(repo, ['init', '--quiet']);
+
+    // Outside the 60-day window of the newest commit.
+    await commit(repo, '2026-01-05T10:00:00Z', 'Add the old notes', {
+      'docs/old.md': '# Old\n\n## Gone\n\nx\n',
+    });
+    await commit(repo, '2026-05-01T09:00:00Z', 'Add the guide', {
+      'docs/intro.md': '# Guide\n\nOpening.\n\n## Install\n\nRun it.\n\n## Legacy\n\nOld way.\n',
+    });
+    // Two commits on one day make one entry, compared across the whole day.
+    await commit(repo, '2026-05-03T08:00:00Z', 'Rewrite install', {
+      'docs/intro.md': '# Guide\n\nOpening.\n\n## Install\n\nRun it twice.\n\n## Legacy\n\nOld way.\n',
+    });
+    await commit(repo, '2026-05-03T17:00:00Z', 'Add usage, drop legacy', {
+      'docs/intro.md': '# Guide\n\nOpening.\n\n## Install\n\nRun it twice.\n\n## Usage\n\nUse it.\n',
+    });
+    // A rename is followed: the day compares with the file under its old name.
+    git(repo, ['mv', 'docs/intro.md', 'docs/guide.md']);
+    await commit(repo, '2026-05-04T12:00:00Z', 'Rename the guide', {
+      'docs/guide.md': '# Guide\n\nOpening.\n\n## Install\n\nRun it twice.\n',
+    });
+
+    const pages = [
+      { slug: 'guide', source: 'docs/guide.md' },
+      { slug: 'old', source: 'docs/old.md' },
+    ];
+    days = await documentChanges(repo, pages);
+  });
+
+  after(async () => {
+    await fs.rm(repo, { recursive: true, force: true });
+  });
+
+  it('groups changes by day, newest first, within the window', () => {
+    assert.deepEqual(
+      days.map((day) => day.date),
+      ['2026-05-04', '2026-05-03', '2026-05-01']
+    );
+    assert.ok(days.every((day) => day.documents.every((doc) => doc.page.slug === 'guide')));
+  });
+
+  it('reports a new document with its whole text as the excerpt', () => {
+    const [created] = days[2].documents;
+    assert.equal(created.created, true);
+    assert.deepEqual(created.added, ['Install', 'Legacy']);
+    assert.match(created.excerpt, /^# Guide\n\nOpening\./);
+  });
+
+  it("compares sections from before a day's first commit to after its last", () => {
+    const [change] = days[1].documents;
+    assert.equal(change.created, false);
+    assert.deepEqual(change.added, ['Usage']);
+    assert.deepEqual(change.removed, ['Legacy']);
+    assert.deepEqual(change.rewritten, ['Install']);
+    assert.deepEqual(
+      change.commits.map((c) => c.subject),
+      ['Add usage, drop legacy', 'Rewrite install']
+    );
+    assert.equal(change.time, Date.parse('2026-05-03T17:00:00Z') / 1000);
+    assert.equal(change.excerpt, '## Usage\n\nUse it.\n');
+  });
+
+  it('follows renames, and has no excerpt when sections were only removed', () => {
+    const [renamed] = days[0].documents;
+    assert.equal(renamed.created, false);
+    assert.deepEqual([renamed.added, renamed.removed, renamed.rewritten], [[], ['Usage'], []]);
+    assert.equal(renamed.excerpt, null);
+  });
+
+  it('reads history up to a given revision', async () => {
+    const pages = [{ slug: 'intro', source: 'docs/intro.md' }];
+    const earlier = await documentChanges(repo, pages, { rev: 'HEAD^' });
+    assert.deepEqual(
+      earlier.map((day) => day.date),
+      ['2026-05-03', '2026-05-01']
+    );
+  });
+
+  it('is empty outside a repository', async () => {
+    assert.deepEqual(await documentChanges(os.tmpdir(), [{ slug: 'a', source: 'a.md' }]), []);
+  });
+});
+
+/* ---- helpers ------------------------------------------------------ */
+
+function git(cwd, args, env = {}) {
+  return execFileSync('git', ['-c', 'user.name=Docs', '-c', 'user.email=docs@example.org', ...args], {
+    cwd,
+    env: { ...process.env, ...env },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+}
+
+/** Write `files` and commit them, authored and committed at `date`. */
+async function commit(repo, date, subject, files) {
+  for (const [file, text] of Object.entries(files)) {
+    await fs.mkdir(path.join(repo, path.dirname(file)), { recursive: true });
+    await fs.writeFile(path.join(repo, file), text);
+  }
+  git(repo, ['add', '--all']);
+  git(repo, ['commit', '--quiet', '-m', subject], { GIT_AUTHOR_DATE: date, GIT_COMMITTER_DATE: date });
+}
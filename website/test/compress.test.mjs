@@ -0,0 +1,97 @@
+/**
+ * Production compression and size budgets: which stored encoding a request
+ * gets, that the copies decode to the original, and which files a production
+ * build reports over `site.budgets`.
+ */
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+import zlib from 'node:zlib';
+
+import { ENCODINGS, negotiateEncoding } from '../lib/compress.mjs';
+import { buildSite } from '../lib/pipeline.mjs';
+import { landing } from '../site.config.mjs';
+
+const negotiated = (header) => negotiateEncoding(header)?.encoding ?? null;
+
+describe('negotiateEncoding', () => {
+  it('prefers brotli, then gzip, whatever order the client lists them in', () => {
+    assert.equal(negotiated('gzip, deflate, br'), 'br');
+    assert.equal(negotiated('gzip;q=1.0, br;q=0.5'), 'br');
+    assert.equal(negotiated('gzip, deflate'), 'gzip');
+    assert.equal(negotiated('GZIP'), 'gzip');
+  });
+
+  it('never sends an encoding refused with q=0', () => {
+    assert.equal(negotiated('br;q=0, gzip'), 'gzip');
+    assert.equal(negotiated('br;q=0, gzip;q=0.0'), null);
+    assert.equal(negotiated('br; q=0'), null);
+  });
+
+  it('reads a wildcard as every encoding not named', () => {
+    assert.equal(negotiated('*'), 'br');
+    assert.equal(negotiated('br;q=0, *'), 'gzip');
+    assert.equal(negotiated('*;q=0, gzip'), 'gzip');
+    assert.equal(negotiated('*;q=0'), null);
+  });
+
+  it('sends nothing stored without a header, or for identity alone', () => {
+    assert.equal(negotiated(undefined), null);
+    assert.equal(negotiated(''), null);
+    assert.equal(negotiated('identity'), null);
+  });
+});
+
+describe('ENCODINGS', () => {
+  it('write copies that decode to the original, the same every time', () => {
+    const text = '<p>Memory Timeline</p>\n'.repeat(200);
+    const decode = { br: zlib.brotliDecompressSync, gzip: zlib.gunzipSync };
+    for (const { encoding, compress } of ENCODINGS) {
+      const copy = compress(text);
+      assert.ok(copy.length < Buffer.byteLength(text), encoding);
+      assert.equal(decode[encoding](copy).toString(), text);
+      assert.ok(copy.equals(compress(text)), encoding);
+    }
+  });
+});
+
+describe('site.budgets', () => {
+  it('lists every page and asset over its budget in a production build', async () => {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'mt-docs-test-'));
+    try {
+      await fs.mkdir(path.join(root, 'docs'));
+      await fs.writeFile(path.join(root, 'docs/setup.md'), '# Setup\n\n## Install\n\nRun it.\n');
+      const site = { name: 'Site', description: 'Docs', repoUrl: 'https://github.com/o/r', branch: 'main' };
+      const page = { slug: 'setup', source: 'docs/setup.md', title: 'Setup', description: 'Install it.' };
+      const build = (outDir, budgets) =>
+        buildSite({
+          config: {
+            site: { ...site, budgets },
+            sections: [{ id: 'guides', title: 'Guides', pages: [page] }],
+            landing: { ...landing, paths: [], timeline: [] },
+          },
+          repoRoot: root,
+          outDir: path.join(root, outDir),
+          date: new Date('2026-07-01T00:00:00Z'),
+          production: true,
+        });
+
+      const within = await build('roomy', { page: 10_000_000, 'app.js': 10_000_000 });
+      assert.deepEqual(within.report.overBudget, []);
+      const outputs = Object.keys(within.manifest.files);
+      assert.ok(outputs.includes('setup.html.br') && outputs.includes('setup.html.gz'));
+
+      const { overBudget } = (await build('tight', { page: 1, 'app.js': 1 })).report;
+      const over = overBudget.map(({ file }) => file);
+      assert.ok(over.includes('setup.html') && over.includes('index.html'));
+      assert.ok(over.some((file) => /^assets\/app\.\w+\.js$/.test(file)));
+      assert.ok(!over.some((file) => /\.(?:br|gz)$|styles/.test(file)));
+      for (const { bytes, budget } of overBudget) assert.ok(bytes > budget);
+    } finally {
+      await fs.rm(root, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Comparing builds for --check: the file-by-file comparison of two trees and
+ * the short unified diffs of what changed.
+ */
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+
+import { compareTrees, unifiedDiff } from '../lib/diff.mjs';
+
+const lines = (count, label = 'line') => Array.from({ length: count }, (_, i) => `${label} ${i + 1}`);
+const text = (list) => Buffer.from(`${list.join('\n')}\n`);
+
+describe('unifiedDiff', () => {
+  it('shows a change with three lines of context', () => {
+    const before = lines(10);
+    const after = [...before];
+    after[4] = 'line five';
+    assert.equal(
+      unifiedDiff(text(before), text(after), { from: '_site/a.html', to: 'build/a.html' }),
+      [
+        '--- _site/a.html',
+        '+++ build/a.html',
+        '@@ -2,7 +2,7 @@',
+        ' line 2',
+        ' line 3',
+        ' line 4',
+        '-line 5',
+        '+line five',
+        ' line 6',
+        ' line 7',
+        ' line 8',
+      ].join('\n')
+    );
+  });
+
+  it('joins changes close together into one hunk and keeps distant ones apart', () => {
+    const before = lines(40);
+    const near = [...before];
+    near[5] = 'x';
+    near[10] = 'y';
+    assert.equal(unifiedDiff(text(before), text(near)).match(/^@@/gm).length, 1);
+
+    const far = [...before];
+    far[5] = 'x';
+    far[30] = 'y';
+    const diff = unifiedDiff(text(before), text(far));
+    assert.deepEqual(diff.match(/^@@.*@@$/gm), ['@@ -3,7 +3,7 @@', '@@ -28,7 +28,7 @@']);
+  });
+
+  it('counts lines added at the end and removed from the start', () => {
+    assert.match(unifiedDiff(text(lines(3)), text([...lines(3), 'line 4'])), /@@ -1,3 \+1,4 @@\n line 1\n/);
+    assert.match(unifiedDiff(text(lines(3)), text(lines(3).slice(1))), /@@ -1,3 \+1,2 @@\n-line 1\n/);
+    assert.match(unifiedDiff(Buffer.from(''), text(['new'])), /@@ -0,0 \+1,1 @@\n\+new$/);
+  });
+
+  it('cuts long lines and long diffs', () => {
+    const long = unifiedDiff(text(['a'.repeat(500)]), text(['b'.repeat(500)]));
+    assert.ok(long.split('\n').every((line) => line.length <= 162));
+
+    const many = unifiedDiff(text(lines(100)), text(lines(100, 'row')), { maxLines: 10 });
+    const shown = many.split('\n');
+    assert.equal(shown.length, 11);
+    assert.match(shown[10], /^… \d+ more line\(s\)$/);
+  });
+
+  it('reports binary files and files too different to diff without a diff', () => {
+    assert.equal(
+      unifiedDiff(Buffer.from([0, 1]), Buffer.from([0, 2]), { from: 'a.png', to: 'b.png' }),
+      'Binary files a.png and b.png differ'
+    );
+    assert.match(unifiedDiff(text(lines(1500)), text(lines(1500, 'row'))), /differ in more than 2000 lines/);
+  });
+});
+
+describe('compareTrees', () => {
+  it('lists added, removed and changed files and counts the rest', async () => {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'mt-docs-test-'));
+    const write = async (file, contents) => {
+      await fs.mkdir(path.dirname(path.join(root, file)), { recursive: true });
+      await fs.writeFile(path.join(root, file), contents);
+    };
+    try {
+      await write('old/index.html', 'same');
+      await write('old/assets/app.js', 'one');
+      await write('old/gone.html', 'x');
+      await write('new/index.html', 'same');
+      await write('new/assets/app.js', 'two');
+      await write('new/api/pages/new.json', '{}');
+
+      assert.deepEqual(await compareTrees(path.join(root, 'old'), path.join(root, 'new')), {
+        added: ['api/pages/new.json'],
+        removed: ['gone.html'],
+        changed: ['assets/app.js'],
+        unchanged: 1,
+      });
+      assert.deepEqual(await compareTrees(path.join(root, 'missing'), path.join(root, 'old')), {
+        added: ['assets/app.js', 'gone.html', 'index.html'],
+        removed: [],
+        changed: [],
+        unchanged: 0,
+      });
+    } finally {
+      await fs.rm(root, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * The EPUB edition and the ZIP writer under it. Archives are read back with a
+ * small central-directory reader, so every entry is checked as an e-reader
+ * would find it: name, method, CRC and contents.
+ */
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import zlib from 'node:zlib';
+
+import { epubArchive, epubFileName, toXhtml } from '../lib/epub.mjs';
+import { crc32 } from '../lib/png.mjs';
+import { zipArchive } from '../lib/zip.mjs';
+
+const DATE = new Date('2026-07-10T12:34:56Z');
+
+describe('zipArchive', () => {
+  it('writes entries that read back byte for byte, in order', () => {
+    const entries = readZip(
+      zipArchive(
+        [
+          { name: 'stored.txt', data: 'kept as is', store: true },
+          { name: 'dir/deflated.txt', data: 'squeezed '.repeat(100) },
+          { name: 'binary.bin', data: Buffer.from([0, 1, 2, 255]) },
+        ],
+        DATE
+      )
+    );
+    assert.deepEqual(
+      entries.map(({ name, method }) => [name, method]),
+      [
+        ['stored.txt', 0],
+        ['dir/deflated.txt', 8],
+        ['binary.bin', 8],
+      ]
+    );
+    assert.equal(entries[0].data.toString(), 'kept as is');
+    assert.equal(entries[1].data.toString(), 'squeezed '.repeat(100));
+    assert.deepEqual([...entries[2].data], [0, 1, 2, 255]);
+    for (const entry of entries) assert.equal(entry.crc, crc32(entry.data));
+  });
+
+  it('records the date as MS-DOS time and flags UTF-8 names', () => {
+    const [plain, accented] = readZip(
+      zipArchive(
+        [
+          { name: 'a.txt', data: 'a' },
+          { name: 'café.txt', data: 'b' },
+        ],
+        DATE
+      )
+    );
+    assert.equal(plain.flags, 0);
+    assert.equal(accented.flags, 0x0800);
+    assert.equal(accented.name, 'café.txt');
+    assert.equal(plain.time, (12 << 11) | (34 << 5) | (56 >> 1));
+    assert.equal(plain.day, ((2026 - 1980) << 9) | (7 << 5) | 10);
+  });
+
+  it('gives the same bytes for the same entries', () => {
+    const entries = [{ name: 'a.txt', data: 'same' }];
+    assert.ok(zipArchive(entries, DATE).equals(zipArchive(entries, DATE)));
+  });
+});
+
+describe('epubArchive', () => {
+  const page = (slug, title, html, toc = []) => ({
+    slug,
+    title,
+    description: `About ${title}`,
+    sectionTitle: 'Guides',
+    source: `${slug}.md`,
+    html,
+    toc,
+    stats: { words: 1200, minutes: 6 },
+  });
+  const site = {
+    name: 'Memory Timeline',
+    description: 'Docs',
+    repoUrl: 'https://github.com/o/r',
+    branch: 'main',
+    baseUrl: 'https://example.org/docs/',
+  };
+  const sections = [
+    {
+      title: 'Guides',
+      pages: [
+        page(
+          'setup',
+          'Setup',
+          '<h2 id="install">Install</h2>\n' +
+            '<p>See <a href="usage.html#run">running</a>, <a href="#install">here</a>, ' +
+            '<a href="index.html">home</a> and <a href="usage.html#gone">gone</a>.</p>',
+          [{ id: 'install', depth: 2, text: 'Install' }]
+        ),
+        page('usage', 'Usage', '<h2 id="run">Run</h2>\n<p>Go.<br></p>', [
+          { id: 'run', depth: 2, text: 'Run' },
+        ]),
+      ],
+    },
+  ];
+  const archive = epubArchive({
+    title: 'Memory Timeline docs',
+    site,
+    sections,
+    css: 'body {}',
+    date: DATE,
+    identifier: 'urn:x',
+  });
+  const files = new Map(readZip(archive).map((entry) => [entry.name, entry]));
+  const text = (name) => files.get(name).data.toString();
+
+  it('starts with an uncompressed mimetype and points at the package', () => {
+    const [first] = files.values();
+    assert.equal(first.name, 'mimetype');
+    assert.equal(first.method, 0);
+    assert.equal(text('mimetype'), 'application/epub+zip');
+    assert.match(text('META-INF/container.xml'), /full-path="EPUB\/package\.opf"/);
+  });
+
+  it('lists every document in the manifest and the spine, in sidebar order', () => {
+    const opf = text('EPUB/package.opf');
+    const spine = [...opf.matchAll(/<itemref idref="([^"]+)"\/>/g)].map((m) => m[1]);
+    assert.deepEqual(spine, ['cover', 'nav', 'doc-setup', 'doc-usage']);
+    assert.match(opf, /<dc:date>2026-07-10<\/dc:date>/);
+    assert.match(opf, /<meta property="dcterms:modified">2026-07-10T12:34:56Z<\/meta>/);
+    assert.ok(files.has('EPUB/styles.css'));
+  });
+
+  it('keeps links inside the book and sends the rest to the site', () => {
+    const setup = text('EPUB/setup.xhtml');
+    assert.match(setup, /href="usage\.xhtml#run"/);
+    assert.match(setup, /href="#install"/);
+    assert.match(setup, /href="https:\/\/example\.org\/docs\/"/);
+    assert.match(setup, /href="usage\.xhtml">gone/);
+    assert.match(text('EPUB/usage.xhtml'), /<br\/>/);
+  });
+
+  it('outlines each document in the navigation', () => {
+    const nav = text('EPUB/nav.xhtml');
+    assert.match(nav, /<a href="setup\.xhtml">Setup<\/a><ol><li><a href="setup\.xhtml#install">Install<\/a>/);
+  });
+
+  it('names the file after the site', () => {
+    assert.equal(epubFileName('Memory Timeline'), 'memory-timeline-docs.epub');
+  });
+});
+
+describe('toXhtml', () => {
+  it('closes void and unclosed elements and quotes attributes', () => {
+    assert.equal(toXhtml('<p class=lede>One<br>two<hr>'), '<p class="lede">One<br/>two<hr/></p>');
+  });
+
+  it('escapes tags that are not HTML and entities XML does not know', () => {
+    assert.equal(
+      toXhtml('<p>IProgress<int> &nbsp;&amp; & more</p>'),
+      '<p>IProgress&lt;int&gt; &#160;&amp; &amp; more</p>'
+    );
+  });
+
+  it('drops comments and replaces images with their alt text', () => {
+    assert.equal(toXhtml('<p><!-- hidden -->A <img src="x.png" alt="diagram"></p>'), '<p>A diagram</p>');
+  });
+});
+
+/* ---- helpers ------------------------------------------------------ */
+
+/** Every entry of a ZIP archive, read through its central directory. */
+function readZip(archive) {
+  const end = archive.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = archive.readUInt16LE(end + 10);
+  let at = archive.readUInt32LE(end + 16);
+  const entries = [];
+  for (let i = 0; i < count; i += 1) {
+    assert.equal(archive.readUInt32LE(at), 0x02014b50);
+    const nameLength = archive.readUInt16LE(at + 28);
+    const local = archive.readUInt32LE(at + 42);
+    const entry = {
+      flags: archive.readUInt16LE(at + 8),
+      method: archive.readUInt16LE(at + 10),
+      time: archive.readUInt16LE(at + 12),
+      day: archive.readUInt16LE(at + 14),
+      crc: archive.readUInt32LE(at + 16),
+      name: archive.toString('utf8', at + 46, at + 46 + nameLength),
+    };
+    assert.equal(archive.readUInt32LE(local), 0x04034b50);
+    const start = local + 30 + archive.readUInt16LE(local + 26) + archive.readUInt16LE(local + 28);
+    const body = archive.subarray(start, start + archive.readUInt32LE(at + 20));
+    entries.push({ ...entry, data: entry.method === 8 ? zlib.inflateRawSync(body) : body });
+    at += 46 + nameLength;
+  }
+  return entries;
+}
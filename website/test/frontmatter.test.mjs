@@ -0,0 +1,88 @@
+/**
+ * Front matter: the YAML subset, where the block ends, and when a leading
+ * `---` is a thematic break instead.
+ */
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { applyFrontMatter, checkFrontMatter, splitFrontMatter } from '../lib/frontmatter.mjs';
+
+describe('splitFrontMatter', () => {
+  it('reads the block at the top and returns the rest as body', () => {
+    const { data, body } = splitFrontMatter(
+      [
+        '---',
+        'title: macOS port plan',
+        'description: "Quoted: with a colon"',
+        'audience: Developers   # a comment',
+        'tags: [design, "mac os"]',
+        'order: 1',
+        'draft: false',
+        '---',
+        '# Heading',
+      ].join('\n')
+    );
+    assert.deepEqual(data, {
+      title: 'macOS port plan',
+      description: 'Quoted: with a colon',
+      audience: 'Developers',
+      tags: ['design', 'mac os'],
+      order: 1,
+      draft: false,
+    });
+    assert.equal(body, '# Heading');
+  });
+
+  it('reads block lists and multi-line strings', () => {
+    const markdown = '---\ntags:\n  - one\n  - two\ndescription: >\n  folded\n  text\n---\n';
+    const { data } = splitFrontMatter(markdown);
+    assert.deepEqual(data, { tags: ['one', 'two'], description: 'folded text' });
+  });
+
+  it('accepts a byte-order mark, CRLF line ends and a closing "..."', () => {
+    const { data, body } = splitFrontMatter('\uFEFF---\r\ntitle: T\r\n...\r\nBody');
+    assert.deepEqual(data, { title: 'T' });
+    assert.equal(body, 'Body');
+  });
+
+  it('leaves a document without a block, or with an unclosed one, as all body', () => {
+    const plain = '# Title\n\ntitle: no\n';
+    assert.deepEqual(splitFrontMatter(plain), { data: {}, body: plain });
+    assert.deepEqual(splitFrontMatter('---\ntitle: T\n'), { data: {}, body: '---\ntitle: T\n' });
+  });
+
+  it('takes a leading thematic break for markdown, not front matter', () => {
+    const markdown = '---\n\nAn introduction in prose.\n\n---\n\n# Heading\n';
+    assert.deepEqual(splitFrontMatter(markdown), { data: {}, body: markdown });
+  });
+
+  it('falls back to markdown when only some lines are key: value', () => {
+    const markdown = '---\nNote: the first line looks like a field.\nThe second does not.\n---\nText\n';
+    assert.deepEqual(splitFrontMatter(markdown), { data: {}, body: markdown });
+  });
+});
+
+describe('checkFrontMatter', () => {
+  it('reports unknown fields and values of the wrong type', () => {
+    const problems = checkFrontMatter(splitFrontMatter('---\ntitel: T\ndraft: yes\ntags: one\n---\n'));
+    assert.deepEqual(
+      problems.map((p) => p.location),
+      ['front matter › titel', 'front matter › draft', 'front matter › tags']
+    );
+  });
+
+  it('accepts every known field with the right type', () => {
+    const { data } = splitFrontMatter('---\ntitle: T\nheuristicCallouts: true\norder: 2\n---\n');
+    assert.deepEqual(checkFrontMatter({ data }), []);
+  });
+});
+
+describe('applyFrontMatter', () => {
+  it('overrides the config entry, but never slug or source', () => {
+    const page = { slug: 'a', source: 'a.md', title: 'From config', description: 'D' };
+    const data = { title: 'From the document', slug: 'b', source: 'b.md', draft: 'no' };
+    const merged = applyFrontMatter(page, data);
+    assert.deepEqual(merged, { slug: 'a', source: 'a.md', title: 'From the document', description: 'D' });
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * The documents as markdown: the cleaned copy of each one, the llms.txt index
+ * and llms-full.txt.
+ */
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { llmsFullTxt, llmsTxt, markdownCopy } from '../lib/llms.mjs';
+
+const options = {
+  slug: 'setup',
+  sourceDir: 'docs',
+  pathToSlug: new Map([
+    ['docs/setup.md', 'setup'],
+    ['docs/usage.md', 'usage'],
+  ]),
+  repoUrl: 'https://github.com/o/r',
+  branch: 'main',
+};
+
+describe('markdownCopy', () => {
+  it('drops the front matter and comments', () => {
+    const markdown = '---\ntitle: Setup\n---\n# Setup\n\n<!-- hidden -->\nText.\n\n\n\nMore.\n';
+    assert.equal(markdownCopy(markdown, options), '# Setup\n\nText.\n\nMore.\n');
+  });
+
+  it('keeps the paragraph break after a comment at the end of a line', () => {
+    const markdown = 'One. <!-- a -->\n\nTwo. <!-- b --> Three.\n';
+    assert.equal(markdownCopy(markdown, options), 'One.\n\nTwo. Three.\n');
+  });
+
+  it('resolves links as the site does, to markdown copies where there are documents', () => {
+    const copy = markdownCopy(
+      '[use](usage.md#run) [here](#install) [script](../scripts/go.sh) [ext](https://x.org)\n\n' +
+        '[ref]: ./usage.md\n',
+      options
+    );
+    assert.equal(
+      copy,
+      '[use](usage.md#run) [here](setup.md#install) ' +
+        '[script](https://github.com/o/r/blob/main/scripts/go.sh) [ext](https://x.org)\n\n' +
+        '[ref]: usage.md\n'
+    );
+  });
+
+  it('links by absolute URL with a base URL', () => {
+    const copy = markdownCopy('[use](usage.md)\n', { ...options, baseUrl: 'https://example.org/docs/' });
+    assert.equal(copy, '[use](https://example.org/docs/usage.md)\n');
+  });
+
+  it('leaves code alone', () => {
+    const markdown = '`[a](usage.md)` <!-- note -->\n\n```md\n[b](usage.md)\n<!-- kept -->\n```\n';
+    const copy = markdownCopy(markdown, options);
+    assert.equal(copy, '`[a](usage.md)`\n\n```md\n[b](usage.md)\n<!-- kept -->\n```\n');
+  });
+});
+
+describe('llmsTxt and llmsFullTxt', () => {
+  const site = { name: 'Memory Timeline', description: 'Docs.', baseUrl: 'https://example.org/docs/' };
+  const sections = [
+    {
+      title: 'Guides',
+      pages: [
+        {
+          slug: 'setup',
+          title: 'Setup',
+          description: 'Install it.',
+          source: 'docs/setup.md',
+          markdown: '# Setup\n',
+        },
+        { slug: 'usage', title: 'Usage & more', source: 'docs/usage.md', markdown: '# Usage\n' },
+      ],
+    },
+  ];
+
+  it('indexes every copy by section, with its description', () => {
+    const text = llmsTxt({ site, sections, buildTime: '2026-07-01' });
+    assert.match(text, /^# Memory Timeline\n\n> Docs\.\n\n2 documents, generated 2026-07-01\./);
+    assert.match(text, /\[llms-full\.txt\]\(https:\/\/example\.org\/docs\/llms-full\.txt\)/);
+    assert.ok(
+      text.endsWith(
+        '## Guides\n\n' +
+          '- [Setup](https://example.org/docs/setup.md): Install it.\n' +
+          '- [Usage & more](https://example.org/docs/usage.md)\n'
+      )
+    );
+  });
+
+  it('holds every copy between document markers', () => {
+    const text = llmsFullTxt({ site, sections, buildTime: '2026-07-01' });
+    assert.ok(
+      text.includes(
+        '<document slug="setup" title="Setup" section="Guides" source="docs/setup.md" ' +
+          'url="https://example.org/docs/setup.html">\n# Setup\n</document>'
+      )
+    );
+    assert.match(text, /<document slug="usage" title="Usage &amp; more" /);
+    assert.equal(text.match(/<\/document>/g).length, 2);
+  });
+});
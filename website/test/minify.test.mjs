@@ -0,0 +1,104 @@
+/**
+ * The production minifiers. The JavaScript one is checked where a conservative
+ * tokenizer can go wrong — regex or division, line breaks that end statements,
+ * strings and templates — and by running code before and after minifying.
+ */
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import vm from 'node:vm';
+
+import { minifyCss, minifyHtml, minifyJs } from '../lib/minify.mjs';
+
+const assetsDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../assets');
+
+describe('minifyJs', () => {
+  it('tells a regular expression from a division', () => {
+    assert.equal(minifyJs('const half = total / 2 / count;'), 'const half=total/2/count;\n');
+    assert.equal(minifyJs('const x = (a) / b;'), 'const x=(a)/b;\n');
+    assert.equal(minifyJs('const slash = /[/ ]\\/ +/g;'), 'const slash=/[/ ]\\/ +/g;\n');
+    assert.equal(minifyJs('if (ok) return /a  b/.test(s);'), 'if(ok)return/a  b/.test(s);\n');
+    assert.equal(minifyJs('f(x, / y /);'), 'f(x,/ y /);\n');
+  });
+
+  it('keeps the line breaks that end statements and drops the rest', () => {
+    assert.equal(minifyJs('let a = 1\nlet b = 2\n'), 'let a=1\nlet b=2\n');
+    assert.equal(minifyJs('a\n++b'), 'a\n++b\n');
+    assert.equal(minifyJs('return\nvalue'), 'return\nvalue\n');
+    assert.equal(minifyJs('call(\n  one,\n  two\n)\n.then(done);'), 'call(one,two).then(done);\n');
+    assert.equal(minifyJs('a = b // note\n+ c;'), 'a=b\n+c;\n');
+    assert.equal(minifyJs('x = a + +b - -c;'), 'x=a+ +b- -c;\n');
+  });
+
+  it('drops comments but not what only looks like one', () => {
+    assert.equal(minifyJs('/* head */ a(); // tail\n/** doc\n */\nb();'), 'a();b();\n');
+    assert.equal(minifyJs("const url = 'https://x.org/*';"), "const url='https://x.org/*';\n");
+  });
+
+  it('copies strings and template literals as they are, nested ones included', () => {
+    assert.equal(minifyJs('s = "a  // b" + \'c  \\\' d\';'), 's="a  // b"+\'c  \\\' d\';\n');
+    const template = 'html = `<p>  ${ items.map((i) => `<b>  ${i}  </b>`).join("  ") }  </p>`;';
+    assert.equal(minifyJs(template), template.replace('html = ', 'html=') + '\n');
+    const braces = 'msg = `${ {a: "}"}.a }  ${ `${ x }  y` }`;';
+    assert.equal(minifyJs(braces), braces.replace('msg = ', 'msg=') + '\n');
+  });
+
+  it('leaves code that runs the same', () => {
+    const source = `
+      // Regexes, division, templates and statements ended by line breaks.
+      const words = 'one two  three'.split(/ +/)
+      const ratio = words.length / 2 / 3
+      let count = 0
+      count++
+      const label = \`\${words.map((w) => \`<\${w}>\`).join('  ')} / \${ratio.toFixed(2)}\`
+      function pick(n) {
+        return /^t/.test(words[n])
+          ? words[n]
+          : null
+      }
+      ;[1, 2].forEach((n) => { count += n })
+      result = { words, ratio, count, label, picked: [0, 1, 2].map(pick) }
+    `;
+    assert.deepEqual(run(minifyJs(source)), run(source));
+  });
+
+  it('keeps the site script valid', async () => {
+    const app = await fs.readFile(path.join(assetsDir, 'app.js'), 'utf8');
+    const minified = minifyJs(app);
+    assert.ok(minified.length < app.length);
+    assert.doesNotThrow(() => new vm.Script(minified));
+  });
+});
+
+describe('minifyHtml', () => {
+  it('collapses layout and drops comments, but not inside pre, script or style', () => {
+    const html =
+      '<ul>\n    <li>a</li>  <!-- gone -->\n</ul>\n' +
+      '<pre>  keep\n    this</pre>\n<script>if (a  <  b) x()</script>';
+    assert.equal(
+      minifyHtml(html),
+      '<ul>\n<li>a</li>\n</ul>\n<pre>  keep\n    this</pre>\n<script>if (a  <  b) x()</script>\n'
+    );
+  });
+});
+
+describe('minifyCss', () => {
+  it('drops comments and spacing, but keeps strings, combinators and calc()', () => {
+    const css =
+      '/* theme */\nnav :focus ,\na > b {\n' +
+      '  content: "  a ; b  ";\n  width: calc(100% - 2px);\n}\n';
+    assert.equal(minifyCss(css), 'nav :focus,a>b{content:"  a ; b  ";width:calc(100% - 2px)}\n');
+  });
+});
+
+/* ---- helpers ------------------------------------------------------ */
+
+/** Run a script and return what it left in `result`. */
+function run(code) {
+  const context = { result: undefined };
+  vm.runInNewContext(code, context);
+  return JSON.parse(JSON.stringify(context.result));
+}
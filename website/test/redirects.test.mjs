@@ -0,0 +1,128 @@
+/**
+ * Redirects: which old slugs forward where, from the previous build and from
+ * `site.redirects`, and the stub page that does the forwarding.
+ */
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+
+import { readPreviousBuild, resolveRedirects } from '../lib/redirects.mjs';
+import { renderRedirect } from '../lib/templates.mjs';
+
+/** A build whose live pages are `pages`, as `{ slug, source }`. */
+function resolve({ pages, previous = null, configured, drafts = [] }) {
+  return resolveRedirects({
+    configured,
+    previous,
+    configuredSlugs: new Set([...pages.map((p) => p.slug), ...drafts]),
+    livePages: new Map(pages.map((p) => [p.slug, p])),
+    fallback: 'documentation-map',
+  });
+}
+
+describe('resolveRedirects', () => {
+  const pages = [
+    { slug: 'setup', source: 'docs/setup.md' },
+    { slug: 'usage', source: 'docs/usage.md' },
+  ];
+
+  it('forwards a renamed page to the page built from the same document', () => {
+    const previous = { pages: [{ slug: 'getting-started', source: 'docs/setup.md' }], redirects: [] };
+    assert.deepEqual(resolve({ pages, previous }), [{ from: 'getting-started', to: 'setup' }]);
+  });
+
+  it('forwards a removed page to the fallback', () => {
+    const previous = { pages: [{ slug: 'faq', source: 'docs/faq.md' }], redirects: [] };
+    assert.deepEqual(resolve({ pages, previous }), [{ from: 'faq', to: 'documentation-map' }]);
+  });
+
+  it('keeps the redirects of earlier builds, and lets configured ones win', () => {
+    const previous = {
+      pages: [{ slug: 'faq', source: 'docs/faq.md' }],
+      redirects: [{ from: 'install', to: 'setup' }],
+    };
+    assert.deepEqual(resolve({ pages, previous, configured: { faq: 'usage#questions', old: 'usage' } }), [
+      { from: 'faq', to: 'usage#questions' },
+      { from: 'install', to: 'setup' },
+      { from: 'old', to: 'usage' },
+    ]);
+  });
+
+  it('collapses a chain of renames to its last page', () => {
+    const previous = { pages: [], redirects: [{ from: 'first', to: 'second' }] };
+    const configured = { second: 'setup#install' };
+    assert.deepEqual(resolve({ pages, previous, configured }), [
+      { from: 'first', to: 'setup#install' },
+      { from: 'second', to: 'setup#install' },
+    ]);
+  });
+
+  it('sends a loop or a target that is gone to the fallback', () => {
+    const configured = { a: 'b', b: 'a', c: 'nowhere' };
+    assert.deepEqual(
+      resolve({ pages, configured }).map(({ to }) => to),
+      ['documentation-map', 'documentation-map', 'documentation-map']
+    );
+  });
+
+  it('stops redirecting a slug that is a page again, drafts included', () => {
+    const previous = {
+      pages: [],
+      redirects: [
+        { from: 'setup', to: 'usage' },
+        { from: 'draft', to: 'usage' },
+      ],
+    };
+    assert.deepEqual(resolve({ pages, previous, drafts: ['draft'] }), []);
+  });
+});
+
+describe('readPreviousBuild', () => {
+  it("reads the pages and redirects of a build's manifest.json", async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mt-docs-test-'));
+    try {
+      assert.equal(await readPreviousBuild(dir), null);
+      const manifest = { pages: [{ slug: 'a' }], redirects: [{ from: 'b', to: 'a' }], files: {} };
+      await fs.writeFile(path.join(dir, 'manifest.json'), JSON.stringify(manifest));
+      const { pages, redirects } = manifest;
+      assert.deepEqual(await readPreviousBuild(dir), { pages, redirects });
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('has nothing to read without a directory', async () => {
+    assert.equal(await readPreviousBuild(null), null);
+  });
+});
+
+describe('renderRedirect', () => {
+  it('forwards by script and by meta refresh, and is kept out of search engines', () => {
+    const html = renderRedirect({ target: 'setup.html#a&b', title: 'Setup', siteName: 'Memory Timeline' });
+    assert.match(html, /<meta name="robots" content="noindex">/);
+    assert.match(html, /<meta http-equiv="refresh" content="0; url=setup\.html#a&amp;b">/);
+    assert.match(html, /var t="setup\.html#a&b";/);
+    // The visitor's anchor is kept unless the target names its own.
+    assert.match(html, /location\.replace\(t\.indexOf\('#'\)<0\?t\+location\.hash:t\)/);
+    assert.doesNotMatch(html, /rel="canonical"/);
+  });
+
+  it('keeps a target from closing the script', () => {
+    const html = renderRedirect({ target: 'a.html#</script><b>', title: 'A', siteName: 'Memory Timeline' });
+    assert.match(html, /var t="a\.html#\\u003c\/script>\\u003cb>";/);
+    assert.equal(html.match(/<\/script>/g).length, 1);
+  });
+
+  it('names the new address as canonical when there is one', () => {
+    const html = renderRedirect({
+      target: 'setup.html',
+      title: 'Setup',
+      siteName: 'Memory Timeline',
+      canonical: 'https://example.org/docs/setup.html',
+    });
+    assert.match(html, /<link rel="canonical" href="https:\/\/example\.org\/docs\/setup\.html">/);
+  });
+});
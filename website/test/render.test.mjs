@@ -0,0 +1,65 @@
+/**
+ * Markdown rendering: GitHub alerts, and the callouts guessed from a
+ * blockquote's opening words, which only pages that ask for them get.
+ */
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { renderMarkdown } from '../lib/render.mjs';
+
+const OPTIONS = { sourceDir: '', pathToSlug: new Map(), repoUrl: 'https://github.com/o/r', branch: 'main' };
+
+const render = (markdown, options = {}) => renderMarkdown(markdown, { ...OPTIONS, ...options }).html;
+
+describe('alerts', () => {
+  it('turns every alert kind into a titled callout', () => {
+    for (const [kind, title] of [
+      ['NOTE', 'Note'],
+      ['TIP', 'Tip'],
+      ['IMPORTANT', 'Important'],
+      ['WARNING', 'Warning'],
+      ['CAUTION', 'Caution'],
+    ]) {
+      const html = render(`> [!${kind}]\n> Body.\n`);
+      assert.match(html, new RegExp(`class="callout callout-alert callout-${kind.toLowerCase()}"`));
+      assert.match(html, new RegExp(`<p class="callout-title">${title}</p>`));
+      assert.match(html, /<div class="callout-body"><p>Body\.<\/p>/);
+    }
+  });
+
+  it('takes the text after the marker as the title', () => {
+    const html = render('> [!WARNING] Back up first\n> Body.\n');
+    assert.match(html, /<p class="callout-title">Back up first<\/p>/);
+  });
+
+  it('leaves an unknown marker as a blockquote', () => {
+    assert.match(render('> [!DANGER]\n> Body.\n'), /^<blockquote>/);
+  });
+
+  it('replaces the heuristics on a page that has them on', () => {
+    const html = render('> [!NOTE]\n> Warning: this stays a note.\n\n> [!TIP]\n> ### A heading\n', {
+      heuristicCallouts: true,
+    });
+    assert.equal(html.match(/class="callout /g).length, 2);
+    assert.match(html, /callout-alert callout-note/);
+    assert.match(html, /callout-alert callout-tip/);
+    assert.doesNotMatch(html, /callout-warning|callout-feature/);
+  });
+});
+
+describe('heuristic callouts', () => {
+  const markdown = '> **Warning:** careful\n\n> Note: mind this.\n\n> ### Heading\n> Body.\n';
+
+  it('are off by default', () => {
+    assert.doesNotMatch(render(markdown), /callout/);
+  });
+
+  it('guess the kind from the opening words or a heading when on', () => {
+    const html = render(markdown, { heuristicCallouts: true });
+    assert.match(html, /class="callout callout-warning"/);
+    assert.match(html, /class="callout callout-note"/);
+    assert.match(html, /class="callout callout-feature"/);
+    assert.doesNotMatch(html, /callout-alert/);
+  });
+});